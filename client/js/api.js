@@ -20,6 +20,40 @@ const API = (() => {
     localStorage.removeItem('accessToken');
     localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
+    localStorage.removeItem('impersonation');
+  }
+
+  // ─── Impersonation State ───────────────────────────────────────────────
+  // The support user's own session is parked in localStorage while the
+  // impersonation token (access-only, no refresh) is in use.
+  function getImpersonation() {
+    try {
+      return JSON.parse(localStorage.getItem('impersonation'));
+    } catch {
+      return null;
+    }
+  }
+
+  function beginImpersonation({ accessToken: token, user, impersonator }) {
+    localStorage.setItem(
+      'impersonation',
+      JSON.stringify({
+        impersonator,
+        target: user,
+        original: { accessToken, refreshToken, user: getUser() },
+      }),
+    );
+    setTokens(token, '');
+    setUser(user);
+  }
+
+  function restoreImpersonator() {
+    const impersonation = getImpersonation();
+    localStorage.removeItem('impersonation');
+    if (!impersonation) return;
+    const { original } = impersonation;
+    setTokens(original.accessToken, original.refreshToken);
+    setUser(original.user);
   }
 
   function getUser() {
@@ -38,6 +72,15 @@ const API = (() => {
     return !!accessToken;
   }
 
+  // Validation errors carry one entry per broken rule — show them all
+  function errorMessage(data) {
+    const details = data.error?.details;
+    if (Array.isArray(details) && details.length > 0) {
+      return details.map((d) => d.message).join('. ');
+    }
+    return data.error?.message || data.message || 'Request failed';
+  }
+
   async function request(method, path, body, isRetry = false) {
     const headers = { 'Content-Type': 'application/json' };
     if (accessToken) headers['Authorization'] = `Bearer ${accessToken}`;
@@ -59,6 +102,13 @@ const API = (() => {
 
     const res = await fetch(url, opts);
 
+    // Impersonation tokens can't be refreshed — expiry means back to yourself
+    if (res.status === 401 && getImpersonation()) {
+      restoreImpersonator();
+      window.location.hash = '#/users';
+      throw new Error('Impersonation ended');
+    }
+
     // Try refresh on 401
     if (res.status === 401 && !isRetry && refreshToken) {
       const refreshed = await tryRefresh();
@@ -72,7 +122,7 @@ const API = (() => {
     if (!res.ok)
       throw {
         status: res.status,
-        message: data.error?.message || data.message || 'Request failed',
+        message: errorMessage(data),
         data,
       };
     return data;
@@ -105,6 +155,20 @@ const API = (() => {
     login: (body) => post('/auth/login', body),
     register: (body) => post('/auth/register', body),
     logout: () => post('/auth/logout', { refreshToken }),
+    forgotPassword: (body) => post('/auth/forgot-password', body),
+    resetPassword: (body) => post('/auth/reset-password', body),
+    changePassword: (body) => post('/auth/change-password', body),
+    changeExpiredPassword: (body) =>
+      post('/auth/change-expired-password', body),
+    switchOrganization: (body) => post('/auth/switch-organization', body),
+    verifyEmail: (body) => post('/auth/verify-email', body),
+    resendVerification: (body) => post('/auth/verify-email/resend', body),
+    mfaChallenge: (body) => post('/auth/mfa/challenge', body),
+    mfaEnroll: (body) => post('/auth/mfa/enroll', body),
+    mfaEnrollVerify: (body) => post('/auth/mfa/enroll/verify', body),
+    ssoExchange: (body) => post('/auth/sso/exchange', body),
+    // Full-page navigation target, not an XHR call
+    ssoStartUrl: (slug) => `${BASE}/auth/sso/${encodeURIComponent(slug)}/start`,
   };
 
   // ─── Users ─────────────────────────────────────────────────────────────
@@ -115,6 +179,7 @@ const API = (() => {
     update: (id, b) => patch(`/users/${id}`, b),
     deactivate: (id) => post(`/users/${id}/deactivate`),
     activate: (id) => post(`/users/${id}/activate`),
+    unlock: (id) => post(`/users/${id}/unlock`),
     assignRoles: (id, b) => put(`/users/${id}/roles`, b),
   };
 
@@ -126,6 +191,21 @@ const API = (() => {
     update: (id, b) => patch(`/roles/${id}`, b),
     delete: (id) => del(`/roles/${id}`),
     assignPerms: (id, b) => put(`/roles/${id}/permissions`, b),
+    assignDenies: (id, b) => put(`/roles/${id}/denies`, b),
+    setAssignableRoles: (id, b) => put(`/roles/${id}/assignable-roles`, b),
+  };
+
+  // ─── Access Requests ───────────────────────────────────────────────────
+  const accessRequests = {
+    requestableRoles: () => get('/access-requests/requestable-roles'),
+    mine: (params) => get('/access-requests/mine', params),
+    list: (params) => get('/access-requests', params),
+    create: (body) => post('/access-requests', body),
+    approve: (id, b) => post(`/access-requests/${id}/approve`, b),
+    deny: (id, b) => post(`/access-requests/${id}/deny`, b),
+    cancel: (id) => post(`/access-requests/${id}/cancel`),
+    getApprovers: (roleId) => get(`/access-requests/approvers/${roleId}`),
+    setApprovers: (roleId, b) => put(`/access-requests/approvers/${roleId}`, b),
   };
 
   // ─── Permissions ───────────────────────────────────────────────────────
@@ -136,6 +216,7 @@ const API = (() => {
   // ─── Dashboard ─────────────────────────────────────────────────────────
   const dashboard = {
     stats: () => get('/dashboard/metrics'),
+    usage: () => get('/dashboard/usage'),
   };
 
   // ─── Audit ─────────────────────────────────────────────────────────────
@@ -143,23 +224,56 @@ const API = (() => {
     list: (params) => get('/audit-logs', params),
   };
 
+  // ─── Sessions ──────────────────────────────────────────────────────────
+  const sessions = {
+    list: () => get('/auth/sessions'),
+    revoke: (id) => del(`/auth/sessions/${id}`),
+    listForUser: (userId) => get(`/auth/sessions/users/${userId}`),
+    revokeForUser: (userId, id) => del(`/auth/sessions/users/${userId}/${id}`),
+  };
+
+  // ─── Impersonation ─────────────────────────────────────────────────────
+  const impersonation = {
+    start: (userId, body) => post(`/auth/impersonation/${userId}`, body),
+    end: () => del('/auth/impersonation'),
+  };
+
   // ─── Organizations ─────────────────────────────────────────────────────
   const organizations = {
     list: (params) => get('/organizations', params),
   };
 
+  // ─── Invitations ───────────────────────────────────────────────────────
+  const invitations = {
+    list: (orgId, params) => get(`/organizations/${orgId}/invitations`, params),
+    create: (orgId, body) => post(`/organizations/${orgId}/invitations`, body),
+    resend: (orgId, id) =>
+      post(`/organizations/${orgId}/invitations/${id}/resend`),
+    revoke: (orgId, id) => del(`/organizations/${orgId}/invitations/${id}`),
+    // Public — the token from the emailed link
+    lookup: (body) => post('/invitations/lookup', body),
+    accept: (body) => post('/invitations/accept', body),
+  };
+
   return {
     setTokens,
     clearTokens,
     getUser,
     setUser,
     isAuthenticated,
+    getImpersonation,
+    beginImpersonation,
+    restoreImpersonator,
     auth,
     users,
     roles,
+    accessRequests,
     permissions,
     dashboard,
     audit,
+    sessions,
+    impersonation,
     organizations,
+    invitations,
   };
 })();
@@ -7,10 +7,16 @@ const App = (() => {
 
   const pages = {
     login: { module: LoginPage, auth: false },
+    'reset-password': { module: ResetPasswordPage, auth: false },
+    'verify-email': { module: VerifyEmailPage, auth: false },
+    'sso-callback': { module: SsoCallbackPage, auth: false },
+    'accept-invitation': { module: AcceptInvitationPage, auth: false },
     dashboard: { module: DashboardPage, auth: true },
     users: { module: UsersPage, auth: true },
     roles: { module: RolesPage, auth: true },
+    'access-requests': { module: AccessRequestsPage, auth: true },
     audit: { module: AuditPage, auth: true },
+    sessions: { module: SessionsPage, auth: true },
   };
 
   // ─── Theme ──────────────────────────────────────────────────────────────
@@ -37,8 +43,8 @@ const App = (() => {
   async function navigate() {
     const route = getRoute();
 
-    // Auth guard
-    if (!API.isAuthenticated() && route !== 'login') {
+    // Auth guard — public pages (auth: false) stay reachable when signed out
+    if (!API.isAuthenticated() && pages[route]?.auth !== false) {
       window.location.hash = '#/login';
       return;
     }
@@ -63,7 +69,9 @@ const App = (() => {
         app.innerHTML = `
           <div class="app-layout">
             ${Components.renderSidebar(currentPage)}
-            <main class="main-content">${Components.loading()}</main>
+            <main class="main-content">
+              ${Components.renderImpersonationBanner()}${Components.loading()}
+            </main>
           </div>`;
         bindSidebar();
       }
@@ -84,7 +92,9 @@ const App = (() => {
       app.innerHTML = `
         <div class="app-layout">
           ${Components.renderSidebar(currentPage)}
-          <main class="main-content">${pageHtml}</main>
+          <main class="main-content">
+            ${Components.renderImpersonationBanner()}${pageHtml}
+          </main>
         </div>`;
       bindSidebar();
     } else {
@@ -108,9 +118,19 @@ const App = (() => {
       });
     });
 
+    document
+      .getElementById('exitImpersonationBtn')
+      ?.addEventListener('click', exitImpersonation);
+
+    document
+      .getElementById('orgSwitcher')
+      ?.addEventListener('change', (e) => switchOrganization(e.target.value));
+
     document
       .getElementById('logoutBtn')
       ?.addEventListener('click', async () => {
+        // Signing out of an impersonation returns to your own session
+        if (API.getImpersonation()) return exitImpersonation();
         try {
           await API.auth.logout();
         } catch {
@@ -121,6 +141,83 @@ const App = (() => {
       });
   }
 
+  // New tokens for the chosen organization, then reload the page's data
+  // in it (or put the switcher back if the switch was refused). An
+  // organization that requires MFA asks for a code first.
+  async function switchOrganization(organizationId) {
+    try {
+      const res = await API.auth.switchOrganization({ organizationId });
+      if (res.data.mfaRequired) showSwitchChallenge(res.data.mfaToken);
+      else finishSwitch(res.data);
+    } catch (err) {
+      Components.toast(err.message || 'Could not switch organization', 'error');
+    }
+    navigate();
+  }
+
+  function showSwitchChallenge(mfaToken) {
+    const body = `
+      <form id="switchMfaForm" autocomplete="off">
+        <p style="font-size:0.82rem;color:var(--text-secondary);margin-bottom:1rem;">
+          This organization requires two-factor authentication.
+        </p>
+        <div class="input-group">
+          <label for="switchMfaCode">Authentication code</label>
+          <input class="input" type="text" id="switchMfaCode" inputmode="numeric" placeholder="123456" autocomplete="one-time-code">
+        </div>
+        <div class="input-group">
+          <label for="switchRecoveryCode">Or a recovery code</label>
+          <input class="input" type="text" id="switchRecoveryCode" placeholder="xxxxx-xxxxx">
+        </div>
+      </form>`;
+    const footer = `
+      <button class="btn" onclick="Components.closeModal()">Cancel</button>
+      <button class="btn btn-primary" type="submit" form="switchMfaForm">Verify</button>`;
+    Components.openModal('Verify to Switch', body, footer);
+
+    document
+      .getElementById('switchMfaForm')
+      .addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const code = document.getElementById('switchMfaCode').value.trim();
+        const recoveryCode = document
+          .getElementById('switchRecoveryCode')
+          .value.trim();
+        const challenge = { mfaToken };
+        if (recoveryCode && !code) challenge.recoveryCode = recoveryCode;
+        else challenge.code = code;
+
+        try {
+          const res = await API.auth.mfaChallenge(challenge);
+          Components.closeModal();
+          finishSwitch(res.data);
+          navigate();
+        } catch (err) {
+          Components.toast(err.message || 'Verification failed', 'error');
+        }
+      });
+  }
+
+  function finishSwitch(session) {
+    API.setTokens(session.accessToken, session.refreshToken);
+    API.setUser(session.user);
+    Components.toast(
+      `Switched to ${session.user.organization.name}`,
+      'success',
+    );
+  }
+
+  async function exitImpersonation() {
+    try {
+      await API.impersonation.end();
+    } catch {
+      /* token may already be expired — restore regardless */
+    }
+    API.restoreImpersonator();
+    if (window.location.hash === '#/users') navigate();
+    else window.location.hash = '#/users';
+  }
+
   // ─── Init ───────────────────────────────────────────────────────────────
   function init() {
     setTheme(getTheme());
@@ -61,7 +61,13 @@ const Components = (() => {
       { id: 'dashboard', icon: Icons.dashboard, label: 'Dashboard' },
       { id: 'users', icon: Icons.users, label: 'Users' },
       { id: 'roles', icon: Icons.shield, label: 'Roles' },
+      {
+        id: 'access-requests',
+        icon: Icons.userCheck,
+        label: 'Access Requests',
+      },
       { id: 'audit', icon: Icons.audit, label: 'Audit Logs' },
+      { id: 'sessions', icon: Icons.lock, label: 'Sessions' },
     ];
 
     return `
@@ -71,6 +77,8 @@ const Components = (() => {
           <span>Role Management</span>
         </div>
 
+        ${renderOrganizationSwitcher(user)}
+
         <nav class="nav-section">
           <div class="nav-section-title">Navigation</div>
           ${navItems
@@ -96,6 +104,35 @@ const Components = (() => {
       </aside>`;
   }
 
+  // Members of several organizations switch the active one here. An
+  // impersonation stays in the impersonator's organization.
+  function renderOrganizationSwitcher(user) {
+    const current = user?.organization;
+    if (!current) return '';
+
+    const organizations = user.organizations || [];
+    if (organizations.length < 2 || API.getImpersonation()) {
+      return `
+        <div class="nav-section">
+          <div class="nav-section-title">Organization</div>
+          <div class="org-current">${escapeHtml(current.name)}</div>
+        </div>`;
+    }
+
+    return `
+        <div class="nav-section">
+          <div class="nav-section-title">Organization</div>
+          <select class="input" id="orgSwitcher">
+            ${organizations
+              .map(
+                (o) =>
+                  `<option value="${o.id}" ${o.id === current.id ? 'selected' : ''}>${escapeHtml(o.name)}</option>`,
+              )
+              .join('')}
+          </select>
+        </div>`;
+  }
+
   // ─── Page Header ────────────────────────────────────────────────────────
   function renderTopbar(title, actionsHtml = '') {
     const theme = document.documentElement.getAttribute('data-theme');
@@ -126,6 +163,41 @@ const Components = (() => {
       </div>`;
   }
 
+  // ─── Impersonation Banner ───────────────────────────────────────────────
+  // Shown on every signed-in page while acting as another user
+  function renderImpersonationBanner() {
+    const impersonation = API.getImpersonation();
+    if (!impersonation) return '';
+    const { target, impersonator } = impersonation;
+    const name =
+      `${target.firstName || ''} ${target.lastName || ''}`.trim() ||
+      target.email;
+    return `
+      <div class="impersonation-banner" role="alert">
+        <span>
+          ${Icons.eye} Viewing as <strong>${escapeHtml(name)}</strong> (${escapeHtml(target.email)})
+          — signed in as ${escapeHtml(impersonator.email)}
+        </span>
+        <button class="btn btn-sm" id="exitImpersonationBtn">Exit impersonation</button>
+      </div>`;
+  }
+
+  // ─── Escaping ───────────────────────────────────────────────────────────
+  // For values the server got from outside (user agents, IdP claims, ...)
+  function escapeHtml(value) {
+    return String(value ?? '').replace(
+      /[&<>"']/g,
+      (c) =>
+        ({
+          '&': '&amp;',
+          '<': '&lt;',
+          '>': '&gt;',
+          '"': '&quot;',
+          "'": '&#39;',
+        })[c],
+    );
+  }
+
   // ─── Loading ────────────────────────────────────────────────────────────
   function loading() {
     return `<div class="loading-center"><div class="spinner"></div></div>`;
@@ -138,6 +210,8 @@ const Components = (() => {
     renderSidebar,
     renderTopbar,
     renderPagination,
+    renderImpersonationBanner,
+    escapeHtml,
     loading,
   };
 })();
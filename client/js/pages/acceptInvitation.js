@@ -0,0 +1,133 @@
+// ============================================================================
+// Accept Invitation Page — join an organization from an emailed invite
+// ============================================================================
+
+const AcceptInvitationPage = (() => {
+  let invitation = null;
+  let error = '';
+
+  function getToken() {
+    const query = window.location.hash.split('?')[1] || '';
+    return new URLSearchParams(query).get('token') || '';
+  }
+
+  async function load() {
+    invitation = null;
+    error = '';
+    const token = getToken();
+    if (!token) {
+      error = 'This invitation link is missing its token.';
+      return;
+    }
+
+    try {
+      const res = await API.invitations.lookup({ token });
+      invitation = res.data;
+    } catch (err) {
+      error = err.message || 'This invitation is no longer valid';
+    }
+  }
+
+  function render() {
+    const esc = (value) => Components.escapeHtml(value);
+    if (!invitation) {
+      return `
+      <div class="login-wrapper page-enter">
+        <div class="card login-card">
+          <div class="login-header">
+            <div class="sidebar-logo"><h1>RBAC Admin</h1></div>
+            <h2>Invitation unavailable</h2>
+            <p>${esc(error)} Ask whoever invited you to send it again.</p>
+          </div>
+          <a class="btn btn-primary" href="#/login">Continue</a>
+        </div>
+      </div>`;
+    }
+
+    const { organization, email, accountExists } = invitation;
+    return `
+      <div class="login-wrapper page-enter">
+        <div class="card login-card">
+          <div class="login-header">
+            <div class="sidebar-logo"><h1>RBAC Admin</h1></div>
+            <h2>Join ${esc(organization.name)}</h2>
+            <p>${
+              accountExists
+                ? `Accept to add ${esc(email)} to the organization — you'll sign in with your current password`
+                : `Set up your account for ${esc(email)}`
+            }</p>
+          </div>
+
+          <div class="login-error" id="acceptError"></div>
+
+          <form id="acceptForm" autocomplete="off">
+            ${
+              accountExists
+                ? ''
+                : `
+            <div class="input-group">
+              <label for="firstName">First name</label>
+              <input class="input" id="firstName" required autocomplete="given-name">
+            </div>
+            <div class="input-group">
+              <label for="lastName">Last name</label>
+              <input class="input" id="lastName" required autocomplete="family-name">
+            </div>
+            <div class="input-group">
+              <label for="newPassword">Password</label>
+              <input class="input" type="password" id="newPassword" required autocomplete="new-password" placeholder="Min 8 chars">
+            </div>
+            <div class="input-group">
+              <label for="confirmPassword">Confirm password</label>
+              <input class="input" type="password" id="confirmPassword" required autocomplete="new-password">
+            </div>`
+            }
+            <button class="btn btn-primary" type="submit" id="acceptBtn">Accept invitation</button>
+          </form>
+        </div>
+      </div>`;
+  }
+
+  function init() {
+    document
+      .getElementById('acceptForm')
+      ?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errBox = document.getElementById('acceptError');
+        const btn = document.getElementById('acceptBtn');
+        errBox.classList.remove('visible');
+        btn.disabled = true;
+
+        try {
+          const body = { token: getToken() };
+          if (!invitation.accountExists) {
+            body.firstName = document.getElementById('firstName').value.trim();
+            body.lastName = document.getElementById('lastName').value.trim();
+            body.password = document.getElementById('newPassword').value;
+            if (
+              body.password !== document.getElementById('confirmPassword').value
+            ) {
+              throw new Error('Passwords do not match');
+            }
+          }
+          await API.invitations.accept(body);
+          // Already signed in: the new organization is listed after the
+          // next sign-in
+          Components.toast(
+            `You've joined ${invitation.organization.name} — please sign in`,
+            'success',
+          );
+          window.location.hash = API.isAuthenticated()
+            ? '#/dashboard'
+            : '#/login';
+        } catch (err) {
+          errBox.textContent = err.message || 'Could not accept invitation';
+          errBox.classList.add('visible');
+        } finally {
+          btn.disabled = false;
+        }
+      });
+  }
+
+  return { load, render, init };
+})();
@@ -0,0 +1,289 @@
+// ============================================================================
+// Access Requests Page — request a role for a while, decide others' requests
+// ============================================================================
+// The approval queue only shows for members with ROLE_ASSIGN; for everyone
+// else loading it is forbidden and the section is left out.
+
+const AccessRequestsPage = (() => {
+  let requestableRoles = [];
+  let mine = [];
+  let queue = null; // null: caller can't decide requests
+  let mineTotal = 0;
+  let page = 1;
+  const limit = 20;
+
+  const STATUS_BADGES = {
+    PENDING: 'badge-warning',
+    APPROVED: 'badge-success',
+    DENIED: 'badge-danger',
+    CANCELLED: 'badge-info',
+  };
+
+  async function load() {
+    try {
+      const [rolesRes, mineRes] = await Promise.all([
+        API.accessRequests.requestableRoles(),
+        API.accessRequests.mine({ page, limit }),
+      ]);
+      requestableRoles = rolesRes.data || [];
+      mine = mineRes.data || [];
+      mineTotal = mineRes.meta?.totalCount ?? mine.length;
+    } catch (err) {
+      Components.toast(
+        err.message || 'Failed to load access requests',
+        'error',
+      );
+    }
+
+    try {
+      const res = await API.accessRequests.list({
+        pendingForMe: 'true',
+        limit: 100,
+      });
+      queue = res.data || [];
+    } catch {
+      queue = null;
+    }
+  }
+
+  const esc = (value) => Components.escapeHtml(value);
+  const person = (p) => (p ? esc(`${p.firstName} ${p.lastName}`) : '—');
+  const when = (date) => (date ? new Date(date).toLocaleString() : '—');
+
+  function statusBadge(status) {
+    return `<span class="badge ${STATUS_BADGES[status] || 'badge-info'}">${status}</span>`;
+  }
+
+  function renderQueue() {
+    if (queue === null) return '';
+    return `
+        <div class="card" style="margin-bottom:1rem;">
+          <div class="section-header">
+            <h3 style="font-size:0.95rem;">Waiting for your decision</h3>
+          </div>
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Requester</th>
+                  <th>Role</th>
+                  <th>Duration</th>
+                  <th>Justification</th>
+                  <th>Requested</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${
+                  queue.length
+                    ? queue
+                        .map(
+                          (r) => `
+                    <tr>
+                      <td>${person(r.requester)}<div style="font-size:0.72rem;color:var(--text-muted)">${esc(r.requester.email)}</div></td>
+                      <td style="font-weight:550;color:var(--text-primary)">${esc(r.role.name)}</td>
+                      <td>${r.durationHours}h</td>
+                      <td style="max-width:280px;white-space:pre-wrap;font-size:0.8rem;">${esc(r.justification)}</td>
+                      <td style="white-space:nowrap;font-size:0.78rem;">${when(r.createdAt)}</td>
+                      <td>
+                        <div class="toolbar">
+                          <button class="btn btn-sm btn-primary" data-approve-request="${r.id}" title="Approve">${Icons.check}</button>
+                          <button class="btn btn-sm btn-danger" data-deny-request="${r.id}" title="Deny">${Icons.x}</button>
+                        </div>
+                      </td>
+                    </tr>`,
+                        )
+                        .join('')
+                    : `<tr><td colspan="6"><div class="empty-state"><p>Nothing to review</p></div></td></tr>`
+                }
+              </tbody>
+            </table>
+          </div>
+        </div>`;
+  }
+
+  function renderMine() {
+    return `
+        <div class="card">
+          <div class="section-header">
+            <h3 style="font-size:0.95rem;">My requests</h3>
+          </div>
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Role</th>
+                  <th>Duration</th>
+                  <th>Status</th>
+                  <th>Decided by</th>
+                  <th>Access until</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${
+                  mine.length
+                    ? mine
+                        .map(
+                          (r) => `
+                    <tr>
+                      <td style="font-weight:550;color:var(--text-primary)">${esc(r.role.name)}</td>
+                      <td>${r.durationHours}h</td>
+                      <td>
+                        ${statusBadge(r.status)}
+                        ${r.decisionNote ? `<div style="font-size:0.72rem;color:var(--text-muted)">${esc(r.decisionNote)}</div>` : ''}
+                      </td>
+                      <td>${person(r.decidedBy)}</td>
+                      <td style="white-space:nowrap;font-size:0.78rem;">${when(r.expiresAt)}</td>
+                      <td>
+                        ${r.status === 'PENDING' ? `<button class="btn btn-sm" data-cancel-request="${r.id}" title="Cancel">${Icons.x}</button>` : ''}
+                      </td>
+                    </tr>`,
+                        )
+                        .join('')
+                    : `<tr><td colspan="6"><div class="empty-state"><p>You haven't requested any access</p></div></td></tr>`
+                }
+              </tbody>
+            </table>
+          </div>
+          ${Components.renderPagination(page, limit, mineTotal)}
+        </div>`;
+  }
+
+  function render() {
+    return `
+      <div class="page-enter">
+        ${Components.renderTopbar('Access Requests', `<button class="btn btn-primary" id="newRequestBtn" ${requestableRoles.length ? '' : 'disabled'}>${Icons.plus} Request Access</button>`)}
+        ${renderQueue()}
+        ${renderMine()}
+      </div>`;
+  }
+
+  function init() {
+    document.querySelectorAll('[data-page-nav]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        page = Number(btn.dataset.pageNav);
+        await load();
+        App.renderCurrentPage();
+      });
+    });
+
+    document
+      .getElementById('newRequestBtn')
+      ?.addEventListener('click', showRequestModal);
+
+    document.querySelectorAll('[data-cancel-request]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Cancel this request?')) return;
+        await run(
+          () => API.accessRequests.cancel(btn.dataset.cancelRequest),
+          'Request cancelled',
+        );
+      });
+    });
+
+    document.querySelectorAll('[data-approve-request]').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        showDecisionModal(btn.dataset.approveRequest, true),
+      );
+    });
+
+    document.querySelectorAll('[data-deny-request]').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        showDecisionModal(btn.dataset.denyRequest, false),
+      );
+    });
+  }
+
+  async function run(action, message) {
+    try {
+      await action();
+      Components.toast(message, 'success');
+      Components.closeModal();
+      await load();
+      App.renderCurrentPage();
+    } catch (err) {
+      Components.toast(err.message || 'Request failed', 'error');
+    }
+  }
+
+  function showRequestModal() {
+    const body = `
+      <div class="input-group">
+        <label>Role</label>
+        <select class="input" id="modalRequestRole">
+          ${requestableRoles
+            .map(
+              (r) =>
+                `<option value="${r.id}">${esc(r.name)}${r.description ? ` — ${esc(r.description)}` : ''}</option>`,
+            )
+            .join('')}
+        </select>
+      </div>
+      <div class="input-group">
+        <label>For how many hours</label>
+        <input class="input" id="modalRequestHours" type="number" min="1" value="4">
+      </div>
+      <div class="input-group">
+        <label>Justification</label>
+        <textarea class="input" id="modalRequestJustification" rows="3" maxlength="1000" placeholder="What do you need it for?"></textarea>
+      </div>`;
+    const footer = `
+      <button class="btn" onclick="Components.closeModal()">Cancel</button>
+      <button class="btn btn-primary" id="modalSubmitRequest">Submit</button>`;
+    Components.openModal('Request Access', body, footer);
+
+    document
+      .getElementById('modalSubmitRequest')
+      .addEventListener('click', () =>
+        run(
+          () =>
+            API.accessRequests.create({
+              roleId: document.getElementById('modalRequestRole').value,
+              durationHours: Number(
+                document.getElementById('modalRequestHours').value,
+              ),
+              justification: document
+                .getElementById('modalRequestJustification')
+                .value.trim(),
+            }),
+          'Request sent to the approvers',
+        ),
+      );
+  }
+
+  function showDecisionModal(id, approve) {
+    const request = queue.find((r) => r.id === id);
+    const body = `
+      <p style="font-size:0.82rem;color:var(--text-secondary);margin-bottom:1rem;">
+        ${approve ? 'Grant' : 'Refuse'} <strong>${esc(request.role.name)}</strong>
+        to ${person(request.requester)}${approve ? ` for ${request.durationHours} hour(s), starting now` : ''}.
+      </p>
+      <div class="input-group">
+        <label>Note (optional)</label>
+        <input class="input" id="modalDecisionNote" maxlength="1000">
+      </div>`;
+    const footer = `
+      <button class="btn" onclick="Components.closeModal()">Cancel</button>
+      <button class="btn ${approve ? 'btn-primary' : 'btn-danger'}" id="modalDecide">${approve ? 'Approve' : 'Deny'}</button>`;
+    Components.openModal(
+      approve ? 'Approve Request' : 'Deny Request',
+      body,
+      footer,
+    );
+
+    document.getElementById('modalDecide').addEventListener('click', () => {
+      const note =
+        document.getElementById('modalDecisionNote').value.trim() || undefined;
+      run(
+        () =>
+          approve
+            ? API.accessRequests.approve(id, { note })
+            : API.accessRequests.deny(id, { note }),
+        approve ? 'Access granted' : 'Request denied',
+      );
+    });
+  }
+
+  return { load, render, init };
+})();
@@ -82,7 +82,7 @@ const AuditPage = (() => {
                       <td style="white-space:nowrap;font-size:0.78rem;">${ts}</td>
                       <td><span class="badge badge-${color}">${l.action}</span></td>
                       <td><span style="font-size:0.78rem;color:var(--text-muted)">${l.resource || '—'}${l.resourceId ? ` #${l.resourceId.slice(0, 8)}` : ''}</span></td>
-                      <td style="font-size:0.82rem;">${userName}</td>
+                      <td style="font-size:0.82rem;">${userName}${l.apiKey ? `<div style="font-size:0.72rem;color:var(--text-muted)">via API key ${l.apiKey.prefix}…</div>` : ''}${l.impersonator ? `<div style="font-size:0.72rem;color:var(--warning)">by ${Components.escapeHtml(l.impersonator.email)} (impersonating)</div>` : ''}</td>
                       <td style="font-size:0.78rem;color:var(--text-muted)">${l.ipAddress || '—'}</td>
                       <td>
                         ${l.metadata ? `<button class="btn btn-sm btn-ghost" data-view-details='${JSON.stringify(l.metadata).replace(/'/g, '&#39;')}' title="View Details">${Icons.audit}</button>` : '—'}
@@ -1,9 +1,11 @@
 // ============================================================================
-// Dashboard Page — stats cards, role-distribution chart, recent activity
+// Dashboard Page — stats cards, role-distribution chart, recent activity,
+// plan usage (for admins)
 // ============================================================================
 
 const DashboardPage = (() => {
   let data = null;
+  let usage = null;
 
   async function load() {
     try {
@@ -13,6 +15,48 @@ const DashboardPage = (() => {
       Components.toast(err.message || 'Failed to load dashboard', 'error');
       data = null;
     }
+
+    // Needs ORG_READ — left out for everyone else
+    try {
+      const res = await API.dashboard.usage();
+      usage = res.data;
+    } catch {
+      usage = null;
+    }
+  }
+
+  function renderUsage() {
+    if (!usage) return '';
+    const rows = [
+      ['Users', usage.usage.users],
+      ['Custom roles', usage.usage.customRoles],
+      ['API requests this month', usage.usage.apiRequests],
+    ];
+    const planName = usage.plan
+      ? Components.escapeHtml(usage.plan.name)
+      : 'No plan';
+    return `
+        <div class="card" style="margin-top:1rem;">
+          <div class="section-header">
+            <h3>Plan Usage</h3>
+            <span class="badge badge-role">${planName}</span>
+          </div>
+          ${rows
+            .map(([label, q]) => {
+              const pct = q.limit ? Math.min((q.used / q.limit) * 100, 100) : 0;
+              const tone = pct >= 100 ? 'full' : pct >= 80 ? 'high' : '';
+              return `
+            <div class="usage-row">
+              <div class="usage-label">
+                <span>${label}</span>
+                <span>${q.used.toLocaleString()} / ${q.limit == null ? '∞' : q.limit.toLocaleString()}</span>
+              </div>
+              <div class="usage-track"><div class="usage-fill ${tone}" style="width:${pct}%;"></div></div>
+            </div>`;
+            })
+            .join('')}
+          <div class="activity-time">API requests reset ${new Date(usage.resetsAt).toLocaleDateString()}</div>
+        </div>`;
   }
 
   function render() {
@@ -117,6 +161,8 @@ const DashboardPage = (() => {
             }
           </div>
         </div>
+
+        ${renderUsage()}
       </div>`;
   }
 
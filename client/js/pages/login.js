@@ -1,20 +1,138 @@
 // ============================================================================
-// Login Page
+// Login Page — credentials, then org choice / password change / MFA if needed
 // ============================================================================
 
 const LoginPage = (() => {
+  // credentials → [organization (several memberships)]
+  //             → [password (expired)] → challenge (MFA enabled)
+  //                                    | enroll → recovery (org requires MFA)
+  let step = 'credentials';
+  let pendingCredentials = null;
+  let organizations = [];
+  let mfaToken = '';
+  let passwordChangeToken = '';
+  let enrollment = null;
+  let pendingSession = null;
+
+  const headers = {
+    credentials: ['Welcome back', 'Sign in to your admin dashboard'],
+    organization: [
+      'Choose an organization',
+      'Your account belongs to more than one organization.',
+    ],
+    password: [
+      'Your password has expired',
+      "Choose a new password that meets your organization's policy.",
+    ],
+    challenge: [
+      'Two-factor authentication',
+      'Enter the 6-digit code from your authenticator app',
+    ],
+    enroll: [
+      'Set up two-factor authentication',
+      'Your organization requires MFA. Add this key to your authenticator app.',
+    ],
+    recovery: [
+      'Save your recovery codes',
+      'Each code can be used once if you lose access to your authenticator.',
+    ],
+  };
+
   function render() {
+    const [title, subtitle] = headers[step];
     return `
       <div class="login-wrapper page-enter">
         <div class="card login-card">
           <div class="login-header">
             <div class="sidebar-logo"><h1>RBAC Admin</h1></div>
-            <h2>Welcome back</h2>
-            <p>Sign in to your admin dashboard</p>
+            <h2>${title}</h2>
+            <p>${subtitle}</p>
           </div>
 
           <div class="login-error" id="loginError"></div>
 
+          ${renderStep()}
+        </div>
+      </div>`;
+  }
+
+  function renderStep() {
+    if (step === 'organization') {
+      const esc = Components.escapeHtml;
+      return `
+          <div style="display:flex;flex-direction:column;gap:0.5rem;">
+            ${organizations
+              .map(
+                (o) => `
+            <button class="btn btn-ghost org-choice" type="button" data-slug="${esc(o.slug)}">
+              ${esc(o.name)} <span style="color:var(--text-muted);">(${esc(o.slug)})</span>
+            </button>`,
+              )
+              .join('')}
+          </div>
+          ${renderBackLink()}`;
+    }
+
+    if (step === 'password') {
+      return `
+          <form id="passwordForm" autocomplete="off">
+            <div class="input-group">
+              <label for="newPassword">New password</label>
+              <input class="input" type="password" id="newPassword" required autocomplete="new-password">
+            </div>
+            <div class="input-group">
+              <label for="confirmPassword">Confirm new password</label>
+              <input class="input" type="password" id="confirmPassword" required autocomplete="new-password">
+            </div>
+            <button class="btn btn-primary" type="submit" id="loginBtn">Change password</button>
+          </form>
+          ${renderBackLink()}`;
+    }
+
+    if (step === 'challenge') {
+      return `
+          <form id="mfaForm" autocomplete="off">
+            <div class="input-group">
+              <label for="mfaCode">Authentication code</label>
+              <input class="input" type="text" id="mfaCode" inputmode="numeric" placeholder="123456" autocomplete="one-time-code">
+            </div>
+            <div class="input-group">
+              <label for="recoveryCode">Or a recovery code</label>
+              <input class="input" type="text" id="recoveryCode" placeholder="xxxxx-xxxxx">
+            </div>
+            <button class="btn btn-primary" type="submit" id="loginBtn">Verify</button>
+          </form>
+          ${renderBackLink()}`;
+    }
+
+    if (step === 'enroll') {
+      return `
+          <div class="input-group">
+            <label>Setup key</label>
+            <code style="font-size:0.85rem;word-break:break-all;">${enrollment?.secret || ''}</code>
+          </div>
+          <p style="font-size:0.75rem;color:var(--text-muted);margin-bottom:1rem;word-break:break-all;">
+            ${enrollment?.otpauthUrl || ''}
+          </p>
+          <form id="mfaForm" autocomplete="off">
+            <div class="input-group">
+              <label for="mfaCode">Authentication code</label>
+              <input class="input" type="text" id="mfaCode" inputmode="numeric" placeholder="123456" autocomplete="one-time-code">
+            </div>
+            <button class="btn btn-primary" type="submit" id="loginBtn">Enable &amp; sign in</button>
+          </form>
+          ${renderBackLink()}`;
+    }
+
+    if (step === 'recovery') {
+      return `
+          <div style="display:grid;grid-template-columns:1fr 1fr;gap:0.4rem;margin-bottom:1.2rem;">
+            ${(pendingSession?.recoveryCodes || []).map((c) => `<code style="font-size:0.85rem;">${c}</code>`).join('')}
+          </div>
+          <button class="btn btn-primary" id="continueBtn">I have saved these codes</button>`;
+    }
+
+    return `
           <form id="loginForm" autocomplete="on">
             <div class="input-group">
               <label for="email">Email address</label>
@@ -25,52 +143,264 @@ const LoginPage = (() => {
               <input class="input" type="password" id="password" name="password" placeholder="••••••••" required autocomplete="current-password" value="Admin@123">
             </div>
             <div class="input-group">
-              <label for="orgSlug">Organization slug</label>
+              <label for="orgSlug">Organization slug (optional)</label>
               <input class="input" type="text" id="orgSlug" name="orgSlug" placeholder="acme-corp" value="acme-corp">
             </div>
             <button class="btn btn-primary" type="submit" id="loginBtn">
               Sign in
             </button>
           </form>
-          <p style="margin-top: 1.2rem; font-size: 0.75rem; color: var(--text-muted);">
-            Default: admin@acme.com / Admin@123 / acme-corp
+          <button class="btn btn-ghost" id="ssoBtn" style="width: 100%; margin-top: 0.6rem;">
+            Sign in with SSO
+          </button>
+          <p style="margin-top: 1.2rem; font-size: 0.75rem;">
+            <a href="#/reset-password" style="color: var(--text-muted);">Forgot password?</a>
           </p>
-        </div>
-      </div>`;
+          <p style="margin-top: 0.6rem; font-size: 0.75rem; color: var(--text-muted);">
+            Default: admin@acme.com / Admin@123 / acme-corp
+          </p>`;
+  }
+
+  function renderBackLink() {
+    return `
+          <p style="margin-top: 1.2rem; font-size: 0.75rem;">
+            <a href="#/login" id="backToLogin" style="color: var(--text-muted);">Back to sign in</a>
+          </p>`;
   }
 
   function init() {
-    const form = document.getElementById('loginForm');
-    if (!form) return;
-    form.addEventListener('submit', async (e) => {
+    document.getElementById('backToLogin')?.addEventListener('click', (e) => {
       e.preventDefault();
-      const errBox = document.getElementById('loginError');
-      const btn = document.getElementById('loginBtn');
-      errBox.classList.remove('visible');
-      btn.disabled = true;
-      btn.textContent = 'Signing in…';
+      reset();
+      App.renderCurrentPage();
+    });
+
+    document.getElementById('continueBtn')?.addEventListener('click', () => {
+      finishLogin(pendingSession);
+    });
+
+    document.querySelectorAll('.org-choice').forEach((btn) => {
+      btn.addEventListener('click', () => chooseOrganization(btn.dataset.slug));
+    });
+
+    document.getElementById('ssoBtn')?.addEventListener('click', startSso);
+    showSsoError();
+
+    document
+      .getElementById('loginForm')
+      ?.addEventListener('submit', (e) =>
+        submit(e, 'Signing in…', 'Sign in', submitCredentials),
+      );
+
+    document
+      .getElementById('passwordForm')
+      ?.addEventListener('submit', (e) =>
+        submit(e, 'Saving…', 'Change password', submitNewPassword),
+      );
 
+    document
+      .getElementById('mfaForm')
+      ?.addEventListener('submit', (e) =>
+        submit(
+          e,
+          'Verifying…',
+          step === 'enroll' ? 'Enable & sign in' : 'Verify',
+          submitMfa,
+        ),
+      );
+  }
+
+  async function submit(e, busyLabel, idleLabel, handler) {
+    e.preventDefault();
+    const errBox = document.getElementById('loginError');
+    const btn = document.getElementById('loginBtn');
+    errBox.classList.remove('visible');
+    btn.disabled = true;
+    btn.textContent = busyLabel;
+
+    try {
+      await handler();
+    } catch (err) {
+      errBox.textContent = err.message || 'Login failed';
+      if (err.data?.error?.code === 'EMAIL_NOT_VERIFIED') {
+        appendResendLink(errBox);
+      }
+      errBox.classList.add('visible');
+      btn.disabled = false;
+      btn.textContent = idleLabel;
+    }
+  }
+
+  function appendResendLink(errBox) {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.textContent = ' Resend verification email';
+    link.style.color = 'inherit';
+    link.addEventListener('click', async (e) => {
+      e.preventDefault();
       try {
-        const body = {
+        const res = await API.auth.resendVerification({
           email: document.getElementById('email').value.trim(),
-          password: document.getElementById('password').value,
-        };
-        const slug = document.getElementById('orgSlug').value.trim();
-        if (slug) body.organizationSlug = slug;
-
-        const res = await API.auth.login(body);
-        API.setTokens(res.data.accessToken, res.data.refreshToken);
-        API.setUser(res.data.user);
-        window.location.hash = '#/dashboard';
+        });
+        Components.toast(res.data.message, 'success');
       } catch (err) {
-        errBox.textContent = err.message || 'Login failed';
-        errBox.classList.add('visible');
-      } finally {
-        btn.disabled = false;
-        btn.textContent = 'Sign in';
+        Components.toast(err.message || 'Request failed', 'error');
       }
     });
+    errBox.appendChild(link);
+  }
+
+  // SSO is a full-page redirect through the backend to the org's IdP
+  function startSso() {
+    const slug = document.getElementById('orgSlug').value.trim();
+    if (!slug) {
+      showError('Enter your organization slug to use SSO');
+      return;
+    }
+    window.location.href = API.auth.ssoStartUrl(slug);
+  }
+
+  // The backend sends failed SSO callbacks back here as ?ssoError=...
+  function showSsoError() {
+    const query = window.location.hash.split('?')[1] || '';
+    const ssoError = new URLSearchParams(query).get('ssoError');
+    if (ssoError && step === 'credentials') showError(ssoError);
+  }
+
+  function showError(message) {
+    const errBox = document.getElementById('loginError');
+    errBox.textContent = message;
+    errBox.classList.add('visible');
+  }
+
+  async function submitCredentials() {
+    const body = {
+      email: document.getElementById('email').value.trim(),
+      password: document.getElementById('password').value,
+    };
+    const slug = document.getElementById('orgSlug').value.trim();
+    if (slug) body.organizationSlug = slug;
+
+    pendingCredentials = { email: body.email, password: body.password };
+    const res = await API.auth.login(body);
+    await handleLoginResult(res.data);
+  }
+
+  // Sign in again with the same credentials, now naming the organization
+  async function chooseOrganization(slug) {
+    document.querySelectorAll('.org-choice').forEach((btn) => {
+      btn.disabled = true;
+    });
+    try {
+      const res = await API.auth.login({
+        ...pendingCredentials,
+        organizationSlug: slug,
+      });
+      await handleLoginResult(res.data);
+    } catch (err) {
+      showError(err.message || 'Login failed');
+      document.querySelectorAll('.org-choice').forEach((btn) => {
+        btn.disabled = false;
+      });
+    }
+  }
+
+  async function submitNewPassword() {
+    const newPassword = document.getElementById('newPassword').value;
+    if (newPassword !== document.getElementById('confirmPassword').value) {
+      throw new Error('Passwords do not match');
+    }
+
+    const res = await API.auth.changeExpiredPassword({
+      passwordChangeToken,
+      newPassword,
+    });
+    passwordChangeToken = '';
+    await handleLoginResult(res.data);
+  }
+
+  // Login and the expired-password step can both lead to any later step
+  async function handleLoginResult(data) {
+    if (data.organizationSelectionRequired) {
+      organizations = data.organizations;
+      step = 'organization';
+      App.renderCurrentPage();
+      return;
+    }
+
+    // Past the organization choice, the password isn't needed again
+    pendingCredentials = null;
+
+    if (data.passwordChangeRequired) {
+      passwordChangeToken = data.passwordChangeToken;
+      step = 'password';
+      App.renderCurrentPage();
+      return;
+    }
+
+    if (data.mfaRequired) {
+      mfaToken = data.mfaToken;
+      step = 'challenge';
+      App.renderCurrentPage();
+      return;
+    }
+
+    if (data.mfaEnrollmentRequired) {
+      mfaToken = data.mfaToken;
+      const enrollRes = await API.auth.mfaEnroll({ mfaToken });
+      enrollment = enrollRes.data;
+      step = 'enroll';
+      App.renderCurrentPage();
+      return;
+    }
+
+    finishLogin(data);
+  }
+
+  async function submitMfa() {
+    const code = document.getElementById('mfaCode').value.trim();
+
+    if (step === 'enroll') {
+      const res = await API.auth.mfaEnrollVerify({ mfaToken, code });
+      pendingSession = res.data;
+      step = 'recovery';
+      App.renderCurrentPage();
+      return;
+    }
+
+    const recoveryCode = document.getElementById('recoveryCode').value.trim();
+    const body = { mfaToken };
+    if (recoveryCode && !code) body.recoveryCode = recoveryCode;
+    else body.code = code;
+
+    const res = await API.auth.mfaChallenge(body);
+    finishLogin(res.data);
+  }
+
+  // A sign-in that got past the credentials elsewhere (SSO) but still has
+  // a step to go
+  async function resume(data) {
+    reset();
+    await handleLoginResult(data);
+    window.location.hash = '#/login';
+  }
+
+  function finishLogin(session) {
+    API.setTokens(session.accessToken, session.refreshToken);
+    API.setUser(session.user);
+    reset();
+    window.location.hash = '#/dashboard';
+  }
+
+  function reset() {
+    step = 'credentials';
+    pendingCredentials = null;
+    organizations = [];
+    mfaToken = '';
+    passwordChangeToken = '';
+    enrollment = null;
+    pendingSession = null;
   }
 
-  return { render, init };
+  return { render, init, resume };
 })();
@@ -0,0 +1,95 @@
+// ============================================================================
+// Reset Password Page — request a reset link, or set a new password from one
+// ============================================================================
+
+const ResetPasswordPage = (() => {
+  function getToken() {
+    const query = window.location.hash.split('?')[1] || '';
+    return new URLSearchParams(query).get('token') || '';
+  }
+
+  function render() {
+    const token = getToken();
+    return `
+      <div class="login-wrapper page-enter">
+        <div class="card login-card">
+          <div class="login-header">
+            <div class="sidebar-logo"><h1>RBAC Admin</h1></div>
+            <h2>${token ? 'Choose a new password' : 'Forgot your password?'}</h2>
+            <p>${token ? 'All existing sessions will be signed out' : "We'll email you a reset link"}</p>
+          </div>
+
+          <div class="login-error" id="resetError"></div>
+
+          ${
+            token
+              ? `
+          <form id="resetForm" autocomplete="off">
+            <div class="input-group">
+              <label for="newPassword">New password</label>
+              <input class="input" type="password" id="newPassword" required autocomplete="new-password" placeholder="Min 8 chars">
+            </div>
+            <div class="input-group">
+              <label for="confirmPassword">Confirm password</label>
+              <input class="input" type="password" id="confirmPassword" required autocomplete="new-password">
+            </div>
+            <button class="btn btn-primary" type="submit" id="resetBtn">Reset password</button>
+          </form>`
+              : `
+          <form id="forgotForm" autocomplete="on">
+            <div class="input-group">
+              <label for="email">Email address</label>
+              <input class="input" type="email" id="email" required autocomplete="email">
+            </div>
+            <button class="btn btn-primary" type="submit" id="resetBtn">Send reset link</button>
+          </form>`
+          }
+          <p style="margin-top: 1.2rem; font-size: 0.75rem;">
+            <a href="#/login" style="color: var(--text-muted);">Back to sign in</a>
+          </p>
+        </div>
+      </div>`;
+  }
+
+  function init() {
+    document.getElementById('forgotForm')?.addEventListener('submit', (e) =>
+      submit(e, async () => {
+        const res = await API.auth.forgotPassword({
+          email: document.getElementById('email').value.trim(),
+        });
+        Components.toast(res.data.message, 'success');
+      }),
+    );
+
+    document.getElementById('resetForm')?.addEventListener('submit', (e) =>
+      submit(e, async () => {
+        const password = document.getElementById('newPassword').value;
+        if (password !== document.getElementById('confirmPassword').value) {
+          throw new Error('Passwords do not match');
+        }
+        await API.auth.resetPassword({ token: getToken(), password });
+        Components.toast('Password reset — please sign in', 'success');
+        window.location.hash = '#/login';
+      }),
+    );
+  }
+
+  async function submit(e, handler) {
+    e.preventDefault();
+    const errBox = document.getElementById('resetError');
+    const btn = document.getElementById('resetBtn');
+    errBox.classList.remove('visible');
+    btn.disabled = true;
+
+    try {
+      await handler();
+    } catch (err) {
+      errBox.textContent = err.message || 'Request failed';
+      errBox.classList.add('visible');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  return { render, init };
+})();
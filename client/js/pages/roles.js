@@ -35,6 +35,7 @@ const RolesPage = (() => {
                 <tr>
                   <th>Role Name</th>
                   <th>Description</th>
+                  <th>Inherits From</th>
                   <th>Scope</th>
                   <th>System</th>
                   <th>Users</th>
@@ -49,25 +50,41 @@ const RolesPage = (() => {
                         .map((r) => {
                           const permCount = r.rolePermissions?.length || 0;
                           const isSystem = r.isSystem;
+                          // Roles of a parent organization can be assigned
+                          // here but only changed where they are defined
+                          const inherited =
+                            r.organizationId &&
+                            r.organizationId !== API.getUser()?.organizationId;
+                          const scope = inherited
+                            ? 'Inherited'
+                            : r.organizationId
+                              ? 'Org'
+                              : 'Global';
                           return `
                     <tr>
                       <td style="font-weight:550;color:var(--text-primary)">${r.name}</td>
                       <td style="max-width:200px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${r.description || '—'}</td>
-                      <td><span class="badge ${r.organizationId ? 'badge-info' : 'badge-warning'}">${r.organizationId ? 'Org' : 'Global'}</span></td>
+                      <td>${r.parent ? Components.escapeHtml(r.parent.name) : '—'}</td>
+                      <td><span class="badge ${scope === 'Org' ? 'badge-info' : 'badge-warning'}">${scope}</span></td>
                       <td><span class="badge ${isSystem ? 'badge-purple' : 'badge-info'}">${isSystem ? 'System' : 'Custom'}</span></td>
                       <td><span class="badge badge-info">${r._count?.userRoles ?? 0}</span></td>
-                      <td><span class="badge badge-info">${permCount} perms</span></td>
+                      <td>
+                        <span class="badge badge-info">${permCount} perms</span>
+                        ${r.permissionDenies?.length ? `<span class="badge badge-danger">${r.permissionDenies.length} denied</span>` : ''}
+                      </td>
                       <td>
                         <div class="toolbar">
-                          <button class="btn btn-sm" data-edit-role="${r.id}" title="Edit" ${isSystem ? 'disabled' : ''}>${Icons.edit}</button>
+                          <button class="btn btn-sm" data-edit-role="${r.id}" title="Edit" ${isSystem || inherited ? 'disabled' : ''}>${Icons.edit}</button>
                           <button class="btn btn-sm" data-assign-perms="${r.id}" title="Assign Permissions">${Icons.key}</button>
-                          <button class="btn btn-sm btn-danger" data-delete-role="${r.id}" title="Delete" ${isSystem ? 'disabled' : ''}>${Icons.trash}</button>
+                          <button class="btn btn-sm" data-role-approvers="${r.id}" title="Access Request Approvers">${Icons.userCheck}</button>
+                          <button class="btn btn-sm" data-assignable-roles="${r.id}" title="Roles Holders Can Assign">${Icons.users}</button>
+                          <button class="btn btn-sm btn-danger" data-delete-role="${r.id}" title="Delete" ${isSystem || inherited ? 'disabled' : ''}>${Icons.trash}</button>
                         </div>
                       </td>
                     </tr>`;
                         })
                         .join('')
-                    : `<tr><td colspan="7"><div class="empty-state"><p>No roles found</p></div></td></tr>`
+                    : `<tr><td colspan="8"><div class="empty-state"><p>No roles found</p></div></td></tr>`
                 }
               </tbody>
             </table>
@@ -119,15 +136,139 @@ const RolesPage = (() => {
 
     // Assign permissions
     document.querySelectorAll('[data-assign-perms]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        try {
+          const res = await API.roles.getById(btn.dataset.assignPerms);
+          showPermAssignModal(res.data);
+        } catch (err) {
+          Components.toast(err.message || 'Failed to load role', 'error');
+        }
+      });
+    });
+
+    // Delegated administration allow-list
+    document.querySelectorAll('[data-assignable-roles]').forEach((btn) => {
       btn.addEventListener('click', () => {
-        const r = roles.find((r) => r.id === btn.dataset.assignPerms);
-        if (r) showPermAssignModal(r);
+        const r = roles.find((r) => r.id === btn.dataset.assignableRoles);
+        if (r) showAssignableRolesModal(r);
+      });
+    });
+
+    // Approvers for just-in-time access requests
+    document.querySelectorAll('[data-role-approvers]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        try {
+          const [approversRes, usersRes] = await Promise.all([
+            API.accessRequests.getApprovers(btn.dataset.roleApprovers),
+            API.users.list({ limit: 100, isActive: 'true' }),
+          ]);
+          const role = roles.find((r) => r.id === btn.dataset.roleApprovers);
+          showApproversModal(role, approversRes.data, usersRes.data || []);
+        } catch (err) {
+          Components.toast(err.message || 'Failed to load approvers', 'error');
+        }
       });
     });
   }
 
+  // An allow-list for delegated administration: holders of the role may
+  // only assign the checked roles. Nothing checked means no allow-list.
+  function showAssignableRolesModal(role) {
+    const assignableIds = role.assignableRoles.map((a) => a.assignableRole.id);
+    const body = `
+      <p style="font-size:0.82rem;color:var(--text-secondary);margin-bottom:1rem;">
+        Roles that holders of <strong>${Components.escapeHtml(role.name)}</strong> may assign in
+        this organization. Leave everything unchecked for no limit — they can
+        still only assign roles whose permissions they hold.
+      </p>
+      <div style="max-height:300px;overflow-y:auto;" id="assignableCheckboxes">
+        ${roles
+          .map(
+            (r) => `
+          <label style="display:flex;align-items:center;gap:0.5rem;font-size:0.82rem;padding:0.2rem 0;cursor:pointer;">
+            <input type="checkbox" value="${r.id}" ${assignableIds.includes(r.id) ? 'checked' : ''}>
+            ${Components.escapeHtml(r.name)}
+          </label>`,
+          )
+          .join('')}
+      </div>`;
+    const footer = `
+      <button class="btn" onclick="Components.closeModal()">Cancel</button>
+      <button class="btn btn-primary" id="modalSaveAssignable">Save</button>`;
+    Components.openModal('Assignable Roles', body, footer);
+
+    document
+      .getElementById('modalSaveAssignable')
+      .addEventListener('click', async () => {
+        const roleIds = [
+          ...document.querySelectorAll('#assignableCheckboxes input:checked'),
+        ].map((c) => c.value);
+        try {
+          await API.roles.setAssignableRoles(role.id, { roleIds });
+          Components.toast('Assignable roles updated', 'success');
+          Components.closeModal();
+          await load();
+          App.renderCurrentPage();
+        } catch (err) {
+          Components.toast(
+            err.message || 'Failed to save assignable roles',
+            'error',
+          );
+        }
+      });
+  }
+
+  // A role can only be requested once it has approvers. They need
+  // ROLE_ASSIGN, which the server checks when saving.
+  function showApproversModal(role, approvers, users) {
+    const approverIds = approvers.map((a) => a.id);
+    const body = `
+      <p style="font-size:0.82rem;color:var(--text-secondary);margin-bottom:1rem;">
+        Members who decide access requests for <strong>${Components.escapeHtml(role.name)}</strong>.
+        Leave everyone unchecked to stop the role being requested.
+      </p>
+      <div style="max-height:300px;overflow-y:auto;" id="approverCheckboxes">
+        ${users
+          .map(
+            (u) => `
+          <label style="display:flex;align-items:center;gap:0.5rem;font-size:0.82rem;padding:0.2rem 0;cursor:pointer;">
+            <input type="checkbox" value="${u.id}" ${approverIds.includes(u.id) ? 'checked' : ''}>
+            ${Components.escapeHtml(`${u.firstName} ${u.lastName}`)}
+            <span style="font-size:0.72rem;color:var(--text-muted)">${Components.escapeHtml(u.email)}</span>
+          </label>`,
+          )
+          .join('')}
+      </div>`;
+    const footer = `
+      <button class="btn" onclick="Components.closeModal()">Cancel</button>
+      <button class="btn btn-primary" id="modalSaveApprovers">Save</button>`;
+    Components.openModal('Access Request Approvers', body, footer);
+
+    document
+      .getElementById('modalSaveApprovers')
+      .addEventListener('click', async () => {
+        const userIds = [
+          ...document.querySelectorAll('#approverCheckboxes input:checked'),
+        ].map((c) => c.value);
+        try {
+          await API.accessRequests.setApprovers(role.id, { userIds });
+          Components.toast('Approvers updated', 'success');
+          Components.closeModal();
+        } catch (err) {
+          Components.toast(err.message || 'Failed to save approvers', 'error');
+        }
+      });
+  }
+
   function showRoleModal(role = null) {
     const isEdit = !!role;
+    const parentOptions = roles
+      .filter((r) => r.id !== role?.id)
+      .map(
+        (r) =>
+          `<option value="${r.id}" ${role?.parentId === r.id ? 'selected' : ''}>${Components.escapeHtml(r.name)}</option>`,
+      )
+      .join('');
     const body = `
       <div class="input-group">
         <label>Name</label>
@@ -136,6 +277,13 @@ const RolesPage = (() => {
       <div class="input-group">
         <label>Description</label>
         <input class="input" id="modalRoleDesc" value="${role?.description || ''}" placeholder="Can edit content">
+      </div>
+      <div class="input-group">
+        <label>Inherits from</label>
+        <select class="input" id="modalRoleParent">
+          <option value="">— None —</option>
+          ${parentOptions}
+        </select>
       </div>`;
     const footer = `
       <button class="btn" onclick="Components.closeModal()">Cancel</button>
@@ -148,6 +296,7 @@ const RolesPage = (() => {
         const data = {
           name: document.getElementById('modalRoleName').value.trim(),
           description: document.getElementById('modalRoleDesc').value.trim(),
+          parentId: document.getElementById('modalRoleParent').value || null,
         };
         try {
           if (isEdit) await API.roles.update(role.id, data);
@@ -162,10 +311,27 @@ const RolesPage = (() => {
       });
   }
 
+  // Inherited grants and denies show as locked — they can only be changed on
+  // the ancestor they come from. Denied permissions are struck out in red.
   function showPermAssignModal(role) {
-    const currentPermIds = (role.rolePermissions || [])
-      .map((p) => p.permission?.id || p.permissionId)
-      .filter(Boolean);
+    const currentPermIds = role.directPermissions.map((p) => p.id);
+    const deniedIds = role.directDenies.map((p) => p.id);
+    const conditions = {};
+    role.directPermissions.forEach((p) => {
+      if (p.condition) conditions[p.id] = p.condition;
+    });
+    const inherited = {};
+    role.effectivePermissions
+      .filter((p) => p.inheritedFrom)
+      .forEach((p) => {
+        inherited[p.id] = p.inheritedFrom.name;
+      });
+    const inheritedDenies = {};
+    role.deniedPermissions
+      .filter((p) => p.inheritedFrom)
+      .forEach((p) => {
+        inheritedDenies[p.id] = p.inheritedFrom.name;
+      });
 
     // Group permissions by resource
     const grouped = {};
@@ -175,9 +341,37 @@ const RolesPage = (() => {
       grouped[resource].push(p);
     });
 
+    const esc = Components.escapeHtml;
+    const hint = (text) =>
+      `<span style="font-size:0.7rem;color:var(--text-muted);">${text}</span>`;
+
+    function renderPermRow(p) {
+      const direct = currentPermIds.includes(p.id);
+      const denied = deniedIds.includes(p.id) || !!inheritedDenies[p.id];
+      const lockedDeny = !!inheritedDenies[p.id] && !deniedIds.includes(p.id);
+      const lockedGrant = !!inherited[p.id] && !direct;
+
+      let detail = `<input class="input" data-condition-for="${p.id}" value="${esc(conditions[p.id] || '')}" placeholder="condition (optional)" style="flex:1;padding:0.2rem 0.4rem;font-size:0.72rem;">`;
+      if (lockedDeny) detail = hint(`denied via ${esc(inheritedDenies[p.id])}`);
+      else if (lockedGrant) detail = hint(`via ${esc(inherited[p.id])}`);
+
+      return `
+              <div class="perm-row ${denied ? 'perm-denied' : ''}" style="display:flex;align-items:center;gap:0.5rem;font-size:0.82rem;padding:0.2rem 0;">
+                <input type="checkbox" class="perm-grant" value="${p.id}" ${direct || lockedGrant ? 'checked' : ''} ${lockedGrant || lockedDeny ? 'disabled' : ''}>
+                <code style="font-size:0.75rem;color:var(--text-secondary)">${p.action}</code>
+                ${detail}
+                <label style="display:flex;align-items:center;gap:0.25rem;font-size:0.7rem;color:var(--danger);cursor:pointer;margin-left:auto;">
+                  <input type="checkbox" class="perm-deny" value="${p.id}" ${denied ? 'checked' : ''} ${lockedDeny ? 'disabled' : ''}> deny
+                </label>
+              </div>`;
+    }
+
     const body = `
       <p style="font-size:0.82rem;color:var(--text-secondary);margin-bottom:1rem;">
-        Assign permissions to <strong>${role.name}</strong>
+        Assign permissions to <strong>${role.name}</strong>. Add a condition to
+        grant one only when it holds, e.g.
+        <code>resource.attributes.department == user.attributes.department</code>.
+        A deny beats every grant, including those from other roles.
       </p>
       <div style="max-height:300px;overflow-y:auto;" id="permCheckboxes">
         ${Object.entries(grouped)
@@ -185,15 +379,7 @@ const RolesPage = (() => {
             ([resource, perms]) => `
           <div style="margin-bottom:0.75rem;">
             <div style="font-size:0.7rem;font-weight:600;text-transform:uppercase;letter-spacing:0.08em;color:var(--text-muted);margin-bottom:0.3rem;">${resource}</div>
-            ${perms
-              .map(
-                (p) => `
-              <label style="display:flex;align-items:center;gap:0.5rem;font-size:0.82rem;cursor:pointer;padding:0.2rem 0;">
-                <input type="checkbox" value="${p.id}" ${currentPermIds.includes(p.id) ? 'checked' : ''}>
-                <code style="font-size:0.75rem;color:var(--text-secondary)">${p.action}</code>
-              </label>`,
-              )
-              .join('')}
+            ${perms.map(renderPermRow).join('')}
           </div>`,
           )
           .join('')}
@@ -203,14 +389,39 @@ const RolesPage = (() => {
       <button class="btn btn-primary" id="modalSavePerms">Save</button>`;
     Components.openModal('Assign Permissions', body, footer);
 
+    // Strike a permission out as soon as it is marked denied
+    document.querySelectorAll('#permCheckboxes .perm-deny').forEach((box) => {
+      box.addEventListener('change', () => {
+        box.closest('.perm-row').classList.toggle('perm-denied', box.checked);
+      });
+    });
+
+    const checkedIds = (selector) =>
+      [
+        ...document.querySelectorAll(
+          `#permCheckboxes ${selector}:checked:not(:disabled)`,
+        ),
+      ].map((c) => c.value);
+
     document
       .getElementById('modalSavePerms')
       .addEventListener('click', async () => {
-        const checked = [
-          ...document.querySelectorAll('#permCheckboxes input:checked'),
-        ].map((c) => c.value);
+        const checked = checkedIds('.perm-grant');
+        const conditionsById = {};
+        checked.forEach((id) => {
+          const condition = document
+            .querySelector(`[data-condition-for="${id}"]`)
+            .value.trim();
+          if (condition) conditionsById[id] = condition;
+        });
         try {
-          await API.roles.assignPerms(role.id, { permissionIds: checked });
+          await API.roles.assignPerms(role.id, {
+            permissionIds: checked,
+            conditions: conditionsById,
+          });
+          await API.roles.assignDenies(role.id, {
+            permissionIds: checkedIds('.perm-deny'),
+          });
           Components.toast('Permissions updated', 'success');
           Components.closeModal();
           await load();
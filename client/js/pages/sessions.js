@@ -0,0 +1,118 @@
+// ============================================================================
+// Sessions Page — your active logins, with per-device sign out
+// ============================================================================
+// renderTable() is shared with the Users page "Sessions" modal for admins.
+
+const SessionsPage = (() => {
+  let sessions = [];
+
+  async function load() {
+    try {
+      const res = await API.sessions.list();
+      sessions = res.data || [];
+    } catch (err) {
+      Components.toast(err.message || 'Failed to load sessions', 'error');
+    }
+  }
+
+  // "Chrome on macOS" is friendlier than a raw user agent string
+  function describeAgent(ua) {
+    if (!ua) return 'Unknown device';
+    const browser =
+      [
+        ['Edg/', 'Edge'],
+        ['Firefox/', 'Firefox'],
+        ['Chrome/', 'Chrome'],
+        ['Safari/', 'Safari'],
+        ['curl/', 'curl'],
+      ].find(([needle]) => ua.includes(needle))?.[1] || 'Unknown client';
+    const os =
+      [
+        ['Windows', 'Windows'],
+        ['Mac OS', 'macOS'],
+        ['Android', 'Android'],
+        ['iPhone', 'iOS'],
+        ['Linux', 'Linux'],
+      ].find(([needle]) => ua.includes(needle))?.[1] || '';
+    return os ? `${browser} on ${os}` : browser;
+  }
+
+  function renderTable(list) {
+    return `
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Device</th>
+                  <th>IP Address</th>
+                  <th>Signed in</th>
+                  <th>Last active</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${
+                  list.length
+                    ? list
+                        .map(
+                          (s) => `
+                    <tr>
+                      <td>
+                        <span title="${Components.escapeHtml(s.userAgent)}">${Components.escapeHtml(describeAgent(s.userAgent))}</span>
+                        ${s.current ? '<span class="badge badge-success">This device</span>' : ''}
+                      </td>
+                      <td style="font-size:0.78rem;color:var(--text-muted)">${Components.escapeHtml(s.ipAddress || '—')}</td>
+                      <td style="white-space:nowrap;font-size:0.78rem;">${new Date(s.createdAt).toLocaleString()}</td>
+                      <td style="white-space:nowrap;font-size:0.78rem;">${new Date(s.lastRefreshedAt).toLocaleString()}</td>
+                      <td>
+                        <button class="btn btn-sm" data-revoke-session="${s.id}" data-current="${!!s.current}" title="Sign out">${Icons.logout}</button>
+                      </td>
+                    </tr>`,
+                        )
+                        .join('')
+                    : `<tr><td colspan="5"><div class="empty-state"><p>No active sessions</p></div></td></tr>`
+                }
+              </tbody>
+            </table>
+          </div>`;
+  }
+
+  function render() {
+    return `
+      <div class="page-enter">
+        ${Components.renderTopbar('Sessions')}
+
+        <div class="card">
+          <div class="section-header">
+            <p style="font-size:0.82rem;color:var(--text-secondary);">
+              Each row is a device or browser signed in to your account.
+            </p>
+          </div>
+          ${renderTable(sessions)}
+        </div>
+      </div>`;
+  }
+
+  function init() {
+    document.querySelectorAll('[data-revoke-session]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        try {
+          await API.sessions.revoke(btn.dataset.revokeSession);
+          // Signing out this device is just a logout
+          if (btn.dataset.current === 'true') {
+            API.clearTokens();
+            window.location.hash = '#/login';
+            return;
+          }
+          Components.toast('Session revoked', 'success');
+          await load();
+          App.renderCurrentPage();
+        } catch (err) {
+          Components.toast(err.message || 'Failed to revoke session', 'error');
+        }
+      });
+    });
+  }
+
+  return { load, render, init, renderTable };
+})();
@@ -0,0 +1,48 @@
+// ============================================================================
+// SSO Callback Page — trades the one-time code from the backend for tokens
+// ============================================================================
+
+const SsoCallbackPage = (() => {
+  let message = '';
+
+  async function load() {
+    const query = window.location.hash.split('?')[1] || '';
+    const code = new URLSearchParams(query).get('code');
+    message = '';
+
+    if (!code) {
+      message = 'This sign-in link is missing its code.';
+      return;
+    }
+
+    try {
+      const res = await API.auth.ssoExchange({ code });
+      // The organization may want a password change or MFA first
+      if (!res.data.accessToken) {
+        await LoginPage.resume(res.data);
+        return;
+      }
+      API.setTokens(res.data.accessToken, res.data.refreshToken);
+      API.setUser(res.data.user);
+      window.location.hash = '#/dashboard';
+    } catch (err) {
+      message = err.message || 'Single sign-on failed';
+    }
+  }
+
+  function render() {
+    return `
+      <div class="login-wrapper page-enter">
+        <div class="card login-card">
+          <div class="login-header">
+            <div class="sidebar-logo"><h1>RBAC Admin</h1></div>
+            <h2>${message ? 'Single sign-on failed' : 'Signing you in…'}</h2>
+            <p>${message}</p>
+          </div>
+          ${message ? '<a class="btn btn-primary" href="#/login">Back to sign in</a>' : ''}
+        </div>
+      </div>`;
+  }
+
+  return { load, render };
+})();
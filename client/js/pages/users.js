@@ -1,5 +1,6 @@
 // ============================================================================
-// Users Page — list, create, edit, activate/deactivate, assign roles
+// Users Page — list, create, edit, activate/deactivate, assign roles, and
+// invite people (Invitations tab)
 // ============================================================================
 
 const UsersPage = (() => {
@@ -9,8 +10,19 @@ const UsersPage = (() => {
   let page = 1;
   const limit = 10;
   let searchTerm = '';
+  let tab = 'users';
+  let invitations = [];
+  let invitationStatus = 'PENDING';
+
+  const INVITATION_BADGES = {
+    PENDING: 'badge-warning',
+    ACCEPTED: 'badge-active',
+    EXPIRED: 'badge-inactive',
+    REVOKED: 'badge-inactive',
+  };
 
   async function load() {
+    if (tab === 'invitations') return loadInvitations();
     try {
       const params = { page, limit };
       if (searchTerm) params.search = searchTerm;
@@ -26,19 +38,72 @@ const UsersPage = (() => {
     }
   }
 
+  async function loadInvitations() {
+    try {
+      const params = { page, limit };
+      if (invitationStatus) params.status = invitationStatus;
+      if (searchTerm) params.search = searchTerm;
+      const [iRes, rRes] = await Promise.all([
+        API.invitations.list(currentOrganizationId(), params),
+        API.roles.list({ limit: 100 }),
+      ]);
+      invitations = iRes.data || [];
+      total = iRes.meta?.totalCount ?? invitations.length;
+      roles = rRes.data || [];
+    } catch (err) {
+      invitations = [];
+      total = 0;
+      Components.toast(err.message || 'Failed to load invitations', 'error');
+    }
+  }
+
+  function currentOrganizationId() {
+    return API.getUser()?.organization?.id;
+  }
+
+  function renderTabs() {
+    return `
+            <div class="toolbar">
+              ${[
+                ['users', 'Users'],
+                ['invitations', 'Invitations'],
+              ]
+                .map(
+                  ([id, label]) =>
+                    `<button class="btn btn-sm ${tab === id ? 'btn-primary' : ''}" data-users-tab="${id}">${label}</button>`,
+                )
+                .join('')}
+            </div>`;
+  }
+
   function render() {
+    const action =
+      tab === 'invitations'
+        ? `<button class="btn btn-primary" id="inviteUserBtn">${Icons.plus} Invite</button>`
+        : `<button class="btn btn-primary" id="addUserBtn">${Icons.plus} Add User</button>`;
     return `
       <div class="page-enter">
-        ${Components.renderTopbar('Users', `<button class="btn btn-primary" id="addUserBtn">${Icons.plus} Add User</button>`)}
+        ${Components.renderTopbar('Users', action)}
 
         <div class="card">
           <div class="section-header">
+            ${renderTabs()}
             <div class="search-bar">
               ${Icons.search}
-              <input class="input" type="text" placeholder="Search users…" id="userSearch" value="${searchTerm}">
+              <input class="input" type="text" placeholder="Search ${tab === 'invitations' ? 'by email' : 'users'}…" id="userSearch" value="${searchTerm}">
             </div>
           </div>
 
+          ${tab === 'invitations' ? renderInvitations() : renderUsers()}
+
+          ${Components.renderPagination(page, limit, total)}
+        </div>
+      </div>`;
+  }
+
+  function renderUsers() {
+    return `
+
           <div class="table-wrapper">
             <table>
               <thead>
@@ -59,9 +124,16 @@ const UsersPage = (() => {
                             `${u.firstName || ''} ${u.lastName || ''}`.trim() ||
                             '—';
                           const roleNames = (u.userRoles || [])
-                            .map((r) => r.role?.name || r.roleName || '')
-                            .filter(Boolean);
+                            .filter((r) => r.role?.name || r.roleName)
+                            .map(rolePillLabel);
                           const active = u.isActive !== false;
+                          const locked =
+                            u.lockedUntil &&
+                            new Date(u.lockedUntil) > new Date();
+                          const canImpersonate =
+                            active &&
+                            u.id !== API.getUser()?.id &&
+                            !API.getImpersonation();
                           return `
                     <tr>
                       <td style="font-weight:550;color:var(--text-primary)">${name}</td>
@@ -71,7 +143,10 @@ const UsersPage = (() => {
                           ${roleNames.length ? roleNames.map((r) => `<span class="badge badge-role">${r}</span>`).join('') : '<span class="badge badge-info">None</span>'}
                         </div>
                       </td>
-                      <td><span class="badge ${active ? 'badge-active' : 'badge-inactive'}">${active ? 'Active' : 'Inactive'}</span></td>
+                      <td>
+                        <span class="badge ${active ? 'badge-active' : 'badge-inactive'}">${active ? 'Active' : 'Inactive'}</span>
+                        ${locked ? '<span class="badge badge-warning">Locked</span>' : ''}
+                      </td>
                       <td>
                         <div class="toolbar">
                           <button class="btn btn-sm" data-edit-user="${u.id}" title="Edit">${Icons.edit}</button>
@@ -79,6 +154,9 @@ const UsersPage = (() => {
                             ${active ? Icons.userX : Icons.userCheck}
                           </button>
                           <button class="btn btn-sm" data-assign-roles="${u.id}" title="Assign Roles">${Icons.shield}</button>
+                          <button class="btn btn-sm" data-user-sessions="${u.id}" title="Sessions">${Icons.lock}</button>
+                          ${locked ? `<button class="btn btn-sm" data-unlock-user="${u.id}" title="Unlock">${Icons.key}</button>` : ''}
+                          ${canImpersonate ? `<button class="btn btn-sm" data-impersonate-user="${u.id}" title="Impersonate">${Icons.eye}</button>` : ''}
                         </div>
                       </td>
                     </tr>`;
@@ -88,14 +166,99 @@ const UsersPage = (() => {
                 }
               </tbody>
             </table>
+          </div>`;
+  }
+
+  function renderInvitations() {
+    const esc = (value) => Components.escapeHtml(value);
+    const when = (date) => (date ? new Date(date).toLocaleString() : '—');
+    return `
+          <div class="toolbar" style="margin-bottom:1rem;">
+            ${[
+              ['PENDING', 'Pending'],
+              ['ACCEPTED', 'Accepted'],
+              ['EXPIRED', 'Expired'],
+              ['', 'All'],
+            ]
+              .map(
+                ([status, label]) =>
+                  `<button class="btn btn-sm ${invitationStatus === status ? 'btn-primary' : ''}" data-invitation-status="${status}">${label}</button>`,
+              )
+              .join('')}
           </div>
 
-          ${Components.renderPagination(page, limit, total)}
-        </div>
-      </div>`;
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Email</th>
+                  <th>Roles</th>
+                  <th>Status</th>
+                  <th>Invited by</th>
+                  <th>Expires</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${
+                  invitations.length
+                    ? invitations
+                        .map((inv) => {
+                          const open =
+                            inv.status === 'PENDING' ||
+                            inv.status === 'EXPIRED';
+                          const by = inv.invitedBy
+                            ? esc(
+                                `${inv.invitedBy.firstName} ${inv.invitedBy.lastName}`,
+                              )
+                            : '—';
+                          return `
+                    <tr>
+                      <td style="font-weight:550;color:var(--text-primary)">${esc(inv.email)}</td>
+                      <td>
+                        <div class="role-pills">
+                          ${inv.roles.length ? inv.roles.map((r) => `<span class="badge badge-role">${esc(r.name)}</span>`).join('') : '<span class="badge badge-info">None</span>'}
+                        </div>
+                      </td>
+                      <td>
+                        <span class="badge ${INVITATION_BADGES[inv.status] || 'badge-info'}">${inv.status}</span>
+                        ${inv.acceptedAt ? `<div style="font-size:0.72rem;color:var(--text-muted)">${when(inv.acceptedAt)}</div>` : ''}
+                      </td>
+                      <td>${by}</td>
+                      <td style="white-space:nowrap;font-size:0.78rem;">${when(inv.expiresAt)}</td>
+                      <td>
+                        ${
+                          open
+                            ? `<div class="toolbar">
+                          <button class="btn btn-sm" data-resend-invitation="${inv.id}" title="Resend">${Icons.refresh}</button>
+                          <button class="btn btn-sm" data-revoke-invitation="${inv.id}" title="Revoke">${Icons.x}</button>
+                        </div>`
+                            : ''
+                        }
+                      </td>
+                    </tr>`;
+                        })
+                        .join('')
+                    : `<tr><td colspan="6"><div class="empty-state"><p>No invitations found</p></div></td></tr>`
+                }
+              </tbody>
+            </table>
+          </div>`;
   }
 
   function init() {
+    // Tabs
+    document.querySelectorAll('[data-users-tab]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        if (btn.dataset.usersTab === tab) return;
+        tab = btn.dataset.usersTab;
+        page = 1;
+        searchTerm = '';
+        await load();
+        App.renderCurrentPage();
+      });
+    });
+
     // Search
     const searchInput = document.getElementById('userSearch');
     if (searchInput) {
@@ -160,6 +323,179 @@ const UsersPage = (() => {
         if (u) showRoleAssignModal(u);
       });
     });
+
+    // Unlock
+    document.querySelectorAll('[data-unlock-user]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        try {
+          await API.users.unlock(btn.dataset.unlockUser);
+          Components.toast('Account unlocked', 'success');
+          await load();
+          App.renderCurrentPage();
+        } catch (err) {
+          Components.toast(err.message || 'Unlock failed', 'error');
+        }
+      });
+    });
+
+    // Sessions
+    document.querySelectorAll('[data-user-sessions]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const u = users.find((u) => u.id === btn.dataset.userSessions);
+        if (u) showSessionsModal(u);
+      });
+    });
+
+    // Impersonate
+    document.querySelectorAll('[data-impersonate-user]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const u = users.find((u) => u.id === btn.dataset.impersonateUser);
+        if (u) showImpersonateModal(u);
+      });
+    });
+
+    initInvitations();
+  }
+
+  function initInvitations() {
+    document
+      .getElementById('inviteUserBtn')
+      ?.addEventListener('click', () => showInviteModal());
+
+    document.querySelectorAll('[data-invitation-status]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        invitationStatus = btn.dataset.invitationStatus;
+        page = 1;
+        await load();
+        App.renderCurrentPage();
+      });
+    });
+
+    const act = (attr, call, done) =>
+      document.querySelectorAll(`[${attr}]`).forEach((btn) => {
+        btn.addEventListener('click', async () => {
+          try {
+            await call(currentOrganizationId(), btn.getAttribute(attr));
+            Components.toast(done, 'success');
+            await load();
+            App.renderCurrentPage();
+          } catch (err) {
+            Components.toast(err.message || 'Action failed', 'error');
+          }
+        });
+      });
+    act('data-resend-invitation', API.invitations.resend, 'Invitation resent');
+    act('data-revoke-invitation', API.invitations.revoke, 'Invitation revoked');
+  }
+
+  // ─── Invite Modal (requires USER_CREATE) ────────────────────────────────
+  function showInviteModal() {
+    const body = `
+      <p style="font-size:0.82rem;color:var(--text-secondary);margin-bottom:1rem;">
+        They'll get an email with a link to join. New users choose their own
+        password; the roles are assigned when they accept.
+      </p>
+      <div class="input-group">
+        <label>Email</label>
+        <input class="input" type="email" id="inviteEmail" placeholder="jane@acme.com">
+      </div>
+      <div style="display:flex;flex-direction:column;gap:0.5rem;" id="inviteRoles">
+        ${roles
+          .map(
+            (r) => `
+          <label style="display:flex;align-items:center;gap:0.5rem;font-size:0.85rem;cursor:pointer;">
+            <input type="checkbox" value="${r.id}">
+            <span class="badge badge-role">${Components.escapeHtml(r.name)}</span>
+          </label>`,
+          )
+          .join('')}
+      </div>`;
+    const footer = `
+      <button class="btn" onclick="Components.closeModal()">Cancel</button>
+      <button class="btn btn-primary" id="modalSendInvite">Send invitation</button>`;
+    Components.openModal('Invite User', body, footer);
+
+    document
+      .getElementById('modalSendInvite')
+      .addEventListener('click', async () => {
+        const roleIds = [
+          ...document.querySelectorAll('#inviteRoles input:checked'),
+        ].map((c) => c.value);
+        try {
+          await API.invitations.create(currentOrganizationId(), {
+            email: document.getElementById('inviteEmail').value.trim(),
+            roleIds,
+          });
+          Components.toast('Invitation sent', 'success');
+          Components.closeModal();
+          await load();
+          App.renderCurrentPage();
+        } catch (err) {
+          Components.toast(err.message || 'Failed to send invitation', 'error');
+        }
+      });
+  }
+
+  // ─── Impersonate Modal (requires USER_IMPERSONATE) ──────────────────────
+  function showImpersonateModal(user) {
+    const body = `
+      <p style="font-size:0.82rem;color:var(--text-secondary);margin-bottom:1rem;">
+        You will see the dashboard exactly as <strong>${Components.escapeHtml(user.email)}</strong>
+        does. Everything you do is audited under your name.
+      </p>
+      <div class="input-group">
+        <label>Reason</label>
+        <input class="input" id="impersonateReason" placeholder="e.g. Support ticket #1234">
+      </div>`;
+    const footer = `
+      <button class="btn" onclick="Components.closeModal()">Cancel</button>
+      <button class="btn btn-primary" id="modalStartImpersonation">Start impersonation</button>
+    `;
+    Components.openModal('Impersonate User', body, footer);
+
+    document
+      .getElementById('modalStartImpersonation')
+      .addEventListener('click', async () => {
+        try {
+          const res = await API.impersonation.start(user.id, {
+            reason: document.getElementById('impersonateReason').value.trim(),
+          });
+          API.beginImpersonation(res.data);
+          Components.closeModal();
+          window.location.hash = '#/dashboard';
+        } catch (err) {
+          Components.toast(err.message || 'Impersonation failed', 'error');
+        }
+      });
+  }
+
+  // ─── Sessions Modal (requires USER_FORCE_LOGOUT) ────────────────────────
+  async function showSessionsModal(user) {
+    let sessions;
+    try {
+      const res = await API.sessions.listForUser(user.id);
+      sessions = res.data || [];
+    } catch (err) {
+      Components.toast(err.message || 'Failed to load sessions', 'error');
+      return;
+    }
+
+    const overlay = Components.openModal(
+      `Sessions — ${user.firstName || user.email}`,
+      SessionsPage.renderTable(sessions),
+    );
+
+    overlay.querySelectorAll('[data-revoke-session]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        try {
+          await API.sessions.revokeForUser(user.id, btn.dataset.revokeSession);
+          Components.toast('Session revoked', 'success');
+          showSessionsModal(user);
+        } catch (err) {
+          Components.toast(err.message || 'Failed to revoke session', 'error');
+        }
+      });
+    });
   }
 
   // ─── User Create/Edit Modal ─────────────────────────────────────────────
@@ -183,7 +519,7 @@ const UsersPage = (() => {
           ? `
         <div class="input-group">
           <label>Password</label>
-          <input class="input" type="password" id="modalPassword" placeholder="Min 8 chars">
+          <input class="input" type="password" id="modalPassword" placeholder="••••••••">
         </div>`
           : ''
       }
@@ -208,7 +544,12 @@ const UsersPage = (() => {
         try {
           if (isEdit) await API.users.update(user.id, data);
           else await API.users.create(data);
-          Components.toast(`User ${isEdit ? 'updated' : 'created'}`, 'success');
+          // An email that already has an account gets an invitation
+          // instead — the API doesn't say which happened
+          Components.toast(
+            isEdit ? 'User updated' : `${data.email} added or invited`,
+            'success',
+          );
           Components.closeModal();
           await load();
           App.renderCurrentPage();
@@ -218,14 +559,40 @@ const UsersPage = (() => {
       });
   }
 
+  // Time-bound assignments show their window next to the role name
+  function rolePillLabel(userRole) {
+    const name = userRole.role?.name || userRole.roleName;
+    const startsAt = userRole.startsAt && new Date(userRole.startsAt);
+    if (startsAt && startsAt > new Date()) {
+      return `${name} · from ${startsAt.toLocaleDateString()}`;
+    }
+    if (userRole.expiresAt) {
+      return `${name} · until ${new Date(userRole.expiresAt).toLocaleDateString()}`;
+    }
+    return name;
+  }
+
+  // <input type="datetime-local"> wants local time without a zone
+  function toLocalInputValue(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+      .toISOString()
+      .slice(0, 16);
+  }
+
   // ─── Role Assign Modal ──────────────────────────────────────────────────
   function showRoleAssignModal(user) {
-    const currentRoleIds = (user.userRoles || [])
-      .map((r) => r.role?.id || r.roleId)
-      .filter(Boolean);
+    const current = {};
+    (user.userRoles || []).forEach((r) => {
+      const id = r.role?.id || r.roleId;
+      if (id) current[id] = r;
+    });
+    const currentRoleIds = Object.keys(current);
     const body = `
       <p style="font-size:0.82rem;color:var(--text-secondary);margin-bottom:1rem;">
-        Assign roles to <strong>${user.firstName || user.email}</strong>
+        Assign roles to <strong>${user.firstName || user.email}</strong>.
+        Set an end date for temporary access.
       </p>
       <div style="display:flex;flex-direction:column;gap:0.5rem;" id="roleCheckboxes">
         ${roles
@@ -234,6 +601,7 @@ const UsersPage = (() => {
           <label style="display:flex;align-items:center;gap:0.5rem;font-size:0.85rem;cursor:pointer;">
             <input type="checkbox" value="${r.id}" ${currentRoleIds.includes(r.id) ? 'checked' : ''}>
             <span class="badge badge-role">${r.name}</span>
+            <input class="input" type="datetime-local" data-expires-for="${r.id}" value="${toLocalInputValue(current[r.id]?.expiresAt)}" title="Expires (optional)" style="margin-left:auto;width:auto;padding:0.2rem 0.4rem;font-size:0.72rem;">
           </label>`,
           )
           .join('')}
@@ -247,10 +615,24 @@ const UsersPage = (() => {
       .getElementById('modalSaveRoles')
       .addEventListener('click', async () => {
         const checked = [
-          ...document.querySelectorAll('#roleCheckboxes input:checked'),
+          ...document.querySelectorAll(
+            '#roleCheckboxes input[type="checkbox"]:checked',
+          ),
         ].map((c) => c.value);
+        // Keep a scheduled start as it was; the end date comes from the form
+        const assignments = checked.map((roleId) => {
+          const expires = document.querySelector(
+            `[data-expires-for="${roleId}"]`,
+          ).value;
+          const assignment = { roleId };
+          if (current[roleId]?.startsAt) {
+            assignment.startsAt = current[roleId].startsAt;
+          }
+          if (expires) assignment.expiresAt = new Date(expires).toISOString();
+          return assignment;
+        });
         try {
-          await API.users.assignRoles(user.id, { roleIds: checked });
+          await API.users.assignRoles(user.id, { roles: assignments });
           Components.toast('Roles updated', 'success');
           Components.closeModal();
           await load();
@@ -0,0 +1,46 @@
+// ============================================================================
+// Verify Email Page — consumes the token from the emailed link
+// ============================================================================
+
+const VerifyEmailPage = (() => {
+  let status = 'pending';
+  let message = '';
+
+  async function load() {
+    const query = window.location.hash.split('?')[1] || '';
+    const token = new URLSearchParams(query).get('token');
+
+    if (!token) {
+      status = 'error';
+      message = 'This verification link is missing its token.';
+      return;
+    }
+
+    try {
+      await API.auth.verifyEmail({ token });
+      status = 'success';
+      message = 'Your email address has been verified. You can now sign in.';
+    } catch (err) {
+      status = 'error';
+      message = err.message || 'Verification failed';
+    }
+  }
+
+  function render() {
+    const title =
+      status === 'success' ? 'Email verified' : 'Verification failed';
+    return `
+      <div class="login-wrapper page-enter">
+        <div class="card login-card">
+          <div class="login-header">
+            <div class="sidebar-logo"><h1>RBAC Admin</h1></div>
+            <h2>${title}</h2>
+            <p>${message}</p>
+          </div>
+          <a class="btn btn-primary" href="#/${API.isAuthenticated() ? 'dashboard' : 'login'}">Continue</a>
+        </div>
+      </div>`;
+  }
+
+  return { load, render };
+})();
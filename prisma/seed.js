@@ -7,6 +7,9 @@
 //   3. A default organization
 //   4. A super-admin user
 //   5. Sample feature flags
+//   6. A second organization, and a consultant who is a member of both
+//   7. A division under the default organization
+//   8. Plans (enterprise for the default organization, free for the second)
 //
 // Run: npx prisma db seed  (or: node prisma/seed.js)
 //
@@ -26,6 +29,11 @@ const PERMISSIONS = [
   // User management
   { action: 'USER_CREATE', resource: 'USER', description: 'Create new users' },
   { action: 'USER_READ', resource: 'USER', description: 'View user details' },
+  {
+    action: 'USER_READ:own',
+    resource: 'USER',
+    description: 'View own profile only',
+  },
   {
     action: 'USER_UPDATE',
     resource: 'USER',
@@ -37,6 +45,11 @@ const PERMISSIONS = [
     resource: 'USER',
     description: 'Force logout a user from all sessions',
   },
+  {
+    action: 'USER_IMPERSONATE',
+    resource: 'USER',
+    description: 'Act as another user for support (time-boxed, audited)',
+  },
 
   // Role management
   { action: 'ROLE_CREATE', resource: 'ROLE', description: 'Create new roles' },
@@ -91,6 +104,11 @@ const PERMISSIONS = [
     resource: 'ORGANIZATION',
     description: 'Update organization settings',
   },
+  {
+    action: 'ORG_EXPORT',
+    resource: 'ORGANIZATION',
+    description: "Export the organization's data",
+  },
 
   // Dashboard
   {
@@ -113,39 +131,52 @@ const PERMISSIONS = [
     resource: 'FEATURE_FLAG',
     description: 'Create/update feature flags',
   },
+
+  // Platform operations
+  {
+    action: 'PLATFORM_TENANT_ACCESS',
+    resource: 'PLATFORM',
+    description: 'Act in any organization via X-Organization-Id (audited)',
+  },
+  {
+    action: 'PLATFORM_PLAN_MANAGE',
+    resource: 'PLATFORM',
+    description: 'Manage plans and put organizations on them',
+  },
+  {
+    action: 'PLATFORM_ORG_OFFBOARD',
+    resource: 'PLATFORM',
+    description: 'Offboard organizations: deactivate, then purge or anonymize',
+  },
 ];
 
 // ─── Role Definitions ───────────────────────────────────────────────────────
 // System roles with their permission sets. These are global (no organizationId).
+// Each role inherits from its parent, so it only lists what it adds:
+// USER ← MANAGER ← ADMIN ← SUPER_ADMIN.
 
 const ROLES = {
   SUPER_ADMIN: {
     description: 'Full system access — all permissions',
     isSystem: true,
-    permissions: PERMISSIONS.map((p) => p.action), // ALL permissions
+    parent: 'ADMIN',
+    permissions: [], // filled in below: everything ADMIN doesn't grant
   },
   ADMIN: {
     description:
       'Organization administrator — manages users, roles, and settings',
     isSystem: true,
+    parent: 'MANAGER',
     permissions: [
-      'USER_CREATE',
-      'USER_READ',
-      'USER_UPDATE',
       'USER_DELETE',
       'USER_FORCE_LOGOUT',
       'ROLE_CREATE',
-      'ROLE_READ',
       'ROLE_UPDATE',
       'ROLE_DELETE',
-      'ROLE_ASSIGN',
-      'PERMISSION_READ',
       'PERMISSION_ASSIGN',
       'ORG_READ',
       'ORG_UPDATE',
-      'DASHBOARD_READ',
-      'AUDIT_READ',
-      'FEATURE_FLAG_READ',
+      'ORG_EXPORT',
       'FEATURE_FLAG_MANAGE',
     ],
   },
@@ -153,25 +184,82 @@ const ROLES = {
     description:
       'Team manager — can view users and roles, limited write access',
     isSystem: true,
+    parent: 'USER',
     permissions: [
-      'USER_CREATE',
       'USER_READ',
+      'USER_CREATE',
       'USER_UPDATE',
       'ROLE_READ',
       'ROLE_ASSIGN',
       'PERMISSION_READ',
-      'DASHBOARD_READ',
       'AUDIT_READ',
-      'FEATURE_FLAG_READ',
     ],
   },
   USER: {
     description: 'Standard user — read-only access to own profile',
     isSystem: true,
-    permissions: ['USER_READ', 'DASHBOARD_READ', 'FEATURE_FLAG_READ'],
+    parent: null,
+    permissions: ['USER_READ:own', 'DASHBOARD_READ', 'FEATURE_FLAG_READ'],
   },
 };
 
+// Everything a role gets from its ancestors
+function inheritedActions(roleName) {
+  const actions = new Set();
+  for (let p = ROLES[roleName].parent; p; p = ROLES[p].parent) {
+    ROLES[p].permissions.forEach((action) => actions.add(action));
+  }
+  return actions;
+}
+
+const inheritedBySuperAdmin = inheritedActions('SUPER_ADMIN');
+ROLES.SUPER_ADMIN.permissions = PERMISSIONS.map((p) => p.action).filter(
+  (action) => !inheritedBySuperAdmin.has(action),
+);
+
+// ─── Plan Definitions ───────────────────────────────────────────────────────
+// null = unlimited. Organizations without a plan have no limits either.
+
+const PLANS = [
+  {
+    name: 'free',
+    description: 'Small teams trying things out',
+    maxUsers: 5,
+    maxCustomRoles: 3,
+    monthlyApiRequests: 10000,
+  },
+  {
+    name: 'business',
+    description: 'Growing organizations',
+    maxUsers: 100,
+    maxCustomRoles: 25,
+    monthlyApiRequests: 1000000,
+  },
+  {
+    name: 'enterprise',
+    description: 'No limits',
+    maxUsers: null,
+    maxCustomRoles: null,
+    monthlyApiRequests: null,
+  },
+];
+
+// Membership plus a role within that organization
+async function addMember(userId, organizationId, roleId) {
+  await prisma.membership.upsert({
+    where: { userId_organizationId: { userId, organizationId } },
+    update: {},
+    create: { userId, organizationId },
+  });
+  await prisma.userRole.upsert({
+    where: {
+      userId_roleId_organizationId: { userId, roleId, organizationId },
+    },
+    update: {},
+    create: { userId, roleId, organizationId },
+  });
+}
+
 async function seed() {
   console.log('🌱 Seeding database...\n');
 
@@ -215,7 +303,14 @@ async function seed() {
     }
     roleMap[roleName] = role.id;
 
-    // Assign permissions to role
+    // Assign permissions to role, dropping any it no longer has so re-seeding
+    // an existing database narrows it too (USER_READ → USER_READ:own)
+    const permIds = roleDef.permissions
+      .map((action) => permissionMap[action])
+      .filter(Boolean);
+    await prisma.rolePermission.deleteMany({
+      where: { roleId: role.id, permissionId: { notIn: permIds } },
+    });
     for (const permAction of roleDef.permissions) {
       const permId = permissionMap[permAction];
       if (!permId) continue;
@@ -232,6 +327,14 @@ async function seed() {
       });
     }
   }
+
+  // Link parents once every role exists
+  for (const [roleName, roleDef] of Object.entries(ROLES)) {
+    await prisma.role.update({
+      where: { id: roleMap[roleName] },
+      data: { parentId: roleDef.parent ? roleMap[roleDef.parent] : null },
+    });
+  }
   console.log(
     `  ✅ ${Object.keys(ROLES).length} roles created with permissions\n`,
   );
@@ -258,12 +361,7 @@ async function seed() {
   const passwordHash = await bcrypt.hash('Admin@123', 12);
 
   const superAdmin = await prisma.user.upsert({
-    where: {
-      email_organizationId: {
-        email: 'admin@acme.com',
-        organizationId: defaultOrg.id,
-      },
-    },
+    where: { email: 'admin@acme.com' },
     update: {},
     create: {
       email: 'admin@acme.com',
@@ -276,16 +374,7 @@ async function seed() {
   });
 
   // Assign SUPER_ADMIN role
-  await prisma.userRole.upsert({
-    where: {
-      userId_roleId: { userId: superAdmin.id, roleId: roleMap.SUPER_ADMIN },
-    },
-    update: {},
-    create: {
-      userId: superAdmin.id,
-      roleId: roleMap.SUPER_ADMIN,
-    },
-  });
+  await addMember(superAdmin.id, defaultOrg.id, roleMap.SUPER_ADMIN);
   console.log(`  ✅ Super admin created: admin@acme.com / Admin@123\n`);
 
   // ── 5. Create Sample Users ─────────────────────────────────────────
@@ -314,9 +403,7 @@ async function seed() {
 
   for (const u of sampleUsers) {
     const user = await prisma.user.upsert({
-      where: {
-        email_organizationId: { email: u.email, organizationId: defaultOrg.id },
-      },
+      where: { email: u.email },
       update: {},
       create: {
         email: u.email,
@@ -328,19 +415,28 @@ async function seed() {
       },
     });
 
-    await prisma.userRole.upsert({
-      where: {
-        userId_roleId: { userId: user.id, roleId: roleMap[u.role] },
-      },
-      update: {},
-      create: {
-        userId: user.id,
-        roleId: roleMap[u.role],
-      },
-    });
+    await addMember(user.id, defaultOrg.id, roleMap[u.role]);
     console.log(`  ✅ ${u.email} (${u.role})`);
   }
 
+  // Managers hand out USER and nothing else in Acme
+  await prisma.roleAssignableRole.upsert({
+    where: {
+      roleId_assignableRoleId_organizationId: {
+        roleId: roleMap.MANAGER,
+        assignableRoleId: roleMap.USER,
+        organizationId: defaultOrg.id,
+      },
+    },
+    update: {},
+    create: {
+      roleId: roleMap.MANAGER,
+      assignableRoleId: roleMap.USER,
+      organizationId: defaultOrg.id,
+    },
+  });
+  console.log('  ✅ MANAGER may assign USER in Acme');
+
   // ── 6. Create Sample Feature Flags ─────────────────────────────────
   console.log('\n  Creating feature flags...');
 
@@ -402,12 +498,7 @@ async function seed() {
   });
 
   const startupAdmin = await prisma.user.upsert({
-    where: {
-      email_organizationId: {
-        email: 'admin@startup.com',
-        organizationId: secondOrg.id,
-      },
-    },
+    where: { email: 'admin@startup.com' },
     update: {},
     create: {
       email: 'admin@startup.com',
@@ -419,18 +510,86 @@ async function seed() {
     },
   });
 
-  await prisma.userRole.upsert({
-    where: {
-      userId_roleId: { userId: startupAdmin.id, roleId: roleMap.ADMIN },
+  await addMember(startupAdmin.id, secondOrg.id, roleMap.ADMIN);
+  console.log(
+    `  ✅ "${secondOrg.name}" created with admin: admin@startup.com\n`,
+  );
+
+  // ── 8. One identity in both organizations ──────────────────────────
+  const consultant = await prisma.user.upsert({
+    where: { email: 'consultant@example.com' },
+    update: {},
+    create: {
+      email: 'consultant@example.com',
+      passwordHash,
+      firstName: 'Casey',
+      lastName: 'Consultant',
+      emailVerified: true,
+      organizationId: defaultOrg.id,
     },
+  });
+
+  await addMember(consultant.id, defaultOrg.id, roleMap.MANAGER);
+  await addMember(consultant.id, secondOrg.id, roleMap.ADMIN);
+  console.log(
+    '  ✅ consultant@example.com — MANAGER in acme-corp, ADMIN in startup-inc\n',
+  );
+
+  // ── 9. A division under Acme (hierarchical organizations) ──────────
+  // Acme's roles and role holders carry down: admin@acme.com administers it
+  // with X-Organization-Id, and its own members can be given Acme's roles
+  const division = await prisma.organization.upsert({
+    where: { slug: 'acme-emea' },
+    update: { parentId: defaultOrg.id },
+    create: {
+      name: 'Acme EMEA',
+      slug: 'acme-emea',
+      description: 'Division of Acme Corporation',
+      parentId: defaultOrg.id,
+    },
+  });
+
+  const divisionManager = await prisma.user.upsert({
+    where: { email: 'manager@emea.acme.com' },
     update: {},
     create: {
-      userId: startupAdmin.id,
-      roleId: roleMap.ADMIN,
+      email: 'manager@emea.acme.com',
+      passwordHash,
+      firstName: 'Emea',
+      lastName: 'Manager',
+      emailVerified: true,
+      organizationId: division.id,
     },
   });
+
+  await addMember(divisionManager.id, division.id, roleMap.MANAGER);
   console.log(
-    `  ✅ "${secondOrg.name}" created with admin: admin@startup.com\n`,
+    `  ✅ "${division.name}" created under "${defaultOrg.name}" with manager: manager@emea.acme.com\n`,
+  );
+
+  // ── 10. Plans ──────────────────────────────────────────────────────
+  console.log('  Creating plans...');
+
+  const planMap = {};
+  for (const { name, ...limits } of PLANS) {
+    const plan = await prisma.plan.upsert({
+      where: { name },
+      update: limits,
+      create: { name, ...limits },
+    });
+    planMap[name] = plan.id;
+  }
+
+  await prisma.organization.update({
+    where: { id: defaultOrg.id },
+    data: { planId: planMap.enterprise },
+  });
+  await prisma.organization.update({
+    where: { id: secondOrg.id },
+    data: { planId: planMap.free },
+  });
+  console.log(
+    `  ✅ ${PLANS.length} plans created; acme-corp is on enterprise, startup-inc on free\n`,
   );
 
   console.log('════════════════════════════════════════════════════════');
@@ -445,6 +604,10 @@ async function seed() {
   console.log(
     '  Startup:     admin@startup.com / Admin@123  (org: startup-inc)',
   );
+  console.log('  Consultant:  consultant@example.com / Admin@123  (both orgs)');
+  console.log(
+    '  Division:    manager@emea.acme.com / Admin@123  (org: acme-emea)',
+  );
   console.log('════════════════════════════════════════════════════════');
 }
 
@@ -0,0 +1,333 @@
+// ============================================================================
+// Mock OpenID Connect Provider — local SSO testing only
+// ============================================================================
+// A tiny, dependency-light IdP implementing just enough of OIDC for the
+// authorization code + PKCE flow:
+//
+//   GET  /.well-known/openid-configuration  discovery document
+//   GET  /authorize                         sign-in form (any identity)
+//   POST /authorize                         issues the code, redirects back
+//   POST /token                             code → id_token (RS256)
+//   GET  /userinfo                          claims for the access token
+//   GET  /jwks                              public signing key
+//
+// Usage:
+//   npm run mock:oidc
+//   PUT /api/v1/auth/sso/config {
+//     "issuer": "http://localhost:4000",
+//     "clientId": "rbac-admin", "clientSecret": "rbac-admin-secret",
+//     "groupRoleMap": { "admins": "<role id>" }
+//   }
+//
+// Env: MOCK_OIDC_PORT (4000), MOCK_OIDC_CLIENT_ID, MOCK_OIDC_CLIENT_SECRET.
+// State is in-memory and the signing key is regenerated on every start.
+// NEVER run this anywhere but a developer machine.
+// ============================================================================
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'rbac-admin';
+const CLIENT_SECRET =
+  process.env.MOCK_OIDC_CLIENT_SECRET || 'rbac-admin-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+});
+const kid = crypto.randomBytes(8).toString('hex');
+const jwk = {
+  ...publicKey.export({ format: 'jwk' }),
+  kid,
+  use: 'sig',
+  alg: 'RS256',
+};
+
+const codes = new Map(); // code → { clientId, redirectUri, codeChallenge, nonce, claims, expiresAt }
+const accessTokens = new Map(); // access token → claims
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+  });
+  res.end(JSON.stringify(body));
+}
+
+function oauthError(res, status, error, description) {
+  sendJson(res, status, { error, error_description: description });
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[
+        c
+      ],
+  );
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+      if (raw.length > 16 * 1024) req.destroy();
+    });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(raw))));
+    req.on('error', reject);
+  });
+}
+
+// client_secret_basic (default for openid-client) or client_secret_post
+function clientCredentials(req, form) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+    return { id, secret };
+  }
+  return { id: form.client_id, secret: form.client_secret };
+}
+
+function base64url(buffer) {
+  return buffer
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+// ─── Endpoints ──────────────────────────────────────────────────────────────
+
+function discovery(_req, res) {
+  sendJson(res, 200, {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups'],
+    token_endpoint_auth_methods_supported: [
+      'client_secret_basic',
+      'client_secret_post',
+    ],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: [
+      'sub',
+      'email',
+      'email_verified',
+      'given_name',
+      'family_name',
+      'groups',
+    ],
+  });
+}
+
+function authorizeForm(req, res, query) {
+  if (query.client_id !== CLIENT_ID) {
+    return oauthError(res, 400, 'unauthorized_client', 'Unknown client_id');
+  }
+  if (query.response_type !== 'code' || !query.redirect_uri) {
+    return oauthError(res, 400, 'invalid_request', 'Unsupported request');
+  }
+  if (query.code_challenge_method !== 'S256' || !query.code_challenge) {
+    return oauthError(res, 400, 'invalid_request', 'PKCE (S256) is required');
+  }
+
+  const hidden = [
+    'client_id',
+    'redirect_uri',
+    'state',
+    'nonce',
+    'code_challenge',
+  ]
+    .map(
+      (name) =>
+        `<input type="hidden" name="${name}" value="${escapeHtml(query[name])}">`,
+    )
+    .join('');
+
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!doctype html>
+<html><head><title>Mock OIDC Provider</title></head>
+<body style="font-family:sans-serif;max-width:420px;margin:3rem auto;">
+  <h2>Mock OIDC Provider</h2>
+  <p>Sign in as any identity. Groups are comma-separated.</p>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" value="sso.user@acme.com" required style="width:100%"></label></p>
+    <p><label>First name<br><input name="given_name" value="Sso" style="width:100%"></label></p>
+    <p><label>Last name<br><input name="family_name" value="User" style="width:100%"></label></p>
+    <p><label>Groups<br><input name="groups" value="" placeholder="admins, managers" style="width:100%"></label></p>
+    <p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+    <p><button type="submit" name="decision" value="approve">Sign in</button>
+       <button type="submit" name="decision" value="deny">Deny</button></p>
+  </form>
+</body></html>`);
+}
+
+async function authorizeSubmit(req, res) {
+  const form = await readForm(req);
+  const redirect = new URL(form.redirect_uri);
+  if (form.state) redirect.searchParams.set('state', form.state);
+
+  if (form.decision === 'deny') {
+    redirect.searchParams.set('error', 'access_denied');
+    redirect.searchParams.set('error_description', 'User denied the request');
+  } else {
+    const code = crypto.randomBytes(24).toString('hex');
+    codes.set(code, {
+      clientId: form.client_id,
+      redirectUri: form.redirect_uri,
+      codeChallenge: form.code_challenge,
+      nonce: form.nonce,
+      expiresAt: Date.now() + CODE_TTL_MS,
+      claims: {
+        sub: crypto
+          .createHash('sha256')
+          .update(form.email.toLowerCase())
+          .digest('hex'),
+        email: form.email,
+        email_verified: form.email_verified === 'on',
+        given_name: form.given_name || undefined,
+        family_name: form.family_name || undefined,
+        groups: (form.groups || '')
+          .split(',')
+          .map((g) => g.trim())
+          .filter(Boolean),
+      },
+    });
+    redirect.searchParams.set('code', code);
+  }
+
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+}
+
+async function token(req, res) {
+  const form = await readForm(req);
+  const client = clientCredentials(req, form);
+
+  if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+    return oauthError(
+      res,
+      401,
+      'invalid_client',
+      'Client authentication failed',
+    );
+  }
+  if (form.grant_type !== 'authorization_code') {
+    return oauthError(
+      res,
+      400,
+      'unsupported_grant_type',
+      'Only authorization_code',
+    );
+  }
+
+  const grant = codes.get(form.code);
+  codes.delete(form.code); // single use
+
+  if (!grant || grant.expiresAt < Date.now()) {
+    return oauthError(res, 400, 'invalid_grant', 'Code is invalid or expired');
+  }
+  if (grant.clientId !== client.id || grant.redirectUri !== form.redirect_uri) {
+    return oauthError(
+      res,
+      400,
+      'invalid_grant',
+      'Client or redirect_uri mismatch',
+    );
+  }
+
+  const challenge = base64url(
+    crypto
+      .createHash('sha256')
+      .update(form.code_verifier || '')
+      .digest(),
+  );
+  if (challenge !== grant.codeChallenge) {
+    return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const idToken = jwt.sign(
+    { ...grant.claims, nonce: grant.nonce },
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer: ISSUER,
+      audience: client.id,
+      expiresIn: '5m',
+    },
+  );
+
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, grant.claims);
+
+  sendJson(res, 200, {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+}
+
+function userinfo(req, res) {
+  const accessToken = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const claims = accessTokens.get(accessToken);
+  if (!claims) return oauthError(res, 401, 'invalid_token', 'Unknown token');
+  sendJson(res, 200, claims);
+}
+
+// ─── Server ─────────────────────────────────────────────────────────────────
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  const query = Object.fromEntries(url.searchParams);
+
+  try {
+    if (
+      req.method === 'GET' &&
+      url.pathname === '/.well-known/openid-configuration'
+    ) {
+      return discovery(req, res);
+    }
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      return authorizeForm(req, res, query);
+    }
+    if (req.method === 'POST' && url.pathname === '/authorize') {
+      return await authorizeSubmit(req, res);
+    }
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await token(req, res);
+    }
+    if (req.method === 'GET' && url.pathname === '/userinfo') {
+      return userinfo(req, res);
+    }
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [jwk] });
+    }
+    oauthError(res, 404, 'not_found', `${req.method} ${url.pathname}`);
+  } catch (err) {
+    console.error(err);
+    oauthError(res, 500, 'server_error', err.message);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC provider listening on ${ISSUER}`);
+  console.log(`  client_id=${CLIENT_ID} client_secret=${CLIENT_SECRET}`);
+});
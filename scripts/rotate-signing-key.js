@@ -0,0 +1,52 @@
+// ============================================================================
+// Signing Key Rotation
+// ============================================================================
+// Adds a new JWT signing key and retires the current one. Retired keys keep
+// verifying until every token they signed has expired (JWT_REFRESH_EXPIRY),
+// so rotating never logs anyone out. Running servers pick the new key up
+// within JWT_KEY_CACHE_SECONDS.
+//
+// Usage:
+//   npm run keys:rotate                 new key with JWT_ALGORITHM (RS256)
+//   npm run keys:rotate -- --alg ES256  new key with a specific algorithm
+//   npm run keys:rotate -- --list       show stored keys, don't rotate
+// ============================================================================
+
+const prisma = require('../src/config/database');
+const signingKeyService = require('../src/features/signing-keys/signingKey.service');
+
+function status(key, now) {
+  if (!key.retiredAt) return 'active';
+  if (key.expiresAt > now)
+    return `retired (verifies until ${key.expiresAt.toISOString()})`;
+  return 'expired';
+}
+
+async function printKeys() {
+  const now = new Date();
+  for (const key of await signingKeyService.listKeys()) {
+    console.log(
+      `  ${key.kid}  ${key.algorithm}  ${key.createdAt.toISOString()}  ${status(key, now)}`,
+    );
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (!args.includes('--list')) {
+    const algIndex = args.indexOf('--alg');
+    const algorithm = algIndex === -1 ? undefined : args[algIndex + 1];
+    const { kid } = await signingKeyService.rotate({ algorithm });
+    console.log(`✅ New signing key ${kid} is active\n`);
+  }
+
+  await printKeys();
+}
+
+main()
+  .catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -32,13 +32,23 @@ const { NotFoundError } = require('./utils/errors');
 
 // ─── Feature Routes ─────────────────────────────────────────────────────────
 const authRoutes = require('./features/auth/auth.routes');
+const mfaRoutes = require('./features/mfa/mfa.routes');
+const ssoRoutes = require('./features/sso/sso.routes');
+const sessionRoutes = require('./features/sessions/session.routes');
+const impersonationRoutes = require('./features/impersonation/impersonation.routes');
 const userRoutes = require('./features/users/user.routes');
 const roleRoutes = require('./features/roles/role.routes');
+const roleConstraintRoutes = require('./features/role-constraints/roleConstraint.routes');
+const accessRequestRoutes = require('./features/access-requests/accessRequest.routes');
 const permissionRoutes = require('./features/permissions/permission.routes');
 const orgRoutes = require('./features/organizations/org.routes');
+const invitationRoutes = require('./features/invitations/invitation.routes');
+const planRoutes = require('./features/plans/plan.routes');
 const dashboardRoutes = require('./features/dashboard/dashboard.routes');
 const auditRoutes = require('./features/audit/audit.routes');
 const featureFlagRoutes = require('./features/feature-flags/featureFlag.routes');
+const apiKeyRoutes = require('./features/api-keys/apiKey.routes');
+const signingKeyRoutes = require('./features/signing-keys/signingKey.routes');
 
 const app = express();
 
@@ -65,7 +75,13 @@ app.use(
   cors({
     origin: config.cors.origin,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Correlation-ID'],
+    allowedHeaders: [
+      'Content-Type',
+      'Authorization',
+      'X-API-Key',
+      'X-Correlation-ID',
+      'X-Organization-Id',
+    ],
     credentials: true,
     maxAge: 86400, // 24h preflight cache
   }),
@@ -90,6 +106,10 @@ app.get('/health', (_req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
+// ─── JWKS (public verification keys for other services) ─────────────────────
+
+app.use('/.well-known', signingKeyRoutes);
+
 // ─── Swagger Documentation ──────────────────────────────────────────────────
 
 app.use(
@@ -110,14 +130,23 @@ app.get('/api-docs.json', (_req, res) => {
 
 const prefix = config.apiPrefix;
 
+app.use(`${prefix}/auth/mfa`, mfaRoutes);
+app.use(`${prefix}/auth/sso`, ssoRoutes);
+app.use(`${prefix}/auth/sessions`, sessionRoutes);
+app.use(`${prefix}/auth/impersonation`, impersonationRoutes);
 app.use(`${prefix}/auth`, authRoutes);
 app.use(`${prefix}/users`, userRoutes);
 app.use(`${prefix}/roles`, roleRoutes);
+app.use(`${prefix}/role-constraints`, roleConstraintRoutes);
+app.use(`${prefix}/access-requests`, accessRequestRoutes);
 app.use(`${prefix}/permissions`, permissionRoutes);
 app.use(`${prefix}/organizations`, orgRoutes);
+app.use(`${prefix}/invitations`, invitationRoutes);
+app.use(`${prefix}/plans`, planRoutes);
 app.use(`${prefix}/dashboard`, dashboardRoutes);
 app.use(`${prefix}/audit-logs`, auditRoutes);
 app.use(`${prefix}/feature-flags`, featureFlagRoutes);
+app.use(`${prefix}/api-keys`, apiKeyRoutes);
 
 // ─── Serve Frontend (SPA) ───────────────────────────────────────────────────
 
@@ -11,6 +11,7 @@ const config = {
   env: process.env.NODE_ENV || 'development',
   port: parseInt(process.env.PORT, 10) || 3000,
   apiPrefix: process.env.API_PREFIX || '/api/v1',
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
 
   db: {
     url: process.env.DATABASE_URL,
@@ -24,12 +25,98 @@ const config = {
   },
 
   jwt: {
+    // Tokens are signed with rotating asymmetric keys (see SigningKey model)
+    algorithm: process.env.JWT_ALGORITHM || 'RS256',
+    issuer: process.env.JWT_ISSUER || 'rbac-admin-dashboard',
+    keyCacheSeconds: parseInt(process.env.JWT_KEY_CACHE_SECONDS, 10) || 60,
+    // Legacy HS256 secrets — only used to verify tokens issued before the
+    // switch to signing keys. Unset them once those have expired.
     accessSecret: process.env.JWT_ACCESS_SECRET,
     refreshSecret: process.env.JWT_REFRESH_SECRET,
     accessExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
     refreshExpiry: process.env.JWT_REFRESH_EXPIRY || '7d',
   },
 
+  encryption: {
+    key: process.env.ENCRYPTION_KEY,
+  },
+
+  mfa: {
+    issuer: process.env.MFA_ISSUER || 'RBAC Admin',
+    challengeExpiry: process.env.MFA_CHALLENGE_EXPIRY || '5m',
+    recoveryCodeCount: 10,
+  },
+
+  // Per-account brute-force protection (complements the IP-based authLimiter)
+  lockout: {
+    maxAttempts: parseInt(process.env.LOCKOUT_MAX_ATTEMPTS, 10) || 5,
+    duration: process.env.LOCKOUT_DURATION || '15m',
+    // Failed attempts answer after baseDelayMs * 2^(failures - 1), capped
+    baseDelayMs: parseInt(process.env.LOCKOUT_BASE_DELAY_MS, 10) || 250,
+    maxDelayMs: parseInt(process.env.LOCKOUT_MAX_DELAY_MS, 10) || 4000,
+  },
+
+  // Support impersonation tokens are access-only (no refresh) and expire hard
+  impersonation: {
+    tokenExpiry: process.env.IMPERSONATION_TOKEN_EXPIRY || '15m',
+  },
+
+  // Time-bound role assignments: how often expired ones are swept away
+  roleExpiry: {
+    sweepIntervalSeconds:
+      parseInt(process.env.ROLE_EXPIRY_SWEEP_INTERVAL_SECONDS, 10) || 60,
+  },
+
+  // Just-in-time access requests: the longest time a role can be asked for
+  accessRequests: {
+    maxDurationHours: parseInt(process.env.ACCESS_REQUEST_MAX_HOURS, 10) || 72,
+  },
+
+  // Organization invitations: how long an invite link stays valid
+  invitations: {
+    tokenExpiry: process.env.INVITATION_EXPIRY || '7d',
+  },
+
+  // Organization data exports: where archives are written and how long they
+  // can be downloaded
+  exports: {
+    dir: process.env.EXPORT_DIR || 'tmp/exports',
+    expiry: process.env.EXPORT_EXPIRY || '7d',
+  },
+
+  // Offboarding: days between deactivating an organization and purging or
+  // anonymizing its data, and how often due offboardings are looked for
+  offboarding: {
+    graceDays: parseInt(process.env.OFFBOARDING_GRACE_DAYS, 10) || 30,
+    sweepIntervalSeconds:
+      parseInt(process.env.OFFBOARDING_SWEEP_INTERVAL_SECONDS, 10) || 300,
+  },
+
+  passwordReset: {
+    tokenExpiry: process.env.PASSWORD_RESET_EXPIRY || '1h',
+  },
+
+  emailVerification: {
+    tokenExpiry: process.env.EMAIL_VERIFICATION_EXPIRY || '24h',
+    resendCooldownSeconds:
+      parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN, 10) || 60,
+    maxResendsPerHour:
+      parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_HOUR, 10) || 5,
+  },
+
+  sso: {
+    // How long a started SSO login (state + PKCE verifier) stays valid
+    loginRequestExpiry: process.env.SSO_LOGIN_REQUEST_EXPIRY || '10m',
+  },
+
+  // Mail delivery — 'memory' (in-process outbox) or 'file' (one JSON file per
+  // message). Production deployments plug in a real transport via mailer.use().
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'memory',
+    from: process.env.MAIL_FROM || 'no-reply@rbac-admin.local',
+    fileDir: process.env.MAIL_FILE_DIR || 'tmp/mail',
+  },
+
   bcrypt: {
     saltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 12,
   },
@@ -62,8 +149,7 @@ const config = {
 // Fail-fast validation for critical config
 const requiredConfigs = [
   ['DATABASE_URL', config.db.url],
-  ['JWT_ACCESS_SECRET', config.jwt.accessSecret],
-  ['JWT_REFRESH_SECRET', config.jwt.refreshSecret],
+  ['ENCRYPTION_KEY', config.encryption.key],
 ];
 
 for (const [name, value] of requiredConfigs) {
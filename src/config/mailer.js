@@ -0,0 +1,108 @@
+// ============================================================================
+// Mailer — Pluggable Mail Transport
+// ============================================================================
+// Services call `mailer.send({ to, subject, text })` and never care how the
+// message is delivered. A transport is any object with `async send(message)`.
+//
+// Built-in transports (development / testing):
+//   - memory → keeps the last 100 messages in an in-process outbox
+//   - file   → writes each message as a JSON file under MAIL_FILE_DIR
+//
+// Production deployments register a real transport (SMTP, SES, ...) at
+// startup via `mailer.use(transport)`.
+// ============================================================================
+
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../config/logger');
+
+const OUTBOX_LIMIT = 100;
+
+// ─── Built-in Transports ────────────────────────────────────────────────────
+
+function createMemoryTransport() {
+  const outbox = [];
+  return {
+    name: 'memory',
+    outbox,
+    async send(message) {
+      outbox.push(message);
+      if (outbox.length > OUTBOX_LIMIT) outbox.shift();
+      // Echo the body outside production so links are easy to grab in dev
+      logger.info(
+        {
+          to: message.to,
+          subject: message.subject,
+          ...(config.env !== 'production' && { text: message.text }),
+        },
+        'Mail captured in memory outbox',
+      );
+    },
+  };
+}
+
+function createFileTransport(dir) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.id}.json`);
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+      logger.info({ to: message.to, file }, 'Mail written to file');
+    },
+  };
+}
+
+const builtInTransports = {
+  memory: () => createMemoryTransport(),
+  file: () => createFileTransport(path.resolve(config.mail.fileDir)),
+};
+
+// ─── Mailer ─────────────────────────────────────────────────────────────────
+
+const createTransport = builtInTransports[config.mail.transport];
+if (!createTransport) {
+  throw new Error(`Unknown MAIL_TRANSPORT: ${config.mail.transport}`);
+}
+
+let transport = createTransport();
+
+if (config.env === 'production' && transport.name === 'memory') {
+  logger.warn('Mail transport is "memory" in production — no mail is sent');
+}
+
+const mailer = {
+  /**
+   * @param {{ to: string, subject: string, text: string }} message
+   */
+  async send({ to, subject, text }) {
+    const message = {
+      id: uuidv4(),
+      from: config.mail.from,
+      to,
+      subject,
+      text,
+      createdAt: new Date().toISOString(),
+    };
+    await transport.send(message);
+    return message;
+  },
+
+  /**
+   * Swap the active transport (e.g., SMTP in production, a stub in tests).
+   */
+  use(customTransport) {
+    transport = customTransport;
+  },
+
+  /**
+   * In-memory outbox (only available with the memory transport).
+   */
+  get outbox() {
+    return transport.outbox || [];
+  },
+};
+
+module.exports = mailer;
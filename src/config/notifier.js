@@ -0,0 +1,73 @@
+// ============================================================================
+// Notifier — Pluggable Notification Channels
+// ============================================================================
+// Services call `notifier.notify({ event, recipients, subject, text, data })`
+// for things people should hear about (an access request waiting for them,
+// a decision on their own request). Every registered channel gets every
+// notification and decides how to deliver it.
+//
+// A channel is any object with `name` and `async send(notification)`. The
+// built-in `email` channel mails each recipient through the mailer; add
+// others (chat webhooks, in-app inboxes, ...) at startup via
+// `notifier.use(channel)`.
+//
+// Notifications are best-effort: a failing channel is logged, never thrown.
+// ============================================================================
+
+const mailer = require('./mailer');
+const logger = require('./logger');
+
+// ─── Built-in Channels ──────────────────────────────────────────────────────
+
+const emailChannel = {
+  name: 'email',
+  async send({ recipients, subject, text }) {
+    for (const recipient of recipients) {
+      await mailer.send({ to: recipient.email, subject, text });
+    }
+  },
+};
+
+// ─── Notifier ───────────────────────────────────────────────────────────────
+
+const channels = [emailChannel];
+
+const notifier = {
+  /**
+   * @param {{
+   *   event: string,
+   *   recipients: Array<{ id: string, email: string, firstName?: string }>,
+   *   subject: string,
+   *   text: string,
+   *   data?: object,
+   * }} notification
+   */
+  async notify(notification) {
+    if (notification.recipients.length === 0) return;
+
+    await Promise.all(
+      channels.map(async (channel) => {
+        try {
+          await channel.send(notification);
+        } catch (err) {
+          logger.error(
+            { err, channel: channel.name, event: notification.event },
+            'Notification delivery failed',
+          );
+        }
+      }),
+    );
+  },
+
+  /**
+   * Register another channel. Replaces a channel with the same name, so the
+   * email channel can be swapped out too.
+   */
+  use(channel) {
+    const existing = channels.findIndex((c) => c.name === channel.name);
+    if (existing >= 0) channels.splice(existing, 1, channel);
+    else channels.push(channel);
+  },
+};
+
+module.exports = notifier;
@@ -25,6 +25,7 @@ authentication, authorization, auditing, and multi-tenancy.
 
 ### Authentication Flow
 1. \`POST /auth/login\` → Returns \`accessToken\` + \`refreshToken\`
+   (or an \`mfaToken\` to exchange at \`POST /auth/mfa/challenge\` when MFA is on)
 2. Use \`accessToken\` in \`Authorization: Bearer <token>\` header
 3. When access token expires, use \`POST /auth/refresh\` with the refresh token
 4. Refresh tokens are rotated on every use (old token is revoked)
@@ -34,6 +35,12 @@ authentication, authorization, auditing, and multi-tenancy.
 - **Roles** are collections of permissions (e.g., ADMIN has [USER_CREATE, USER_READ, ...])
 - Users can have multiple roles; permissions are flattened and cached
 - Roles can be **global** (system-level) or **organization-specific**
+
+### Cross-Tenant Access
+Holders of \`PLATFORM_TENANT_ACCESS\` may add \`X-Organization-Id: <id>\` to
+any tenant-scoped request to act in that organization instead of their own.
+Every such request is audited as \`CROSS_TENANT_ACCESS\` in the target
+organization, and its other audit entries carry \`homeOrganizationId\`.
       `,
       contact: {
         name: 'API Support',
@@ -51,7 +58,14 @@ authentication, authorization, auditing, and multi-tenancy.
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT',
-          description: 'JWT access token obtained from /auth/login',
+          description:
+            'JWT access token obtained from /auth/login, or an API key (rbac_...)',
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key created via POST /api-keys',
         },
       },
       schemas: {
@@ -88,6 +102,14 @@ authentication, authorization, auditing, and multi-tenancy.
             totalPages: { type: 'integer' },
           },
         },
+        QuotaUsage: {
+          type: 'object',
+          properties: {
+            used: { type: 'integer' },
+            limit: { type: 'integer', nullable: true },
+            remaining: { type: 'integer', nullable: true },
+          },
+        },
       },
       responses: {
         Unauthorized: {
@@ -136,6 +158,23 @@ authentication, authorization, auditing, and multi-tenancy.
             },
           },
         },
+        QuotaExceeded: {
+          description:
+            'A plan limit was reached (403 for users and roles, 429 for monthly API requests)',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+              example: {
+                success: false,
+                error: {
+                  code: 'QUOTA_EXCEEDED',
+                  message: 'The free plan allows 5 users',
+                  details: { quota: 'users', limit: 5, used: 5 },
+                },
+              },
+            },
+          },
+        },
       },
     },
     tags: [
@@ -143,6 +182,22 @@ authentication, authorization, auditing, and multi-tenancy.
         name: 'Authentication',
         description: 'Login, register, token refresh, logout',
       },
+      {
+        name: 'MFA',
+        description: 'TOTP enrollment, recovery codes, and login challenge',
+      },
+      {
+        name: 'SSO',
+        description: 'Per-organization OpenID Connect login and configuration',
+      },
+      {
+        name: 'Sessions',
+        description: 'Active login sessions and per-device revocation',
+      },
+      {
+        name: 'Impersonation',
+        description: 'Time-boxed, audited support access as another user',
+      },
       {
         name: 'Users',
         description:
@@ -152,6 +207,14 @@ authentication, authorization, auditing, and multi-tenancy.
         name: 'Roles',
         description: 'Role management (CRUD, assign permissions)',
       },
+      {
+        name: 'Role Constraints',
+        description: 'Separation of duties (mutually exclusive roles)',
+      },
+      {
+        name: 'Access Requests',
+        description: 'Just-in-time role requests with approval workflow',
+      },
       {
         name: 'Permissions',
         description: 'Permission management (global atomic actions)',
@@ -160,12 +223,34 @@ authentication, authorization, auditing, and multi-tenancy.
         name: 'Organizations',
         description: 'Organization (tenant) management',
       },
+      {
+        name: 'Invitations',
+        description:
+          'Inviting people to an organization with preassigned roles',
+      },
+      {
+        name: 'Plans',
+        description: 'Plans, quotas and usage limits (QUOTA_EXCEEDED)',
+      },
+      {
+        name: 'Exports',
+        description: 'Organization data exports (JSON or CSV archives)',
+      },
+      {
+        name: 'Offboarding',
+        description:
+          'Deactivating, then purging or anonymizing an organization',
+      },
       { name: 'Dashboard', description: 'Analytics and metrics' },
       { name: 'Audit Logs', description: 'Immutable audit trail' },
       {
         name: 'Feature Flags',
         description: 'Backend-enforced feature toggles',
       },
+      {
+        name: 'API Keys',
+        description: 'Personal access tokens for scripts and CI',
+      },
     ],
   },
   apis: ['./src/features/**/*.routes.js'],
@@ -0,0 +1,133 @@
+// ============================================================================
+// Access Request Controller
+// ============================================================================
+
+const accessRequestService = require('./accessRequest.service');
+const { success, paginated } = require('../../utils/response');
+const { getClientInfo } = require('../../utils/helpers');
+
+const accessRequestController = {
+  async requestableRoles(req, res, next) {
+    try {
+      const roles = await accessRequestService.listRequestableRoles(
+        req.tenant.id,
+      );
+      return success(res, roles);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async listMine(req, res, next) {
+    try {
+      const { requests, pagination } = await accessRequestService.listMine(
+        req.user,
+        req.tenant.id,
+        req.query,
+      );
+      return paginated(res, requests, pagination);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async list(req, res, next) {
+    try {
+      const { requests, pagination } = await accessRequestService.list(
+        req.user,
+        req.tenant.id,
+        req.query,
+      );
+      return paginated(res, requests, pagination);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const request = await accessRequestService.create(
+        req.user,
+        req.tenant.id,
+        req.body,
+        getClientInfo(req),
+      );
+      return success(res, request, 201);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async approve(req, res, next) {
+    try {
+      const request = await accessRequestService.approve(
+        req.user,
+        req.tenant.id,
+        req.params.id,
+        req.body,
+        getClientInfo(req),
+      );
+      return success(res, request);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async deny(req, res, next) {
+    try {
+      const request = await accessRequestService.deny(
+        req.user,
+        req.tenant.id,
+        req.params.id,
+        req.body,
+        getClientInfo(req),
+      );
+      return success(res, request);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async cancel(req, res, next) {
+    try {
+      const request = await accessRequestService.cancel(
+        req.user,
+        req.tenant.id,
+        req.params.id,
+        getClientInfo(req),
+      );
+      return success(res, request);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async getApprovers(req, res, next) {
+    try {
+      const approvers = await accessRequestService.getApprovers(
+        req.params.roleId,
+        req.tenant.id,
+      );
+      return success(res, approvers);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async setApprovers(req, res, next) {
+    try {
+      const approvers = await accessRequestService.setApprovers(
+        req.user,
+        req.tenant.id,
+        req.params.roleId,
+        req.body.userIds,
+        getClientInfo(req),
+      );
+      return success(res, approvers);
+    } catch (err) {
+      next(err);
+    }
+  },
+};
+
+module.exports = accessRequestController;
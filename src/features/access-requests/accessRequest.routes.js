@@ -0,0 +1,267 @@
+// ============================================================================
+// Access Request Routes — Just-in-Time Role Access
+// ============================================================================
+// Any member can request a requestable role and follow or cancel their own
+// requests. Deciding takes ROLE_ASSIGN plus being one of the role's
+// designated approvers (checked in the service); choosing approvers takes
+// ROLE_UPDATE.
+// ============================================================================
+
+const { Router } = require('express');
+const accessRequestController = require('./accessRequest.controller');
+const validate = require('../../utils/validate');
+const {
+  createAccessRequestSchema,
+  decideAccessRequestSchema,
+  setApproversSchema,
+  accessRequestIdParamSchema,
+  approverRoleParamSchema,
+  accessRequestListQuerySchema,
+} = require('./accessRequest.schema');
+const {
+  authenticate,
+  authorize,
+  resolveTenant,
+  apiQuota,
+  denyImpersonation,
+} = require('../../middleware');
+
+const router = Router();
+
+router.use(authenticate, resolveTenant, apiQuota);
+
+/**
+ * @openapi
+ * /access-requests/requestable-roles:
+ *   get:
+ *     tags: [Access Requests]
+ *     summary: Roles the caller can request (those with approvers)
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: List of requestable roles
+ */
+router.get('/requestable-roles', accessRequestController.requestableRoles);
+
+/**
+ * @openapi
+ * /access-requests/mine:
+ *   get:
+ *     tags: [Access Requests]
+ *     summary: The caller's own access requests
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Paginated list of the caller's requests
+ */
+router.get(
+  '/mine',
+  validate({ query: accessRequestListQuerySchema }),
+  accessRequestController.listMine,
+);
+
+/**
+ * @openapi
+ * /access-requests:
+ *   get:
+ *     tags: [Access Requests]
+ *     summary: List access requests in the organization
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [PENDING, APPROVED, DENIED, CANCELLED] }
+ *       - in: query
+ *         name: roleId
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: pendingForMe
+ *         description: Only pending requests the caller can decide
+ *         schema: { type: string, enum: [true, false] }
+ *     responses:
+ *       200:
+ *         description: Paginated list of access requests
+ */
+router.get(
+  '/',
+  authorize('ROLE_ASSIGN'),
+  validate({ query: accessRequestListQuerySchema }),
+  accessRequestController.list,
+);
+
+/**
+ * @openapi
+ * /access-requests:
+ *   post:
+ *     tags: [Access Requests]
+ *     summary: Request a role for a limited time
+ *     description: >
+ *       The role's approvers are notified. Approval grants the role until
+ *       `durationHours` after the decision.
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [roleId, justification, durationHours]
+ *             properties:
+ *               roleId: { type: string, format: uuid }
+ *               justification: { type: string, maxLength: 1000 }
+ *               durationHours: { type: integer, minimum: 1 }
+ *     responses:
+ *       201:
+ *         description: Request created
+ *       400:
+ *         description: Role has no approvers or is inactive
+ *       409:
+ *         description: Role already held or a request is already pending
+ */
+router.post(
+  '/',
+  validate({ body: createAccessRequestSchema }),
+  accessRequestController.create,
+);
+
+/**
+ * @openapi
+ * /access-requests/{id}/approve:
+ *   post:
+ *     tags: [Access Requests]
+ *     summary: Approve a pending request, granting the role for its duration
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note: { type: string }
+ *     responses:
+ *       200:
+ *         description: Request approved and role granted
+ *       403:
+ *         description: Not an approver of the role, or the caller's own request
+ *       409:
+ *         description: Request already decided
+ */
+router.post(
+  '/:id/approve',
+  denyImpersonation,
+  authorize('ROLE_ASSIGN'),
+  validate({
+    params: accessRequestIdParamSchema,
+    body: decideAccessRequestSchema,
+  }),
+  accessRequestController.approve,
+);
+
+/**
+ * @openapi
+ * /access-requests/{id}/deny:
+ *   post:
+ *     tags: [Access Requests]
+ *     summary: Deny a pending request
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note: { type: string }
+ *     responses:
+ *       200:
+ *         description: Request denied
+ *       403:
+ *         description: Not an approver of the role, or the caller's own request
+ *       409:
+ *         description: Request already decided
+ */
+router.post(
+  '/:id/deny',
+  denyImpersonation,
+  authorize('ROLE_ASSIGN'),
+  validate({
+    params: accessRequestIdParamSchema,
+    body: decideAccessRequestSchema,
+  }),
+  accessRequestController.deny,
+);
+
+/**
+ * @openapi
+ * /access-requests/{id}/cancel:
+ *   post:
+ *     tags: [Access Requests]
+ *     summary: Cancel one of the caller's own pending requests
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Request cancelled
+ *       409:
+ *         description: Request already decided
+ */
+router.post(
+  '/:id/cancel',
+  validate({ params: accessRequestIdParamSchema }),
+  accessRequestController.cancel,
+);
+
+/**
+ * @openapi
+ * /access-requests/approvers/{roleId}:
+ *   get:
+ *     tags: [Access Requests]
+ *     summary: Designated approvers of a role in the organization
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: List of approvers
+ */
+router.get(
+  '/approvers/:roleId',
+  authorize('ROLE_READ'),
+  validate({ params: approverRoleParamSchema }),
+  accessRequestController.getApprovers,
+);
+
+/**
+ * @openapi
+ * /access-requests/approvers/{roleId}:
+ *   put:
+ *     tags: [Access Requests]
+ *     summary: Replace a role's approvers in the organization
+ *     description: Approvers must be active members holding ROLE_ASSIGN.
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userIds]
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Updated list of approvers
+ */
+router.put(
+  '/approvers/:roleId',
+  authorize('ROLE_UPDATE'),
+  validate({ params: approverRoleParamSchema, body: setApproversSchema }),
+  accessRequestController.setApprovers,
+);
+
+module.exports = router;
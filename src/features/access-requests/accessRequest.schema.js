@@ -0,0 +1,53 @@
+// ============================================================================
+// Access Request Validation Schemas
+// ============================================================================
+
+const { z } = require('zod');
+const config = require('../../config');
+
+const createAccessRequestSchema = z.object({
+  roleId: z.string().uuid('Invalid role ID format'),
+  justification: z.string().trim().min(1).max(1000),
+  durationHours: z
+    .number()
+    .int()
+    .min(1)
+    .max(
+      config.accessRequests.maxDurationHours,
+      `Access can be requested for at most ${config.accessRequests.maxDurationHours} hours`,
+    ),
+});
+
+const decideAccessRequestSchema = z.object({
+  note: z.string().trim().max(1000).optional(),
+});
+
+const setApproversSchema = z.object({
+  // Empty removes every approver, so the role can no longer be requested
+  userIds: z.array(z.string().uuid()).max(50),
+});
+
+const accessRequestIdParamSchema = z.object({
+  id: z.string().uuid('Invalid access request ID format'),
+});
+
+const approverRoleParamSchema = z.object({
+  roleId: z.string().uuid('Invalid role ID format'),
+});
+
+const accessRequestListQuerySchema = z.object({
+  page: z.coerce.number().int().positive().optional().default(1),
+  limit: z.coerce.number().int().positive().max(100).optional().default(20),
+  status: z.enum(['PENDING', 'APPROVED', 'DENIED', 'CANCELLED']).optional(),
+  roleId: z.string().uuid().optional(),
+  pendingForMe: z.enum(['true', 'false']).optional(),
+});
+
+module.exports = {
+  createAccessRequestSchema,
+  decideAccessRequestSchema,
+  setApproversSchema,
+  accessRequestIdParamSchema,
+  approverRoleParamSchema,
+  accessRequestListQuerySchema,
+};
@@ -0,0 +1,478 @@
+// ============================================================================
+// Access Request Service — Just-in-Time Role Access
+// ============================================================================
+// Handles:
+//   - Designating approvers per role (per organization)
+//   - Requesting a role for a limited time, with a justification
+//   - Approving (grants a UserRole that expires), denying and cancelling
+//
+// Architectural notes:
+//   - Only roles with at least one designated approver can be requested.
+//     Deciding takes ROLE_ASSIGN (checked by the route) AND being one of the
+//     role's approvers; nobody decides on their own request.
+//   - A decision claims the request with a conditional update on
+//     status = PENDING, so two approvers clicking at once can't both win.
+//   - The grant goes through UserService.assignRoles with the requester's
+//     other roles kept as they are, so caches are invalidated as usual and
+//     the role expiry sweeper removes the role when the time is up.
+//   - Every transition is audited (ACCESS_REQUEST_*) and notified through
+//     the notifier's channels.
+// ============================================================================
+
+const prisma = require('../../config/database');
+const config = require('../../config');
+const notifier = require('../../config/notifier');
+const auditService = require('../audit/audit.service');
+const permissionService = require('../permissions/permission.service');
+const roleConstraintService = require('../role-constraints/roleConstraint.service');
+const userRepository = require('../users/user.repository');
+const userService = require('../users/user.service');
+const orgHierarchyService = require('../organizations/orgHierarchy.service');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../../utils/errors');
+const { parsePagination } = require('../../utils/helpers');
+
+const PERSON_SELECT = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+};
+
+const REQUEST_SELECT = {
+  id: true,
+  justification: true,
+  durationHours: true,
+  status: true,
+  decidedAt: true,
+  decisionNote: true,
+  expiresAt: true,
+  createdAt: true,
+  role: { select: { id: true, name: true, description: true } },
+  requester: { select: PERSON_SELECT },
+  decidedBy: { select: PERSON_SELECT },
+};
+
+class AccessRequestService {
+  // ─── Approvers ──────────────────────────────────────────────────────
+
+  /**
+   * Roles a member of the organization can ask for: active, visible to the
+   * tenant, and with at least one approver there.
+   */
+  async listRequestableRoles(organizationId) {
+    return prisma.role.findMany({
+      where: {
+        isActive: true,
+        ...(await orgHierarchyService.roleScope(organizationId)),
+        approvers: { some: { organizationId } },
+      },
+      select: { id: true, name: true, description: true },
+      orderBy: { name: 'asc' },
+    });
+  }
+
+  async getApprovers(roleId, organizationId) {
+    await this._findRole(roleId, organizationId);
+    const approvers = await prisma.roleApprover.findMany({
+      where: { roleId, organizationId },
+      select: { user: { select: PERSON_SELECT } },
+    });
+    return approvers.map((a) => a.user);
+  }
+
+  /**
+   * Replace the role's approvers in the organization. Each must be an
+   * active member who holds ROLE_ASSIGN, or they could never decide.
+   */
+  async setApprovers(user, organizationId, roleId, userIds, client = {}) {
+    const role = await this._findRole(roleId, organizationId);
+
+    const unable = [];
+    for (const userId of userIds) {
+      const permissions = await permissionService.getUserPermissions(
+        userId,
+        organizationId,
+      );
+      if (!permissions.includes('ROLE_ASSIGN')) unable.push(userId);
+    }
+    if (unable.length > 0) {
+      throw new BadRequestError(
+        `Approvers must be active members with ROLE_ASSIGN: ${unable.join(', ')}`,
+      );
+    }
+
+    await prisma.$transaction([
+      prisma.roleApprover.deleteMany({ where: { roleId, organizationId } }),
+      prisma.roleApprover.createMany({
+        data: userIds.map((userId) => ({
+          roleId,
+          userId,
+          organizationId,
+          createdBy: user.id,
+        })),
+      }),
+    ]);
+
+    await auditService.record({
+      action: 'ROLE_APPROVERS_ASSIGNED',
+      resource: 'ROLE',
+      resourceId: roleId,
+      userId: user.id,
+      organizationId,
+      ipAddress: client.ipAddress,
+      userAgent: client.userAgent,
+      impersonatorId: user.impersonator?.id || null,
+      metadata: { roleName: role.name, approverIds: userIds },
+    });
+
+    return this.getApprovers(roleId, organizationId);
+  }
+
+  // ─── Requests ───────────────────────────────────────────────────────
+
+  async create(
+    user,
+    organizationId,
+    { roleId, justification, durationHours },
+    client,
+  ) {
+    const role = await this._findRole(roleId, organizationId);
+    if (!role.isActive) throw new BadRequestError('This role is inactive');
+
+    const approvers = await this._approvers(roleId, organizationId);
+    if (approvers.length === 0) {
+      throw new BadRequestError(
+        'This role has no approvers in your organization and cannot be requested',
+      );
+    }
+
+    if (await this._holdsRole(user.id, roleId, organizationId)) {
+      throw new ConflictError('You already have this role');
+    }
+
+    // Fail now rather than at approval if the role clashes with one they hold
+    const current = await userRepository.findById(user.id, organizationId);
+    if (!current) {
+      throw new ForbiddenError(
+        'Only members of the organization can request access',
+      );
+    }
+    await roleConstraintService.assertAllowed(organizationId, [
+      ...current.userRoles,
+      {
+        roleId,
+        startsAt: new Date(),
+        expiresAt: new Date(Date.now() + durationHours * 60 * 60 * 1000),
+      },
+    ]);
+
+    const pending = await prisma.accessRequest.findFirst({
+      where: {
+        requesterId: user.id,
+        roleId,
+        organizationId,
+        status: 'PENDING',
+      },
+      select: { id: true },
+    });
+    if (pending) {
+      throw new ConflictError(
+        'You already have a pending request for this role',
+      );
+    }
+
+    const request = await prisma.accessRequest.create({
+      data: {
+        organizationId,
+        requesterId: user.id,
+        roleId,
+        justification,
+        durationHours,
+      },
+      select: { ...REQUEST_SELECT, organizationId: true },
+    });
+
+    await this._audit('ACCESS_REQUEST_CREATED', user, request, client);
+
+    const requester = request.requester;
+    await notifier.notify({
+      event: 'access_request.created',
+      recipients: approvers.filter((a) => a.id !== user.id),
+      subject: `Access request: ${role.name} for ${requester.firstName} ${requester.lastName}`,
+      text: [
+        `${requester.firstName} ${requester.lastName} (${requester.email}) requests the`,
+        `${role.name} role for ${durationHours} hour(s):`,
+        '',
+        justification,
+        '',
+        `Review it at ${config.appUrl}/#/access-requests`,
+      ].join('\n'),
+      data: { requestId: request.id, roleId, requesterId: user.id },
+    });
+
+    return request;
+  }
+
+  async listMine(user, organizationId, query) {
+    return this._list({ requesterId: user.id, organizationId }, query);
+  }
+
+  /**
+   * All requests in the organization, or with `pendingForMe` only the
+   * pending ones the caller can decide.
+   */
+  async list(user, organizationId, query) {
+    const where = {
+      organizationId,
+      ...(query.status && { status: query.status }),
+      ...(query.roleId && { roleId: query.roleId }),
+      ...(query.pendingForMe === 'true' && {
+        status: 'PENDING',
+        requesterId: { not: user.id },
+        role: {
+          approvers: {
+            some: { userId: user.id, organizationId },
+          },
+        },
+      }),
+    };
+    return this._list(where, query);
+  }
+
+  async approve(user, organizationId, id, { note }, client) {
+    const request = await this._findDecidable(user, organizationId, id);
+    const expiresAt = new Date(
+      Date.now() + request.durationHours * 60 * 60 * 1000,
+    );
+
+    await this._claim(request.id, 'APPROVED', user, note, expiresAt);
+    try {
+      await this._grant(request, expiresAt, user.id);
+    } catch (err) {
+      // Put the request back so it can be decided again
+      await prisma.accessRequest.update({
+        where: { id: request.id },
+        data: {
+          status: 'PENDING',
+          decidedById: null,
+          decidedAt: null,
+          decisionNote: null,
+          expiresAt: null,
+        },
+      });
+      throw err;
+    }
+
+    const decided = await this._findById(request.id);
+    await this._audit('ACCESS_REQUEST_APPROVED', user, decided, client);
+    await this._notifyRequester(
+      decided,
+      `approved — you have it until ${expiresAt.toISOString()}`,
+    );
+    return decided;
+  }
+
+  async deny(user, organizationId, id, { note }, client) {
+    const request = await this._findDecidable(user, organizationId, id);
+    await this._claim(request.id, 'DENIED', user, note, null);
+
+    const decided = await this._findById(request.id);
+    await this._audit('ACCESS_REQUEST_DENIED', user, decided, client);
+    await this._notifyRequester(decided, 'denied');
+    return decided;
+  }
+
+  async cancel(user, organizationId, id, client) {
+    const request = await this._findById(id, organizationId);
+    if (request.requester.id !== user.id) {
+      throw new ForbiddenError('Only the requester can cancel a request');
+    }
+
+    const { count } = await prisma.accessRequest.updateMany({
+      where: { id, status: 'PENDING' },
+      data: { status: 'CANCELLED' },
+    });
+    if (count === 0) {
+      throw new ConflictError(`Request is already ${request.status}`);
+    }
+
+    const cancelled = await this._findById(id);
+    await this._audit('ACCESS_REQUEST_CANCELLED', user, cancelled, client);
+    return cancelled;
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  async _list(where, query) {
+    const { page, limit, skip } = parsePagination(query);
+    const [requests, totalCount] = await prisma.$transaction([
+      prisma.accessRequest.findMany({
+        where,
+        select: REQUEST_SELECT,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.accessRequest.count({ where }),
+    ]);
+    return { requests, pagination: { page, limit, totalCount } };
+  }
+
+  async _findRole(roleId, organizationId) {
+    const role = await prisma.role.findFirst({
+      where: {
+        id: roleId,
+        ...(await orgHierarchyService.roleScope(organizationId)),
+      },
+      select: { id: true, name: true, isActive: true },
+    });
+    if (!role) throw new NotFoundError('Role');
+    return role;
+  }
+
+  async _findById(id, organizationId) {
+    const request = await prisma.accessRequest.findFirst({
+      where: { id, ...(organizationId && { organizationId }) },
+      select: { ...REQUEST_SELECT, organizationId: true },
+    });
+    if (!request) throw new NotFoundError('Access request');
+    return request;
+  }
+
+  async _approvers(roleId, organizationId) {
+    const approvers = await prisma.roleApprover.findMany({
+      where: { roleId, organizationId },
+      select: { user: { select: PERSON_SELECT } },
+    });
+    return approvers.map((a) => a.user);
+  }
+
+  /**
+   * A pending request the caller may decide: not their own, and they are
+   * one of the role's approvers.
+   */
+  async _findDecidable(user, organizationId, id) {
+    const request = await this._findById(id, organizationId);
+    if (request.status !== 'PENDING') {
+      throw new ConflictError(`Request is already ${request.status}`);
+    }
+    if (request.requester.id === user.id) {
+      throw new ForbiddenError('You cannot decide your own access request');
+    }
+
+    const approvers = await this._approvers(request.role.id, organizationId);
+    if (!approvers.some((a) => a.id === user.id)) {
+      throw new ForbiddenError(
+        'Only a designated approver of this role can decide this request',
+      );
+    }
+    return request;
+  }
+
+  async _claim(id, status, user, note, expiresAt) {
+    const { count } = await prisma.accessRequest.updateMany({
+      where: { id, status: 'PENDING' },
+      data: {
+        status,
+        decidedById: user.id,
+        decidedAt: new Date(),
+        decisionNote: note || null,
+        expiresAt,
+      },
+    });
+    if (count === 0) {
+      throw new ConflictError('Request was decided by someone else');
+    }
+  }
+
+  async _holdsRole(userId, roleId, organizationId) {
+    const now = new Date();
+    const held = await prisma.userRole.findFirst({
+      where: {
+        userId,
+        roleId,
+        organizationId,
+        AND: [
+          { OR: [{ startsAt: null }, { startsAt: { lte: now } }] },
+          { OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] },
+        ],
+      },
+      select: { id: true },
+    });
+    return !!held;
+  }
+
+  /**
+   * Add the role to the requester's current roles, replacing any earlier
+   * assignment of the same role.
+   */
+  async _grant(request, expiresAt, approverId) {
+    const requester = await userRepository.findById(
+      request.requester.id,
+      request.organizationId,
+    );
+    if (!requester || !requester.isActive) {
+      throw new BadRequestError('The requester is no longer an active member');
+    }
+
+    const assignments = requester.userRoles
+      .filter((ur) => ur.roleId !== request.role.id)
+      .map(({ roleId, startsAt, expiresAt: until }) => ({
+        roleId,
+        startsAt,
+        expiresAt: until,
+      }));
+    assignments.push({ roleId: request.role.id, expiresAt });
+
+    await userService.assignRoles(
+      requester.id,
+      request.organizationId,
+      assignments,
+      approverId,
+    );
+  }
+
+  async _audit(action, user, request, client = {}) {
+    await auditService.record({
+      action,
+      resource: 'ACCESS_REQUEST',
+      resourceId: request.id,
+      userId: user.id,
+      organizationId: request.organizationId,
+      ipAddress: client.ipAddress,
+      userAgent: client.userAgent,
+      impersonatorId: user.impersonator?.id || null,
+      metadata: {
+        roleId: request.role.id,
+        roleName: request.role.name,
+        requesterId: request.requester.id,
+        durationHours: request.durationHours,
+        status: request.status,
+        ...(request.expiresAt && { expiresAt: request.expiresAt }),
+        ...(request.decisionNote && { note: request.decisionNote }),
+      },
+    });
+  }
+
+  async _notifyRequester(request, outcome) {
+    await notifier.notify({
+      event: `access_request.${request.status.toLowerCase()}`,
+      recipients: [request.requester],
+      subject: `Your request for ${request.role.name} was ${request.status.toLowerCase()}`,
+      text: [
+        `Hi ${request.requester.firstName},`,
+        '',
+        `Your request for the ${request.role.name} role was ${outcome}.`,
+        ...(request.decisionNote ? ['', `Note: ${request.decisionNote}`] : []),
+      ].join('\n'),
+      data: { requestId: request.id, roleId: request.role.id },
+    });
+  }
+}
+
+module.exports = new AccessRequestService();
@@ -0,0 +1,46 @@
+// ============================================================================
+// API Key Controller — Thin HTTP Layer
+// ============================================================================
+
+const apiKeyService = require('./apiKey.service');
+const { success } = require('../../utils/response');
+
+const apiKeyController = {
+  /**
+   * GET /api-keys
+   */
+  async list(req, res, next) {
+    try {
+      const keys = await apiKeyService.listKeys(req.user.id);
+      return success(res, keys);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /api-keys
+   */
+  async create(req, res, next) {
+    try {
+      const apiKey = await apiKeyService.createKey(req.user, req.body);
+      return success(res, apiKey, 201);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * DELETE /api-keys/:id
+   */
+  async revoke(req, res, next) {
+    try {
+      await apiKeyService.revokeKey(req.user.id, req.params.id);
+      return success(res, { message: 'API key revoked' });
+    } catch (err) {
+      next(err);
+    }
+  },
+};
+
+module.exports = apiKeyController;
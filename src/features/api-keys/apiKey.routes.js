@@ -0,0 +1,96 @@
+// ============================================================================
+// API Key Routes (mounted at /api-keys)
+// ============================================================================
+// Self-service: every authenticated user manages their own keys. What a key
+// can do is bounded by the owner's permissions, so no extra permission is
+// needed to create one.
+// ============================================================================
+
+const { Router } = require('express');
+const apiKeyController = require('./apiKey.controller');
+const validate = require('../../utils/validate');
+const { createApiKeySchema, apiKeyIdParamSchema } = require('./apiKey.schema');
+const {
+  authenticate,
+  resolveTenant,
+  apiQuota,
+  auditLog,
+  denyImpersonation,
+} = require('../../middleware');
+
+const router = Router();
+
+router.use(authenticate, resolveTenant, apiQuota);
+
+/**
+ * @openapi
+ * /api-keys:
+ *   get:
+ *     tags: [API Keys]
+ *     summary: List your API keys (the secret itself is never returned)
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Keys with prefix, scopes, expiry and last use
+ */
+router.get('/', apiKeyController.list);
+
+/**
+ * @openapi
+ * /api-keys:
+ *   post:
+ *     tags: [API Keys]
+ *     summary: Create an API key — the raw key is returned only once
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name: { type: string, example: CI deploy }
+ *               scopes:
+ *                 type: array
+ *                 items: { type: string }
+ *                 example: [USER_READ, AUDIT_READ]
+ *               expiresAt: { type: string, format: date-time }
+ *     responses:
+ *       201:
+ *         description: Key created — `key` is shown once
+ *       403:
+ *         description: A scope exceeds your own permissions
+ */
+router.post(
+  '/',
+  denyImpersonation,
+  validate({ body: createApiKeySchema }),
+  auditLog('API_KEY_CREATED', 'API_KEY'),
+  apiKeyController.create,
+);
+
+/**
+ * @openapi
+ * /api-keys/{id}:
+ *   delete:
+ *     tags: [API Keys]
+ *     summary: Revoke one of your API keys
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ */
+router.delete(
+  '/:id',
+  validate({ params: apiKeyIdParamSchema }),
+  auditLog('API_KEY_REVOKED', 'API_KEY'),
+  apiKeyController.revoke,
+);
+
+module.exports = router;
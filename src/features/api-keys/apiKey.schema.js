@@ -0,0 +1,20 @@
+// ============================================================================
+// API Key Validation Schemas (Zod)
+// ============================================================================
+
+const { z } = require('zod');
+
+const createApiKeySchema = z.object({
+  name: z.string().min(1, 'Name is required').max(100).trim(),
+  scopes: z
+    .array(z.string().min(1).max(100))
+    .min(1, 'At least one scope is required')
+    .max(100),
+  expiresAt: z.coerce.date().optional(),
+});
+
+const apiKeyIdParamSchema = z.object({
+  id: z.string().uuid('Invalid API key ID'),
+});
+
+module.exports = { createApiKeySchema, apiKeyIdParamSchema };
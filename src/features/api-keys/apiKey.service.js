@@ -0,0 +1,188 @@
+// ============================================================================
+// API Key Service — Personal Access Tokens
+// ============================================================================
+// Handles:
+//   - Creating named, scoped keys (the raw key is returned exactly once)
+//   - Listing and revoking the caller's own keys
+//   - Resolving a raw key into a request identity for `authenticate`
+//
+// Architectural notes:
+//   - Keys look like `rbac_<43 url-safe chars>`. The fixed prefix lets
+//     `authenticate` tell them apart from JWTs without trying to decode them.
+//   - Only the SHA-256 hash is stored. Keys are high-entropy random values,
+//     so a fast hash is enough (unlike passwords).
+//   - Scopes are checked against the owner's permissions at creation time,
+//     and intersected with them again on every request.
+//   - An API key cannot mint other API keys.
+// ============================================================================
+
+const prisma = require('../../config/database');
+const permissionService = require('../permissions/permission.service');
+const { covers } = require('../permissions/permission.scopes');
+const membershipService = require('../memberships/membership.service');
+const {
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  BadRequestError,
+} = require('../../utils/errors');
+const { hashToken, randomToken } = require('../../utils/crypto');
+const logger = require('../../config/logger');
+
+const KEY_PREFIX = 'rbac_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+// Don't write lastUsedAt on every request — once a minute is plenty
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const KEY_SELECT = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true,
+};
+
+class ApiKeyService {
+  /**
+   * Whether a bearer credential is an API key (vs. a JWT access token).
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * List the caller's keys, newest first. Revoked keys are included so the
+   * owner can see what was cut off and when.
+   */
+  async listKeys(userId) {
+    return prisma.apiKey.findMany({
+      where: { userId },
+      select: KEY_SELECT,
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Create a key for the caller. Returns the raw key — it is never shown again.
+   */
+  async createKey(actor, { name, scopes, expiresAt }) {
+    if (actor.apiKeyId) {
+      throw new ForbiddenError('API keys cannot be used to create API keys');
+    }
+
+    if (expiresAt && expiresAt <= new Date()) {
+      throw new BadRequestError('expiresAt must be in the future');
+    }
+
+    const granted = await permissionService.getUserPermissions(
+      actor.id,
+      actor.organizationId,
+    );
+    const missing = scopes.filter(
+      (scope) => !granted.some((held) => covers(held, scope)),
+    );
+    if (missing.length > 0) {
+      throw new ForbiddenError(
+        `Cannot grant permissions you do not have: ${missing.join(', ')}`,
+      );
+    }
+
+    const key = `${KEY_PREFIX}${randomToken()}`;
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        userId: actor.id,
+        organizationId: actor.organizationId,
+        name,
+        prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+        keyHash: hashToken(key),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt || null,
+      },
+      select: KEY_SELECT,
+    });
+
+    logger.info({ userId: actor.id, apiKeyId: apiKey.id }, 'API key created');
+
+    return { ...apiKey, key };
+  }
+
+  /**
+   * Revoke one of the caller's keys. Idempotent for already-revoked keys.
+   */
+  async revokeKey(userId, id) {
+    const apiKey = await prisma.apiKey.findFirst({ where: { id, userId } });
+    if (!apiKey) throw new NotFoundError('API key');
+
+    if (apiKey.revokedAt) return;
+
+    await prisma.apiKey.update({
+      where: { id },
+      data: { revokedAt: new Date() },
+    });
+
+    logger.info({ userId, apiKeyId: id }, 'API key revoked');
+  }
+
+  /**
+   * Resolve a raw key into the `req.user` shape used by the rest of the app,
+   * plus `apiKeyId` (for audit attribution) and `apiKeyScopes`.
+   */
+  async authenticate(key, ipAddress) {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash: hashToken(key) },
+      include: {
+        user: {
+          select: { id: true, email: true, isActive: true },
+        },
+      },
+    });
+
+    if (!apiKey || apiKey.revokedAt) {
+      throw new UnauthorizedError('Invalid API key');
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+      throw new UnauthorizedError('API key expired');
+    }
+    if (
+      !apiKey.user.isActive ||
+      !(await membershipService.isActiveMember(
+        apiKey.user.id,
+        apiKey.organizationId,
+      ))
+    ) {
+      throw new UnauthorizedError('User account is deactivated');
+    }
+
+    const now = Date.now();
+    if (
+      !apiKey.lastUsedAt ||
+      now - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS
+    ) {
+      // Fire-and-forget: a failed bookkeeping write must not fail the request
+      prisma.apiKey
+        .update({
+          where: { id: apiKey.id },
+          data: { lastUsedAt: new Date(now), lastUsedIp: ipAddress || null },
+        })
+        .catch((err) =>
+          logger.error({ err, apiKeyId: apiKey.id }, 'API key touch failed'),
+        );
+    }
+
+    return {
+      id: apiKey.user.id,
+      email: apiKey.user.email,
+      organizationId: apiKey.organizationId,
+      apiKeyId: apiKey.id,
+      apiKeyScopes: apiKey.scopes,
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
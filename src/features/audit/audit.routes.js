@@ -9,11 +9,16 @@ const { Router } = require('express');
 const auditController = require('./audit.controller');
 const validate = require('../../utils/validate');
 const { auditLogQuerySchema } = require('./audit.schema');
-const { authenticate, authorize, resolveTenant } = require('../../middleware');
+const {
+  authenticate,
+  authorize,
+  resolveTenant,
+  apiQuota,
+} = require('../../middleware');
 
 const router = Router();
 
-router.use(authenticate, resolveTenant);
+router.use(authenticate, resolveTenant, apiQuota);
 
 /**
  * @openapi
@@ -44,6 +49,18 @@ router.use(authenticate, resolveTenant);
  *         name: userId
  *         schema: { type: string, format: uuid }
  *       - in: query
+ *         name: apiKeyId
+ *         schema: { type: string, format: uuid }
+ *         description: Only calls made with this API key
+ *       - in: query
+ *         name: impersonatorId
+ *         schema: { type: string, format: uuid }
+ *         description: Only actions this user performed while impersonating
+ *       - in: query
+ *         name: crossTenant
+ *         schema: { type: string, enum: ['true', 'false'] }
+ *         description: Only (or no) entries from cross-tenant requests
+ *       - in: query
  *         name: startDate
  *         schema: { type: string, format: date-time }
  *       - in: query
@@ -10,6 +10,12 @@ const auditLogQuerySchema = z.object({
   action: z.string().max(100).optional(),
   resource: z.string().max(100).optional(),
   userId: z.string().uuid().optional(),
+  apiKeyId: z.string().uuid().optional(),
+  impersonatorId: z.string().uuid().optional(),
+  crossTenant: z
+    .enum(['true', 'false'])
+    .transform((value) => value === 'true')
+    .optional(),
   startDate: z.coerce.date().optional(),
   endDate: z.coerce.date().optional(),
   sortOrder: z.enum(['asc', 'desc']).optional().default('desc'),
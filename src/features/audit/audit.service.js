@@ -1,14 +1,56 @@
 // ============================================================================
 // Audit Log Service
 // ============================================================================
-// Read-only service. Audit logs are immutable — no update/delete operations.
-// Created automatically by the auditLog middleware.
+// Audit logs are immutable — no update/delete operations.
+// Created automatically by the auditLog middleware, or via record() for
+// events the middleware can't see (failed requests, background jobs).
 // ============================================================================
 
 const prisma = require('../../config/database');
 const { parsePagination } = require('../../utils/helpers');
+const logger = require('../../config/logger');
 
 class AuditService {
+  /**
+   * Write an audit entry directly. Like the middleware, this never throws —
+   * a failed audit write must not change the outcome of the operation.
+   */
+  async record({
+    action,
+    resource,
+    resourceId = null,
+    userId = null,
+    organizationId = null,
+    ipAddress = null,
+    userAgent = null,
+    metadata = null,
+    impersonatorId = null,
+    homeOrganizationId = null,
+    correlationId = null,
+    apiKeyId = null,
+  }) {
+    try {
+      await prisma.auditLog.create({
+        data: {
+          action,
+          resource,
+          resourceId,
+          userId,
+          organizationId,
+          ipAddress,
+          userAgent,
+          metadata,
+          impersonatorId,
+          homeOrganizationId,
+          correlationId,
+          apiKeyId,
+        },
+      });
+    } catch (err) {
+      logger.error({ err, action, resource }, 'Audit log write failed');
+    }
+  }
+
   async listAuditLogs(organizationId, query) {
     const { page, limit, skip } = parsePagination(query);
 
@@ -17,6 +59,11 @@ class AuditService {
       ...(query.action && { action: query.action }),
       ...(query.resource && { resource: query.resource }),
       ...(query.userId && { userId: query.userId }),
+      ...(query.apiKeyId && { apiKeyId: query.apiKeyId }),
+      ...(query.impersonatorId && { impersonatorId: query.impersonatorId }),
+      ...(query.crossTenant !== undefined && {
+        homeOrganizationId: query.crossTenant ? { not: null } : null,
+      }),
       ...((query.startDate || query.endDate) && {
         createdAt: {
           ...(query.startDate && { gte: query.startDate }),
@@ -36,10 +83,15 @@ class AuditService {
           ipAddress: true,
           metadata: true,
           correlationId: true,
+          homeOrganizationId: true,
           createdAt: true,
           user: {
             select: { id: true, email: true, firstName: true, lastName: true },
           },
+          apiKey: { select: { id: true, name: true, prefix: true } },
+          impersonator: {
+            select: { id: true, email: true, firstName: true, lastName: true },
+          },
         },
         skip,
         take: limit,
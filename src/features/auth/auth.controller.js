@@ -7,6 +7,7 @@
 
 const authService = require('./auth.service');
 const { success } = require('../../utils/response');
+const { getClientInfo } = require('../../utils/helpers');
 
 const authController = {
   /**
@@ -14,7 +15,7 @@ const authController = {
    */
   async login(req, res, next) {
     try {
-      const result = await authService.login(req.body);
+      const result = await authService.login(req.body, getClientInfo(req));
       return success(res, result, 200);
     } catch (err) {
       next(err);
@@ -38,7 +39,7 @@ const authController = {
    */
   async refresh(req, res, next) {
     try {
-      const result = await authService.refresh(req.body);
+      const result = await authService.refresh(req.body, getClientInfo(req));
       return success(res, result, 200);
     } catch (err) {
       next(err);
@@ -62,6 +63,113 @@ const authController = {
     }
   },
 
+  /**
+   * POST /auth/switch-organization
+   */
+  async switchOrganization(req, res, next) {
+    try {
+      const accessToken = req.headers.authorization?.split(' ')[1];
+      const result = await authService.switchOrganization(
+        req.user,
+        req.body,
+        accessToken,
+        getClientInfo(req),
+      );
+      return success(res, result, 200);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /auth/forgot-password
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      await authService.forgotPassword(req.body);
+      return success(
+        res,
+        {
+          message:
+            'If an account exists for that email, a reset link has been sent',
+        },
+        200,
+      );
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /auth/reset-password
+   */
+  async resetPassword(req, res, next) {
+    try {
+      await authService.resetPassword(req.body);
+      return success(res, { message: 'Password has been reset' }, 200);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /auth/change-password
+   */
+  async changePassword(req, res, next) {
+    try {
+      await authService.changePassword(req.user, req.body);
+      return success(res, { message: 'Password changed' }, 200);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /auth/change-expired-password
+   */
+  async changeExpiredPassword(req, res, next) {
+    try {
+      const result = await authService.changeExpiredPassword(
+        req.body,
+        getClientInfo(req),
+      );
+      return success(res, result, 200);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /auth/verify-email
+   */
+  async verifyEmail(req, res, next) {
+    try {
+      await authService.verifyEmail(req.body);
+      return success(res, { message: 'Email verified' }, 200);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /auth/verify-email/resend
+   */
+  async resendVerification(req, res, next) {
+    try {
+      await authService.resendEmailVerification(req.body);
+      return success(
+        res,
+        {
+          message:
+            'If the account exists and is unverified, a new link has been sent',
+        },
+        200,
+      );
+    } catch (err) {
+      next(err);
+    }
+  },
+
   /**
    * POST /auth/force-logout/:userId
    */
@@ -16,9 +16,21 @@ const {
   loginSchema,
   refreshTokenSchema,
   registerSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  changePasswordSchema,
+  changeExpiredPasswordSchema,
+  switchOrganizationSchema,
 } = require('./auth.schema');
 const validate = require('../../utils/validate');
-const { authenticate, authorize, auditLog } = require('../../middleware');
+const {
+  authenticate,
+  authorize,
+  auditLog,
+  denyImpersonation,
+} = require('../../middleware');
 const { authLimiter } = require('../../middleware/rateLimiter');
 
 const router = Router();
@@ -35,16 +47,30 @@ const router = Router();
  *         application/json:
  *           schema:
  *             type: object
- *             required: [email, password, organizationSlug]
+ *             required: [email, password]
  *             properties:
  *               email: { type: string, format: email }
- *               password: { type: string, minLength: 8 }
- *               organizationSlug: { type: string }
+ *               password: { type: string }
+ *               organizationSlug:
+ *                 type: string
+ *                 description: |
+ *                   Organization to sign in to. Optional for members of a
+ *                   single organization.
  *     responses:
  *       200:
- *         description: Login successful — returns access + refresh tokens
+ *         description: |
+ *           Login successful — returns access + refresh tokens, with the
+ *           user's `organization` and all of their `organizations`. May
+ *           instead return `mfaRequired`, `mfaEnrollmentRequired`,
+ *           `passwordChangeRequired` (password older than the org's max age)
+ *           or `organizationSelectionRequired` with the `organizations` to
+ *           pick from (sign in again with one of their slugs).
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: |
+ *           Email not verified (org requires verification), or no active
+ *           organization membership
  *       429:
  *         description: Too many login attempts
  */
@@ -70,7 +96,9 @@ router.post(
  *             required: [email, password, firstName, lastName, organizationSlug]
  *             properties:
  *               email: { type: string, format: email }
- *               password: { type: string, minLength: 8 }
+ *               password:
+ *                 type: string
+ *                 description: Must satisfy the organization's password policy
  *               firstName: { type: string }
  *               lastName: { type: string }
  *               organizationSlug: { type: string }
@@ -79,6 +107,8 @@ router.post(
  *         description: User created
  *       409:
  *         description: User already exists
+ *       422:
+ *         description: Password does not satisfy the policy
  */
 router.post(
   '/register',
@@ -140,6 +170,254 @@ router.post(
   authController.logout,
 );
 
+/**
+ * @openapi
+ * /auth/forgot-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Request a password reset email
+ *     description: |
+ *       Always returns 200 with the same message, whether or not the account
+ *       exists, to prevent user enumeration.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       429:
+ *         description: Too many requests
+ */
+router.post(
+  '/forgot-password',
+  authLimiter,
+  validate({ body: forgotPasswordSchema }),
+  auditLog('PASSWORD_RESET_REQUESTED', 'AUTH'),
+  authController.forgotPassword,
+);
+
+/**
+ * @openapi
+ * /auth/reset-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Set a new password using a reset token
+ *     description: |
+ *       Tokens are single-use. A successful reset revokes all of the user's
+ *       refresh tokens (every session must log in again).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token: { type: string }
+ *               password:
+ *                 type: string
+ *                 description: Must satisfy the organization's password policy
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid, expired, or already-used token
+ *       422:
+ *         description: Password does not satisfy the policy
+ */
+router.post(
+  '/reset-password',
+  authLimiter,
+  validate({ body: resetPasswordSchema }),
+  auditLog('PASSWORD_RESET', 'AUTH'),
+  authController.resetPassword,
+);
+
+/**
+ * @openapi
+ * /auth/change-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Change your own password
+ *     description: |
+ *       Validated against the organization's password policy, including
+ *       history. Every other session is revoked; this one stays signed in.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currentPassword, newPassword]
+ *             properties:
+ *               currentPassword: { type: string }
+ *               newPassword: { type: string }
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Current password is incorrect
+ *       422:
+ *         description: Password does not satisfy the policy
+ */
+router.post(
+  '/change-password',
+  authLimiter,
+  authenticate,
+  denyImpersonation,
+  validate({ body: changePasswordSchema }),
+  auditLog('PASSWORD_CHANGED', 'AUTH'),
+  authController.changePassword,
+);
+
+/**
+ * @openapi
+ * /auth/change-expired-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Replace an expired password and finish signing in
+ *     description: |
+ *       Exchanges the `passwordChangeToken` returned by login (when the
+ *       password is older than the org's max age) and a new password for
+ *       the rest of the login — tokens, or the MFA step.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [passwordChangeToken, newPassword]
+ *             properties:
+ *               passwordChangeToken: { type: string }
+ *               newPassword: { type: string }
+ *     responses:
+ *       200:
+ *         description: Password changed — same response shape as login
+ *       401:
+ *         description: Invalid or expired password change token
+ *       422:
+ *         description: Password does not satisfy the policy
+ */
+router.post(
+  '/change-expired-password',
+  authLimiter,
+  validate({ body: changeExpiredPasswordSchema }),
+  authController.changeExpiredPassword,
+);
+
+/**
+ * @openapi
+ * /auth/switch-organization:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Switch the current session to another of your organizations
+ *     description: |
+ *       Re-issues the access and refresh tokens for another active
+ *       membership. The session continues; its previous tokens are
+ *       revoked. The target organization's email verification, MFA
+ *       enrollment and password age requirements must already be met.
+ *
+ *       If the target organization requires MFA, the response is
+ *       `{ mfaRequired: true, mfaToken }` instead and the current session is
+ *       left untouched; pass the token and a code to `/auth/mfa/challenge` to
+ *       complete the switch.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [organizationId]
+ *             properties:
+ *               organizationId: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: |
+ *           New tokens — same response shape as login — or an MFA challenge
+ *       403:
+ *         description: |
+ *           API key or impersonation session, or a requirement of the target
+ *           organization is not met (EMAIL_NOT_VERIFIED,
+ *           MFA_ENROLLMENT_REQUIRED, PASSWORD_EXPIRED)
+ *       404:
+ *         description: Not a member of that organization
+ */
+router.post(
+  '/switch-organization',
+  authenticate,
+  denyImpersonation,
+  validate({ body: switchOrganizationSchema }),
+  authController.switchOrganization,
+);
+
+/**
+ * @openapi
+ * /auth/verify-email:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Confirm an email address with the emailed token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string }
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid, expired, or already-used token
+ */
+router.post(
+  '/verify-email',
+  authLimiter,
+  validate({ body: verifyEmailSchema }),
+  auditLog('EMAIL_VERIFIED', 'AUTH'),
+  authController.verifyEmail,
+);
+
+/**
+ * @openapi
+ * /auth/verify-email/resend:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Resend the email verification link
+ *     description: |
+ *       Always returns 200 with the same message. Requests are throttled per
+ *       account (cooldown + hourly cap) in addition to the IP rate limit.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *     responses:
+ *       200:
+ *         description: Link sent if the account exists and is unverified
+ */
+router.post(
+  '/verify-email/resend',
+  authLimiter,
+  validate({ body: resendVerificationSchema }),
+  authController.resendVerification,
+);
+
 /**
  * @openapi
  * /auth/force-logout/{userId}:
@@ -4,13 +4,14 @@
 
 const { z } = require('zod');
 
+// Strength rules are per-organization — see PasswordPolicyService
+const newPassword = z.string().min(1, 'Password is required').max(128);
+
 const loginSchema = z.object({
   email: z.string().email('Invalid email format').max(255),
-  password: z
-    .string()
-    .min(8, 'Password must be at least 8 characters')
-    .max(128),
-  organizationSlug: z.string().min(1).max(100),
+  password: z.string().min(1, 'Password is required').max(128),
+  // Optional: members of several organizations are asked to pick one
+  organizationSlug: z.string().min(1).max(100).optional(),
 });
 
 const refreshTokenSchema = z.object({
@@ -19,17 +20,56 @@ const refreshTokenSchema = z.object({
 
 const registerSchema = z.object({
   email: z.string().email('Invalid email format').max(255),
-  password: z
-    .string()
-    .min(8, 'Password must be at least 8 characters')
-    .max(128)
-    .regex(
-      /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]+$/,
-      'Password must contain uppercase, lowercase, number, and special character',
-    ),
+  password: newPassword,
   firstName: z.string().min(1).max(100),
   lastName: z.string().min(1).max(100),
   organizationSlug: z.string().min(1).max(100),
 });
 
-module.exports = { loginSchema, refreshTokenSchema, registerSchema };
+// Accounts are global, so the organization is no longer needed; older
+// clients may still send it
+const forgotPasswordSchema = z.object({
+  email: z.string().email('Invalid email format').max(255),
+  organizationSlug: z.string().min(1).max(100).optional(),
+});
+
+const resetPasswordSchema = z.object({
+  token: z.string().min(1, 'Reset token is required').max(255),
+  password: newPassword,
+});
+
+const verifyEmailSchema = z.object({
+  token: z.string().min(1, 'Verification token is required').max(255),
+});
+
+const resendVerificationSchema = z.object({
+  email: z.string().email('Invalid email format').max(255),
+  organizationSlug: z.string().min(1).max(100).optional(),
+});
+
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1, 'Current password is required').max(128),
+  newPassword,
+});
+
+const changeExpiredPasswordSchema = z.object({
+  passwordChangeToken: z.string().min(1, 'Password change token is required'),
+  newPassword,
+});
+
+const switchOrganizationSchema = z.object({
+  organizationId: z.string().uuid('Invalid organization ID format'),
+});
+
+module.exports = {
+  loginSchema,
+  refreshTokenSchema,
+  registerSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  changePasswordSchema,
+  changeExpiredPasswordSchema,
+  switchOrganizationSchema,
+};
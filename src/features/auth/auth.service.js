@@ -2,10 +2,15 @@
 // Auth Service — Business Logic
 // ============================================================================
 // Handles:
-//   - Login (credential verification + token generation)
+//   - Login (credential verification + token generation, MFA gate)
 //   - Token refresh with rotation
 //   - Logout (token revocation)
 //   - Register (new user creation)
+//   - Password reset (emailed single-use token → new password)
+//   - Email verification (drives User.emailVerified, optional login gate)
+//   - Account lockout (per-account failure count, progressive delays)
+//   - Password change (self-service, and forced when the org's max age passes)
+//   - Organization choice at login and switching between memberships
 //
 // Architectural notes:
 //   - bcrypt.compare is timing-safe by design (prevents timing attacks).
@@ -14,6 +19,12 @@
 //     the entire family — forcing re-login on all devices.
 //   - Access tokens are short-lived (15m) to limit blast radius if leaked.
 //   - Refresh tokens are stored in DB with a family UUID for rotation tracking.
+//   - Password reset tokens are stored hashed; forgotPassword() responds the
+//     same way whether or not the account exists (no user enumeration).
+//   - Lockout follows the same rule: unknown, locked and wrong-password
+//     attempts all get the same 401 after the same escalating delay.
+//   - One identity can be a member of several organizations. Tokens are
+//     issued for one of them at a time (the `organizationId` claim).
 // ============================================================================
 
 const bcrypt = require('bcrypt');
@@ -27,45 +38,213 @@ const {
   NotFoundError,
   ConflictError,
   BadRequestError,
+  ForbiddenError,
 } = require('../../utils/errors');
 const { expiryToDate } = require('../../utils/helpers');
+const { hashToken, randomToken } = require('../../utils/crypto');
+const mailer = require('../../config/mailer');
 const logger = require('../../config/logger');
+const auditService = require('../audit/audit.service');
+const passwordPolicyService = require('../password-policy/passwordPolicy.service');
+const sessionService = require('../sessions/session.service');
+const membershipService = require('../memberships/membership.service');
+const quotaService = require('../plans/quota.service');
+const signingKeyService = require('../signing-keys/signingKey.service');
 
 class AuthService {
   /**
    * Authenticate user with email + password.
-   * Returns access token + refresh token pair.
+   * Returns access token + refresh token pair, or an MFA challenge when the
+   * user (or their organization) requires a second factor.
+   * Without `organizationSlug`, a member of several organizations gets the
+   * list to choose from and signs in again with one of their slugs.
+   * `client` ({ ipAddress, userAgent }) is recorded on the session.
    */
-  async login({ email, password, organizationSlug }) {
-    // Resolve organization first
-    const organization = await prisma.organization.findUnique({
-      where: { slug: organizationSlug },
-    });
+  async login({ email, password, organizationSlug }, client = {}) {
+    let organization = null;
+    if (organizationSlug) {
+      organization = await prisma.organization.findUnique({
+        where: { slug: organizationSlug },
+      });
 
-    if (!organization || !organization.isActive) {
-      throw new NotFoundError('Organization');
+      if (!organization || !organization.isActive) {
+        throw new NotFoundError('Organization');
+      }
     }
 
-    // Find user within this tenant
-    const user = await prisma.user.findUnique({
-      where: {
-        email_organizationId: { email, organizationId: organization.id },
-      },
-    });
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    // Failures are audited in the requested organization, else the home one
+    const auditOrgId = organization?.id ?? user?.organizationId ?? null;
 
     if (!user || !user.isActive) {
+      await this._recordUntrackedFailure(auditOrgId, email, client, {
+        userId: user?.id,
+        reason: user ? 'ACCOUNT_INACTIVE' : 'UNKNOWN_ACCOUNT',
+      });
       // Generic message to prevent user enumeration
       throw new UnauthorizedError('Invalid credentials');
     }
 
+    // Locked accounts don't get their password checked at all
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      await this._recordUntrackedFailure(auditOrgId, email, client, {
+        userId: user.id,
+        reason: 'ACCOUNT_LOCKED',
+      });
+      throw new UnauthorizedError('Invalid credentials');
+    }
+
     // Verify password (bcrypt.compare is timing-safe)
     const passwordValid = await bcrypt.compare(password, user.passwordHash);
     if (!passwordValid) {
+      await this._recordLoginFailure(user, auditOrgId, client);
       throw new UnauthorizedError('Invalid credentials');
     }
 
-    // Generate token pair
-    const tokens = await this._generateTokenPair(user, organization.id);
+    if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { failedLoginAttempts: 0, lockedUntil: null },
+      });
+    }
+
+    // ── Organization choice ──────────────────────────────────────────
+    const choice = await this._chooseOrganization(user, organization);
+    if (choice.organizationSelectionRequired) return choice;
+    organization = choice.organization;
+
+    // Checked after the password so the gates reveal nothing to an attacker
+    return this.continueLogin(user, organization, client);
+  }
+
+  /**
+   * The organization's gates for a user whose identity is already proven
+   * (by password or SSO): email verification, password age, then MFA.
+   * Returns the session, or the step that has to come first.
+   */
+  async continueLogin(user, organization, client = {}) {
+    // Org policy: unverified users can't log in until they confirm their email
+    if (organization.requireEmailVerification && !user.emailVerified) {
+      throw new ForbiddenError(
+        'Email address has not been verified',
+        'EMAIL_NOT_VERIFIED',
+      );
+    }
+
+    return this._continueLogin(user, organization, client);
+  }
+
+  /**
+   * Replace an expired password using the passwordChangeToken from login,
+   * then carry on with the rest of the login (MFA gates, session).
+   */
+  async changeExpiredPassword(
+    { passwordChangeToken, newPassword },
+    client = {},
+  ) {
+    let decoded;
+    try {
+      decoded = await signingKeyService.verify(passwordChangeToken, {
+        legacySecret: config.jwt.accessSecret,
+      });
+    } catch {
+      throw new UnauthorizedError('Invalid or expired password change token');
+    }
+    if (decoded.type !== 'password_change') {
+      throw new UnauthorizedError('Invalid or expired password change token');
+    }
+
+    const [user, organization] = await Promise.all([
+      prisma.user.findUnique({ where: { id: decoded.sub } }),
+      prisma.organization.findUnique({
+        where: { id: decoded.organizationId },
+      }),
+    ]);
+    // Single use: once the password has changed the token is spent
+    if (
+      !user ||
+      !user.isActive ||
+      !organization ||
+      !(await membershipService.isActiveMember(user.id, organization.id)) ||
+      user.passwordChangedAt.getTime() > decoded.iat * 1000
+    ) {
+      throw new UnauthorizedError('Invalid or expired password change token');
+    }
+
+    // The policy that expired the password is the one it must now satisfy
+    const updated = await this._setPassword(user, newPassword, {
+      organizationId: organization.id,
+      field: 'newPassword',
+    });
+
+    // The old password is presumed stale everywhere
+    await this.forceLogout(user.id);
+
+    await auditService.record({
+      action: 'PASSWORD_CHANGED',
+      resource: 'AUTH',
+      userId: user.id,
+      organizationId: organization.id,
+      ...client,
+      metadata: { reason: 'EXPIRED' },
+    });
+
+    return this._continueLogin(updated, organization, client);
+  }
+
+  /**
+   * Self-service password change for a signed-in user. Every other session
+   * is revoked; the one making the request stays signed in.
+   */
+  async changePassword(
+    { id: userId, organizationId, sessionId, apiKeyId },
+    { currentPassword, newPassword },
+  ) {
+    if (apiKeyId) {
+      throw new ForbiddenError('API keys cannot be used to change a password');
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) throw new NotFoundError('User');
+
+    const currentValid = await bcrypt.compare(
+      currentPassword,
+      user.passwordHash,
+    );
+    if (!currentValid) {
+      throw new BadRequestError('Current password is incorrect');
+    }
+
+    await this._setPassword(user, newPassword, {
+      organizationId,
+      field: 'newPassword',
+    });
+
+    const families = await prisma.refreshToken.findMany({
+      where: { userId, isRevoked: false, family: { not: sessionId } },
+      distinct: ['family'],
+      select: { family: true },
+    });
+    for (const { family } of families) {
+      await sessionService.revokeSession(userId, family);
+    }
+
+    logger.info({ userId }, 'Password changed');
+  }
+
+  /**
+   * Issue a session for a fully authenticated user.
+   * Shared by password login, the MFA challenge/enrollment steps and SSO.
+   */
+  async completeLogin(user, organizationId, client = {}) {
+    // Generate token pair (starts a new session family)
+    const tokens = await this._generateTokenPair(
+      user,
+      organizationId,
+      null,
+      client,
+    );
 
     // Update last login
     await prisma.user.update({
@@ -73,30 +252,132 @@ class AuthService {
       data: { lastLoginAt: new Date() },
     });
 
-    // Fetch user roles for the response
-    const userRoles = await prisma.userRole.findMany({
-      where: { userId: user.id },
-      include: {
-        role: {
-          select: { id: true, name: true, description: true, isSystem: true },
-        },
-      },
+    logger.info({ userId: user.id, orgId: organizationId }, 'User logged in');
+
+    return this._sessionResponse(user, organizationId, tokens);
+  }
+
+  /**
+   * Move the current session to another organization the user belongs to.
+   * The session (token family) carries on; its tokens for the previous
+   * organization are revoked and a new pair is issued.
+   *
+   * If the target organization requires MFA, no tokens are issued yet: an
+   * mfa_challenge token is returned as at login, and POST /auth/mfa/challenge
+   * completes the switch.
+   */
+  async switchOrganization(
+    { id: userId, organizationId: fromOrganizationId, sessionId, apiKeyId },
+    { organizationId },
+    accessToken,
+    client = {},
+  ) {
+    if (apiKeyId) {
+      throw new ForbiddenError('API keys are bound to a single organization');
+    }
+    if (organizationId === fromOrganizationId) {
+      throw new BadRequestError('Already signed in to this organization');
+    }
+
+    const [user, organization] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId } }),
+      prisma.organization.findUnique({ where: { id: organizationId } }),
+    ]);
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError('User account is deactivated');
+    }
+    if (
+      !organization ||
+      !(await membershipService.isActiveMember(userId, organizationId))
+    ) {
+      throw new NotFoundError('Organization');
+    }
+
+    await this._assertCanEnter(user, organization);
+
+    // ── MFA gate ─────────────────────────────────────────────────────
+    // The current session may never have seen a second factor (e.g. it
+    // comes from an organization that does not require one), so ask for it.
+    // The session is left as it is until the challenge is passed; the
+    // current access token is kept server-side (not in the mfaToken) so it
+    // can be blacklisted then.
+    if (organization.requireMfa) {
+      const ref = randomToken();
+      const ttl = Math.ceil(
+        (expiryToDate(config.mfa.challengeExpiry).getTime() - Date.now()) /
+          1000,
+      );
+      await cache.set(`switch-token:${ref}`, accessToken, ttl);
+
+      return {
+        mfaRequired: true,
+        mfaToken: await this._generateMfaToken(
+          user,
+          organizationId,
+          'mfa_challenge',
+          {
+            switch: { sid: sessionId || null, from: fromOrganizationId, ref },
+          },
+        ),
+      };
+    }
+
+    return this.completeSwitch(
+      user,
+      organizationId,
+      { sessionId, fromOrganizationId, accessToken },
+      client,
+    );
+  }
+
+  /**
+   * Issue the tokens for an organization switch that passed its checks.
+   * Shared by switchOrganization and the MFA challenge step, which passes
+   * `switchRef` to find the access token the switch started from.
+   */
+  async completeSwitch(
+    user,
+    organizationId,
+    { sessionId = null, fromOrganizationId, accessToken = null, switchRef },
+    client = {},
+  ) {
+    const userId = user.id;
+
+    if (switchRef) {
+      accessToken = await cache.get(`switch-token:${switchRef}`);
+      await cache.del(`switch-token:${switchRef}`);
+    }
+
+    if (sessionId) {
+      await prisma.refreshToken.updateMany({
+        where: { userId, family: sessionId, isRevoked: false },
+        data: { isRevoked: true },
+      });
+    }
+    if (accessToken) await this._blacklistAccessToken(accessToken);
+
+    const tokens = await this._generateTokenPair(
+      user,
+      organizationId,
+      sessionId,
+      client,
+    );
+
+    await auditService.record({
+      action: 'ORGANIZATION_SWITCHED',
+      resource: 'AUTH',
+      userId,
+      organizationId,
+      ...client,
+      metadata: { fromOrganizationId },
     });
 
-    logger.info({ userId: user.id, orgId: organization.id }, 'User logged in');
+    logger.info(
+      { userId, from: fromOrganizationId, to: organizationId },
+      'Switched organization',
+    );
 
-    return {
-      accessToken: tokens.accessToken,
-      refreshToken: tokens.refreshToken,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        organizationId: organization.id,
-        userRoles,
-      },
-    };
+    return this._sessionResponse(user, organizationId, tokens);
   }
 
   /**
@@ -111,19 +392,17 @@ class AuthService {
       throw new NotFoundError('Organization');
     }
 
-    // Check for existing user
-    const existingUser = await prisma.user.findUnique({
-      where: {
-        email_organizationId: { email, organizationId: organization.id },
-      },
-    });
+    // Emails are global — an existing account joins an organization by
+    // accepting an invitation, not by registering again
+    const existingUser = await prisma.user.findUnique({ where: { email } });
 
     if (existingUser) {
-      throw new ConflictError(
-        'User with this email already exists in this organization',
-      );
+      throw new ConflictError('An account with this email already exists');
     }
 
+    await quotaService.assertCanAddMember(organization.id);
+    await passwordPolicyService.validate(organization.id, password);
+
     const passwordHash = await bcrypt.hash(password, config.bcrypt.saltRounds);
 
     // Find default role for this org (or global "USER" role)
@@ -147,26 +426,34 @@ class AuthService {
         },
       });
 
+      await membershipService.add(newUser.id, organization.id, tx);
+
       // Assign default role if exists
       if (defaultRole) {
         await tx.userRole.create({
           data: {
             userId: newUser.id,
             roleId: defaultRole.id,
+            organizationId: organization.id,
           },
         });
       }
 
+      await passwordPolicyService.recordPassword(newUser.id, passwordHash, tx);
+
       return newUser;
     });
 
     logger.info({ userId: user.id, orgId: organization.id }, 'User registered');
 
+    await this.sendEmailVerification(user);
+
     return {
       id: user.id,
       email: user.email,
       firstName: user.firstName,
       lastName: user.lastName,
+      emailVerified: user.emailVerified,
       organizationId: organization.id,
     };
   }
@@ -176,11 +463,13 @@ class AuthService {
    * The old refresh token is revoked, a new pair is issued.
    * If a revoked token is reused, the entire family is invalidated (security measure).
    */
-  async refresh({ refreshToken }) {
+  async refresh({ refreshToken }, client = {}) {
     // Verify the refresh token JWT
     let decoded;
     try {
-      decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
+      decoded = await signingKeyService.verify(refreshToken, {
+        legacySecret: config.jwt.refreshSecret,
+      });
     } catch {
       throw new UnauthorizedError('Invalid refresh token');
     }
@@ -222,6 +511,16 @@ class AuthService {
       throw new UnauthorizedError('User account is deactivated');
     }
 
+    // Removed from the organization since the session started
+    if (
+      !(await membershipService.isActiveMember(
+        storedToken.userId,
+        decoded.organizationId,
+      ))
+    ) {
+      throw new UnauthorizedError('Organization membership is not active');
+    }
+
     // ── Rotate ───────────────────────────────────────────────────────
     // Revoke old token, create new one in the same family
     const [, tokens] = await Promise.all([
@@ -233,6 +532,7 @@ class AuthService {
         storedToken.user,
         decoded.organizationId,
         storedToken.family,
+        client,
       ),
     ]);
 
@@ -246,20 +546,7 @@ class AuthService {
    * Logout — revokes the refresh token and blacklists the access token.
    */
   async logout({ accessToken, refreshToken, userId }) {
-    // Blacklist the access token in Redis (TTL matches remaining lifetime)
-    if (accessToken) {
-      try {
-        const decoded = jwt.decode(accessToken);
-        if (decoded && decoded.exp) {
-          const ttl = decoded.exp - Math.floor(Date.now() / 1000);
-          if (ttl > 0) {
-            await cache.set(`blacklist:${accessToken}`, true, ttl);
-          }
-        }
-      } catch {
-        // Ignore decode failures — token might already be expired
-      }
-    }
+    await this._blacklistAccessToken(accessToken);
 
     // Revoke the refresh token
     if (refreshToken) {
@@ -272,6 +559,227 @@ class AuthService {
     logger.info({ userId }, 'User logged out');
   }
 
+  /**
+   * Start a password reset. Always resolves without revealing whether the
+   * account exists; the email is only sent if it does. The password is the
+   * account's, shared by all of its organizations.
+   */
+  async forgotPassword({ email }) {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user || !user.isActive) return;
+
+    const token = randomToken();
+
+    await prisma.passwordResetToken.create({
+      data: {
+        tokenHash: hashToken(token),
+        userId: user.id,
+        expiresAt: expiryToDate(config.passwordReset.tokenExpiry),
+      },
+    });
+
+    const resetUrl = `${config.appUrl}/#/reset-password?token=${token}`;
+
+    try {
+      await mailer.send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          'We received a request to reset your password.',
+          `Use the link below within ${config.passwordReset.tokenExpiry}:`,
+          '',
+          resetUrl,
+          '',
+          "If you didn't request this, you can ignore this email.",
+        ].join('\n'),
+      });
+    } catch (err) {
+      // Don't surface delivery failures — that would reveal the account exists
+      logger.error({ err, userId: user.id }, 'Password reset email failed');
+      return;
+    }
+
+    logger.info({ userId: user.id }, 'Password reset requested');
+  }
+
+  /**
+   * Complete a password reset. The token is consumed atomically, every other
+   * outstanding reset token is invalidated, and all sessions are revoked.
+   */
+  async resetPassword({ token, password }) {
+    const record = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: true },
+    });
+
+    if (
+      !record ||
+      record.usedAt ||
+      new Date() > record.expiresAt ||
+      !record.user.isActive
+    ) {
+      throw new BadRequestError('Invalid or expired reset token');
+    }
+
+    await passwordPolicyService.validate(record.user.organizationId, password, {
+      user: record.user,
+    });
+
+    const passwordHash = await bcrypt.hash(password, config.bcrypt.saltRounds);
+    const now = new Date();
+
+    await prisma.$transaction(async (tx) => {
+      // Claim the token — guards against two concurrent uses of the same link
+      const claimed = await tx.passwordResetToken.updateMany({
+        where: { id: record.id, usedAt: null },
+        data: { usedAt: now },
+      });
+      if (claimed.count === 0) {
+        throw new BadRequestError('Invalid or expired reset token');
+      }
+
+      // Proving control of the mailbox also lifts a lockout
+      await tx.user.update({
+        where: { id: record.userId },
+        data: {
+          passwordHash,
+          passwordChangedAt: now,
+          failedLoginAttempts: 0,
+          lockedUntil: null,
+        },
+      });
+      await passwordPolicyService.recordPassword(
+        record.userId,
+        passwordHash,
+        tx,
+      );
+
+      // Any other reset links still in flight are now stale
+      await tx.passwordResetToken.updateMany({
+        where: { userId: record.userId, usedAt: null },
+        data: { usedAt: now },
+      });
+    });
+
+    // A reset implies the old password may be compromised — end every session
+    await this.forceLogout(record.userId);
+
+    logger.info({ userId: record.userId }, 'Password reset completed');
+  }
+
+  /**
+   * Issue an email verification token and send the link. Used on register,
+   * admin user creation, email change, and resend. Delivery failures are
+   * logged, not thrown — the account itself was created successfully.
+   */
+  async sendEmailVerification(user) {
+    const token = randomToken();
+
+    await prisma.emailVerificationToken.create({
+      data: {
+        tokenHash: hashToken(token),
+        userId: user.id,
+        email: user.email,
+        expiresAt: expiryToDate(config.emailVerification.tokenExpiry),
+      },
+    });
+
+    const verifyUrl = `${config.appUrl}/#/verify-email?token=${token}`;
+
+    try {
+      await mailer.send({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          'Please confirm your email address by opening the link below',
+          `within ${config.emailVerification.tokenExpiry}:`,
+          '',
+          verifyUrl,
+        ].join('\n'),
+      });
+    } catch (err) {
+      logger.error({ err, userId: user.id }, 'Verification email failed');
+    }
+  }
+
+  /**
+   * Consume a verification token and mark the email as verified.
+   */
+  async verifyEmail({ token }) {
+    const record = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: true },
+    });
+
+    // The token must still match the user's current address
+    if (
+      !record ||
+      record.usedAt ||
+      new Date() > record.expiresAt ||
+      record.email !== record.user.email
+    ) {
+      throw new BadRequestError('Invalid or expired verification token');
+    }
+
+    const now = new Date();
+
+    await prisma.$transaction(async (tx) => {
+      const claimed = await tx.emailVerificationToken.updateMany({
+        where: { id: record.id, usedAt: null },
+        data: { usedAt: now },
+      });
+      if (claimed.count === 0) {
+        throw new BadRequestError('Invalid or expired verification token');
+      }
+
+      await tx.user.update({
+        where: { id: record.userId },
+        data: { emailVerified: true },
+      });
+
+      await tx.emailVerificationToken.updateMany({
+        where: { userId: record.userId, usedAt: null },
+        data: { usedAt: now },
+      });
+    });
+
+    logger.info({ userId: record.userId }, 'Email verified');
+  }
+
+  /**
+   * Resend the verification email. Like forgotPassword(), this never reveals
+   * whether the account exists. Per-account throttling (cooldown + hourly
+   * cap) silently drops excess requests on top of the IP rate limiter.
+   */
+  async resendEmailVerification({ email }) {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user || !user.isActive || user.emailVerified) return;
+
+    const recent = await prisma.emailVerificationToken.findMany({
+      where: {
+        userId: user.id,
+        createdAt: { gte: new Date(Date.now() - 60 * 60 * 1000) },
+      },
+      select: { createdAt: true },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const cooldownMs = config.emailVerification.resendCooldownSeconds * 1000;
+    if (
+      recent.length >= config.emailVerification.maxResendsPerHour ||
+      (recent[0] && Date.now() - recent[0].createdAt.getTime() < cooldownMs)
+    ) {
+      logger.warn({ userId: user.id }, 'Verification resend throttled');
+      return;
+    }
+
+    await this.sendEmailVerification(user);
+  }
+
   /**
    * Force logout — revokes ALL refresh tokens for a user.
    * Used by admins to force-logout a compromised account.
@@ -290,28 +798,351 @@ class AuthService {
 
   // ─── Private Helpers ────────────────────────────────────────────────
 
-  async _generateTokenPair(user, organizationId, family = null) {
+  /**
+   * Pick the organization to sign in to. An explicit one must be an active
+   * membership; otherwise a single membership is used and several need the
+   * user to choose.
+   */
+  async _chooseOrganization(user, organization) {
+    const organizations = await membershipService.listOrganizations(user.id);
+
+    if (organization) {
+      // Same answer as a wrong password — say nothing about memberships
+      if (!organizations.some((o) => o.id === organization.id)) {
+        throw new UnauthorizedError('Invalid credentials');
+      }
+      return { organization };
+    }
+
+    if (organizations.length === 0) {
+      throw new ForbiddenError(
+        'Your account is not an active member of any organization',
+        'NO_ACTIVE_MEMBERSHIP',
+      );
+    }
+    if (organizations.length > 1) {
+      return { organizationSelectionRequired: true, organizations };
+    }
+
+    return {
+      organization: await prisma.organization.findUnique({
+        where: { id: organizations[0].id },
+      }),
+    };
+  }
+
+  /**
+   * Switching skips the password step, but the target organization's
+   * login requirements still have to be met already (a required second
+   * factor is then asked for by switchOrganization).
+   */
+  async _assertCanEnter(user, organization) {
+    if (organization.requireEmailVerification && !user.emailVerified) {
+      throw new ForbiddenError(
+        'Email address has not been verified',
+        'EMAIL_NOT_VERIFIED',
+      );
+    }
+    if (organization.requireMfa && !user.mfaEnabled) {
+      throw new ForbiddenError(
+        'This organization requires MFA; enable it before switching',
+        'MFA_ENROLLMENT_REQUIRED',
+      );
+    }
+
+    const policy = await passwordPolicyService.getPolicy(organization.id);
+    if (passwordPolicyService.isExpired(policy, user)) {
+      throw new ForbiddenError(
+        "Your password has expired under this organization's policy; change it before switching",
+        'PASSWORD_EXPIRED',
+      );
+    }
+  }
+
+  /**
+   * Tokens plus the user, their roles in this organization and every
+   * organization they can switch to.
+   */
+  async _sessionResponse(user, organizationId, tokens) {
+    const [userRoles, organizations] = await Promise.all([
+      prisma.userRole.findMany({
+        where: { userId: user.id, organizationId },
+        include: {
+          role: {
+            select: { id: true, name: true, description: true, isSystem: true },
+          },
+        },
+      }),
+      membershipService.listOrganizations(user.id),
+    ]);
+
+    return {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        organizationId,
+        organization: organizations.find((o) => o.id === organizationId),
+        organizations,
+        userRoles,
+      },
+    };
+  }
+
+  /**
+   * Blacklist an access token in Redis (TTL matches remaining lifetime).
+   */
+  async _blacklistAccessToken(accessToken) {
+    if (!accessToken) return;
+    try {
+      const decoded = jwt.decode(accessToken);
+      if (decoded && decoded.exp) {
+        const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+        if (ttl > 0) {
+          await cache.set(`blacklist:${accessToken}`, true, ttl);
+        }
+      }
+    } catch {
+      // Ignore decode failures — token might already be expired
+    }
+  }
+
+  /**
+   * Everything after the password check: forced rotation, then the MFA
+   * gates, then the session. Shared by login and changeExpiredPassword.
+   */
+  async _continueLogin(user, organization, client) {
+    // ── Password age gate ────────────────────────────────────────────
+    // An expired password still proves identity, but it must be replaced
+    // before a session is issued.
+    const policy = await passwordPolicyService.getPolicy(organization.id);
+    if (passwordPolicyService.isExpired(policy, user)) {
+      return {
+        passwordChangeRequired: true,
+        passwordChangeToken: await this._generateMfaToken(
+          user,
+          organization.id,
+          'password_change',
+        ),
+      };
+    }
+
+    // ── MFA gate ─────────────────────────────────────────────────────
+    // Never issue a session before the second factor is verified. The
+    // short-lived mfaToken only proves the password step succeeded.
+    if (user.mfaEnabled) {
+      return {
+        mfaRequired: true,
+        mfaToken: await this._generateMfaToken(
+          user,
+          organization.id,
+          'mfa_challenge',
+        ),
+      };
+    }
+
+    if (organization.requireMfa) {
+      return {
+        mfaEnrollmentRequired: true,
+        mfaToken: await this._generateMfaToken(
+          user,
+          organization.id,
+          'mfa_enrollment',
+        ),
+      };
+    }
+
+    return this.completeLogin(user, organization.id, client);
+  }
+
+  /**
+   * Validate against the org policy (including history), then store the new
+   * hash and remember it. Returns the updated user.
+   */
+  async _setPassword(
+    user,
+    password,
+    { organizationId = user.organizationId, field } = {},
+  ) {
+    await passwordPolicyService.validate(organizationId, password, {
+      user,
+      field,
+    });
+
+    const passwordHash = await bcrypt.hash(password, config.bcrypt.saltRounds);
+
+    return prisma.$transaction(async (tx) => {
+      const updated = await tx.user.update({
+        where: { id: user.id },
+        data: { passwordHash, passwordChangedAt: new Date() },
+      });
+      await passwordPolicyService.recordPassword(user.id, passwordHash, tx);
+      return updated;
+    });
+  }
+
+  /**
+   * Count a wrong password against a known account. Escalates the response
+   * delay and locks the account once `lockout.maxAttempts` is reached.
+   */
+  async _recordLoginFailure(user, organizationId, client) {
+    const { maxAttempts, duration } = config.lockout;
+    const now = new Date();
+    const windowMs = expiryToDate(duration).getTime() - now.getTime();
+
+    // Failures older than the lockout window no longer count
+    const stale =
+      !user.lastFailedLoginAt ||
+      now.getTime() - user.lastFailedLoginAt.getTime() > windowMs;
+
+    const { failedLoginAttempts: attempts } = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        failedLoginAttempts: stale ? 1 : { increment: 1 },
+        lastFailedLoginAt: now,
+      },
+      select: { failedLoginAttempts: true },
+    });
+
+    await auditService.record({
+      action: 'LOGIN_FAILED',
+      resource: 'AUTH',
+      userId: user.id,
+      organizationId,
+      ...client,
+      metadata: { email: user.email, reason: 'INVALID_PASSWORD', attempts },
+    });
+
+    if (attempts >= maxAttempts) {
+      const lockedUntil = expiryToDate(duration);
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { lockedUntil, failedLoginAttempts: 0 },
+      });
+
+      await auditService.record({
+        action: 'ACCOUNT_LOCKED',
+        resource: 'USER',
+        resourceId: user.id,
+        userId: user.id,
+        organizationId,
+        ...client,
+        metadata: { attempts, lockedUntil },
+      });
+
+      logger.warn({ userId: user.id, lockedUntil }, 'Account locked');
+      await this._sendLockoutNotice(user, lockedUntil);
+    }
+
+    await this._failureDelay(attempts);
+  }
+
+  /**
+   * Failures that don't move a per-account counter (unknown, inactive or
+   * already locked accounts). They are still audited and delayed — counted
+   * in Redis by email — so the response is indistinguishable.
+   */
+  async _recordUntrackedFailure(
+    organizationId,
+    email,
+    client,
+    { userId, reason },
+  ) {
+    const windowSeconds = Math.ceil(
+      (expiryToDate(config.lockout.duration).getTime() - Date.now()) / 1000,
+    );
+    // Keyed by email alone: the account is the same in every organization
+    const key = `login-failures:${email}`;
+    const attempts = ((await cache.get(key)) || 0) + 1;
+    await cache.set(key, attempts, windowSeconds);
+
+    await auditService.record({
+      action: 'LOGIN_FAILED',
+      resource: 'AUTH',
+      userId: userId || null,
+      organizationId,
+      ...client,
+      metadata: { email, reason },
+    });
+
+    await this._failureDelay(attempts);
+  }
+
+  /**
+   * Progressive delay: baseDelayMs, 2x, 4x, ... capped at maxDelayMs.
+   */
+  _failureDelay(attempts) {
+    const { baseDelayMs, maxDelayMs } = config.lockout;
+    const ms = Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Tell the owner their account was locked. Delivery failures are logged,
+   * never surfaced — the caller is an unauthenticated login attempt.
+   */
+  async _sendLockoutNotice(user, lockedUntil) {
+    try {
+      await mailer.send({
+        to: user.email,
+        subject: 'Your account has been temporarily locked',
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          'Your account was locked after too many failed sign-in attempts.',
+          `You can try again after ${lockedUntil.toISOString()}, or reset your password to unlock it now:`,
+          '',
+          `${config.appUrl}/#/reset-password`,
+          '',
+          "If this wasn't you, someone may be trying to guess your password.",
+        ].join('\n'),
+      });
+    } catch (err) {
+      logger.error({ err, userId: user.id }, 'Failed to send lockout notice');
+    }
+  }
+
+  /**
+   * Short-lived token proving the password step passed. `type` is
+   * 'mfa_challenge' (verify a code), 'mfa_enrollment' (org requires MFA
+   * but the user has not enrolled yet) or 'password_change' (password has
+   * expired). authenticate() rejects these. `extra` adds claims, e.g.
+   * the session an organization switch continues.
+   */
+  _generateMfaToken(user, organizationId, type, extra = {}) {
+    return signingKeyService.sign(
+      { ...extra, sub: user.id, organizationId, type },
+      { expiresIn: config.mfa.challengeExpiry },
+    );
+  }
+
+  async _generateTokenPair(user, organizationId, family = null, client = {}) {
     const tokenFamily = family || uuidv4();
 
-    // Access token (short-lived, stateless)
-    const accessToken = jwt.sign(
+    // Access token (short-lived, stateless). `sid` is the session (token
+    // family) so a revoked session can be rejected before the token expires.
+    const accessToken = await signingKeyService.sign(
       {
         sub: user.id,
         email: user.email,
         organizationId,
+        sid: tokenFamily,
       },
-      config.jwt.accessSecret,
       { expiresIn: config.jwt.accessExpiry },
     );
 
-    // Refresh token (long-lived, stored in DB)
-    const refreshToken = jwt.sign(
+    // Refresh token (long-lived, stored in DB). Signed by the same key as
+    // access tokens, so `type` is what stops it being used as one.
+    const refreshToken = await signingKeyService.sign(
       {
         sub: user.id,
         organizationId,
         family: tokenFamily,
+        type: 'refresh',
       },
-      config.jwt.refreshSecret,
       { expiresIn: config.jwt.refreshExpiry },
     );
 
@@ -322,6 +1153,8 @@ class AuthService {
         userId: user.id,
         family: tokenFamily,
         expiresAt: expiryToDate(config.jwt.refreshExpiry),
+        ipAddress: client.ipAddress || null,
+        userAgent: client.userAgent?.slice(0, 500) || null,
       },
     });
 
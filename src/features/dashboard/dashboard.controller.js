@@ -3,6 +3,7 @@
 // ============================================================================
 
 const dashboardService = require('./dashboard.service');
+const quotaService = require('../plans/quota.service');
 const { success } = require('../../utils/response');
 
 const dashboardController = {
@@ -14,6 +15,15 @@ const dashboardController = {
       next(err);
     }
   },
+
+  async getUsage(req, res, next) {
+    try {
+      const usage = await quotaService.getUsage(req.tenant.id);
+      return success(res, usage);
+    } catch (err) {
+      next(err);
+    }
+  },
 };
 
 module.exports = dashboardController;
@@ -4,7 +4,12 @@
 
 const { Router } = require('express');
 const dashboardController = require('./dashboard.controller');
-const { authenticate, authorize, resolveTenant } = require('../../middleware');
+const {
+  authenticate,
+  authorize,
+  resolveTenant,
+  apiQuota,
+} = require('../../middleware');
 
 const router = Router();
 
@@ -20,7 +25,8 @@ router.use(authenticate, resolveTenant);
  *     description: |
  *       Returns aggregated metrics including total users, active users,
  *       role distribution, and recent admin activity. Results are cached
- *       for 60 seconds.
+ *       for 60 seconds. A parent organization's metrics include all of its
+ *       sub-organizations, listed under `organizations`.
  *     responses:
  *       200:
  *         description: Dashboard metrics
@@ -29,6 +35,16 @@ router.use(authenticate, resolveTenant);
  *             schema:
  *               type: object
  *               properties:
+ *                 organizations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string, format: uuid }
+ *                       name: { type: string }
+ *                       slug: { type: string }
+ *                       parentId: { type: string, format: uuid, nullable: true }
+ *                       memberCount: { type: integer }
  *                 users:
  *                   type: object
  *                   properties:
@@ -54,8 +70,44 @@ router.use(authenticate, resolveTenant);
  */
 router.get(
   '/metrics',
+  apiQuota,
   authorize('DASHBOARD_READ'),
   dashboardController.getMetrics,
 );
 
+/**
+ * @openapi
+ * /dashboard/usage:
+ *   get:
+ *     tags: [Dashboard]
+ *     summary: Consumption against the organization's plan limits
+ *     security: [{ bearerAuth: [] }]
+ *     description: |
+ *       `limit` and `remaining` are null when unlimited (no plan, or no
+ *       limit on the plan). API requests are counted per calendar month
+ *       (UTC) and reset at `resetsAt`. This request itself isn't counted.
+ *     responses:
+ *       200:
+ *         description: Plan usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 plan:
+ *                   type: object
+ *                   nullable: true
+ *                 period: { type: string, example: 2026-10 }
+ *                 resetsAt: { type: string, format: date-time }
+ *                 usage:
+ *                   type: object
+ *                   properties:
+ *                     users: { $ref: '#/components/schemas/QuotaUsage' }
+ *                     customRoles: { $ref: '#/components/schemas/QuotaUsage' }
+ *                     apiRequests: { $ref: '#/components/schemas/QuotaUsage' }
+ */
+// Not counted against the API allowance, so admins can still see why they
+// are being refused once it is used up
+router.get('/usage', authorize('ORG_READ'), dashboardController.getUsage);
+
 module.exports = router;
@@ -5,6 +5,10 @@
 // All queries are tenant-scoped. Results are Redis-cached with short TTL
 // to avoid hammering the DB on dashboard page loads.
 //
+// A parent organization's dashboard covers its sub-organizations too: user,
+// role and activity figures span the whole subtree, with `organizations`
+// listing what was included.
+//
 // Performance note: We run multiple aggregate queries in a single $transaction
 // to ensure consistency and reduce round trips.
 // ============================================================================
@@ -12,6 +16,7 @@
 const prisma = require('../../config/database');
 const { cache } = require('../../config/redis');
 const config = require('../../config');
+const orgHierarchyService = require('../organizations/orgHierarchy.service');
 
 class DashboardService {
   /**
@@ -23,7 +28,17 @@ class DashboardService {
     const cached = await cache.get(cacheKey);
     if (cached) return cached;
 
+    const [organizationIds, lineage] = await Promise.all([
+      orgHierarchyService.getSubtreeIds(organizationId),
+      orgHierarchyService.getLineageIds(organizationId),
+    ]);
+    const inTree = { in: organizationIds };
+    // Roles usable anywhere in the subtree: those of the subtree itself,
+    // those inherited from above, and global ones
+    const roleOrgIds = [...new Set([...lineage, ...organizationIds])];
+
     const [
+      organizations,
       totalUsers,
       activeUsers,
       inactiveUsers,
@@ -32,36 +47,51 @@ class DashboardService {
       recentActivity,
       recentLogins,
     ] = await prisma.$transaction([
-      // Total users in this org
-      prisma.user.count({
-        where: { organizationId },
+      // This org and its sub-orgs, with their member counts
+      prisma.organization.findMany({
+        where: { id: inTree },
+        select: {
+          id: true,
+          name: true,
+          slug: true,
+          parentId: true,
+          _count: { select: { memberships: true } },
+        },
+        orderBy: { name: 'asc' },
       }),
 
-      // Active users
-      prisma.user.count({
-        where: { organizationId, isActive: true },
+      // Total memberships across the subtree
+      prisma.membership.count({
+        where: { organizationId: inTree },
       }),
 
-      // Inactive users
-      prisma.user.count({
-        where: { organizationId, isActive: false },
+      // Active memberships
+      prisma.membership.count({
+        where: { organizationId: inTree, isActive: true },
+      }),
+
+      // Inactive memberships
+      prisma.membership.count({
+        where: { organizationId: inTree, isActive: false },
       }),
 
-      // Total roles (org-scoped + global)
+      // Total roles (subtree + inherited + global)
       prisma.role.count({
         where: {
-          OR: [{ organizationId }, { organizationId: null }],
+          OR: [
+            { organizationId: { in: roleOrgIds } },
+            { organizationId: null },
+          ],
           isActive: true,
         },
       }),
 
-      // Role distribution — how many users per role
+      // Role distribution — how many users per role (assigned in the subtree)
       prisma.$queryRaw`
         SELECT r.name AS role_name, COUNT(ur.id)::int AS user_count
         FROM roles r
-        LEFT JOIN user_roles ur ON ur."roleId" = r.id
-        LEFT JOIN users u ON u.id = ur."userId" AND u."organizationId" = ${organizationId}::uuid
-        WHERE (r."organizationId" = ${organizationId}::uuid OR r."organizationId" IS NULL)
+        LEFT JOIN user_roles ur ON ur."roleId" = r.id AND ur."organizationId" = ANY(${organizationIds}::uuid[])
+        WHERE (r."organizationId" = ANY(${roleOrgIds}::uuid[]) OR r."organizationId" IS NULL)
           AND r."isActive" = true
         GROUP BY r.id, r.name
         ORDER BY user_count DESC
@@ -69,7 +99,7 @@ class DashboardService {
 
       // Recent admin activity (last 20 audit log entries)
       prisma.auditLog.findMany({
-        where: { organizationId },
+        where: { organizationId: inTree },
         select: {
           id: true,
           action: true,
@@ -80,15 +110,16 @@ class DashboardService {
           user: {
             select: { id: true, email: true, firstName: true, lastName: true },
           },
+          organization: { select: { id: true, name: true } },
         },
         orderBy: { createdAt: 'desc' },
         take: 20,
       }),
 
-      // Users who logged in within last 24 hours
+      // Members who logged in within last 24 hours
       prisma.user.count({
         where: {
-          organizationId,
+          memberships: { some: { organizationId: inTree } },
           lastLoginAt: {
             gte: new Date(Date.now() - 24 * 60 * 60 * 1000),
           },
@@ -97,6 +128,10 @@ class DashboardService {
     ]);
 
     const metrics = {
+      organizations: organizations.map(({ _count, ...org }) => ({
+        ...org,
+        memberCount: _count.memberships,
+      })),
       users: {
         total: totalUsers,
         active: activeUsers,
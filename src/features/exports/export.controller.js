@@ -0,0 +1,65 @@
+// ============================================================================
+// Export Controller
+// ============================================================================
+
+const exportService = require('./export.service');
+const { success, paginated } = require('../../utils/response');
+const { getClientInfo, tenantOf } = require('../../utils/helpers');
+
+const exportController = {
+  async list(req, res, next) {
+    try {
+      const { exports, pagination } = await exportService.list(
+        tenantOf(req),
+        req.query,
+      );
+      return paginated(res, exports, pagination);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async getById(req, res, next) {
+    try {
+      const record = await exportService.getById(
+        tenantOf(req),
+        req.params.exportId,
+      );
+      return success(res, record);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const record = await exportService.create(
+        req.user,
+        tenantOf(req),
+        req.body,
+        getClientInfo(req),
+      );
+      return success(res, record, 202);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async download(req, res, next) {
+    try {
+      const { filePath, filename } = await exportService.getDownload(
+        req.user,
+        tenantOf(req),
+        req.params.exportId,
+        getClientInfo(req),
+      );
+      res.download(filePath, filename, (err) => {
+        if (err && !res.headersSent) next(err);
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+};
+
+module.exports = exportController;
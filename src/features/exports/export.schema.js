@@ -0,0 +1,28 @@
+// ============================================================================
+// Export Validation Schemas
+// ============================================================================
+
+const { z } = require('zod');
+
+const createExportSchema = z.object({
+  format: z.enum(['JSON', 'CSV']).optional().default('JSON'),
+});
+
+const exportParamsSchema = z.object({
+  id: z.string().uuid('Invalid organization ID format'),
+  exportId: z.string().uuid('Invalid export ID format'),
+});
+
+const orgExportsParamSchema = exportParamsSchema.pick({ id: true });
+
+const exportListQuerySchema = z.object({
+  page: z.coerce.number().int().positive().optional().default(1),
+  limit: z.coerce.number().int().positive().max(100).optional().default(20),
+});
+
+module.exports = {
+  createExportSchema,
+  exportParamsSchema,
+  orgExportsParamSchema,
+  exportListQuerySchema,
+};
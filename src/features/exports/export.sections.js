@@ -0,0 +1,254 @@
+// ============================================================================
+// Export Sections — what an organization data export contains
+// ============================================================================
+// Each section becomes one file in the archive (`users.json` or `users.csv`,
+// ...). Rows are read a page at a time and written as they come, so a large
+// audit log is never loaded all at once.
+//
+// CSV cells holding objects or arrays contain their JSON; cells that a
+// spreadsheet would run as a formula are prefixed with a quote.
+// ============================================================================
+
+const fs = require('fs');
+const { once } = require('events');
+const prisma = require('../../config/database');
+
+const PAGE_SIZE = 1000;
+
+const SECTIONS = [
+  {
+    name: 'users',
+    model: 'membership',
+    columns: [
+      'id',
+      'email',
+      'firstName',
+      'lastName',
+      'accountActive',
+      'membershipActive',
+      'emailVerified',
+      'mfaEnabled',
+      'lastLoginAt',
+      'joinedAt',
+      'attributes',
+    ],
+    select: {
+      id: true,
+      isActive: true,
+      attributes: true,
+      createdAt: true,
+      user: {
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          isActive: true,
+          emailVerified: true,
+          mfaEnabled: true,
+          lastLoginAt: true,
+        },
+      },
+    },
+    toRow: ({ user, ...membership }) => ({
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      accountActive: user.isActive,
+      membershipActive: membership.isActive,
+      emailVerified: user.emailVerified,
+      mfaEnabled: user.mfaEnabled,
+      lastLoginAt: user.lastLoginAt,
+      joinedAt: membership.createdAt,
+      attributes: membership.attributes,
+    }),
+  },
+  {
+    name: 'roles',
+    model: 'role',
+    columns: [
+      'id',
+      'name',
+      'description',
+      'isSystem',
+      'isActive',
+      'parentId',
+      'permissions',
+      'createdAt',
+      'updatedAt',
+    ],
+    select: {
+      id: true,
+      name: true,
+      description: true,
+      isSystem: true,
+      isActive: true,
+      parentId: true,
+      createdAt: true,
+      updatedAt: true,
+      rolePermissions: {
+        select: { condition: true, permission: { select: { action: true } } },
+      },
+    },
+    toRow: ({ rolePermissions, ...role }) => ({
+      ...role,
+      permissions: rolePermissions.map((rp) => ({
+        action: rp.permission.action,
+        condition: rp.condition,
+      })),
+    }),
+  },
+  {
+    name: 'roleAssignments',
+    model: 'userRole',
+    columns: [
+      'id',
+      'userId',
+      'userEmail',
+      'roleId',
+      'roleName',
+      'assignedAt',
+      'assignedBy',
+      'startsAt',
+      'expiresAt',
+    ],
+    select: {
+      id: true,
+      userId: true,
+      roleId: true,
+      assignedAt: true,
+      assignedBy: true,
+      startsAt: true,
+      expiresAt: true,
+      user: { select: { email: true } },
+      role: { select: { name: true } },
+    },
+    toRow: ({ user, role, ...assignment }) => ({
+      ...assignment,
+      userEmail: user.email,
+      roleName: role.name,
+    }),
+  },
+  {
+    name: 'featureFlags',
+    model: 'featureFlag',
+    columns: [
+      'id',
+      'key',
+      'description',
+      'isEnabled',
+      'roleId',
+      'createdAt',
+      'updatedAt',
+    ],
+    select: {
+      id: true,
+      key: true,
+      description: true,
+      isEnabled: true,
+      roleId: true,
+      createdAt: true,
+      updatedAt: true,
+    },
+  },
+  {
+    name: 'auditLogs',
+    model: 'auditLog',
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    columns: [
+      'id',
+      'createdAt',
+      'action',
+      'resource',
+      'resourceId',
+      'userId',
+      'impersonatorId',
+      'apiKeyId',
+      'homeOrganizationId',
+      'ipAddress',
+      'userAgent',
+      'correlationId',
+      'metadata',
+    ],
+    select: {
+      id: true,
+      createdAt: true,
+      action: true,
+      resource: true,
+      resourceId: true,
+      userId: true,
+      impersonatorId: true,
+      apiKeyId: true,
+      homeOrganizationId: true,
+      ipAddress: true,
+      userAgent: true,
+      correlationId: true,
+      metadata: true,
+    },
+  },
+];
+
+/**
+ * Write one section of the organization's data to `filePath`.
+ * @param {'JSON'|'CSV'} format
+ * @returns {Promise<number>} Number of rows written
+ */
+async function writeSection(section, organizationId, format, filePath) {
+  const out = fs.createWriteStream(filePath);
+  const write = async (text) => {
+    if (!out.write(text)) await once(out, 'drain');
+  };
+
+  let count = 0;
+  try {
+    await write(format === 'CSV' ? `${csvLine(section.columns)}\n` : '[');
+    for await (const row of rowsOf(section, organizationId)) {
+      if (format === 'CSV') {
+        await write(`${csvLine(section.columns.map((c) => row[c]))}\n`);
+      } else {
+        await write(`${count === 0 ? '' : ','}\n  ${JSON.stringify(row)}`);
+      }
+      count++;
+    }
+    if (format === 'JSON') await write(count === 0 ? ']\n' : '\n]\n');
+  } finally {
+    out.end();
+    await once(out, 'close');
+  }
+  return count;
+}
+
+async function* rowsOf(section, organizationId) {
+  const toRow = section.toRow || ((record) => record);
+  let cursor = null;
+  for (;;) {
+    const page = await prisma[section.model].findMany({
+      where: { organizationId },
+      select: section.select,
+      orderBy: section.orderBy || { id: 'asc' },
+      take: PAGE_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    for (const record of page) yield toRow(record);
+    if (page.length < PAGE_SIZE) return;
+    cursor = page[page.length - 1].id;
+  }
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',');
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { SECTIONS, writeSection };
@@ -0,0 +1,293 @@
+// ============================================================================
+// Export Service — Organization Data Exports
+// ============================================================================
+// Handles:
+//   - Requesting an export (JSON or CSV) and listing past ones
+//   - Building the archive in the background
+//   - Downloading it until it expires (EXPORT_EXPIRY), then deleting the file
+//
+// Architectural notes:
+//   - The archive is a .tar.gz with one file per section (see
+//     export.sections.js) and a manifest.json describing the export.
+//   - Jobs run in-process right after the request; a job claims its export
+//     with a conditional update, so it only ever runs once. Jobs cut short by
+//     a restart are marked FAILED by the sweep.
+//   - Archives hold personal data: every request, download and failure is
+//     audited, and offboarding deletes them along with the organization.
+// ============================================================================
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const prisma = require('../../config/database');
+const config = require('../../config');
+const logger = require('../../config/logger');
+const auditService = require('../audit/audit.service');
+const { SECTIONS, writeSection } = require('./export.sections');
+const { writeTarGz } = require('../../utils/archive');
+const { ConflictError, NotFoundError } = require('../../utils/errors');
+const { expiryToDate, parsePagination } = require('../../utils/helpers');
+
+// A job not finished after this long was interrupted
+const STALE_AFTER_MS = 6 * 60 * 60 * 1000;
+
+const EXPORT_SELECT = {
+  id: true,
+  format: true,
+  status: true,
+  sizeBytes: true,
+  error: true,
+  expiresAt: true,
+  createdAt: true,
+  completedAt: true,
+  requestedBy: {
+    select: { id: true, email: true, firstName: true, lastName: true },
+  },
+};
+
+class ExportService {
+  async list(organizationId, query) {
+    const { page, limit, skip } = parsePagination(query);
+    const where = { organizationId };
+
+    const [exports, totalCount] = await prisma.$transaction([
+      prisma.organizationExport.findMany({
+        where,
+        select: EXPORT_SELECT,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.organizationExport.count({ where }),
+    ]);
+
+    return { exports, pagination: { page, limit, totalCount } };
+  }
+
+  async getById(organizationId, id) {
+    const record = await prisma.organizationExport.findFirst({
+      where: { id, organizationId },
+      select: EXPORT_SELECT,
+    });
+    if (!record) throw new NotFoundError('Export');
+    return record;
+  }
+
+  /**
+   * Queue an export and start building it. Returns the PENDING export; poll
+   * it until it is COMPLETED (or FAILED).
+   */
+  async create(user, organizationId, { format }, client = {}) {
+    const record = await prisma.organizationExport.create({
+      data: { organizationId, requestedById: user.id, format },
+      select: EXPORT_SELECT,
+    });
+
+    await this._audit('ORG_EXPORT_REQUESTED', record.id, organizationId, {
+      metadata: { format },
+      userId: user.id,
+      impersonatorId: user.impersonator?.id || null,
+      ...client,
+    });
+
+    setImmediate(() => this.run(record.id));
+    return record;
+  }
+
+  /**
+   * Build the archive for a PENDING export. Never throws — a failure is
+   * recorded on the export.
+   */
+  async run(id) {
+    let workDir = null;
+    try {
+      const { count } = await prisma.organizationExport.updateMany({
+        where: { id, status: 'PENDING' },
+        data: { status: 'RUNNING' },
+      });
+      if (count === 0) return;
+
+      const record = await prisma.organizationExport.findUnique({
+        where: { id },
+        select: {
+          format: true,
+          requestedById: true,
+          organization: { select: { id: true, name: true, slug: true } },
+        },
+      });
+      const { organization, format } = record;
+      workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'org-export-'));
+
+      const entries = [];
+      const counts = {};
+      for (const section of SECTIONS) {
+        const name = `${section.name}.${format.toLowerCase()}`;
+        const file = path.join(workDir, name);
+        counts[section.name] = await writeSection(
+          section,
+          organization.id,
+          format,
+          file,
+        );
+        entries.push({ name, path: file });
+      }
+
+      const manifest = path.join(workDir, 'manifest.json');
+      const generatedAt = new Date();
+      await fs.writeFile(
+        manifest,
+        JSON.stringify(
+          { exportId: id, organization, format, generatedAt, counts },
+          null,
+          2,
+        ),
+      );
+      entries.unshift({ name: 'manifest.json', path: manifest });
+
+      const dir = path.resolve(config.exports.dir);
+      await fs.mkdir(dir, { recursive: true });
+      const filePath = path.join(dir, `${id}.tar.gz`);
+      await writeTarGz(filePath, entries);
+      const { size } = await fs.stat(filePath);
+
+      await prisma.organizationExport.update({
+        where: { id },
+        data: {
+          status: 'COMPLETED',
+          filePath,
+          sizeBytes: size,
+          completedAt: new Date(),
+          expiresAt: expiryToDate(config.exports.expiry),
+        },
+      });
+      await this._audit('ORG_EXPORT_COMPLETED', id, organization.id, {
+        userId: record.requestedById,
+        metadata: { format, sizeBytes: size, counts },
+      });
+      logger.info({ exportId: id, sizeBytes: size }, 'Export completed');
+    } catch (err) {
+      logger.error({ err, exportId: id }, 'Export failed');
+      await this._fail(id, err.message);
+    } finally {
+      if (workDir) {
+        await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * The archive of a completed, unexpired export, for download.
+   * @returns {Promise<{ filePath: string, filename: string }>}
+   */
+  async getDownload(user, organizationId, id, client = {}) {
+    const record = await prisma.organizationExport.findFirst({
+      where: { id, organizationId },
+      select: {
+        id: true,
+        format: true,
+        status: true,
+        filePath: true,
+        expiresAt: true,
+        createdAt: true,
+        organization: { select: { slug: true } },
+      },
+    });
+    if (!record) throw new NotFoundError('Export');
+    if (record.status !== 'COMPLETED') {
+      throw new ConflictError(`Export is ${record.status.toLowerCase()}`);
+    }
+    if (!record.filePath || record.expiresAt <= new Date()) {
+      throw new NotFoundError('Export archive');
+    }
+
+    await this._audit('ORG_EXPORT_DOWNLOADED', record.id, organizationId, {
+      metadata: { format: record.format },
+      userId: user.id,
+      impersonatorId: user.impersonator?.id || null,
+      ...client,
+    });
+
+    const date = record.createdAt.toISOString().slice(0, 10);
+    return {
+      filePath: record.filePath,
+      filename: `${record.organization.slug}-export-${date}-${record.format.toLowerCase()}.tar.gz`,
+    };
+  }
+
+  /**
+   * Delete archives past their expiry and fail jobs a restart cut short.
+   * Called by the offboarding sweeper.
+   */
+  async sweep(now = new Date()) {
+    const expired = await prisma.organizationExport.findMany({
+      where: { expiresAt: { lte: now }, filePath: { not: null } },
+      select: { id: true, filePath: true },
+    });
+    for (const record of expired) {
+      await fs.rm(record.filePath, { force: true });
+      await prisma.organizationExport.update({
+        where: { id: record.id },
+        data: { filePath: null },
+      });
+    }
+
+    const stale = await prisma.organizationExport.findMany({
+      where: {
+        status: { in: ['PENDING', 'RUNNING'] },
+        createdAt: { lte: new Date(now.getTime() - STALE_AFTER_MS) },
+      },
+      select: { id: true },
+    });
+    for (const record of stale) await this._fail(record.id, 'Interrupted');
+
+    return { expired: expired.length, interrupted: stale.length };
+  }
+
+  /**
+   * Delete every archive of the organization, e.g. before it is purged.
+   */
+  async removeForOrganization(organizationId) {
+    const records = await prisma.organizationExport.findMany({
+      where: { organizationId, filePath: { not: null } },
+      select: { id: true, filePath: true },
+    });
+    for (const record of records) {
+      await fs.rm(record.filePath, { force: true });
+    }
+    await prisma.organizationExport.updateMany({
+      where: { organizationId },
+      data: { filePath: null },
+    });
+    return records.length;
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  async _fail(id, message) {
+    try {
+      const record = await prisma.organizationExport.update({
+        where: { id },
+        data: { status: 'FAILED', error: message, completedAt: new Date() },
+        select: { format: true, organizationId: true, requestedById: true },
+      });
+      await this._audit('ORG_EXPORT_FAILED', id, record.organizationId, {
+        userId: record.requestedById,
+        metadata: { format: record.format, error: message },
+      });
+    } catch (err) {
+      logger.error({ err, exportId: id }, 'Could not mark export failed');
+    }
+  }
+
+  async _audit(action, exportId, organizationId, details) {
+    await auditService.record({
+      action,
+      resource: 'EXPORT',
+      resourceId: exportId,
+      organizationId,
+      ...details,
+    });
+  }
+}
+
+module.exports = new ExportService();
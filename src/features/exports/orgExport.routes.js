@@ -0,0 +1,133 @@
+// ============================================================================
+// Organization Export Routes — /organizations/:id/exports
+// ============================================================================
+// Mounted by the organization routes, which authenticate and resolve the
+// tenant; `:id` must be the current tenant. Everything here takes
+// ORG_EXPORT, and an impersonated session can't take data out.
+// ============================================================================
+
+const { Router } = require('express');
+const exportController = require('./export.controller');
+const validate = require('../../utils/validate');
+const {
+  createExportSchema,
+  exportParamsSchema,
+  orgExportsParamSchema,
+  exportListQuerySchema,
+} = require('./export.schema');
+const { authorize, denyImpersonation } = require('../../middleware');
+
+const router = Router({ mergeParams: true });
+
+/**
+ * @openapi
+ * /organizations/{id}/exports:
+ *   get:
+ *     tags: [Exports]
+ *     summary: List the organization's data exports
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Paginated list of exports, newest first
+ */
+router.get(
+  '/',
+  authorize('ORG_EXPORT'),
+  validate({ params: orgExportsParamSchema, query: exportListQuerySchema }),
+  exportController.list,
+);
+
+/**
+ * @openapi
+ * /organizations/{id}/exports:
+ *   post:
+ *     tags: [Exports]
+ *     summary: Start exporting the organization's data
+ *     description: |
+ *       Builds a .tar.gz in the background holding users, roles, role
+ *       assignments, feature flags and audit logs, one file per section
+ *       in the chosen format, plus a manifest.json. Poll the export until
+ *       it is COMPLETED, then download it before it expires
+ *       (`EXPORT_EXPIRY`, default 7 days).
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               format: { type: string, enum: [JSON, CSV], default: JSON }
+ *     responses:
+ *       202:
+ *         description: Export queued (status PENDING)
+ */
+router.post(
+  '/',
+  denyImpersonation,
+  authorize('ORG_EXPORT'),
+  validate({ params: orgExportsParamSchema, body: createExportSchema }),
+  exportController.create,
+);
+
+/**
+ * @openapi
+ * /organizations/{id}/exports/{exportId}:
+ *   get:
+ *     tags: [Exports]
+ *     summary: Get an export's status
+ *     description: PENDING, RUNNING, COMPLETED or FAILED (see `error`).
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Export
+ */
+router.get(
+  '/:exportId',
+  authorize('ORG_EXPORT'),
+  validate({ params: exportParamsSchema }),
+  exportController.getById,
+);
+
+/**
+ * @openapi
+ * /organizations/{id}/exports/{exportId}/download:
+ *   get:
+ *     tags: [Exports]
+ *     summary: Download a completed export
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: The archive
+ *         content:
+ *           application/gzip:
+ *             schema: { type: string, format: binary }
+ *       404:
+ *         description: No such export, or its archive has expired
+ *       409:
+ *         description: Export not completed
+ */
+router.get(
+  '/:exportId/download',
+  denyImpersonation,
+  authorize('ORG_EXPORT'),
+  validate({ params: exportParamsSchema }),
+  exportController.download,
+);
+
+module.exports = router;
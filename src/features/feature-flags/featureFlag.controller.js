@@ -32,7 +32,7 @@ const featureFlagController = {
       // Get user's role IDs from their userRoles
       const prisma = require('../../config/database');
       const userRoles = await prisma.userRole.findMany({
-        where: { userId: req.user.id },
+        where: { userId: req.user.id, organizationId: req.tenant.id },
         select: { roleId: true },
       });
       const roleIds = userRoles.map((ur) => ur.roleId);
@@ -10,12 +10,13 @@ const {
   authenticate,
   authorize,
   resolveTenant,
+  apiQuota,
   auditLog,
 } = require('../../middleware');
 
 const router = Router();
 
-router.use(authenticate, resolveTenant);
+router.use(authenticate, resolveTenant, apiQuota);
 
 /**
  * @openapi
@@ -0,0 +1,35 @@
+// ============================================================================
+// Impersonation Controller — Thin HTTP Layer
+// ============================================================================
+
+const impersonationService = require('./impersonation.service');
+const { success } = require('../../utils/response');
+
+const impersonationController = {
+  /**
+   * POST /auth/impersonation/:id
+   */
+  async start(req, res, next) {
+    try {
+      const result = await impersonationService.start(req.user, req.params.id);
+      return success(res, result, 201);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * DELETE /auth/impersonation
+   */
+  async end(req, res, next) {
+    try {
+      const accessToken = req.headers.authorization?.split(' ')[1];
+      await impersonationService.end(req.user, accessToken);
+      return success(res, { message: 'Impersonation ended' });
+    } catch (err) {
+      next(err);
+    }
+  },
+};
+
+module.exports = impersonationController;
@@ -0,0 +1,94 @@
+// ============================================================================
+// Impersonation Routes (mounted at /auth/impersonation)
+// ============================================================================
+// Support staff holding USER_IMPERSONATE can act as another user in their
+// organization for IMPERSONATION_TOKEN_EXPIRY. Every request made with the
+// token is audited with the real actor as `impersonatorId`.
+// ============================================================================
+
+const { Router } = require('express');
+const impersonationController = require('./impersonation.controller');
+const validate = require('../../utils/validate');
+const {
+  userIdParamSchema,
+  startImpersonationSchema,
+} = require('./impersonation.schema');
+const {
+  authenticate,
+  authorize,
+  resolveTenant,
+  apiQuota,
+  auditLog,
+  denyImpersonation,
+} = require('../../middleware');
+
+const router = Router();
+
+router.use(authenticate, resolveTenant, apiQuota);
+
+/**
+ * @openapi
+ * /auth/impersonation/{id}:
+ *   post:
+ *     tags: [Impersonation]
+ *     summary: Start acting as another user in your organization
+ *     description: |
+ *       Returns a short-lived access token (no refresh token) for the target
+ *       user. It carries both identities; every audited action records the
+ *       caller as `impersonatorId`. Refused if the target holds any
+ *       permission the caller does not.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why access is needed (e.g. a support ticket)
+ *     responses:
+ *       201:
+ *         description: Impersonation token, its expiry, and both identities
+ *       403:
+ *         description: Missing USER_IMPERSONATE, or target has more privileges
+ *       404:
+ *         description: User not found in your organization
+ */
+router.post(
+  '/:id',
+  denyImpersonation,
+  authorize('USER_IMPERSONATE'),
+  validate({ params: userIdParamSchema, body: startImpersonationSchema }),
+  auditLog('IMPERSONATION_STARTED', 'USER'),
+  impersonationController.start,
+);
+
+/**
+ * @openapi
+ * /auth/impersonation:
+ *   delete:
+ *     tags: [Impersonation]
+ *     summary: End the current impersonation
+ *     description: Call with the impersonation token; it is revoked at once.
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: The token is not an impersonation token
+ */
+router.delete(
+  '/',
+  auditLog('IMPERSONATION_ENDED', 'USER'),
+  impersonationController.end,
+);
+
+module.exports = router;
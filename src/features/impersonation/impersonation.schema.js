@@ -0,0 +1,19 @@
+// ============================================================================
+// Impersonation Validation Schemas (Zod)
+// ============================================================================
+
+const { z } = require('zod');
+
+const userIdParamSchema = z.object({
+  id: z.string().uuid('Invalid user ID format'),
+});
+
+// Support access should always be traceable to a ticket or request
+const startImpersonationSchema = z.object({
+  reason: z.string().min(1, 'A reason is required').max(500),
+});
+
+module.exports = {
+  userIdParamSchema,
+  startImpersonationSchema,
+};
@@ -0,0 +1,86 @@
+// ============================================================================
+// Invitation Controller
+// ============================================================================
+
+const invitationService = require('./invitation.service');
+const { success, paginated } = require('../../utils/response');
+const { getClientInfo, tenantOf } = require('../../utils/helpers');
+
+const invitationController = {
+  async list(req, res, next) {
+    try {
+      const { invitations, pagination } = await invitationService.list(
+        tenantOf(req),
+        req.query,
+      );
+      return paginated(res, invitations, pagination);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const invitation = await invitationService.create(
+        req.user,
+        tenantOf(req),
+        req.body,
+        getClientInfo(req),
+      );
+      return success(res, invitation, 201);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async resend(req, res, next) {
+    try {
+      const invitation = await invitationService.resend(
+        req.user,
+        tenantOf(req),
+        req.params.invitationId,
+        getClientInfo(req),
+      );
+      return success(res, invitation);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async revoke(req, res, next) {
+    try {
+      const invitation = await invitationService.revoke(
+        req.user,
+        tenantOf(req),
+        req.params.invitationId,
+        getClientInfo(req),
+      );
+      return success(res, invitation);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async lookup(req, res, next) {
+    try {
+      const invitation = await invitationService.lookup(req.body.token);
+      return success(res, invitation);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async accept(req, res, next) {
+    try {
+      const result = await invitationService.accept(
+        req.body,
+        getClientInfo(req),
+      );
+      return success(res, result);
+    } catch (err) {
+      next(err);
+    }
+  },
+};
+
+module.exports = invitationController;
@@ -0,0 +1,90 @@
+// ============================================================================
+// Invitation Routes — Public Accept Flow
+// ============================================================================
+// Unauthenticated: the token from the invite email is the credential.
+// Invites are created and managed under /organizations/:id/invitations.
+// ============================================================================
+
+const { Router } = require('express');
+const invitationController = require('./invitation.controller');
+const validate = require('../../utils/validate');
+const {
+  invitationTokenSchema,
+  acceptInvitationSchema,
+} = require('./invitation.schema');
+const { authLimiter } = require('../../middleware/rateLimiter');
+
+const router = Router();
+
+/**
+ * @openapi
+ * /invitations/lookup:
+ *   post:
+ *     tags: [Invitations]
+ *     summary: Show what an invitation is for before accepting it
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string }
+ *     responses:
+ *       200:
+ *         description: |
+ *           The invited `email`, the `organization`, `expiresAt`, and
+ *           `accountExists` — when false, accepting needs a password and name
+ *       400:
+ *         description: Invalid, expired, revoked or already used invitation
+ */
+router.post(
+  '/lookup',
+  authLimiter,
+  validate({ body: invitationTokenSchema }),
+  invitationController.lookup,
+);
+
+/**
+ * @openapi
+ * /invitations/accept:
+ *   post:
+ *     tags: [Invitations]
+ *     summary: Accept an invitation and join the organization
+ *     description: |
+ *       New invitees choose their password here (it must satisfy the
+ *       organization's password policy) and can sign in right away. Someone
+ *       who already has an account just joins and keeps their password.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string }
+ *               password:
+ *                 type: string
+ *                 description: Required when no account exists for the email
+ *               firstName: { type: string }
+ *               lastName: { type: string }
+ *     responses:
+ *       200:
+ *         description: Joined, with the preassigned roles
+ *       400:
+ *         description: Invalid, expired, revoked or already used invitation
+ *       409:
+ *         description: Already a member
+ *       422:
+ *         description: Missing details for a new account, or weak password
+ */
+router.post(
+  '/accept',
+  authLimiter,
+  validate({ body: acceptInvitationSchema }),
+  invitationController.accept,
+);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// ============================================================================
+// Invitation Validation Schemas
+// ============================================================================
+
+const { z } = require('zod');
+
+const createInvitationSchema = z.object({
+  email: z.string().email('Invalid email format').max(255),
+  roleIds: z.array(z.string().uuid()).max(20).optional().default([]),
+});
+
+const invitationParamsSchema = z.object({
+  id: z.string().uuid('Invalid organization ID format'),
+  invitationId: z.string().uuid('Invalid invitation ID format'),
+});
+
+const orgInvitationsParamSchema = invitationParamsSchema.pick({ id: true });
+
+const invitationListQuerySchema = z.object({
+  page: z.coerce.number().int().positive().optional().default(1),
+  limit: z.coerce.number().int().positive().max(100).optional().default(20),
+  status: z.enum(['PENDING', 'ACCEPTED', 'EXPIRED', 'REVOKED']).optional(),
+  search: z.string().max(255).optional(),
+});
+
+const invitationTokenSchema = z.object({
+  token: z.string().min(1, 'Invitation token is required').max(255),
+});
+
+// Password and names are only needed when the email has no account yet —
+// checked in the service
+const acceptInvitationSchema = invitationTokenSchema.extend({
+  password: z.string().min(1).max(128).optional(),
+  firstName: z.string().min(1).max(100).optional(),
+  lastName: z.string().min(1).max(100).optional(),
+});
+
+module.exports = {
+  createInvitationSchema,
+  invitationParamsSchema,
+  orgInvitationsParamSchema,
+  invitationListQuerySchema,
+  invitationTokenSchema,
+  acceptInvitationSchema,
+};
@@ -0,0 +1,491 @@
+// ============================================================================
+// Invitation Service — Joining an Organization by Invite
+// ============================================================================
+// Handles:
+//   - Inviting an email address with preassigned roles
+//   - Resending (fresh token and expiry) and revoking pending invites
+//   - Accepting: new invitees choose their own password; people who already
+//     have an account just join
+//
+// Architectural notes:
+//   - The token is single-use and only its hash is stored. Resending replaces
+//     it, so an older link stops working.
+//   - Preassigned roles follow the delegation rules: the inviter (and whoever
+//     resends) must be allowed to assign them. Acceptance goes through
+//     UserRepository.assignRoles, so separation-of-duties still applies.
+//   - Accepting claims the invite with a conditional update before creating
+//     anything, and releases it (and undoes the join) if joining fails.
+//   - Opening the link proves control of the mailbox, so the email counts as
+//     verified.
+//   - Pending invites count toward the plan's user limit when inviting;
+//     accepting checks the limit again.
+// ============================================================================
+
+const bcrypt = require('bcrypt');
+const prisma = require('../../config/database');
+const config = require('../../config');
+const mailer = require('../../config/mailer');
+const logger = require('../../config/logger');
+const auditService = require('../audit/audit.service');
+const delegationService = require('../permissions/delegation.service');
+const passwordPolicyService = require('../password-policy/passwordPolicy.service');
+const membershipService = require('../memberships/membership.service');
+const orgHierarchyService = require('../organizations/orgHierarchy.service');
+const userRepository = require('../users/user.repository');
+const quotaService = require('../plans/quota.service');
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require('../../utils/errors');
+const { hashToken, randomToken } = require('../../utils/crypto');
+const { expiryToDate, parsePagination } = require('../../utils/helpers');
+
+const PERSON_SELECT = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+};
+
+const INVITATION_SELECT = {
+  id: true,
+  email: true,
+  expiresAt: true,
+  lastSentAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: { select: PERSON_SELECT },
+  acceptedBy: { select: PERSON_SELECT },
+  roles: { select: { role: { select: { id: true, name: true } } } },
+};
+
+const INVALID_TOKEN = 'Invalid or expired invitation';
+
+// Status is derived from the timestamps, in this order of precedence
+function statusOf(invitation, now = new Date()) {
+  if (invitation.revokedAt) return 'REVOKED';
+  if (invitation.acceptedAt) return 'ACCEPTED';
+  if (invitation.expiresAt <= now) return 'EXPIRED';
+  return 'PENDING';
+}
+
+function statusWhere(status, now = new Date()) {
+  const open = { acceptedAt: null, revokedAt: null };
+  switch (status) {
+    case 'PENDING':
+      return { ...open, expiresAt: { gt: now } };
+    case 'EXPIRED':
+      return { ...open, expiresAt: { lte: now } };
+    case 'ACCEPTED':
+      return { acceptedAt: { not: null } };
+    case 'REVOKED':
+      return { revokedAt: { not: null } };
+    default:
+      return {};
+  }
+}
+
+function toInvitation({ roles, ...invitation }) {
+  return {
+    ...invitation,
+    status: statusOf(invitation),
+    roles: roles.map((r) => r.role),
+  };
+}
+
+class InvitationService {
+  // ─── Administration ─────────────────────────────────────────────────
+
+  async list(organizationId, query) {
+    const { page, limit, skip } = parsePagination(query);
+    const where = {
+      organizationId,
+      ...statusWhere(query.status),
+      ...(query.search && {
+        email: { contains: query.search, mode: 'insensitive' },
+      }),
+    };
+
+    const [invitations, totalCount] = await prisma.$transaction([
+      prisma.invitation.findMany({
+        where,
+        select: INVITATION_SELECT,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.invitation.count({ where }),
+    ]);
+
+    return {
+      invitations: invitations.map(toInvitation),
+      pagination: { page, limit, totalCount },
+    };
+  }
+
+  async create(user, organizationId, { email, roleIds = [] }, client = {}) {
+    const normalized = email.toLowerCase();
+
+    const existing = await userRepository.findByEmail(normalized);
+    if (
+      existing &&
+      (await membershipService.isActiveMember(existing.id, organizationId))
+    ) {
+      throw new ConflictError(`${normalized} is already a member`);
+    }
+
+    if (await this.hasPending(organizationId, normalized)) {
+      throw new ConflictError(
+        `${normalized} already has a pending invitation; resend it instead`,
+      );
+    }
+
+    await quotaService.assertCanAddMember(organizationId, {
+      includeInvitations: true,
+    });
+    await this._assertRoles(roleIds, organizationId);
+    await delegationService.assertCanAssignRoles(
+      user.id,
+      organizationId,
+      roleIds,
+    );
+
+    const token = randomToken();
+    const invitation = await prisma.invitation.create({
+      data: {
+        organizationId,
+        email: normalized,
+        tokenHash: hashToken(token),
+        invitedById: user.id,
+        expiresAt: expiryToDate(config.invitations.tokenExpiry),
+        roles: { create: roleIds.map((roleId) => ({ roleId })) },
+      },
+      select: INVITATION_SELECT,
+    });
+
+    await this._send(invitation, organizationId, token);
+    await this._audit('INVITATION_CREATED', invitation, user, organizationId, {
+      client,
+      metadata: {
+        email: normalized,
+        roleIds,
+      },
+    });
+
+    return toInvitation(invitation);
+  }
+
+  async hasPending(organizationId, email) {
+    const pending = await prisma.invitation.findFirst({
+      where: {
+        organizationId,
+        email: email.toLowerCase(),
+        ...statusWhere('PENDING'),
+      },
+      select: { id: true },
+    });
+    return !!pending;
+  }
+
+  /**
+   * Send a pending or expired invite again with a new token and expiry.
+   * Whoever resends must still be allowed to assign its roles.
+   */
+  async resend(user, organizationId, id, client = {}) {
+    const current = await this._findById(id, organizationId);
+    const status = statusOf(current);
+    if (status !== 'PENDING' && status !== 'EXPIRED') {
+      throw new ConflictError(`Invitation is ${status.toLowerCase()}`);
+    }
+
+    await delegationService.assertCanAssignRoles(
+      user.id,
+      organizationId,
+      current.roles.map((r) => r.role.id),
+    );
+
+    const token = randomToken();
+    const invitation = await prisma.invitation.update({
+      where: { id },
+      data: {
+        tokenHash: hashToken(token),
+        expiresAt: expiryToDate(config.invitations.tokenExpiry),
+        lastSentAt: new Date(),
+      },
+      select: INVITATION_SELECT,
+    });
+
+    await this._send(invitation, organizationId, token);
+    await this._audit('INVITATION_RESENT', invitation, user, organizationId, {
+      client,
+    });
+
+    return toInvitation(invitation);
+  }
+
+  async revoke(user, organizationId, id, client = {}) {
+    const current = await this._findById(id, organizationId);
+    const status = statusOf(current);
+    if (status === 'ACCEPTED' || status === 'REVOKED') {
+      throw new ConflictError(`Invitation is ${status.toLowerCase()}`);
+    }
+
+    const invitation = await prisma.invitation.update({
+      where: { id },
+      data: { revokedAt: new Date() },
+      select: INVITATION_SELECT,
+    });
+
+    await this._audit('INVITATION_REVOKED', invitation, user, organizationId, {
+      client,
+    });
+
+    return toInvitation(invitation);
+  }
+
+  // ─── Public ─────────────────────────────────────────────────────────
+
+  /**
+   * What the accept page needs to show before the invitee commits:
+   * where they're joining, as whom, and whether they must choose a password.
+   */
+  async lookup(token) {
+    const invitation = await this._findOpenByToken(token);
+    const existing = await userRepository.findByEmail(invitation.email);
+    return {
+      email: invitation.email,
+      organization: invitation.organization,
+      expiresAt: invitation.expiresAt,
+      accountExists: !!existing,
+    };
+  }
+
+  /**
+   * Join the organization with the invite's roles. A new account needs a
+   * password and name; an existing one keeps its credentials.
+   */
+  async accept({ token, password, firstName, lastName }, client = {}) {
+    const invitation = await this._findOpenByToken(token);
+    const { organizationId, email } = invitation;
+    const existing = await userRepository.findByEmail(email);
+
+    if (existing) {
+      if (await membershipService.isActiveMember(existing.id, organizationId)) {
+        throw new ConflictError('You are already a member');
+      }
+      if (password) {
+        throw new BadRequestError(
+          'An account with this email already exists; sign in with your current password after accepting',
+        );
+      }
+    } else {
+      const missing = Object.entries({ password, firstName, lastName })
+        .filter(([, value]) => !value)
+        .map(([field]) => ({
+          field,
+          message: `${field} is required for a new account`,
+          source: 'body',
+        }));
+      if (missing.length > 0) throw new ValidationError(missing);
+      await passwordPolicyService.validate(organizationId, password);
+    }
+    await quotaService.assertCanAddMember(organizationId);
+
+    // Claim first — two tabs accepting the same link can't both join
+    const acceptedAt = new Date();
+    const claimed = await prisma.invitation.updateMany({
+      where: { id: invitation.id, ...statusWhere('PENDING', acceptedAt) },
+      data: { acceptedAt },
+    });
+    if (claimed.count === 0) throw new BadRequestError(INVALID_TOKEN);
+
+    let userId = null;
+    try {
+      userId = existing
+        ? await this._join(existing, organizationId)
+        : await this._register(
+            email,
+            password,
+            firstName,
+            lastName,
+            organizationId,
+          );
+
+      const roleIds = invitation.roles.map((r) => r.roleId);
+      if (roleIds.length > 0) {
+        await userRepository.assignRoles(
+          userId,
+          organizationId,
+          roleIds.map((roleId) => ({ roleId })),
+          invitation.invitedById,
+        );
+      }
+    } catch (err) {
+      // Undo the join (e.g. a role conflicts with one already held) so the
+      // invite can be fixed and accepted again
+      if (userId && existing) {
+        await membershipService.setActive(userId, organizationId, false);
+      } else if (userId) {
+        await prisma.user.delete({ where: { id: userId } });
+      }
+      await prisma.invitation.update({
+        where: { id: invitation.id },
+        data: { acceptedAt: null },
+      });
+      throw err;
+    }
+
+    await prisma.invitation.update({
+      where: { id: invitation.id },
+      data: { acceptedById: userId },
+    });
+    await this._audit(
+      'INVITATION_ACCEPTED',
+      invitation,
+      { id: userId },
+      organizationId,
+      { client, metadata: { email, newAccount: !existing } },
+    );
+
+    logger.info({ userId, organizationId }, 'Invitation accepted');
+    return {
+      user: { id: userId, email },
+      organization: invitation.organization,
+      newAccount: !existing,
+    };
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  async _findById(id, organizationId) {
+    const invitation = await prisma.invitation.findFirst({
+      where: { id, organizationId },
+      select: INVITATION_SELECT,
+    });
+    if (!invitation) throw new NotFoundError('Invitation');
+    return invitation;
+  }
+
+  async _findOpenByToken(token) {
+    const invitation = await prisma.invitation.findUnique({
+      where: { tokenHash: hashToken(token) },
+      select: {
+        id: true,
+        email: true,
+        organizationId: true,
+        invitedById: true,
+        expiresAt: true,
+        acceptedAt: true,
+        revokedAt: true,
+        roles: { select: { roleId: true } },
+        organization: {
+          select: { id: true, name: true, slug: true, isActive: true },
+        },
+      },
+    });
+    if (
+      !invitation ||
+      statusOf(invitation) !== 'PENDING' ||
+      !invitation.organization.isActive
+    ) {
+      throw new BadRequestError(INVALID_TOKEN);
+    }
+    const { isActive: _isActive, ...organization } = invitation.organization;
+    return { ...invitation, organization };
+  }
+
+  async _register(email, password, firstName, lastName, organizationId) {
+    const passwordHash = await bcrypt.hash(password, config.bcrypt.saltRounds);
+    const user = await userRepository.create(
+      { email, firstName, lastName, passwordHash, emailVerified: true },
+      organizationId,
+    );
+    await passwordPolicyService.recordPassword(user.id, passwordHash);
+    return user.id;
+  }
+
+  async _join(existing, organizationId) {
+    await userRepository.addMember(existing.id, organizationId);
+    if (!existing.emailVerified) {
+      await prisma.user.update({
+        where: { id: existing.id },
+        data: { emailVerified: true },
+      });
+    }
+    return existing.id;
+  }
+
+  async _assertRoles(roleIds, organizationId) {
+    if (roleIds.length === 0) return;
+    const found = await prisma.role.findMany({
+      where: {
+        id: { in: roleIds },
+        isActive: true,
+        ...(await orgHierarchyService.roleScope(organizationId)),
+      },
+      select: { id: true },
+    });
+    const foundIds = found.map((r) => r.id);
+    const missing = roleIds.filter((id) => !foundIds.includes(id));
+    if (missing.length > 0) {
+      throw new BadRequestError(
+        `Invalid or inaccessible role IDs: ${missing.join(', ')}`,
+      );
+    }
+  }
+
+  /**
+   * Delivery failures are logged, not thrown — the invite exists and can
+   * be resent.
+   */
+  async _send(invitation, organizationId, token) {
+    const organization = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: { name: true },
+    });
+    const acceptUrl = `${config.appUrl}/#/accept-invitation?token=${token}`;
+    const inviter = invitation.invitedBy;
+
+    try {
+      await mailer.send({
+        to: invitation.email,
+        subject: `You're invited to join ${organization.name}`,
+        text: [
+          'Hi,',
+          '',
+          `${inviter.firstName} ${inviter.lastName} invited you to join ${organization.name}.`,
+          `Accept the invitation within ${config.invitations.tokenExpiry}:`,
+          '',
+          acceptUrl,
+          '',
+          "If you weren't expecting this, you can ignore this email.",
+        ].join('\n'),
+      });
+    } catch (err) {
+      logger.error(
+        { err, invitationId: invitation.id },
+        'Invitation email failed',
+      );
+    }
+  }
+
+  async _audit(action, invitation, user, organizationId, options = {}) {
+    const { client = {}, metadata = null } = options;
+    await auditService.record({
+      action,
+      resource: 'INVITATION',
+      resourceId: invitation.id,
+      userId: user.id,
+      organizationId,
+      ipAddress: client.ipAddress,
+      userAgent: client.userAgent,
+      impersonatorId: user.impersonator?.id || null,
+      metadata: metadata || { email: invitation.email },
+    });
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,146 @@
+// ============================================================================
+// Organization Invitation Routes — /organizations/:id/invitations
+// ============================================================================
+// Mounted by the organization routes, which authenticate and resolve the
+// tenant; `:id` must be the current tenant. Managing invites takes
+// USER_CREATE, and the preassigned roles must be ones the caller may assign.
+// ============================================================================
+
+const { Router } = require('express');
+const invitationController = require('./invitation.controller');
+const validate = require('../../utils/validate');
+const {
+  createInvitationSchema,
+  invitationParamsSchema,
+  orgInvitationsParamSchema,
+  invitationListQuerySchema,
+} = require('./invitation.schema');
+const { authorize, denyImpersonation } = require('../../middleware');
+
+const router = Router({ mergeParams: true });
+
+/**
+ * @openapi
+ * /organizations/{id}/invitations:
+ *   get:
+ *     tags: [Invitations]
+ *     summary: List the organization's invitations
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [PENDING, ACCEPTED, EXPIRED, REVOKED] }
+ *       - in: query
+ *         name: search
+ *         description: Filter by email
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Paginated list of invitations
+ */
+router.get(
+  '/',
+  authorize('USER_CREATE'),
+  validate({
+    params: orgInvitationsParamSchema,
+    query: invitationListQuerySchema,
+  }),
+  invitationController.list,
+);
+
+/**
+ * @openapi
+ * /organizations/{id}/invitations:
+ *   post:
+ *     tags: [Invitations]
+ *     summary: Invite someone by email, with roles to get on joining
+ *     description: |
+ *       Emails a single-use link that expires after `INVITATION_EXPIRY`
+ *       (default 7 days). The caller must be allowed to assign every role.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *               roleIds:
+ *                 type: array
+ *                 items: { type: string, format: uuid }
+ *     responses:
+ *       201:
+ *         description: Invitation created and sent
+ *       403:
+ *         description: Caller may not assign one of the roles
+ *       409:
+ *         description: Already a member, or an invitation is already pending
+ */
+router.post(
+  '/',
+  denyImpersonation,
+  authorize('USER_CREATE'),
+  validate({ params: orgInvitationsParamSchema, body: createInvitationSchema }),
+  invitationController.create,
+);
+
+/**
+ * @openapi
+ * /organizations/{id}/invitations/{invitationId}/resend:
+ *   post:
+ *     tags: [Invitations]
+ *     summary: Send a pending or expired invitation again
+ *     description: Issues a new link and expiry; the previous link stops working.
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       409:
+ *         description: Invitation already accepted or revoked
+ */
+router.post(
+  '/:invitationId/resend',
+  denyImpersonation,
+  authorize('USER_CREATE'),
+  validate({ params: invitationParamsSchema }),
+  invitationController.resend,
+);
+
+/**
+ * @openapi
+ * /organizations/{id}/invitations/{invitationId}:
+ *   delete:
+ *     tags: [Invitations]
+ *     summary: Revoke an invitation that hasn't been accepted
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       409:
+ *         description: Invitation already accepted or revoked
+ */
+router.delete(
+  '/:invitationId',
+  authorize('USER_CREATE'),
+  validate({ params: invitationParamsSchema }),
+  invitationController.revoke,
+);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// ============================================================================
+// Membership Service — which organizations an identity can act in
+// ============================================================================
+// A user is one identity (email, password, MFA) with a Membership per
+// organization. Roles are granted per membership (UserRole.organizationId),
+// so permissions, tenant scoping and the org switcher all start here.
+//
+// A membership only counts while both it and its organization are active.
+// It also holds the user's ABAC attributes in that organization (department,
+// region, ...), which permission conditions can refer to.
+// ============================================================================
+
+const prisma = require('../../config/database');
+
+const ORGANIZATION_SELECT = { id: true, name: true, slug: true };
+
+class MembershipService {
+  /**
+   * Organizations the user can currently sign in to, by name.
+   */
+  async listOrganizations(userId) {
+    const memberships = await prisma.membership.findMany({
+      where: { userId, isActive: true, organization: { isActive: true } },
+      select: { organization: { select: ORGANIZATION_SELECT } },
+      orderBy: { organization: { name: 'asc' } },
+    });
+    return memberships.map((m) => m.organization);
+  }
+
+  /**
+   * Whether the user has an active membership in an active organization.
+   */
+  async isActiveMember(userId, organizationId) {
+    const membership = await prisma.membership.findFirst({
+      where: {
+        userId,
+        organizationId,
+        isActive: true,
+        organization: { isActive: true },
+      },
+      select: { id: true },
+    });
+    return !!membership;
+  }
+
+  /**
+   * Whether the user is an active member of any of these organizations —
+   * e.g. an organization or one of its ancestors.
+   */
+  async isActiveMemberOfAny(userId, organizationIds) {
+    const membership = await prisma.membership.findFirst({
+      where: {
+        userId,
+        organizationId: { in: organizationIds },
+        isActive: true,
+        organization: { isActive: true },
+      },
+      select: { id: true },
+    });
+    return !!membership;
+  }
+
+  /**
+   * Whether the user is (or was) a member anywhere besides this organization.
+   */
+  async hasOtherMemberships(userId, organizationId) {
+    const count = await prisma.membership.count({
+      where: { userId, organizationId: { not: organizationId } },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Add the user to an organization (or re-activate a removed membership).
+   * Pass a transaction client to keep it atomic with user creation.
+   */
+  async add(userId, organizationId, tx = prisma) {
+    return tx.membership.upsert({
+      where: { userId_organizationId: { userId, organizationId } },
+      create: { userId, organizationId },
+      update: { isActive: true },
+    });
+  }
+
+  /**
+   * Activate or deactivate the user within one organization only.
+   */
+  async setActive(userId, organizationId, isActive) {
+    return prisma.membership.update({
+      where: { userId_organizationId: { userId, organizationId } },
+      data: { isActive },
+    });
+  }
+
+  /**
+   * The user's attributes in an organization ({} if not a member).
+   */
+  async getAttributes(userId, organizationId) {
+    const membership = await prisma.membership.findUnique({
+      where: { userId_organizationId: { userId, organizationId } },
+      select: { attributes: true },
+    });
+    return membership?.attributes || {};
+  }
+
+  /**
+   * Replace the user's attributes in an organization.
+   */
+  async setAttributes(userId, organizationId, attributes) {
+    return prisma.membership.update({
+      where: { userId_organizationId: { userId, organizationId } },
+      data: { attributes },
+    });
+  }
+}
+
+module.exports = new MembershipService();
@@ -0,0 +1,107 @@
+// ============================================================================
+// MFA Controller — Thin HTTP Layer
+// ============================================================================
+
+const mfaService = require('./mfa.service');
+const { success } = require('../../utils/response');
+const { getClientInfo } = require('../../utils/helpers');
+
+const mfaController = {
+  /**
+   * POST /auth/mfa/setup
+   */
+  async setup(req, res, next) {
+    try {
+      const result = await mfaService.beginEnrollment(req.user.id);
+      return success(res, result);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /auth/mfa/verify
+   */
+  async verify(req, res, next) {
+    try {
+      const result = await mfaService.confirmEnrollment(
+        req.user.id,
+        req.body.code,
+      );
+      return success(res, result);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /auth/mfa/disable
+   */
+  async disable(req, res, next) {
+    try {
+      await mfaService.disable(req.user.id, req.body);
+      return success(res, { message: 'MFA disabled' });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /auth/mfa/recovery-codes
+   */
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const result = await mfaService.regenerateRecoveryCodes(
+        req.user.id,
+        req.body,
+      );
+      return success(res, result);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /auth/mfa/challenge
+   */
+  async challenge(req, res, next) {
+    try {
+      const result = await mfaService.verifyChallenge(
+        req.body,
+        getClientInfo(req),
+      );
+      return success(res, result);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /auth/mfa/enroll
+   */
+  async enroll(req, res, next) {
+    try {
+      const result = await mfaService.beginEnrollmentWithToken(req.body);
+      return success(res, result);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * POST /auth/mfa/enroll/verify
+   */
+  async enrollVerify(req, res, next) {
+    try {
+      const result = await mfaService.confirmEnrollmentWithToken(
+        req.body,
+        getClientInfo(req),
+      );
+      return success(res, result);
+    } catch (err) {
+      next(err);
+    }
+  },
+};
+
+module.exports = mfaController;
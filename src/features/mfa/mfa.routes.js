@@ -0,0 +1,227 @@
+// ============================================================================
+// MFA Routes (mounted at /auth/mfa)
+// ============================================================================
+// Two groups of endpoints:
+//   1. Self-service management (setup, verify, disable, recovery codes) —
+//      require a normal access token.
+//   2. Login steps (challenge, enroll, enroll/verify) — public, authorized by
+//      the short-lived mfaToken returned from POST /auth/login, and rate
+//      limited like the rest of the auth endpoints.
+// ============================================================================
+
+const { Router } = require('express');
+const mfaController = require('./mfa.controller');
+const {
+  mfaCodeSchema,
+  mfaVerificationSchema,
+  mfaChallengeSchema,
+  mfaEnrollSchema,
+  mfaEnrollVerifySchema,
+} = require('./mfa.schema');
+const validate = require('../../utils/validate');
+const {
+  authenticate,
+  auditLog,
+  denyImpersonation,
+} = require('../../middleware');
+const { authLimiter } = require('../../middleware/rateLimiter');
+
+const router = Router();
+
+/**
+ * @openapi
+ * /auth/mfa/setup:
+ *   post:
+ *     tags: [MFA]
+ *     summary: Start TOTP enrollment — returns secret and otpauth URI
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending secret generated (not active until verified)
+ *       409:
+ *         description: MFA already enabled
+ */
+router.post('/setup', authenticate, denyImpersonation, mfaController.setup);
+
+/**
+ * @openapi
+ * /auth/mfa/verify:
+ *   post:
+ *     tags: [MFA]
+ *     summary: Confirm enrollment with the first TOTP code
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: '123456' }
+ *     responses:
+ *       200:
+ *         description: MFA enabled — returns one-time recovery codes
+ *       401:
+ *         description: Invalid code
+ */
+router.post(
+  '/verify',
+  authenticate,
+  denyImpersonation,
+  authLimiter,
+  validate({ body: mfaCodeSchema }),
+  auditLog('MFA_ENABLED', 'AUTH'),
+  mfaController.verify,
+);
+
+/**
+ * @openapi
+ * /auth/mfa/disable:
+ *   post:
+ *     tags: [MFA]
+ *     summary: Disable MFA (requires a TOTP or recovery code)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code: { type: string }
+ *               recoveryCode: { type: string }
+ *     responses:
+ *       200:
+ *         description: MFA disabled
+ *       403:
+ *         description: Organization requires MFA
+ */
+router.post(
+  '/disable',
+  authenticate,
+  denyImpersonation,
+  authLimiter,
+  validate({ body: mfaVerificationSchema }),
+  auditLog('MFA_DISABLED', 'AUTH'),
+  mfaController.disable,
+);
+
+/**
+ * @openapi
+ * /auth/mfa/recovery-codes:
+ *   post:
+ *     tags: [MFA]
+ *     summary: Regenerate recovery codes (invalidates the old set)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code: { type: string }
+ *               recoveryCode: { type: string }
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ */
+router.post(
+  '/recovery-codes',
+  authenticate,
+  denyImpersonation,
+  authLimiter,
+  validate({ body: mfaVerificationSchema }),
+  auditLog('MFA_RECOVERY_CODES_REGENERATED', 'AUTH'),
+  mfaController.regenerateRecoveryCodes,
+);
+
+/**
+ * @openapi
+ * /auth/mfa/challenge:
+ *   post:
+ *     tags: [MFA]
+ *     summary: Complete login with the mfaToken and a TOTP or recovery code
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mfaToken]
+ *             properties:
+ *               mfaToken: { type: string }
+ *               code: { type: string }
+ *               recoveryCode: { type: string }
+ *     responses:
+ *       200:
+ *         description: Login successful — returns access + refresh tokens
+ *       401:
+ *         description: Invalid code or expired MFA token
+ */
+router.post(
+  '/challenge',
+  authLimiter,
+  validate({ body: mfaChallengeSchema }),
+  mfaController.challenge,
+);
+
+/**
+ * @openapi
+ * /auth/mfa/enroll:
+ *   post:
+ *     tags: [MFA]
+ *     summary: Start forced enrollment using the mfaToken from login
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mfaToken]
+ *             properties:
+ *               mfaToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: Pending secret and otpauth URI
+ */
+router.post(
+  '/enroll',
+  authLimiter,
+  validate({ body: mfaEnrollSchema }),
+  mfaController.enroll,
+);
+
+/**
+ * @openapi
+ * /auth/mfa/enroll/verify:
+ *   post:
+ *     tags: [MFA]
+ *     summary: Confirm forced enrollment and complete login
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mfaToken, code]
+ *             properties:
+ *               mfaToken: { type: string }
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: Login successful — tokens plus one-time recovery codes
+ */
+router.post(
+  '/enroll/verify',
+  authLimiter,
+  validate({ body: mfaEnrollVerifySchema }),
+  mfaController.enrollVerify,
+);
+
+module.exports = router;
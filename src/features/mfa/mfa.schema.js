@@ -0,0 +1,50 @@
+// ============================================================================
+// MFA Validation Schemas (Zod)
+// ============================================================================
+
+const { z } = require('zod');
+
+const totpCode = z.string().regex(/^\d{6}$/, 'Code must be 6 digits');
+
+const mfaCodeSchema = z.object({
+  code: totpCode,
+});
+
+// Either a TOTP code or a recovery code — exactly one
+const mfaVerificationSchema = z
+  .object({
+    code: totpCode.optional(),
+    recoveryCode: z.string().min(1).max(32).optional(),
+  })
+  .refine((data) => !!data.code !== !!data.recoveryCode, {
+    message: 'Provide either code or recoveryCode',
+    path: ['code'],
+  });
+
+const mfaChallengeSchema = z
+  .object({
+    mfaToken: z.string().min(1, 'MFA token is required'),
+    code: totpCode.optional(),
+    recoveryCode: z.string().min(1).max(32).optional(),
+  })
+  .refine((data) => !!data.code !== !!data.recoveryCode, {
+    message: 'Provide either code or recoveryCode',
+    path: ['code'],
+  });
+
+const mfaEnrollSchema = z.object({
+  mfaToken: z.string().min(1, 'MFA token is required'),
+});
+
+const mfaEnrollVerifySchema = z.object({
+  mfaToken: z.string().min(1, 'MFA token is required'),
+  code: totpCode,
+});
+
+module.exports = {
+  mfaCodeSchema,
+  mfaVerificationSchema,
+  mfaChallengeSchema,
+  mfaEnrollSchema,
+  mfaEnrollVerifySchema,
+};
@@ -0,0 +1,290 @@
+// ============================================================================
+// MFA Service — TOTP Enrollment & Verification
+// ============================================================================
+// Handles:
+//   - Enrollment (secret generation → otpauth URI → confirm with first code)
+//   - Recovery codes (single-use, shown once, stored hashed)
+//   - Login challenge (second step after AuthService.login)
+//   - Forced enrollment for organizations with `requireMfa`
+//
+// Architectural notes:
+//   - The TOTP secret is encrypted at rest (AES-256-GCM) because we need to
+//     read it back to verify codes. Recovery codes are one-way hashed.
+//   - A stored secret with mfaEnabled = false is a pending enrollment; it only
+//     becomes active once the user proves possession with a valid code.
+//   - mfaTokens are short-lived JWTs issued by AuthService.login. They carry a
+//     `type` claim so a challenge token can't be used to enroll and vice versa.
+// ============================================================================
+
+const crypto = require('crypto');
+const { authenticator: baseAuthenticator } = require('otplib');
+const config = require('../../config');
+const prisma = require('../../config/database');
+const authService = require('../auth/auth.service');
+const signingKeyService = require('../signing-keys/signingKey.service');
+const {
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  BadRequestError,
+  ForbiddenError,
+} = require('../../utils/errors');
+const { encrypt, decrypt, hashToken } = require('../../utils/crypto');
+const logger = require('../../config/logger');
+
+// Accept one 30s step of clock drift in either direction
+const authenticator = baseAuthenticator.clone({ window: 1 });
+
+// Recovery codes are compared case- and dash-insensitively
+function hashRecoveryCode(code) {
+  return hashToken(code.replace(/[\s-]/g, '').toLowerCase());
+}
+
+class MfaService {
+  /**
+   * Start (or restart) enrollment for a user. Stores a new pending secret
+   * and returns it with an otpauth:// URI for QR code rendering.
+   */
+  async beginEnrollment(userId) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) throw new NotFoundError('User');
+
+    if (user.mfaEnabled) {
+      throw new ConflictError('MFA is already enabled');
+    }
+
+    const secret = authenticator.generateSecret();
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { mfaSecret: encrypt(secret) },
+    });
+
+    return {
+      secret,
+      otpauthUrl: authenticator.keyuri(user.email, config.mfa.issuer, secret),
+    };
+  }
+
+  /**
+   * Confirm enrollment with the first code from the authenticator app.
+   * Activates MFA and returns freshly generated recovery codes (shown once).
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) throw new NotFoundError('User');
+
+    if (user.mfaEnabled) {
+      throw new ConflictError('MFA is already enabled');
+    }
+    if (!user.mfaSecret) {
+      throw new BadRequestError('MFA enrollment has not been started');
+    }
+
+    if (!this._verifyTotp(user, code)) {
+      throw new UnauthorizedError('Invalid MFA code');
+    }
+
+    const recoveryCodes = this._generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        mfaEnabled: true,
+        mfaEnabledAt: new Date(),
+        mfaRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      },
+    });
+
+    logger.info({ userId }, 'MFA enabled');
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Turn MFA off. Requires a valid TOTP or recovery code, and is refused
+   * when the user's organization mandates MFA.
+   */
+  async disable(userId, { code, recoveryCode }) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { organization: { select: { requireMfa: true } } },
+    });
+    if (!user) throw new NotFoundError('User');
+
+    if (!user.mfaEnabled) {
+      throw new BadRequestError('MFA is not enabled');
+    }
+    if (user.organization.requireMfa) {
+      throw new ForbiddenError('Your organization requires MFA');
+    }
+
+    await this._verifySecondFactor(user, { code, recoveryCode });
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        mfaEnabled: false,
+        mfaSecret: null,
+        mfaRecoveryCodes: [],
+        mfaEnabledAt: null,
+      },
+    });
+
+    logger.info({ userId }, 'MFA disabled');
+  }
+
+  /**
+   * Replace all recovery codes. Old codes stop working immediately.
+   */
+  async regenerateRecoveryCodes(userId, { code, recoveryCode }) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) throw new NotFoundError('User');
+
+    if (!user.mfaEnabled) {
+      throw new BadRequestError('MFA is not enabled');
+    }
+
+    await this._verifySecondFactor(user, { code, recoveryCode });
+
+    const recoveryCodes = this._generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { mfaRecoveryCodes: recoveryCodes.map(hashRecoveryCode) },
+    });
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Second login step: exchange an mfa_challenge token + code for a session.
+   * A token from an organization switch completes that switch instead.
+   */
+  async verifyChallenge({ mfaToken, code, recoveryCode }, client = {}) {
+    const {
+      user,
+      organizationId,
+      switch: switched,
+    } = await this._resolveMfaToken(mfaToken, 'mfa_challenge');
+
+    if (!user.mfaEnabled) {
+      throw new UnauthorizedError('Invalid or expired MFA token');
+    }
+
+    await this._verifySecondFactor(user, { code, recoveryCode });
+
+    if (switched) {
+      return authService.completeSwitch(
+        user,
+        organizationId,
+        {
+          sessionId: switched.sid,
+          fromOrganizationId: switched.from,
+          switchRef: switched.ref,
+        },
+        client,
+      );
+    }
+    return authService.completeLogin(user, organizationId, client);
+  }
+
+  /**
+   * Forced enrollment (org requires MFA): start enrollment using the
+   * mfa_enrollment token returned by login instead of an access token.
+   */
+  async beginEnrollmentWithToken({ mfaToken }) {
+    const { user } = await this._resolveMfaToken(mfaToken, 'mfa_enrollment');
+    return this.beginEnrollment(user.id);
+  }
+
+  /**
+   * Forced enrollment: confirm the first code, then complete the login.
+   * Returns the session together with the one-time recovery codes.
+   */
+  async confirmEnrollmentWithToken({ mfaToken, code }, client = {}) {
+    const { user, organizationId } = await this._resolveMfaToken(
+      mfaToken,
+      'mfa_enrollment',
+    );
+
+    const { recoveryCodes } = await this.confirmEnrollment(user.id, code);
+    const session = await authService.completeLogin(
+      user,
+      organizationId,
+      client,
+    );
+
+    return { ...session, recoveryCodes };
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  async _resolveMfaToken(mfaToken, expectedType) {
+    let decoded;
+    try {
+      decoded = await signingKeyService.verify(mfaToken, {
+        legacySecret: config.jwt.accessSecret,
+      });
+    } catch {
+      throw new UnauthorizedError('Invalid or expired MFA token');
+    }
+
+    if (decoded.type !== expectedType) {
+      throw new UnauthorizedError('Invalid or expired MFA token');
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: decoded.sub } });
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError('Invalid or expired MFA token');
+    }
+
+    return {
+      user,
+      organizationId: decoded.organizationId,
+      switch: decoded.switch || null,
+    };
+  }
+
+  /**
+   * Accept either a TOTP code or a single-use recovery code.
+   * A used recovery code is removed so it can never be replayed.
+   */
+  async _verifySecondFactor(user, { code, recoveryCode }) {
+    if (code) {
+      if (this._verifyTotp(user, code)) return;
+      throw new UnauthorizedError('Invalid MFA code');
+    }
+
+    const hashed = hashRecoveryCode(recoveryCode);
+    if (!user.mfaRecoveryCodes.includes(hashed)) {
+      throw new UnauthorizedError('Invalid recovery code');
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        mfaRecoveryCodes: user.mfaRecoveryCodes.filter((c) => c !== hashed),
+      },
+    });
+
+    logger.info({ userId: user.id }, 'MFA recovery code used');
+  }
+
+  _verifyTotp(user, code) {
+    if (!user.mfaSecret) return false;
+    return authenticator.check(code, decrypt(user.mfaSecret));
+  }
+
+  /**
+   * Codes look like "3f9a1-c07be" — hex is easy to read back and type.
+   */
+  _generateRecoveryCodes() {
+    return Array.from({ length: config.mfa.recoveryCodeCount }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+}
+
+module.exports = new MfaService();
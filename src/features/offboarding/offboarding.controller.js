@@ -0,0 +1,47 @@
+// ============================================================================
+// Offboarding Controller
+// ============================================================================
+
+const offboardingService = require('./offboarding.service');
+const { success } = require('../../utils/response');
+const { getClientInfo, tenantOf } = require('../../utils/helpers');
+
+const offboardingController = {
+  async get(req, res, next) {
+    try {
+      const offboarding = await offboardingService.get(tenantOf(req));
+      return success(res, offboarding);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async start(req, res, next) {
+    try {
+      const offboarding = await offboardingService.start(
+        req.user,
+        tenantOf(req),
+        req.body,
+        getClientInfo(req),
+      );
+      return success(res, offboarding, 201);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async cancel(req, res, next) {
+    try {
+      const offboarding = await offboardingService.cancel(
+        req.user,
+        tenantOf(req),
+        getClientInfo(req),
+      );
+      return success(res, offboarding);
+    } catch (err) {
+      next(err);
+    }
+  },
+};
+
+module.exports = offboardingController;
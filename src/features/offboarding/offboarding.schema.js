@@ -0,0 +1,17 @@
+// ============================================================================
+// Offboarding Validation Schemas
+// ============================================================================
+
+const { z } = require('zod');
+
+const startOffboardingSchema = z.object({
+  mode: z.enum(['PURGE', 'ANONYMIZE']),
+  // Defaults to OFFBOARDING_GRACE_DAYS
+  graceDays: z.number().int().min(1).max(365).optional(),
+});
+
+const orgOffboardingParamSchema = z.object({
+  id: z.string().uuid('Invalid organization ID format'),
+});
+
+module.exports = { startOffboardingSchema, orgOffboardingParamSchema };
@@ -0,0 +1,511 @@
+// ============================================================================
+// Offboarding Service — Removing a Departing Organization
+// ============================================================================
+// Offboarding runs in steps, each audited:
+//   1. Start: the organization is deactivated (through
+//      OrganizationService.updateOrganization), so nobody can sign in to it
+//      or use it, and every session and API key in it is revoked
+//   2. Grace period (OFFBOARDING_GRACE_DAYS): nothing is deleted yet; the
+//      data can still be exported by an operator, or the offboarding
+//      cancelled, which reactivates the organization
+//   3. Completion, run by the offboarding sweeper once the grace period is
+//      over, in one of two modes:
+//        PURGE      the organization is deleted with its roles, feature
+//                   flags, audit logs and the accounts that belong only to it
+//        ANONYMIZE  the organization is kept, inactive, but stripped of
+//                   personal data: its own accounts are scrubbed, audit
+//                   entries lose IPs, user agents and details
+//
+// Architectural notes:
+//   - People who are also members elsewhere keep their account; they just
+//     leave the organization (and get a new home organization if needed).
+//   - Offboarding and export audit entries survive a purge, detached from
+//     the organization (resourceId still names it), as the record of what
+//     was done.
+//   - Organizations with sub-organizations can't be offboarded; those have
+//     to be offboarded or moved first.
+// ============================================================================
+
+const jwt = require('jsonwebtoken');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../../config/database');
+const config = require('../../config');
+const logger = require('../../config/logger');
+const { cache } = require('../../config/redis');
+const auditService = require('../audit/audit.service');
+const orgService = require('../organizations/org.service');
+const sessionService = require('../sessions/session.service');
+const exportService = require('../exports/export.service');
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require('../../utils/errors');
+const { randomToken } = require('../../utils/crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OFFBOARDING_SELECT = {
+  id: true,
+  organizationId: true,
+  organizationName: true,
+  organizationSlug: true,
+  mode: true,
+  status: true,
+  requestedById: true,
+  sessionsRevokedAt: true,
+  purgeAfter: true,
+  cancelledById: true,
+  cancelledAt: true,
+  completedAt: true,
+  createdAt: true,
+};
+
+// Audit entries kept as the record of the offboarding
+const KEPT_AUDIT = {
+  OR: [
+    { action: { startsWith: 'ORG_OFFBOARDING_' } },
+    { action: { startsWith: 'ORG_EXPORT_' } },
+  ],
+};
+
+class OffboardingService {
+  /**
+   * The organization's most recent offboarding.
+   */
+  async get(organizationId) {
+    const offboarding = await prisma.organizationOffboarding.findFirst({
+      where: { organizationId },
+      select: OFFBOARDING_SELECT,
+      orderBy: { createdAt: 'desc' },
+    });
+    if (!offboarding) throw new NotFoundError('Offboarding');
+    return offboarding;
+  }
+
+  /**
+   * Deactivate the organization, revoke its sessions and schedule the purge
+   * or anonymization for the end of the grace period.
+   */
+  async start(
+    user,
+    organizationId,
+    { mode, graceDays = config.offboarding.graceDays },
+    client = {},
+  ) {
+    const org = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: {
+        id: true,
+        name: true,
+        slug: true,
+        _count: { select: { children: true } },
+      },
+    });
+    if (!org) throw new NotFoundError('Organization');
+
+    if (organizationId === user.organizationId) {
+      throw new BadRequestError('You cannot offboard your own organization');
+    }
+    if (org._count.children > 0) {
+      throw new BadRequestError('Offboard or move its sub-organizations first');
+    }
+    const open = await prisma.organizationOffboarding.findFirst({
+      where: { organizationId, status: { in: ['SCHEDULED', 'RUNNING'] } },
+      select: { id: true },
+    });
+    if (open) throw new ConflictError('Organization is already offboarding');
+
+    await orgService.updateOrganization(
+      organizationId,
+      { isActive: false },
+      user,
+      organizationId,
+    );
+
+    let offboarding = await prisma.organizationOffboarding.create({
+      data: {
+        organizationId,
+        organizationName: org.name,
+        organizationSlug: org.slug,
+        mode,
+        requestedById: user.id,
+        purgeAfter: new Date(Date.now() + graceDays * DAY_MS),
+      },
+      select: OFFBOARDING_SELECT,
+    });
+    const actor = {
+      userId: user.id,
+      impersonatorId: user.impersonator?.id || null,
+      homeOrganizationId: user.organizationId,
+      ...client,
+    };
+    await this._audit('ORG_OFFBOARDING_STARTED', offboarding, {
+      ...actor,
+      metadata: { mode, graceDays, purgeAfter: offboarding.purgeAfter },
+    });
+
+    const revoked = await this.revokeSessions(organizationId);
+    offboarding = await prisma.organizationOffboarding.update({
+      where: { id: offboarding.id },
+      data: { sessionsRevokedAt: new Date() },
+      select: OFFBOARDING_SELECT,
+    });
+    await this._audit('ORG_OFFBOARDING_SESSIONS_REVOKED', offboarding, {
+      ...actor,
+      metadata: revoked,
+    });
+
+    logger.info(
+      { organizationId, mode, purgeAfter: offboarding.purgeAfter },
+      'Organization offboarding started',
+    );
+    return offboarding;
+  }
+
+  /**
+   * Call off a scheduled offboarding and reactivate the organization.
+   * Revoked sessions stay revoked; members sign in again.
+   */
+  async cancel(user, organizationId, client = {}) {
+    const offboarding = await prisma.organizationOffboarding.findFirst({
+      where: { organizationId, status: 'SCHEDULED' },
+      select: { id: true },
+    });
+    if (!offboarding) throw new NotFoundError('Scheduled offboarding');
+
+    // The sweeper may have started on it in the meantime
+    const { count } = await prisma.organizationOffboarding.updateMany({
+      where: { id: offboarding.id, status: 'SCHEDULED' },
+      data: {
+        status: 'CANCELLED',
+        cancelledById: user.id,
+        cancelledAt: new Date(),
+      },
+    });
+    if (count === 0) throw new NotFoundError('Scheduled offboarding');
+
+    await orgService.updateOrganization(
+      organizationId,
+      { isActive: true },
+      user,
+      organizationId,
+    );
+
+    const cancelled = await prisma.organizationOffboarding.findUnique({
+      where: { id: offboarding.id },
+      select: OFFBOARDING_SELECT,
+    });
+    await this._audit('ORG_OFFBOARDING_CANCELLED', cancelled, {
+      userId: user.id,
+      impersonatorId: user.impersonator?.id || null,
+      homeOrganizationId: user.organizationId,
+      ...client,
+      metadata: { mode: cancelled.mode },
+    });
+    return cancelled;
+  }
+
+  /**
+   * Revoke every session signed in to the organization, and its API keys.
+   * Members keep their sessions in other organizations.
+   * @returns {Promise<{ sessions: number, apiKeys: number }>}
+   */
+  async revokeSessions(organizationId) {
+    const members = await prisma.membership.findMany({
+      where: { organizationId },
+      select: { userId: true },
+    });
+    const liveTokens = await prisma.refreshToken.findMany({
+      where: {
+        userId: { in: members.map((m) => m.userId) },
+        isRevoked: false,
+        expiresAt: { gt: new Date() },
+      },
+      select: { userId: true, family: true, token: true },
+    });
+
+    // The live token of a session says which organization it is in now
+    let sessions = 0;
+    for (const { userId, family, token } of liveTokens) {
+      if (jwt.decode(token)?.organizationId !== organizationId) continue;
+      try {
+        await sessionService.revokeSession(userId, family);
+        sessions++;
+      } catch (err) {
+        if (!(err instanceof NotFoundError)) throw err; // Already revoked
+      }
+    }
+
+    const { count: apiKeys } = await prisma.apiKey.updateMany({
+      where: { organizationId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    return { sessions, apiKeys };
+  }
+
+  /**
+   * Purge or anonymize the organization of a scheduled offboarding whose
+   * grace period is over. Returns false if it isn't due or was taken by
+   * another instance; a failure puts it back on the schedule.
+   */
+  async complete(offboardingId, now = new Date()) {
+    const { count } = await prisma.organizationOffboarding.updateMany({
+      where: {
+        id: offboardingId,
+        status: 'SCHEDULED',
+        purgeAfter: { lte: now },
+      },
+      data: { status: 'RUNNING' },
+    });
+    if (count === 0) return false;
+
+    const offboarding = await prisma.organizationOffboarding.findUnique({
+      where: { id: offboardingId },
+      select: OFFBOARDING_SELECT,
+    });
+
+    try {
+      const { organizationId, mode } = offboarding;
+      const children = await prisma.organization.count({
+        where: { parentId: organizationId },
+      });
+      if (children > 0) {
+        throw new Error('Organization has sub-organizations');
+      }
+
+      const exports = await exportService.removeForOrganization(organizationId);
+      const result =
+        mode === 'PURGE'
+          ? await this._purge(organizationId)
+          : await this._anonymize(organizationId);
+
+      const completed = await prisma.organizationOffboarding.update({
+        where: { id: offboardingId },
+        data: { status: 'COMPLETED', completedAt: new Date() },
+        select: OFFBOARDING_SELECT,
+      });
+      await this._audit('ORG_OFFBOARDING_COMPLETED', offboarding, {
+        organizationId: completed.organizationId,
+        metadata: { mode, exportsDeleted: exports, ...result },
+      });
+      await cache.delPattern('permissions:*');
+
+      logger.info(
+        { organizationId, mode, ...result },
+        'Organization offboarding completed',
+      );
+      return true;
+    } catch (err) {
+      await prisma.organizationOffboarding.update({
+        where: { id: offboardingId },
+        data: { status: 'SCHEDULED' },
+      });
+      throw err;
+    }
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  /**
+   * Delete the organization and everything that is only its own.
+   */
+  async _purge(organizationId) {
+    return prisma.$transaction(
+      async (tx) => {
+        const { exclusive, shared } = await this._members(tx, organizationId);
+        await this._rehome(tx, organizationId, shared);
+
+        await tx.auditLog.updateMany({
+          where: { organizationId, ...KEPT_AUDIT },
+          data: { organizationId: null },
+        });
+        const auditLogs = await tx.auditLog.deleteMany({
+          where: { organizationId },
+        });
+
+        // Roles and flags don't cascade: without an organization they would
+        // become global
+        const roleIds = (
+          await tx.role.findMany({
+            where: { organizationId },
+            select: { id: true },
+          })
+        ).map((r) => r.id);
+        const featureFlags = await tx.featureFlag.deleteMany({
+          where: { OR: [{ organizationId }, { roleId: { in: roleIds } }] },
+        });
+        const users = await tx.user.deleteMany({
+          where: { id: { in: exclusive } },
+        });
+        const roles = await tx.role.deleteMany({ where: { organizationId } });
+
+        // Memberships, assignments, invitations, SSO, API keys... cascade
+        await tx.organization.delete({ where: { id: organizationId } });
+
+        return {
+          usersDeleted: users.count,
+          usersRemoved: shared.length,
+          rolesDeleted: roles.count,
+          featureFlagsDeleted: featureFlags.count,
+          auditLogsDeleted: auditLogs.count,
+        };
+      },
+      { timeout: 5 * 60 * 1000 },
+    );
+  }
+
+  /**
+   * Keep the organization, inactive, without personal data.
+   */
+  async _anonymize(organizationId) {
+    return prisma.$transaction(
+      async (tx) => {
+        const { exclusive, shared } = await this._members(tx, organizationId);
+        await this._rehome(tx, organizationId, shared);
+
+        const scope = { organizationId, userId: { in: shared } };
+        await tx.userRole.deleteMany({ where: scope });
+        await tx.userPermissionDeny.deleteMany({ where: scope });
+        await tx.membership.deleteMany({ where: scope });
+        await tx.membership.updateMany({
+          where: { organizationId },
+          data: { isActive: false, attributes: {} },
+        });
+
+        for (const id of exclusive) {
+          await tx.user.update({
+            where: { id },
+            data: {
+              email: `deleted-${id}@anonymized.invalid`,
+              firstName: 'Deleted',
+              lastName: 'User',
+              passwordHash: randomToken(), // Matches no password
+              isActive: false,
+              emailVerified: false,
+              lastLoginAt: null,
+              mfaEnabled: false,
+              mfaSecret: null,
+              mfaRecoveryCodes: [],
+              mfaEnabledAt: null,
+              failedLoginAttempts: 0,
+              lastFailedLoginAt: null,
+              lockedUntil: null,
+            },
+          });
+        }
+        const owned = { userId: { in: exclusive } };
+        await tx.refreshToken.deleteMany({ where: owned });
+        await tx.passwordResetToken.deleteMany({ where: owned });
+        await tx.emailVerificationToken.deleteMany({ where: owned });
+        await tx.passwordHistory.deleteMany({ where: owned });
+        await tx.apiKey.deleteMany({
+          where: { OR: [owned, { organizationId }] },
+        });
+
+        await tx.invitation.deleteMany({ where: { organizationId } });
+        await tx.ssoConfig.deleteMany({ where: { organizationId } });
+        await tx.accessRequest.updateMany({
+          where: { organizationId },
+          data: { justification: '', decisionNote: null },
+        });
+
+        await tx.auditLog.updateMany({
+          where: { organizationId },
+          data: { ipAddress: null, userAgent: null },
+        });
+        const auditLogs = await tx.auditLog.updateMany({
+          where: { organizationId, NOT: KEPT_AUDIT },
+          data: { metadata: Prisma.DbNull },
+        });
+
+        await tx.organization.update({
+          where: { id: organizationId },
+          data: {
+            name: 'Anonymized organization',
+            slug: `anonymized-${organizationId}`,
+            description: null,
+            isActive: false,
+          },
+        });
+
+        return {
+          usersAnonymized: exclusive.length,
+          usersRemoved: shared.length,
+          auditLogsAnonymized: auditLogs.count,
+        };
+      },
+      { timeout: 5 * 60 * 1000 },
+    );
+  }
+
+  /**
+   * Split the organization's people into those who only belong to it and
+   * those with other memberships. Accounts at home here count even without
+   * a membership.
+   */
+  async _members(tx, organizationId) {
+    const users = await tx.user.findMany({
+      where: {
+        OR: [{ organizationId }, { memberships: { some: { organizationId } } }],
+      },
+      select: {
+        id: true,
+        memberships: {
+          where: { organizationId: { not: organizationId } },
+          select: { id: true },
+          take: 1,
+        },
+      },
+    });
+    return {
+      exclusive: users
+        .filter((u) => u.memberships.length === 0)
+        .map((u) => u.id),
+      shared: users.filter((u) => u.memberships.length > 0).map((u) => u.id),
+    };
+  }
+
+  /**
+   * Give people at home in the organization another of their organizations.
+   */
+  async _rehome(tx, organizationId, userIds) {
+    const homed = await tx.user.findMany({
+      where: { id: { in: userIds }, organizationId },
+      select: {
+        id: true,
+        memberships: {
+          where: { organizationId: { not: organizationId } },
+          select: { organizationId: true },
+          orderBy: { createdAt: 'asc' },
+          take: 1,
+        },
+      },
+    });
+    for (const user of homed) {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { organizationId: user.memberships[0].organizationId },
+      });
+    }
+  }
+
+  async _audit(action, offboarding, details) {
+    await auditService.record({
+      action,
+      resource: 'ORGANIZATION',
+      resourceId: offboarding.organizationId,
+      organizationId: offboarding.organizationId,
+      ...details,
+      metadata: {
+        offboardingId: offboarding.id,
+        organizationName: offboarding.organizationName,
+        organizationSlug: offboarding.organizationSlug,
+        ...details.metadata,
+      },
+    });
+  }
+}
+
+module.exports = new OffboardingService();
@@ -0,0 +1,84 @@
+// ============================================================================
+// Offboarding Sweeper — finishes offboardings once their grace period ends
+// ============================================================================
+// Each sweep purges or anonymizes the organizations whose grace period is
+// over (see OffboardingService.complete), then deletes expired export
+// archives. An offboarding is claimed before it runs, so several app
+// instances can sweep at once; one that fails is retried next sweep.
+// ============================================================================
+
+const prisma = require('../../config/database');
+const config = require('../../config');
+const logger = require('../../config/logger');
+const offboardingService = require('./offboarding.service');
+const exportService = require('../exports/export.service');
+
+// Offboardings handled per sweep; anything left over waits for the next one
+const BATCH_SIZE = 10;
+
+class OffboardingSweeper {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    const intervalMs = config.offboarding.sweepIntervalSeconds * 1000;
+    this.timer = setInterval(() => this.sweep(), intervalMs);
+    this.timer.unref();
+    logger.info(
+      { intervalSeconds: config.offboarding.sweepIntervalSeconds },
+      'Offboarding sweeper started',
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Complete due offboardings and clean up expired exports. Never throws.
+   * @returns {Promise<number>} How many offboardings were completed
+   */
+  async sweep(now = new Date()) {
+    if (this.running) return 0;
+    this.running = true;
+
+    let completed = 0;
+    try {
+      const due = await prisma.organizationOffboarding.findMany({
+        where: { status: 'SCHEDULED', purgeAfter: { lte: now } },
+        select: { id: true, organizationId: true },
+        orderBy: { purgeAfter: 'asc' },
+        take: BATCH_SIZE,
+      });
+
+      for (const offboarding of due) {
+        try {
+          if (await offboardingService.complete(offboarding.id, now)) {
+            completed++;
+          }
+        } catch (err) {
+          logger.error(
+            { err, ...offboarding },
+            'Organization offboarding failed',
+          );
+        }
+      }
+
+      const exports = await exportService.sweep(now);
+      if (exports.expired > 0 || exports.interrupted > 0) {
+        logger.info(exports, 'Export archives cleaned up');
+      }
+    } catch (err) {
+      logger.error({ err }, 'Offboarding sweep failed');
+    } finally {
+      this.running = false;
+    }
+    return completed;
+  }
+}
+
+module.exports = new OffboardingSweeper();
@@ -0,0 +1,125 @@
+// ============================================================================
+// Organization Offboarding Routes — /organizations/:id/offboarding
+// ============================================================================
+// Mounted by the organization routes, which authenticate and resolve the
+// tenant; `:id` must be the current tenant. Offboarding is for platform
+// operators (PLATFORM_ORG_OFFBOARD), acting through X-Organization-Id.
+// ============================================================================
+
+const { Router } = require('express');
+const offboardingController = require('./offboarding.controller');
+const validate = require('../../utils/validate');
+const {
+  startOffboardingSchema,
+  orgOffboardingParamSchema,
+} = require('./offboarding.schema');
+const { authorize, denyImpersonation } = require('../../middleware');
+
+const router = Router({ mergeParams: true });
+
+/**
+ * @openapi
+ * /organizations/{id}/offboarding:
+ *   get:
+ *     tags: [Offboarding]
+ *     summary: Get the organization's latest offboarding
+ *     description: |
+ *       Status is SCHEDULED (in the grace period), RUNNING, COMPLETED or
+ *       CANCELLED.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Offboarding
+ *       404:
+ *         description: The organization has never been offboarded
+ */
+router.get(
+  '/',
+  authorize('PLATFORM_ORG_OFFBOARD'),
+  validate({ params: orgOffboardingParamSchema }),
+  offboardingController.get,
+);
+
+/**
+ * @openapi
+ * /organizations/{id}/offboarding:
+ *   post:
+ *     tags: [Offboarding]
+ *     summary: Start offboarding the organization
+ *     description: |
+ *       Deactivates the organization, revokes every session signed in to
+ *       it and its API keys, then waits out the grace period. After that
+ *       the organization is purged (deleted with its roles, flags, audit
+ *       logs and the accounts that belong only to it) or anonymized (kept,
+ *       inactive, without personal data). Members of other organizations
+ *       keep their accounts. Export the data first if the customer wants
+ *       it. Every step is audited.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mode]
+ *             properties:
+ *               mode: { type: string, enum: [PURGE, ANONYMIZE] }
+ *               graceDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Defaults to OFFBOARDING_GRACE_DAYS (30)
+ *     responses:
+ *       201:
+ *         description: Offboarding scheduled
+ *       400:
+ *         description: Own organization, or it has sub-organizations
+ *       409:
+ *         description: Already offboarding
+ */
+router.post(
+  '/',
+  denyImpersonation,
+  authorize('PLATFORM_ORG_OFFBOARD'),
+  validate({ params: orgOffboardingParamSchema, body: startOffboardingSchema }),
+  offboardingController.start,
+);
+
+/**
+ * @openapi
+ * /organizations/{id}/offboarding:
+ *   delete:
+ *     tags: [Offboarding]
+ *     summary: Cancel offboarding during the grace period
+ *     description: Reactivates the organization. Revoked sessions stay revoked.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Offboarding cancelled
+ *       404:
+ *         description: No offboarding in its grace period
+ */
+router.delete(
+  '/',
+  denyImpersonation,
+  authorize('PLATFORM_ORG_OFFBOARD'),
+  validate({ params: orgOffboardingParamSchema }),
+  offboardingController.cancel,
+);
+
+module.exports = router;
@@ -4,6 +4,7 @@
 
 const orgService = require('./org.service');
 const { success } = require('../../utils/response');
+const { tenantOf } = require('../../utils/helpers');
 
 const orgController = {
   async list(req, res, next) {
@@ -26,7 +27,11 @@ const orgController = {
 
   async create(req, res, next) {
     try {
-      const org = await orgService.createOrganization(req.body);
+      const org = await orgService.createOrganization(
+        req.body,
+        req.user,
+        req.tenant.id,
+      );
       return success(res, org, 201);
     } catch (err) {
       next(err);
@@ -35,12 +40,38 @@ const orgController = {
 
   async update(req, res, next) {
     try {
-      const org = await orgService.updateOrganization(req.params.id, req.body);
+      const org = await orgService.updateOrganization(
+        req.params.id,
+        req.body,
+        req.user,
+        req.tenant.id,
+      );
       return success(res, org);
     } catch (err) {
       next(err);
     }
   },
+
+  async getPasswordPolicy(req, res, next) {
+    try {
+      const policy = await orgService.getPasswordPolicy(tenantOf(req));
+      return success(res, policy);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async updatePasswordPolicy(req, res, next) {
+    try {
+      const policy = await orgService.updatePasswordPolicy(
+        tenantOf(req),
+        req.body,
+      );
+      return success(res, policy);
+    } catch (err) {
+      next(err);
+    }
+  },
 };
 
 module.exports = orgController;
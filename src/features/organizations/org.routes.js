@@ -4,22 +4,29 @@
 
 const { Router } = require('express');
 const orgController = require('./org.controller');
+const orgInvitationRoutes = require('../invitations/orgInvitation.routes');
+const orgExportRoutes = require('../exports/orgExport.routes');
+const orgOffboardingRoutes = require('../offboarding/orgOffboarding.routes');
+const planController = require('../plans/plan.controller');
+const { setOrganizationPlanSchema } = require('../plans/plan.schema');
 const validate = require('../../utils/validate');
 const {
   createOrgSchema,
   updateOrgSchema,
+  updatePasswordPolicySchema,
   orgIdParamSchema,
 } = require('./org.schema');
 const {
   authenticate,
   authorize,
   resolveTenant,
+  apiQuota,
   auditLog,
 } = require('../../middleware');
 
 const router = Router();
 
-router.use(authenticate, resolveTenant);
+router.use(authenticate, resolveTenant, apiQuota);
 
 /**
  * @openapi
@@ -70,6 +77,13 @@ router.get(
  *               name: { type: string }
  *               slug: { type: string }
  *               description: { type: string }
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: |
+ *                   Make it a sub-organization. Its admins' roles then apply
+ *                   in it too. Must be within the current tenant's subtree
+ *                   unless the caller has PLATFORM_TENANT_ACCESS.
  *     responses:
  *       201:
  *         description: Organization created
@@ -88,10 +102,43 @@ router.post(
  *   patch:
  *     tags: [Organizations]
  *     summary: Update an organization
+ *     description: |
+ *       Without PLATFORM_TENANT_ACCESS, only the current tenant and its
+ *       sub-organizations can be updated.
  *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               description: { type: string }
+ *               isActive: { type: boolean }
+ *               requireMfa:
+ *                 type: boolean
+ *                 description: Force every member to enroll in MFA at next login
+ *               requireEmailVerification:
+ *                 type: boolean
+ *                 description: Block login for members with an unverified email
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: |
+ *                   Move under another organization, or detach with null.
+ *                   Without PLATFORM_TENANT_ACCESS, only sub-organizations of
+ *                   the current tenant can be moved, and only within it.
  *     responses:
  *       200:
  *         description: Organization updated
+ *       400:
+ *         description: The new parent is the organization or one of its descendants
+ *       403:
+ *         description: Outside the current tenant's subtree (PRIVILEGE_ESCALATION)
+ *       404:
+ *         description: Not the current tenant or one of its sub-organizations
  */
 router.patch(
   '/:id',
@@ -101,4 +148,122 @@ router.patch(
   orgController.update,
 );
 
+/**
+ * @openapi
+ * /organizations/{id}/password-policy:
+ *   get:
+ *     tags: [Organizations]
+ *     summary: Get the organization's password policy
+ *     description: |
+ *       Returns the defaults (`isDefault: true`) if none has been saved.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Password policy
+ *       404:
+ *         description: Not the organization you are working in
+ */
+router.get(
+  '/:id/password-policy',
+  authorize('ORG_READ'),
+  validate({ params: orgIdParamSchema }),
+  orgController.getPasswordPolicy,
+);
+
+/**
+ * @openapi
+ * /organizations/{id}/password-policy:
+ *   put:
+ *     tags: [Organizations]
+ *     summary: Create or update the organization's password policy
+ *     description: |
+ *       Applies to register, user creation, password reset and password
+ *       change. Omitted fields keep their current value.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minLength: { type: integer, minimum: 6, maximum: 128 }
+ *               requireUppercase: { type: boolean }
+ *               requireLowercase: { type: boolean }
+ *               requireNumber: { type: boolean }
+ *               requireSymbol: { type: boolean }
+ *               blockCommon:
+ *                 type: boolean
+ *                 description: Reject passwords on the common-password list
+ *               historyCount:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 24
+ *                 description: Number of previous passwords that can't be reused
+ *               maxAgeDays:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Force a change at login once exceeded (null = never)
+ *     responses:
+ *       200:
+ *         description: Password policy saved
+ *       404:
+ *         description: Not the organization you are working in
+ */
+router.put(
+  '/:id/password-policy',
+  authorize('ORG_UPDATE'),
+  validate({ params: orgIdParamSchema, body: updatePasswordPolicySchema }),
+  auditLog('PASSWORD_POLICY_UPDATED', 'ORGANIZATION'),
+  orgController.updatePasswordPolicy,
+);
+
+/**
+ * @openapi
+ * /organizations/{id}/plan:
+ *   put:
+ *     tags: [Organizations, Plans]
+ *     summary: Put the organization on a plan
+ *     description: A null `planId` removes the plan, lifting all limits.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [planId]
+ *             properties:
+ *               planId: { type: string, format: uuid, nullable: true }
+ *     responses:
+ *       200:
+ *         description: Organization with its new plan
+ */
+router.put(
+  '/:id/plan',
+  authorize('PLATFORM_PLAN_MANAGE'),
+  validate({ params: orgIdParamSchema, body: setOrganizationPlanSchema }),
+  auditLog('ORG_PLAN_CHANGED', 'ORGANIZATION'),
+  planController.setOrganizationPlan,
+);
+
+router.use('/:id/invitations', orgInvitationRoutes);
+router.use('/:id/exports', orgExportRoutes);
+router.use('/:id/offboarding', orgOffboardingRoutes);
+
 module.exports = router;
@@ -12,14 +12,35 @@ const createOrgSchema = z.object({
     .max(100)
     .regex(/^[a-z0-9-]+$/, 'Slug must be lowercase alphanumeric with hyphens'),
   description: z.string().max(1000).optional(),
+  parentId: z.string().uuid('Invalid parent organization ID').optional(),
 });
 
 const updateOrgSchema = z.object({
   name: z.string().min(1).max(255).optional(),
   description: z.string().max(1000).optional(),
   isActive: z.boolean().optional(),
+  requireMfa: z.boolean().optional(),
+  requireEmailVerification: z.boolean().optional(),
+  parentId: z
+    .string()
+    .uuid('Invalid parent organization ID')
+    .nullable()
+    .optional(),
 });
 
+const updatePasswordPolicySchema = z
+  .object({
+    minLength: z.number().int().min(6).max(128),
+    requireUppercase: z.boolean(),
+    requireLowercase: z.boolean(),
+    requireNumber: z.boolean(),
+    requireSymbol: z.boolean(),
+    blockCommon: z.boolean(),
+    historyCount: z.number().int().min(0).max(24),
+    maxAgeDays: z.number().int().min(1).max(3650).nullable(),
+  })
+  .partial();
+
 const orgIdParamSchema = z.object({
   id: z.string().uuid('Invalid organization ID format'),
 });
@@ -27,5 +48,6 @@ const orgIdParamSchema = z.object({
 module.exports = {
   createOrgSchema,
   updateOrgSchema,
+  updatePasswordPolicySchema,
   orgIdParamSchema,
 };
@@ -1,23 +1,46 @@
 // ============================================================================
 // Organization Service
 // ============================================================================
+// Organizations can form a tree (parentId). Placing one under a parent hands
+// the parent's admins control of it, so outside the platform operators
+// (PLATFORM_TENANT_ACCESS) a parent can only be chosen within the current
+// tenant's own subtree, and only its sub-organizations can be moved. The
+// same goes for changing an organization's settings: only the tenant itself
+// and the organizations below it.
+// ============================================================================
 
 const prisma = require('../../config/database');
-const { NotFoundError, ConflictError } = require('../../utils/errors');
+const { cache } = require('../../config/redis');
+const {
+  NotFoundError,
+  ConflictError,
+  ForbiddenError,
+} = require('../../utils/errors');
 const { pick } = require('../../utils/helpers');
+const passwordPolicyService = require('../password-policy/passwordPolicy.service');
+const permissionService = require('../permissions/permission.service');
+const orgHierarchyService = require('./orgHierarchy.service');
+
+const ORG_SELECT = {
+  id: true,
+  name: true,
+  slug: true,
+  description: true,
+  isActive: true,
+  requireMfa: true,
+  requireEmailVerification: true,
+  parentId: true,
+  planId: true,
+  createdAt: true,
+};
 
 class OrganizationService {
   async listOrganizations() {
     return prisma.organization.findMany({
       where: { isActive: true },
       select: {
-        id: true,
-        name: true,
-        slug: true,
-        description: true,
-        isActive: true,
-        createdAt: true,
-        _count: { select: { users: true, roles: true } },
+        ...ORG_SELECT,
+        _count: { select: { memberships: true, roles: true, children: true } },
       },
       orderBy: { name: 'asc' },
     });
@@ -27,21 +50,27 @@ class OrganizationService {
     const org = await prisma.organization.findUnique({
       where: { id },
       select: {
-        id: true,
-        name: true,
-        slug: true,
-        description: true,
-        isActive: true,
-        createdAt: true,
+        ...ORG_SELECT,
         updatedAt: true,
-        _count: { select: { users: true, roles: true } },
+        parent: { select: { id: true, name: true, slug: true } },
+        plan: { select: { id: true, name: true } },
+        children: {
+          select: { id: true, name: true, slug: true, isActive: true },
+          orderBy: { name: 'asc' },
+        },
+        _count: { select: { memberships: true, roles: true } },
       },
     });
     if (!org) throw new NotFoundError('Organization');
     return org;
   }
 
-  async createOrganization(data) {
+  async createOrganization(data, actor, tenantId) {
+    if (data.parentId) {
+      await orgHierarchyService.assertValidParent(data.parentId);
+      await this._assertCanArrange(actor, tenantId, null, data.parentId);
+    }
+
     const existing = await prisma.organization.findUnique({
       where: { slug: data.slug },
     });
@@ -52,19 +81,92 @@ class OrganizationService {
     }
 
     return prisma.organization.create({
-      data: pick(data, ['name', 'slug', 'description']),
+      data: pick(data, ['name', 'slug', 'description', 'parentId']),
     });
   }
 
-  async updateOrganization(id, data) {
+  async updateOrganization(id, data, actor, tenantId) {
     const org = await prisma.organization.findUnique({ where: { id } });
     if (!org) throw new NotFoundError('Organization');
+    await this._assertCanManage(actor, tenantId, id);
+
+    if (data.parentId !== undefined && data.parentId !== org.parentId) {
+      if (data.parentId) {
+        await orgHierarchyService.assertValidParent(data.parentId, id);
+      }
+      await this._assertCanArrange(actor, tenantId, id, data.parentId);
+      // Roles and assignments inherited from the old or new parent change
+      await cache.delPattern('permissions:*');
+    }
 
     return prisma.organization.update({
       where: { id },
-      data: pick(data, ['name', 'description', 'isActive']),
+      data: pick(data, [
+        'name',
+        'description',
+        'isActive',
+        'requireMfa',
+        'requireEmailVerification',
+        'parentId',
+      ]),
     });
   }
+
+  async getPasswordPolicy(id) {
+    await this._assertExists(id);
+    return passwordPolicyService.getPolicy(id);
+  }
+
+  async updatePasswordPolicy(id, data) {
+    await this._assertExists(id);
+    return passwordPolicyService.updatePolicy(id, data);
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  /**
+   * Throw unless the actor may put `id` (or a new organization, when null)
+   * under `parentId` (or detach it, when null).
+   */
+  async _assertCanArrange(actor, tenantId, id, parentId) {
+    if (await this._isPlatformOperator(actor)) return;
+
+    const subtree = await orgHierarchyService.getSubtreeIds(tenantId);
+    const movable = !id || (id !== tenantId && subtree.includes(id));
+    if (!movable || (parentId && !subtree.includes(parentId))) {
+      throw new ForbiddenError(
+        'Organizations can only be arranged below your own',
+        'PRIVILEGE_ESCALATION',
+      );
+    }
+  }
+
+  /**
+   * Throw unless the actor may change `id`: the tenant itself or one of its
+   * sub-organizations. Others look like they don't exist.
+   */
+  async _assertCanManage(actor, tenantId, id) {
+    if (await this._isPlatformOperator(actor)) return;
+
+    const subtree = await orgHierarchyService.getSubtreeIds(tenantId);
+    if (!subtree.includes(id)) throw new NotFoundError('Organization');
+  }
+
+  async _isPlatformOperator(actor) {
+    const { grants } = await permissionService.resolveUserPermissions(
+      actor.id,
+      actor.organizationId,
+    );
+    return grants.PLATFORM_TENANT_ACCESS === null;
+  }
+
+  async _assertExists(id) {
+    const org = await prisma.organization.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+    if (!org) throw new NotFoundError('Organization');
+  }
 }
 
 module.exports = new OrganizationService();
@@ -0,0 +1,91 @@
+// ============================================================================
+// Organization Hierarchy Service — parent orgs and their sub-orgs
+// ============================================================================
+// An organization may have a parent (Organization.parentId), e.g. a company
+// and its divisions. Going down the tree:
+//   - roles defined in an organization are visible and assignable in all of
+//     its descendants (but only editable where they are defined)
+//   - role assignments made in an organization apply in its descendants too,
+//     so an admin of the parent administers every division
+//   - members of an organization may target a descendant with
+//     X-Organization-Id (see resolveTenant)
+//
+// The tree is shallow in practice, so it is walked with one query per level
+// rather than cached; parent changes reject cycles.
+// ============================================================================
+
+const prisma = require('../../config/database');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+
+class OrgHierarchyService {
+  /**
+   * The organization followed by its ancestors, nearest first.
+   */
+  async getLineageIds(organizationId) {
+    const ids = [];
+    for (let id = organizationId; id && !ids.includes(id);) {
+      ids.push(id);
+      const org = await prisma.organization.findUnique({
+        where: { id },
+        select: { parentId: true },
+      });
+      id = org?.parentId;
+    }
+    return ids;
+  }
+
+  /**
+   * The organization followed by all of its descendants.
+   */
+  async getSubtreeIds(organizationId) {
+    const ids = [organizationId];
+    let level = [organizationId];
+    while (level.length > 0) {
+      const children = await prisma.organization.findMany({
+        where: { parentId: { in: level }, id: { notIn: ids } },
+        select: { id: true },
+      });
+      level = children.map((c) => c.id);
+      ids.push(...level);
+    }
+    return ids;
+  }
+
+  async isDescendant(organizationId, ancestorId) {
+    if (organizationId === ancestorId) return false;
+    const lineage = await this.getLineageIds(organizationId);
+    return lineage.includes(ancestorId);
+  }
+
+  /**
+   * Prisma `where` for the roles usable in an organization: its own, its
+   * ancestors' and global ones.
+   */
+  async roleScope(organizationId) {
+    const lineage = await this.getLineageIds(organizationId);
+    return {
+      OR: [{ organizationId: { in: lineage } }, { organizationId: null }],
+    };
+  }
+
+  /**
+   * Throw unless `parentId` can become the parent of `organizationId`
+   * (omit the latter for a new organization).
+   */
+  async assertValidParent(parentId, organizationId = null) {
+    const parent = await prisma.organization.findUnique({
+      where: { id: parentId },
+      select: { id: true },
+    });
+    if (!parent) throw new NotFoundError('Parent organization');
+
+    if (organizationId) {
+      const lineage = await this.getLineageIds(parentId);
+      if (lineage.includes(organizationId)) {
+        throw new BadRequestError('An organization cannot be its own ancestor');
+      }
+    }
+  }
+}
+
+module.exports = new OrgHierarchyService();
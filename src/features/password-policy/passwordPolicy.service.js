@@ -0,0 +1,197 @@
+// ============================================================================
+// Password Policy Service — Per-Organization Password Rules
+// ============================================================================
+// The single place password strength is decided. Used by register, admin
+// user creation, password reset and password change — Zod schemas only
+// check that a password is a string of sane length.
+//
+// Rules (all configurable per organization, see PasswordPolicy model):
+//   - minimum length
+//   - character classes (upper, lower, number, symbol)
+//   - not on the bundled common-password list
+//   - not one of the last N passwords (bcrypt-compared against history)
+//   - maximum age → login asks for a new password once it is exceeded
+//
+// Organizations without a PasswordPolicy row get DEFAULT_POLICY, which
+// matches the rules that used to be hard-coded in the Zod schemas.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const prisma = require('../../config/database');
+const { ValidationError } = require('../../utils/errors');
+
+// History is capped so a reuse check is at most this many bcrypt compares
+const MAX_HISTORY = 24;
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: true,
+  blockCommon: true,
+  historyCount: 0,
+  maxAgeDays: null,
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+// Loaded once at startup; lower-cased for case-insensitive matching
+const COMMON_PASSWORDS = new Set(
+  fs
+    .readFileSync(path.join(__dirname, 'common-passwords.txt'), 'utf8')
+    .split('\n')
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#')),
+);
+
+class PasswordPolicyService {
+  /**
+   * The organization's policy, or the defaults if none has been saved.
+   */
+  async getPolicy(organizationId) {
+    const policy = await prisma.passwordPolicy.findUnique({
+      where: { organizationId },
+    });
+    return policy || { ...DEFAULT_POLICY, organizationId, isDefault: true };
+  }
+
+  /**
+   * Create or update the organization's policy. Omitted fields keep their
+   * current (or default) value.
+   */
+  async updatePolicy(organizationId, data) {
+    const fields = {};
+    for (const key of POLICY_FIELDS) {
+      if (data[key] !== undefined) fields[key] = data[key];
+    }
+
+    return prisma.passwordPolicy.upsert({
+      where: { organizationId },
+      create: { ...DEFAULT_POLICY, ...fields, organizationId },
+      update: fields,
+    });
+  }
+
+  /**
+   * Throws a ValidationError listing every rule the password breaks.
+   * Pass `user` (with passwordHash) to also enforce password history, and
+   * `field` to name the request field in the error details.
+   */
+  async validate(
+    organizationId,
+    password,
+    { user = null, field = 'password' } = {},
+  ) {
+    const policy = await this.getPolicy(organizationId);
+    const violations = this.checkRules(policy, password);
+
+    if (
+      violations.length === 0 &&
+      user &&
+      (await this._isReused(policy, user, password))
+    ) {
+      violations.push(
+        `Password must not match any of your last ${policy.historyCount} passwords`,
+      );
+    }
+
+    if (violations.length > 0) {
+      throw new ValidationError(
+        violations.map((message) => ({
+          field,
+          message,
+          source: 'body',
+        })),
+      );
+    }
+  }
+
+  /**
+   * Stateless rules only (no history). Returns a list of violation messages.
+   */
+  checkRules(policy, password) {
+    const violations = [];
+
+    if (password.length < policy.minLength) {
+      violations.push(
+        `Password must be at least ${policy.minLength} characters`,
+      );
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      violations.push('Password must contain an uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      violations.push('Password must contain a lowercase letter');
+    }
+    if (policy.requireNumber && !/\d/.test(password)) {
+      violations.push('Password must contain a number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+      violations.push('Password must contain a special character');
+    }
+    if (policy.blockCommon && COMMON_PASSWORDS.has(password.toLowerCase())) {
+      violations.push('Password is too common');
+    }
+
+    return violations;
+  }
+
+  /**
+   * Remember a newly set password hash. Pass a transaction client to keep
+   * it atomic with the password update itself.
+   */
+  async recordPassword(userId, passwordHash, tx = prisma) {
+    await tx.passwordHistory.create({ data: { userId, passwordHash } });
+
+    const stale = await tx.passwordHistory.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      skip: MAX_HISTORY,
+      select: { id: true },
+    });
+    if (stale.length > 0) {
+      await tx.passwordHistory.deleteMany({
+        where: { id: { in: stale.map((h) => h.id) } },
+      });
+    }
+  }
+
+  /**
+   * Whether the user's password is older than the policy allows.
+   */
+  isExpired(policy, user) {
+    if (!policy.maxAgeDays || !user.passwordChangedAt) return false;
+    const ageMs = Date.now() - user.passwordChangedAt.getTime();
+    return ageMs > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  async _isReused(policy, user, password) {
+    if (!policy.historyCount) return false;
+
+    const history = await prisma.passwordHistory.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(policy.historyCount, MAX_HISTORY),
+      select: { passwordHash: true },
+    });
+
+    // The current password always counts, even for users created before
+    // history was recorded
+    const hashes = new Set([
+      user.passwordHash,
+      ...history.map((h) => h.passwordHash),
+    ]);
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) return true;
+    }
+    return false;
+  }
+}
+
+module.exports = new PasswordPolicyService();
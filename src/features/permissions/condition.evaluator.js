@@ -0,0 +1,293 @@
+// ============================================================================
+// Condition Evaluator — attribute-based rules on role permissions
+// ============================================================================
+// A RolePermission may carry a condition, e.g.
+//
+//   resource.attributes.department == user.attributes.department
+//   env.hour >= 9 && env.hour < 17 && env.weekday in [1, 2, 3, 4, 5]
+//
+// Conditions are parsed by a small recursive-descent parser into an AST and
+// interpreted here — never passed to eval/Function. The language is
+// deliberately tiny:
+//
+//   literals     'text' "text" 42 1.5 true false null [a, b, ...]
+//   paths        user.x  resource.x  request.x  env.x  (dotted, own props only)
+//   comparison   == != < <= > >=
+//   membership   a in b, a not in b   (array element or substring)
+//   logic        && || !  and parentheses
+//
+// Missing attributes resolve to null. Evaluation never throws: anything that
+// goes wrong denies.
+// ============================================================================
+
+const MAX_LENGTH = 500;
+const ROOTS = ['user', 'resource', 'request', 'env'];
+const COMPARISONS = ['==', '!=', '<=', '>=', '<', '>'];
+
+class ConditionSyntaxError extends Error {}
+
+// ─── Tokenizer ──────────────────────────────────────────────────────────────
+
+const TOKEN_PATTERN =
+  /\s*(?:(\d+(?:\.\d+)?)|'([^']*)'|"([^"]*)"|([A-Za-z_][A-Za-z0-9_]*)|(==|!=|<=|>=|&&|\|\||[<>!().,[\]]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (!source.slice(TOKEN_PATTERN.lastIndex).trim()) break;
+
+    const at = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new ConditionSyntaxError(`Unexpected character at position ${at}`);
+    }
+
+    const [, number, single, double, word, symbol] = match;
+    if (number !== undefined) tokens.push({ type: 'literal', value: +number });
+    else if (single !== undefined)
+      tokens.push({ type: 'literal', value: single });
+    else if (double !== undefined)
+      tokens.push({ type: 'literal', value: double });
+    else if (word === 'true' || word === 'false')
+      tokens.push({ type: 'literal', value: word === 'true' });
+    else if (word === 'null') tokens.push({ type: 'literal', value: null });
+    else if (word === 'in' || word === 'not')
+      tokens.push({ type: 'op', value: word });
+    else if (word !== undefined) tokens.push({ type: 'name', value: word });
+    else tokens.push({ type: 'op', value: symbol });
+  }
+
+  return tokens;
+}
+
+// ─── Parser ─────────────────────────────────────────────────────────────────
+// or → and ('||' and)* ; and → unary ('&&' unary)* ; unary → '!' unary | cmp
+// cmp → value (op value)? ; value → literal | path | array | '(' or ')'
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = (value) =>
+    tokens[pos] && tokens[pos].type === 'op' && tokens[pos].value === value;
+  const expect = (value) => {
+    if (!peek(value)) {
+      throw new ConditionSyntaxError(`Expected "${value}"`);
+    }
+    pos++;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peek('||')) {
+      pos++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseUnary();
+    while (peek('&&')) {
+      pos++;
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (peek('!')) {
+      pos++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseValue();
+    const token = tokens[pos];
+
+    if (token?.type === 'op' && COMPARISONS.includes(token.value)) {
+      pos++;
+      return { type: 'compare', op: token.value, left, right: parseValue() };
+    }
+    if (peek('in')) {
+      pos++;
+      return { type: 'in', left, right: parseValue() };
+    }
+    if (peek('not')) {
+      pos++;
+      expect('in');
+      return {
+        type: 'not',
+        operand: { type: 'in', left, right: parseValue() },
+      };
+    }
+    return left;
+  }
+
+  function parseValue() {
+    const token = tokens[pos];
+    if (!token) throw new ConditionSyntaxError('Unexpected end of condition');
+
+    if (token.type === 'literal') {
+      pos++;
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      if (!ROOTS.includes(token.value)) {
+        throw new ConditionSyntaxError(
+          `Unknown name "${token.value}" — use one of ${ROOTS.join(', ')}`,
+        );
+      }
+      pos++;
+      const path = [token.value];
+      while (peek('.')) {
+        pos++;
+        const segment = tokens[pos];
+        if (segment?.type !== 'name') {
+          throw new ConditionSyntaxError('Expected a property name after "."');
+        }
+        path.push(segment.value);
+        pos++;
+      }
+      return { type: 'path', path };
+    }
+
+    if (peek('[')) {
+      pos++;
+      const items = [];
+      while (!peek(']')) {
+        items.push(parseValue());
+        if (!peek(']')) expect(',');
+      }
+      pos++;
+      return { type: 'array', items };
+    }
+
+    if (peek('(')) {
+      pos++;
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+
+    throw new ConditionSyntaxError(`Unexpected "${token.value}"`);
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    throw new ConditionSyntaxError(`Unexpected "${tokens[pos].value}"`);
+  }
+  return ast;
+}
+
+// ─── Interpreter ────────────────────────────────────────────────────────────
+
+// Only own properties of plain data are reachable — no prototype walking,
+// so `user.constructor` or `resource.__proto__` are simply null
+function lookup(context, path) {
+  let value = context;
+  for (const key of path) {
+    if (value === null || typeof value !== 'object') return null;
+    if (!Object.prototype.hasOwnProperty.call(value, key)) return null;
+    value = value[key];
+  }
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+}
+
+function run(node, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return lookup(context, node.path);
+    case 'array':
+      return node.items.map((item) => run(item, context));
+    case 'not':
+      return !run(node.operand, context);
+    case 'and':
+      return !!run(node.left, context) && !!run(node.right, context);
+    case 'or':
+      return !!run(node.left, context) || !!run(node.right, context);
+    case 'in': {
+      const needle = run(node.left, context);
+      const haystack = run(node.right, context);
+      if (Array.isArray(haystack)) return haystack.includes(needle);
+      if (typeof haystack === 'string' && typeof needle === 'string') {
+        return haystack.includes(needle);
+      }
+      return false;
+    }
+    case 'compare':
+      return compare(
+        node.op,
+        run(node.left, context),
+        run(node.right, context),
+      );
+    default:
+      return false;
+  }
+}
+
+function compare(op, left, right) {
+  if (op === '==') return left === right;
+  if (op === '!=') return left !== right;
+
+  // Ordering only between two numbers or two strings
+  const comparable =
+    (typeof left === 'number' && typeof right === 'number') ||
+    (typeof left === 'string' && typeof right === 'string');
+  if (!comparable) return false;
+
+  if (op === '<') return left < right;
+  if (op === '<=') return left <= right;
+  if (op === '>') return left > right;
+  return left >= right;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+// Parsed conditions are reused: the same few stored expressions run on
+// every request
+const compiled = new Map();
+
+/**
+ * Parse a condition, throwing ConditionSyntaxError with a readable message
+ * if it is not valid. Used to reject bad conditions when they are saved.
+ */
+function compileCondition(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new ConditionSyntaxError('Condition must be a non-empty string');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new ConditionSyntaxError(
+      `Condition must be at most ${MAX_LENGTH} characters`,
+    );
+  }
+
+  return parse(source);
+}
+
+/**
+ * Evaluate a condition against { user, resource, request, env }.
+ * Returns true only if the condition holds; invalid conditions deny.
+ */
+function evaluateCondition(source, context) {
+  try {
+    if (!compiled.has(source)) compiled.set(source, compileCondition(source));
+    return run(compiled.get(source), context) === true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  ConditionSyntaxError,
+  compileCondition,
+  evaluateCondition,
+};
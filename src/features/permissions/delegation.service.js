@@ -0,0 +1,165 @@
+// ============================================================================
+// Delegation Service — Preventing Privilege Escalation
+// ============================================================================
+// Whoever grants access must already have it:
+//   - assigning a role takes every permission the role grants, inherited
+//     ones included (and the same condition, if the actor only holds the
+//     permission conditionally)
+//   - attaching permissions to a role, or making it inherit from another,
+//     takes the permissions being added
+//
+// On top of that, a role can carry an allow-list of the roles its holders
+// may assign in an organization (RoleAssignableRole), so a MANAGER can hand
+// out USER but not ADMIN. Only roles that give the actor ROLE_ASSIGN count;
+// if any of those has no allow-list the actor is not limited by one. Roles
+// held and allow-lists set in a parent organization count in its sub-orgs.
+// ============================================================================
+
+const prisma = require('../../config/database');
+const permissionService = require('./permission.service');
+const { covers } = require('./permission.scopes');
+const orgHierarchyService = require('../organizations/orgHierarchy.service');
+const { ForbiddenError } = require('../../utils/errors');
+
+class DelegationService {
+  /**
+   * Throw unless the actor may assign each of these roles in the
+   * organization.
+   */
+  async assertCanAssignRoles(actorId, organizationId, roleIds) {
+    if (roleIds.length === 0) return;
+
+    const [{ grants }, assignable, roles] = await Promise.all([
+      permissionService.resolveUserPermissions(actorId, organizationId),
+      this.getAssignableRoleIds(actorId, organizationId),
+      prisma.role.findMany({
+        where: { id: { in: roleIds } },
+        select: { id: true, name: true },
+      }),
+    ]);
+
+    for (const role of roles) {
+      if (assignable && !assignable.has(role.id)) {
+        throw new ForbiddenError(
+          `Your roles do not allow assigning ${role.name}`,
+          'PRIVILEGE_ESCALATION',
+        );
+      }
+
+      const { permissions } = await permissionService.getEffectivePermissions(
+        role.id,
+      );
+      const missing = permissions.filter((p) => !holds(grants, p));
+      if (missing.length > 0) {
+        throw new ForbiddenError(
+          `Cannot assign ${role.name}: it grants permissions you do not hold: ${missing.map((p) => p.action).join(', ')}`,
+          'PRIVILEGE_ESCALATION',
+        );
+      }
+    }
+  }
+
+  /**
+   * Throw unless the actor holds every permission being granted.
+   * @param {Array<{ permissionId: string, condition?: string|null }>} grantsToAdd
+   */
+  async assertCanGrantPermissions(actorId, organizationId, grantsToAdd) {
+    if (grantsToAdd.length === 0) return;
+
+    const [{ grants }, permissions] = await Promise.all([
+      permissionService.resolveUserPermissions(actorId, organizationId),
+      prisma.permission.findMany({
+        where: { id: { in: grantsToAdd.map((g) => g.permissionId) } },
+        select: { id: true, action: true },
+      }),
+    ]);
+    const actionById = new Map(permissions.map((p) => [p.id, p.action]));
+
+    const missing = grantsToAdd
+      .filter((g) => actionById.has(g.permissionId))
+      .map((g) => ({ action: actionById.get(g.permissionId), ...g }))
+      .filter((p) => !holds(grants, p));
+    if (missing.length > 0) {
+      throw new ForbiddenError(
+        `Cannot grant permissions you do not hold: ${missing.map((p) => p.action).join(', ')}`,
+        'PRIVILEGE_ESCALATION',
+      );
+    }
+  }
+
+  /**
+   * The actions in a resolved permission set (`grants`, as returned by
+   * resolveUserPermissions) that the actor's grants don't cover: an action
+   * granted unconditionally needs an unconditional grant, a conditional one
+   * needs each of its conditions.
+   */
+  missingGrants(actorGrants, grants) {
+    return Object.entries(grants)
+      .filter(([action, conditions]) =>
+        conditions === null
+          ? !holds(actorGrants, { action, condition: null })
+          : conditions.some(
+              (condition) => !holds(actorGrants, { action, condition }),
+            ),
+      )
+      .map(([action]) => action);
+  }
+
+  /**
+   * IDs of the roles the actor may assign under allow-lists, or null if no
+   * allow-list limits them.
+   */
+  async getAssignableRoleIds(actorId, organizationId) {
+    const now = Date.now();
+    const lineage = await orgHierarchyService.getLineageIds(organizationId);
+    const assignments = await prisma.userRole.findMany({
+      where: { userId: actorId, organizationId: { in: lineage } },
+      select: { roleId: true, startsAt: true, expiresAt: true },
+    });
+    const heldRoleIds = assignments
+      .filter(
+        (ur) =>
+          (!ur.startsAt || ur.startsAt.getTime() <= now) &&
+          (!ur.expiresAt || ur.expiresAt.getTime() > now),
+      )
+      .map((ur) => ur.roleId);
+
+    // Only the roles that make the actor an assigner can limit them
+    const assignerRoleIds = [];
+    for (const roleId of heldRoleIds) {
+      const { permissions } =
+        await permissionService.getEffectivePermissions(roleId);
+      if (permissions.some((p) => p.action === 'ROLE_ASSIGN')) {
+        assignerRoleIds.push(roleId);
+      }
+    }
+    if (assignerRoleIds.length === 0) return null;
+
+    const rows = await prisma.roleAssignableRole.findMany({
+      where: {
+        organizationId: { in: lineage },
+        roleId: { in: assignerRoleIds },
+      },
+      select: { roleId: true, assignableRoleId: true },
+    });
+    const limited = new Set(rows.map((r) => r.roleId));
+    if (assignerRoleIds.some((roleId) => !limited.has(roleId))) return null;
+
+    return new Set(rows.map((r) => r.assignableRoleId));
+  }
+}
+
+// The actor holds a grant if they have the action — or a broader scope of it,
+// so USER_READ covers USER_READ:own — unconditionally, or under the very
+// condition being granted
+function holds(grants, { action, condition }) {
+  return Object.keys(grants)
+    .filter((held) => covers(held, action))
+    .some(
+      (held) =>
+        grants[held] === null ||
+        (!!condition && grants[held].includes(condition)),
+    );
+}
+
+module.exports = new DelegationService();
@@ -3,6 +3,7 @@
 // ============================================================================
 
 const permissionService = require('./permission.service');
+const permissionInsightService = require('./permissionInsight.service');
 const { success, paginated } = require('../../utils/response');
 
 const permissionController = {
@@ -47,6 +48,31 @@ const permissionController = {
       next(err);
     }
   },
+
+  async explain(req, res, next) {
+    try {
+      const explanation = await permissionInsightService.explain(
+        req.query.userId,
+        req.tenant.id,
+        req.query.permission,
+      );
+      return success(res, explanation);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async simulate(req, res, next) {
+    try {
+      const simulation = await permissionInsightService.simulate(
+        req.tenant.id,
+        req.body,
+      );
+      return success(res, simulation);
+    } catch (err) {
+      next(err);
+    }
+  },
 };
 
 module.exports = permissionController;
@@ -10,17 +10,20 @@ const {
   updatePermissionSchema,
   permissionIdParamSchema,
   permissionListQuerySchema,
+  explainQuerySchema,
+  simulateSchema,
 } = require('./permission.schema');
 const {
   authenticate,
   authorize,
   resolveTenant,
+  apiQuota,
   auditLog,
 } = require('../../middleware');
 
 const router = Router();
 
-router.use(authenticate, resolveTenant);
+router.use(authenticate, resolveTenant, apiQuota);
 
 /**
  * @openapi
@@ -48,6 +51,95 @@ router.get(
   permissionController.list,
 );
 
+/**
+ * @openapi
+ * /permissions/explain:
+ *   get:
+ *     tags: [Permissions]
+ *     summary: Explain whether a user holds a permission, and why
+ *     description: >
+ *       Returns the decision (ALLOWED, CONDITIONAL or DENIED), the reason,
+ *       and a trace of every assigned role and ancestor with its outcome:
+ *       GRANTED, GRANTED_CONDITIONALLY, DENIED, NOT_GRANTED, ROLE_INACTIVE,
+ *       ASSIGNMENT_NOT_STARTED or ASSIGNMENT_EXPIRED. Scopes count as they
+ *       do in authorize: USER_READ:own grants USER_READ (`scope` is then
+ *       `own`), and a deny on any scope of the action refuses it. Read from
+ *       the database, not the permission cache.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: permission
+ *         required: true
+ *         schema: { type: string, example: USER_UPDATE }
+ *     responses:
+ *       200:
+ *         description: Decision with trace
+ *       404:
+ *         description: User or permission not found
+ */
+router.get(
+  '/explain',
+  authorize('PERMISSION_READ'),
+  validate({ query: explainQuerySchema }),
+  permissionController.explain,
+);
+
+/**
+ * @openapi
+ * /permissions/simulate:
+ *   post:
+ *     tags: [Permissions]
+ *     summary: Preview how a change would affect a user's permissions
+ *     description: >
+ *       Nothing is saved. `roles` is the user's complete proposed role set
+ *       (as for PUT /users/{id}/roles); `rolePermissions` replaces what one
+ *       role grants (as for PUT /roles/{id}/permissions). Returns the
+ *       effective permissions before and after, and what changed.
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId: { type: string, format: uuid }
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [roleId]
+ *                   properties:
+ *                     roleId: { type: string, format: uuid }
+ *                     startsAt: { type: string, format: date-time }
+ *                     expiresAt: { type: string, format: date-time }
+ *               rolePermissions:
+ *                 type: object
+ *                 required: [roleId, permissionIds]
+ *                 properties:
+ *                   roleId: { type: string, format: uuid }
+ *                   permissionIds:
+ *                     type: array
+ *                     items: { type: string, format: uuid }
+ *                   conditions:
+ *                     type: object
+ *                     additionalProperties: { type: string }
+ *     responses:
+ *       200:
+ *         description: Permissions before and after, with the differences
+ */
+router.post(
+  '/simulate',
+  authorize('PERMISSION_READ'),
+  validate({ body: simulateSchema }),
+  permissionController.simulate,
+);
+
 /**
  * @openapi
  * /permissions/{id}:
@@ -3,13 +3,20 @@
 // ============================================================================
 
 const { z } = require('zod');
+const { roleAssignmentSchema } = require('../users/user.schema');
+const { conditionSchema } = require('../roles/role.schema');
+
+const actionSchema = z
+  .string()
+  .min(1)
+  .max(100)
+  .regex(
+    /^[A-Z_]+(:(own|any))?$/,
+    'Action must be UPPER_SNAKE_CASE, optionally scoped with :own or :any',
+  );
 
 const createPermissionSchema = z.object({
-  action: z
-    .string()
-    .min(1)
-    .max(100)
-    .regex(/^[A-Z_]+$/, 'Action must be UPPER_SNAKE_CASE'),
+  action: actionSchema,
   description: z.string().max(500).optional(),
   resource: z.string().min(1).max(100),
 });
@@ -30,9 +37,41 @@ const permissionListQuerySchema = z.object({
   search: z.string().max(255).optional(),
 });
 
+const explainQuerySchema = z.object({
+  userId: z.string().uuid('Invalid user ID format'),
+  permission: actionSchema,
+});
+
+// What-if: the user's complete new role set, a role's new permissions, or
+// both at once
+const simulateSchema = z
+  .object({
+    userId: z.string().uuid('Invalid user ID format'),
+    roles: z
+      .array(roleAssignmentSchema)
+      .refine(
+        (roles) => new Set(roles.map((r) => r.roleId)).size === roles.length,
+        'Each role can only be assigned once',
+      )
+      .optional(),
+    rolePermissions: z
+      .object({
+        roleId: z.string().uuid(),
+        permissionIds: z.array(z.string().uuid()),
+        conditions: z.record(z.string().uuid(), conditionSchema).optional(),
+      })
+      .optional(),
+  })
+  .refine((body) => body.roles || body.rolePermissions, {
+    message: 'Provide roles and/or rolePermissions to simulate',
+    path: ['roles'],
+  });
+
 module.exports = {
   createPermissionSchema,
   updatePermissionSchema,
   permissionIdParamSchema,
   permissionListQuerySchema,
+  explainQuerySchema,
+  simulateSchema,
 };
@@ -0,0 +1,69 @@
+// ============================================================================
+// Permission Scopes — "own" vs "any"
+// ============================================================================
+// An action may carry a scope suffix: `USER_READ:own` grants USER_READ only
+// on the user's own records, while `USER_READ:any` — or plain `USER_READ` —
+// grants it on every record in the organization.
+//
+// Routes keep asking for the plain action. authorize() accepts any variant,
+// tries the broad ones first, and leaves the scope that passed on
+// `req.permissionScope`. Controllers hand `scopeOwnerId(req)` to the service,
+// which narrows its queries to that owner when it is set.
+//
+// To scope another resource: add the `<ACTION>:own` permission and make the
+// service filter by owner when given an owner ID (see UserService.listUsers).
+// ============================================================================
+
+const SCOPE_OWN = 'own';
+const SCOPE_ANY = 'any';
+
+/**
+ * `USER_READ:own` → { base: 'USER_READ', scope: 'own' }; no suffix is 'any'.
+ */
+function parseAction(action) {
+  const [base, scope] = action.split(':');
+  return { base, scope: scope || SCOPE_ANY };
+}
+
+/**
+ * The held actions that satisfy a required one, broadest first, each with
+ * the scope it gives. Requiring `X:any` rules out `X:own`.
+ */
+function grantingVariants(required) {
+  const { base } = parseAction(required);
+  const variants = [
+    { action: base, scope: SCOPE_ANY },
+    { action: `${base}:${SCOPE_ANY}`, scope: SCOPE_ANY },
+  ];
+  if (required !== `${base}:${SCOPE_ANY}`) {
+    variants.push({ action: `${base}:${SCOPE_OWN}`, scope: SCOPE_OWN });
+  }
+  return variants;
+}
+
+/**
+ * Whether holding `held` includes everything `wanted` allows: same action,
+ * and a scope at least as broad.
+ */
+function covers(held, wanted) {
+  const h = parseAction(held);
+  const w = parseAction(wanted);
+  return h.base === w.base && (h.scope === SCOPE_ANY || w.scope === SCOPE_OWN);
+}
+
+/**
+ * The user whose records the request is limited to, or null when authorize
+ * granted the "any" scope.
+ */
+function scopeOwnerId(req) {
+  return req.permissionScope === SCOPE_OWN ? req.user.id : null;
+}
+
+module.exports = {
+  SCOPE_OWN,
+  SCOPE_ANY,
+  parseAction,
+  grantingVariants,
+  covers,
+  scopeOwnerId,
+};
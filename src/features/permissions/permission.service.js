@@ -3,14 +3,215 @@
 // ============================================================================
 // Permissions are global (not tenant-scoped). They represent atomic actions.
 // Only super-admins should create/modify permissions.
+//
+// Also owns permission resolution (user → roles → ancestor roles →
+// permissions), shared by the authorize middleware and anything else that
+// needs a user's effective set. A role inherits everything its parent grants;
+// inactive roles grant nothing and cut the inheritance chain above them.
+//
+// A grant may be conditional (RolePermission.condition). Resolution keeps the
+// conditions alongside each action; `authorize` evaluates them per request.
+//
+// Denies (on any of the user's roles or their ancestors, or on the user in
+// the organization) always win: a denied action is removed from the grants
+// in every scope — denying USER_READ also takes away USER_READ:own — and
+// listed separately in the cached set.
+//
+// Role assignments may be time-bound (UserRole.startsAt/expiresAt); only
+// those inside their window count, and the cache entry never outlives the
+// next window boundary.
+//
+// Assignments and user denies made in a parent organization apply in all of
+// its sub-organizations (see OrgHierarchyService), and membership of any
+// organization in the lineage is enough to hold them.
 // ============================================================================
 
 const prisma = require('../../config/database');
 const { cache } = require('../../config/redis');
+const config = require('../../config');
 const { NotFoundError, ConflictError } = require('../../utils/errors');
 const { parsePagination, pick } = require('../../utils/helpers');
+const logger = require('../../config/logger');
+const membershipService = require('../memberships/membership.service');
+const orgHierarchyService = require('../organizations/orgHierarchy.service');
+const { parseAction } = require('./permission.scopes');
+
+const PERMISSION_FIELDS = {
+  select: {
+    id: true,
+    action: true,
+    description: true,
+    resource: true,
+    isActive: true,
+  },
+};
 
 class PermissionService {
+  /**
+   * Flattened permission actions for a user in an organization, including
+   * conditional ones — see resolveUserPermissions. Denied actions are absent.
+   */
+  async getUserPermissions(userId, organizationId) {
+    const { grants } = await this.resolveUserPermissions(
+      userId,
+      organizationId,
+    );
+    return Object.keys(grants);
+  }
+
+  /**
+   * The user's permission set in an organization:
+   *   grants — { [action]: conditions }, where conditions is null if any role
+   *            grants the action unconditionally, or else the list of
+   *            conditions of which at least one must hold
+   *   denied — actions denied to the user; never present in `grants`
+   * Cached per user + org; invalidate with `permissions:${userId}:*`.
+   */
+  async resolveUserPermissions(userId, organizationId) {
+    const cacheKey = `permissions:${userId}:${organizationId}:resolved`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return cached;
+
+    // No active membership here or above → no permissions in this
+    // organization, even if role rows are still around
+    const lineage = await orgHierarchyService.getLineageIds(organizationId);
+    if (!(await membershipService.isActiveMemberOfAny(userId, lineage))) {
+      return { grants: {}, denied: [] };
+    }
+
+    const { assignments, deniedActions } = await this.loadAssignments(
+      userId,
+      organizationId,
+    );
+    const now = Date.now();
+    const resolved = await this.computePermissions(assignments, deniedActions, {
+      now,
+    });
+    const { grants, denied } = resolved;
+    await cache.set(cacheKey, resolved, this._cacheTTL(assignments, now));
+
+    logger.debug(
+      {
+        userId,
+        permissionCount: Object.keys(grants).length,
+        deniedCount: denied.length,
+      },
+      'Permissions loaded from DB and cached',
+    );
+
+    return resolved;
+  }
+
+  /**
+   * A user's role assignments in the organization and its ancestors (in or
+   * out of their window) and the actions denied to them directly.
+   */
+  async loadAssignments(userId, organizationId) {
+    const lineage = await orgHierarchyService.getLineageIds(organizationId);
+    const [assignments, userDenies] = await Promise.all([
+      prisma.userRole.findMany({
+        where: { userId, organizationId: { in: lineage } },
+        select: { roleId: true, startsAt: true, expiresAt: true },
+      }),
+      prisma.userPermissionDeny.findMany({
+        where: { userId, organizationId: { in: lineage } },
+        select: { permission: { select: { action: true } } },
+      }),
+    ]);
+    return {
+      assignments,
+      deniedActions: userDenies.map((d) => d.permission.action),
+    };
+  }
+
+  /**
+   * Resolve a permission set (same shape as resolveUserPermissions) from
+   * role assignments and directly denied actions, without the cache.
+   * `roleOverrides` replaces what some roles grant —
+   * `{ [roleId]: [{ permission, condition }] }` — for what-if simulations.
+   */
+  async computePermissions(
+    assignments,
+    deniedActions,
+    { now = Date.now(), roleOverrides = {} } = {},
+  ) {
+    const current = assignments.filter(
+      (ur) =>
+        (!ur.startsAt || new Date(ur.startsAt).getTime() <= now) &&
+        (!ur.expiresAt || new Date(ur.expiresAt).getTime() > now),
+    );
+    const roles = await this._withAncestors(current.map((ur) => ur.roleId));
+
+    const denied = new Set(deniedActions);
+    for (const role of roles.values()) {
+      role.permissionDenies.forEach((d) => denied.add(d.permission.action));
+    }
+    const deniedBases = baseActions(denied);
+
+    // Flatten: user → roles (+ ancestors) → permissions → action strings.
+    // An unconditional grant anywhere beats any number of conditional ones.
+    const grants = {};
+    for (const role of roles.values()) {
+      const rolePermissions = roleOverrides[role.id] || role.rolePermissions;
+      for (const { permission, condition } of rolePermissions) {
+        if (!permission.isActive) continue; // Filter inactive permissions
+        const { action } = permission;
+        if (deniedBases.has(parseAction(action).base)) continue;
+        if (!condition) grants[action] = null;
+        else if (grants[action] !== null) {
+          grants[action] = [...(grants[action] || []), condition];
+        }
+      }
+    }
+
+    return { grants, denied: [...denied] };
+  }
+
+  /**
+   * Everything a role grants and denies, including what it inherits:
+   * `{ permissions, denied }`. Each entry carries `inheritedFrom` — null when
+   * the role itself grants/denies it, otherwise the nearest ancestor that
+   * does. Grants also carry their `condition`; denied ones are left out.
+   */
+  async getEffectivePermissions(roleId) {
+    const roles = await this._withAncestors([roleId]);
+    const effective = new Map();
+    const denied = new Map();
+
+    // Map preserves insertion order: the role itself, then parent, then up
+    const collect = (target, role, permission, extra = {}) => {
+      if (!permission.isActive || target.has(permission.id)) return;
+      const { isActive, ...fields } = permission;
+      target.set(permission.id, {
+        ...fields,
+        ...extra,
+        inheritedFrom:
+          role.id === roleId ? null : { id: role.id, name: role.name },
+      });
+    };
+
+    for (const role of roles.values()) {
+      role.permissionDenies.forEach(({ permission }) =>
+        collect(denied, role, permission),
+      );
+    }
+    const deniedBases = baseActions(
+      [...denied.values()].map((permission) => permission.action),
+    );
+    for (const role of roles.values()) {
+      role.rolePermissions.forEach(({ permission, condition }) => {
+        if (!deniedBases.has(parseAction(permission.action).base)) {
+          collect(effective, role, permission, { condition });
+        }
+      });
+    }
+
+    return {
+      permissions: [...effective.values()],
+      denied: [...denied.values()],
+    };
+  }
+
   async listPermissions(query) {
     const { page, limit, skip } = parsePagination(query);
 
@@ -103,6 +304,63 @@ class PermissionService {
 
     return updated;
   }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  /**
+   * Seconds the resolved set stays valid: the usual TTL, cut short if a
+   * role assignment starts or expires sooner.
+   */
+  _cacheTTL(assignments, now) {
+    const boundaries = assignments
+      .flatMap((ur) => [ur.startsAt, ur.expiresAt])
+      .filter((date) => date && date.getTime() > now)
+      .map((date) => Math.ceil((date.getTime() - now) / 1000));
+
+    return Math.min(config.cache.permissionsTTL, ...boundaries);
+  }
+
+  /**
+   * The given roles plus all of their ancestors, by ID, one query per
+   * level. Inactive roles are left out, so nothing above them is reached.
+   * Already-seen IDs are skipped, which also makes a corrupt (cyclic)
+   * hierarchy terminate.
+   */
+  async _withAncestors(roleIds) {
+    const roles = new Map();
+    let pending = [...new Set(roleIds)];
+
+    while (pending.length > 0) {
+      const level = await prisma.role.findMany({
+        where: { id: { in: pending }, isActive: true },
+        select: {
+          id: true,
+          name: true,
+          parentId: true,
+          rolePermissions: {
+            select: { condition: true, permission: PERMISSION_FIELDS },
+          },
+          permissionDenies: { select: { permission: PERMISSION_FIELDS } },
+        },
+      });
+
+      level.forEach((role) => roles.set(role.id, role));
+      pending = [
+        ...new Set(
+          level
+            .map((role) => role.parentId)
+            .filter((id) => id && !roles.has(id)),
+        ),
+      ];
+    }
+
+    return roles;
+  }
+}
+
+// Denies apply to every scope of an action, so they are matched by base
+function baseActions(actions) {
+  return new Set([...actions].map((action) => parseAction(action).base));
 }
 
 module.exports = new PermissionService();
@@ -0,0 +1,339 @@
+// ============================================================================
+// Permission Insight Service — Explain & Simulate
+// ============================================================================
+// explain()  answers "why did authorize allow or refuse this?" for one user
+//            and one permission, with a trace of every role considered.
+// simulate() shows how a user's effective permissions would change under a
+//            proposed role assignment or role–permission change, without
+//            saving anything.
+//
+// Both read from the database rather than the permission cache, and follow
+// the same rules as PermissionService.resolveUserPermissions: assignments
+// outside their window and inactive roles grant nothing (nor do the
+// ancestors above an inactive role), denies beat grants, an unconditional
+// grant beats conditional ones, and what was assigned or denied in a parent
+// organization counts too.
+// ============================================================================
+
+const prisma = require('../../config/database');
+const permissionService = require('./permission.service');
+const membershipService = require('../memberships/membership.service');
+const userRepository = require('../users/user.repository');
+const orgHierarchyService = require('../organizations/orgHierarchy.service');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+const { parseAction, grantingVariants } = require('./permission.scopes');
+
+const PERMISSION_FIELDS = {
+  select: { id: true, action: true, resource: true, isActive: true },
+};
+
+// Roles that are listed in a trace but play no part in the decision
+const UNCOUNTED_OUTCOMES = [
+  'ASSIGNMENT_NOT_STARTED',
+  'ASSIGNMENT_EXPIRED',
+  'ROLE_INACTIVE',
+];
+
+class PermissionInsightService {
+  /**
+   * The decision for `action` and how it was reached, the way authorize
+   * makes it: any scope of the action that satisfies it counts as a grant
+   * (USER_READ:own is enough for USER_READ), and a deny on any scope of it
+   * refuses it.
+   *   decision — ALLOWED, CONDITIONAL (depends on the request; see
+   *              `conditions`) or DENIED
+   *   scope    — when ALLOWED, the broadest scope granted unconditionally
+   *   reason   — GRANTED, CONDITIONAL_GRANT, NOT_GRANTED, USER_DENY,
+   *              ROLE_DENY, PERMISSION_INACTIVE or NO_ACTIVE_MEMBERSHIP
+   *   roles    — every assigned role and ancestor looked at, with what it
+   *              contributed (`outcome`, and the `action` that granted it)
+   *              and the assignment it came through
+   */
+  async explain(userId, organizationId, action) {
+    await this._findMember(userId, organizationId);
+
+    const permission = await prisma.permission.findUnique({
+      where: { action },
+      select: { id: true, action: true, resource: true, isActive: true },
+    });
+    if (!permission) throw new NotFoundError('Permission');
+
+    const { base } = parseAction(action);
+    const variants = grantingVariants(action);
+    const related = await prisma.permission.findMany({
+      where: {
+        OR: [{ action: base }, { action: { startsWith: `${base}:` } }],
+      },
+      select: { id: true, action: true, isActive: true },
+    });
+    const granting = related.filter(
+      (p) => p.isActive && variants.some((v) => v.action === p.action),
+    );
+    const deniable = related.map((p) => p.id);
+
+    const lineage = await orgHierarchyService.getLineageIds(organizationId);
+    const [activeMember, assignments, userDeny] = await Promise.all([
+      membershipService.isActiveMemberOfAny(userId, lineage),
+      prisma.userRole.findMany({
+        where: { userId, organizationId: { in: lineage } },
+        select: { roleId: true, startsAt: true, expiresAt: true },
+      }),
+      prisma.userPermissionDeny.findFirst({
+        where: {
+          userId,
+          organizationId: { in: lineage },
+          permissionId: { in: deniable },
+        },
+        select: { id: true },
+      }),
+    ]);
+
+    const roles = await this._traceRoles(assignments, {
+      variants,
+      grantIds: granting.map((p) => p.id),
+      denyIds: deniable,
+    });
+    const counted = roles.filter(
+      (r) => !UNCOUNTED_OUTCOMES.includes(r.outcome),
+    );
+    const conditions = counted
+      .filter((r) => r.outcome === 'GRANTED_CONDITIONALLY')
+      .map((r) => r.condition);
+    const granted = variants.find((v) =>
+      counted.some((r) => r.outcome === 'GRANTED' && r.action === v.action),
+    );
+
+    let decision = 'DENIED';
+    let reason = 'NOT_GRANTED';
+    if (!activeMember) reason = 'NO_ACTIVE_MEMBERSHIP';
+    else if (granting.length === 0) reason = 'PERMISSION_INACTIVE';
+    else if (userDeny) reason = 'USER_DENY';
+    else if (counted.some((r) => r.denies)) reason = 'ROLE_DENY';
+    else if (granted) {
+      decision = 'ALLOWED';
+      reason = 'GRANTED';
+    } else if (conditions.length > 0) {
+      decision = 'CONDITIONAL';
+      reason = 'CONDITIONAL_GRANT';
+    }
+
+    return {
+      userId,
+      permission,
+      decision,
+      scope: decision === 'ALLOWED' ? granted.scope : null,
+      reason,
+      conditions: decision === 'CONDITIONAL' ? conditions : [],
+      deniedToUser: !!userDeny,
+      activeMember,
+      roles,
+    };
+  }
+
+  /**
+   * Effective permissions now and after a proposed change:
+   *   roles           — the user's complete new set of role assignments
+   *   rolePermissions — { roleId, permissionIds, conditions } replacing what
+   *                     one role grants
+   * Returns both sets and the difference between them.
+   */
+  async simulate(organizationId, { userId, roles, rolePermissions }) {
+    await this._findMember(userId, organizationId);
+    const activeMember = await membershipService.isActiveMemberOfAny(
+      userId,
+      await orgHierarchyService.getLineageIds(organizationId),
+    );
+
+    const { assignments, deniedActions } =
+      await permissionService.loadAssignments(userId, organizationId);
+    const now = Date.now();
+
+    const before = await permissionService.computePermissions(
+      assignments,
+      deniedActions,
+      { now },
+    );
+
+    if (roles) await this._assertRolesVisible(roles, organizationId);
+    const roleOverrides = rolePermissions
+      ? await this._roleOverride(rolePermissions, organizationId)
+      : {};
+    const after = await permissionService.computePermissions(
+      roles || assignments,
+      deniedActions,
+      { now, roleOverrides },
+    );
+
+    // A user without an active membership gets nothing either way
+    if (!activeMember) {
+      before.grants = {};
+      after.grants = {};
+    }
+
+    return {
+      userId,
+      activeMember,
+      before,
+      after,
+      changes: diff(before, after),
+    };
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  async _findMember(userId, organizationId) {
+    const user = await userRepository.findById(userId, organizationId);
+    if (!user) throw new NotFoundError('User');
+    return user;
+  }
+
+  /**
+   * Walk each assignment up through its ancestors, recording what every
+   * role does with the permission: its best grant among `variants` (an
+   * unconditional one, then the broadest), and whether it denies any scope.
+   */
+  async _traceRoles(assignments, { variants, grantIds, denyIds }) {
+    const rank = (grant) =>
+      (grant.condition ? variants.length : 0) +
+      variants.findIndex((v) => v.action === grant.permission.action);
+    const now = Date.now();
+    const trace = [];
+
+    for (const assignment of assignments) {
+      let window = 'ACTIVE';
+      if (assignment.startsAt && assignment.startsAt.getTime() > now) {
+        window = 'NOT_STARTED';
+      } else if (
+        assignment.expiresAt &&
+        assignment.expiresAt.getTime() <= now
+      ) {
+        window = 'EXPIRED';
+      }
+
+      let via = null;
+      const seen = new Set();
+      for (let id = assignment.roleId; id && !seen.has(id);) {
+        seen.add(id);
+        const role = await prisma.role.findUnique({
+          where: { id },
+          select: {
+            id: true,
+            name: true,
+            isActive: true,
+            parentId: true,
+            rolePermissions: {
+              where: { permissionId: { in: grantIds } },
+              select: {
+                condition: true,
+                permission: { select: { action: true } },
+              },
+            },
+            permissionDenies: {
+              where: { permissionId: { in: denyIds } },
+              select: { id: true },
+            },
+          },
+        });
+        if (!role) break;
+
+        const [grant] = role.rolePermissions.sort((a, b) => rank(a) - rank(b));
+        const denies = role.permissionDenies.length > 0;
+        let outcome = 'NOT_GRANTED';
+        if (window !== 'ACTIVE') outcome = `ASSIGNMENT_${window}`;
+        else if (!role.isActive) outcome = 'ROLE_INACTIVE';
+        else if (denies) outcome = 'DENIED';
+        else if (grant && grant.condition) outcome = 'GRANTED_CONDITIONALLY';
+        else if (grant) outcome = 'GRANTED';
+
+        trace.push({
+          role: { id: role.id, name: role.name },
+          inheritedVia: via,
+          assignment: {
+            startsAt: assignment.startsAt,
+            expiresAt: assignment.expiresAt,
+          },
+          outcome,
+          ...(grant && { action: grant.permission.action }),
+          ...(grant?.condition && { condition: grant.condition }),
+          denies,
+        });
+
+        // Nothing above an inactive role or an out-of-window assignment counts
+        if (window !== 'ACTIVE' || !role.isActive) break;
+        via = via || { id: role.id, name: role.name };
+        id = role.parentId;
+      }
+    }
+
+    return trace;
+  }
+
+  async _assertRolesVisible(assignments, organizationId) {
+    const roleIds = assignments.map((a) => a.roleId);
+    const found = await prisma.role.findMany({
+      where: {
+        id: { in: roleIds },
+        ...(await orgHierarchyService.roleScope(organizationId)),
+      },
+      select: { id: true },
+    });
+    const foundIds = found.map((r) => r.id);
+    const missing = roleIds.filter((id) => !foundIds.includes(id));
+    if (missing.length > 0) {
+      throw new BadRequestError(
+        `Invalid or inaccessible role IDs: ${missing.join(', ')}`,
+      );
+    }
+  }
+
+  async _roleOverride(
+    { roleId, permissionIds, conditions = {} },
+    organizationId,
+  ) {
+    const role = await prisma.role.findFirst({
+      where: {
+        id: roleId,
+        ...(await orgHierarchyService.roleScope(organizationId)),
+      },
+      select: { id: true },
+    });
+    if (!role) throw new NotFoundError('Role');
+
+    const permissions = await prisma.permission.findMany({
+      where: { id: { in: permissionIds } },
+      ...PERMISSION_FIELDS,
+    });
+    return {
+      [roleId]: permissions.map((permission) => ({
+        permission,
+        condition: conditions[permission.id] || null,
+      })),
+    };
+  }
+}
+
+// Actions gained, lost, and kept with different conditions
+function diff(before, after) {
+  const beforeActions = Object.keys(before.grants);
+  const afterActions = Object.keys(after.grants);
+  const has = (grants, action) => Object.hasOwn(grants, action);
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  return {
+    added: afterActions.filter((a) => !has(before.grants, a)).sort(),
+    removed: beforeActions.filter((a) => !has(after.grants, a)).sort(),
+    conditionsChanged: afterActions
+      .filter(
+        (a) =>
+          has(before.grants, a) && !same(before.grants[a], after.grants[a]),
+      )
+      .sort()
+      .map((action) => ({
+        action,
+        before: before.grants[action],
+        after: after.grants[action],
+      })),
+  };
+}
+
+module.exports = new PermissionInsightService();
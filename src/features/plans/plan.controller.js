@@ -0,0 +1,49 @@
+// ============================================================================
+// Plan Controller
+// ============================================================================
+
+const planService = require('./plan.service');
+const { success } = require('../../utils/response');
+
+const planController = {
+  async list(req, res, next) {
+    try {
+      const plans = await planService.listPlans();
+      return success(res, plans);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const plan = await planService.createPlan(req.body);
+      return success(res, plan, 201);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async update(req, res, next) {
+    try {
+      const plan = await planService.updatePlan(req.params.id, req.body);
+      return success(res, plan);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async setOrganizationPlan(req, res, next) {
+    try {
+      const org = await planService.setOrganizationPlan(
+        req.params.id,
+        req.body.planId,
+      );
+      return success(res, org);
+    } catch (err) {
+      next(err);
+    }
+  },
+};
+
+module.exports = planController;
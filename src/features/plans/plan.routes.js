@@ -0,0 +1,104 @@
+// ============================================================================
+// Plan Routes
+// ============================================================================
+// Platform operators define plans and their limits. Organizations are put on
+// a plan with PUT /organizations/:id/plan; admins see their consumption at
+// GET /dashboard/usage.
+// ============================================================================
+
+const { Router } = require('express');
+const planController = require('./plan.controller');
+const validate = require('../../utils/validate');
+const {
+  createPlanSchema,
+  updatePlanSchema,
+  planIdParamSchema,
+} = require('./plan.schema');
+const {
+  authenticate,
+  authorize,
+  resolveTenant,
+  apiQuota,
+  auditLog,
+} = require('../../middleware');
+
+const router = Router();
+
+router.use(authenticate, resolveTenant, apiQuota);
+
+/**
+ * @openapi
+ * /plans:
+ *   get:
+ *     tags: [Plans]
+ *     summary: List plans and how many organizations are on each
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: List of plans
+ */
+router.get('/', authorize('PLATFORM_PLAN_MANAGE'), planController.list);
+
+/**
+ * @openapi
+ * /plans:
+ *   post:
+ *     tags: [Plans]
+ *     summary: Create a plan
+ *     description: Omitted or null limits are unlimited.
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string, example: team }
+ *               description: { type: string }
+ *               maxUsers: { type: integer, nullable: true }
+ *               maxCustomRoles: { type: integer, nullable: true }
+ *               monthlyApiRequests: { type: integer, nullable: true }
+ *     responses:
+ *       201:
+ *         description: Plan created
+ *       409:
+ *         description: Name already taken
+ */
+router.post(
+  '/',
+  authorize('PLATFORM_PLAN_MANAGE'),
+  validate({ body: createPlanSchema }),
+  auditLog('PLAN_CREATED', 'PLAN'),
+  planController.create,
+);
+
+/**
+ * @openapi
+ * /plans/{id}:
+ *   patch:
+ *     tags: [Plans]
+ *     summary: Update a plan's name or limits
+ *     description: |
+ *       Applies to every organization on the plan. A limit lowered below
+ *       current usage only blocks further growth.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Plan updated
+ */
+router.patch(
+  '/:id',
+  authorize('PLATFORM_PLAN_MANAGE'),
+  validate({ params: planIdParamSchema, body: updatePlanSchema }),
+  auditLog('PLAN_UPDATED', 'PLAN'),
+  planController.update,
+);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// ============================================================================
+// Plan Validation Schemas
+// ============================================================================
+
+const { z } = require('zod');
+
+// null = unlimited
+const limit = z.number().int().min(0).nullable();
+
+const createPlanSchema = z.object({
+  name: z
+    .string()
+    .min(1)
+    .max(50)
+    .regex(/^[a-z0-9-]+$/, 'Name must be lowercase alphanumeric with hyphens'),
+  description: z.string().max(1000).optional(),
+  maxUsers: limit.optional(),
+  maxCustomRoles: limit.optional(),
+  monthlyApiRequests: limit.optional(),
+});
+
+const updatePlanSchema = createPlanSchema.partial();
+
+const planIdParamSchema = z.object({
+  id: z.string().uuid('Invalid plan ID format'),
+});
+
+const setOrganizationPlanSchema = z.object({
+  planId: z.string().uuid('Invalid plan ID format').nullable(),
+});
+
+module.exports = {
+  createPlanSchema,
+  updatePlanSchema,
+  planIdParamSchema,
+  setOrganizationPlanSchema,
+};
@@ -0,0 +1,91 @@
+// ============================================================================
+// Plan Service — Managing Plans
+// ============================================================================
+// Plans are global and managed by platform operators (PLATFORM_PLAN_MANAGE).
+// Lowering a limit below current usage doesn't remove anything; it only
+// blocks further growth. Enforcement lives in QuotaService.
+// ============================================================================
+
+const prisma = require('../../config/database');
+const { NotFoundError, ConflictError } = require('../../utils/errors');
+const { pick } = require('../../utils/helpers');
+
+const PLAN_FIELDS = [
+  'name',
+  'description',
+  'maxUsers',
+  'maxCustomRoles',
+  'monthlyApiRequests',
+];
+
+class PlanService {
+  async listPlans() {
+    return prisma.plan.findMany({
+      include: { _count: { select: { organizations: true } } },
+      orderBy: { name: 'asc' },
+    });
+  }
+
+  async createPlan(data) {
+    await this._assertNameFree(data.name);
+    return prisma.plan.create({ data: pick(data, PLAN_FIELDS) });
+  }
+
+  async updatePlan(id, data) {
+    const plan = await prisma.plan.findUnique({ where: { id } });
+    if (!plan) throw new NotFoundError('Plan');
+    if (data.name && data.name !== plan.name) {
+      await this._assertNameFree(data.name);
+    }
+
+    return prisma.plan.update({
+      where: { id },
+      data: pick(data, PLAN_FIELDS),
+    });
+  }
+
+  /**
+   * Put an organization on a plan, or take it off all plans (null).
+   */
+  async setOrganizationPlan(organizationId, planId) {
+    const org = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: { id: true },
+    });
+    if (!org) throw new NotFoundError('Organization');
+
+    if (planId) {
+      const plan = await prisma.plan.findUnique({
+        where: { id: planId },
+        select: { id: true },
+      });
+      if (!plan) throw new NotFoundError('Plan');
+    }
+
+    return prisma.organization.update({
+      where: { id: organizationId },
+      data: { planId },
+      select: {
+        id: true,
+        name: true,
+        slug: true,
+        plan: {
+          select: {
+            id: true,
+            name: true,
+            maxUsers: true,
+            maxCustomRoles: true,
+            monthlyApiRequests: true,
+          },
+        },
+      },
+    });
+  }
+
+  async _assertNameFree(name) {
+    const existing = await prisma.plan.findUnique({ where: { name } });
+    if (existing) throw new ConflictError(`Plan "${name}" already exists`);
+  }
+}
+
+module.exports = new PlanService();
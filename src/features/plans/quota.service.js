@@ -0,0 +1,177 @@
+// ============================================================================
+// Quota Service — Enforcing Plan Limits
+// ============================================================================
+// An organization's plan caps:
+//   - users           active members (pending invitations count too when
+//                     inviting, so invites can't overshoot the limit)
+//   - custom roles    roles defined in the organization itself; global and
+//                     inherited roles are free
+//   - API requests    authenticated requests per calendar month (UTC),
+//                     counted against the caller's organization
+//
+// No plan, or a null limit, means unlimited. Going over a limit throws
+// QuotaExceededError (QUOTA_EXCEEDED) with the limit and usage in `details`.
+//
+// The monthly counter is incremented first and checked after, so concurrent
+// requests can't all slip in under the limit; a refused request gives its
+// count back.
+// ============================================================================
+
+const prisma = require('../../config/database');
+const { QuotaExceededError } = require('../../utils/errors');
+
+const PLAN_SELECT = {
+  id: true,
+  name: true,
+  description: true,
+  maxUsers: true,
+  maxCustomRoles: true,
+  monthlyApiRequests: true,
+};
+
+class QuotaService {
+  async getPlan(organizationId) {
+    const org = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: { plan: { select: PLAN_SELECT } },
+    });
+    return org?.plan || null;
+  }
+
+  /**
+   * Throw unless the organization can take another member.
+   * @param {object} [options]
+   * @param {boolean} [options.includeInvitations] - Count pending invites
+   */
+  async assertCanAddMember(
+    organizationId,
+    { includeInvitations = false } = {},
+  ) {
+    const plan = await this.getPlan(organizationId);
+    if (plan?.maxUsers == null) return;
+
+    let used = await this._countMembers(organizationId);
+    if (includeInvitations) {
+      used += await prisma.invitation.count({
+        where: {
+          organizationId,
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { gt: new Date() },
+        },
+      });
+    }
+
+    if (used >= plan.maxUsers) {
+      throw new QuotaExceededError(
+        `The ${plan.name} plan allows ${plan.maxUsers} users`,
+        { quota: 'users', limit: plan.maxUsers, used },
+      );
+    }
+  }
+
+  async assertCanCreateRole(organizationId) {
+    const plan = await this.getPlan(organizationId);
+    if (plan?.maxCustomRoles == null) return;
+
+    const used = await this._countCustomRoles(organizationId);
+    if (used >= plan.maxCustomRoles) {
+      throw new QuotaExceededError(
+        `The ${plan.name} plan allows ${plan.maxCustomRoles} custom roles`,
+        { quota: 'customRoles', limit: plan.maxCustomRoles, used },
+      );
+    }
+  }
+
+  /**
+   * Count one API request for the month; throw (429) if it is over the
+   * plan's monthly allowance.
+   */
+  async consumeApiRequest(organizationId) {
+    const plan = await this.getPlan(organizationId);
+    const where = {
+      organizationId_period: { organizationId, period: currentPeriod() },
+    };
+
+    const { apiRequests } = await prisma.organizationUsage.upsert({
+      where,
+      create: { ...where.organizationId_period, apiRequests: 1 },
+      update: { apiRequests: { increment: 1 } },
+      select: { apiRequests: true },
+    });
+
+    const limit = plan?.monthlyApiRequests;
+    if (limit != null && apiRequests > limit) {
+      await prisma.organizationUsage.update({
+        where,
+        data: { apiRequests: { decrement: 1 } },
+      });
+      throw new QuotaExceededError(
+        `Monthly API request limit of the ${plan.name} plan reached`,
+        {
+          quota: 'apiRequests',
+          limit,
+          used: apiRequests - 1,
+          resetsAt: nextPeriodStart(),
+        },
+        429,
+      );
+    }
+  }
+
+  /**
+   * Current consumption against each limit, for the admin dashboard.
+   */
+  async getUsage(organizationId) {
+    const period = currentPeriod();
+    const [plan, members, customRoles, monthly] = await Promise.all([
+      this.getPlan(organizationId),
+      this._countMembers(organizationId),
+      this._countCustomRoles(organizationId),
+      prisma.organizationUsage.findUnique({
+        where: { organizationId_period: { organizationId, period } },
+        select: { apiRequests: true },
+      }),
+    ]);
+
+    const quota = (used, limit) => ({
+      used,
+      limit: limit ?? null,
+      remaining: limit == null ? null : Math.max(limit - used, 0),
+    });
+
+    return {
+      plan,
+      period,
+      resetsAt: nextPeriodStart(),
+      usage: {
+        users: quota(members, plan?.maxUsers),
+        customRoles: quota(customRoles, plan?.maxCustomRoles),
+        apiRequests: quota(monthly?.apiRequests || 0, plan?.monthlyApiRequests),
+      },
+    };
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  async _countMembers(organizationId) {
+    return prisma.membership.count({
+      where: { organizationId, isActive: true },
+    });
+  }
+
+  async _countCustomRoles(organizationId) {
+    return prisma.role.count({ where: { organizationId } });
+  }
+}
+
+// Usage periods are calendar months in UTC, e.g. "2026-10"
+function currentPeriod(now = new Date()) {
+  return now.toISOString().slice(0, 7);
+}
+
+function nextPeriodStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,80 @@
+// ============================================================================
+// Role Constraint Controller
+// ============================================================================
+
+const roleConstraintService = require('./roleConstraint.service');
+const { success } = require('../../utils/response');
+
+const roleConstraintController = {
+  async list(req, res, next) {
+    try {
+      const constraints = await roleConstraintService.list(req.tenant.id);
+      return success(res, constraints);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async violations(req, res, next) {
+    try {
+      const violations = await roleConstraintService.findViolations(
+        req.tenant.id,
+      );
+      return success(res, violations);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async getById(req, res, next) {
+    try {
+      const constraint = await roleConstraintService.getById(
+        req.params.id,
+        req.tenant.id,
+      );
+      return success(res, constraint);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async create(req, res, next) {
+    try {
+      const constraint = await roleConstraintService.create(
+        req.tenant.id,
+        req.body,
+        req.user.id,
+      );
+      return success(res, constraint, 201);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async update(req, res, next) {
+    try {
+      const constraint = await roleConstraintService.update(
+        req.params.id,
+        req.tenant.id,
+        req.body,
+      );
+      return success(res, constraint);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async delete(req, res, next) {
+    try {
+      const constraint = await roleConstraintService.delete(
+        req.params.id,
+        req.tenant.id,
+      );
+      return success(res, constraint);
+    } catch (err) {
+      next(err);
+    }
+  },
+};
+
+module.exports = roleConstraintController;
@@ -0,0 +1,169 @@
+// ============================================================================
+// Role Constraint Routes — Separation of Duties
+// ============================================================================
+
+const { Router } = require('express');
+const roleConstraintController = require('./roleConstraint.controller');
+const validate = require('../../utils/validate');
+const {
+  createRoleConstraintSchema,
+  updateRoleConstraintSchema,
+  roleConstraintIdParamSchema,
+} = require('./roleConstraint.schema');
+const {
+  authenticate,
+  authorize,
+  resolveTenant,
+  apiQuota,
+  auditLog,
+} = require('../../middleware');
+
+const router = Router();
+
+router.use(authenticate, resolveTenant, apiQuota);
+
+/**
+ * @openapi
+ * /role-constraints:
+ *   get:
+ *     tags: [Role Constraints]
+ *     summary: List the organization's mutually exclusive role sets
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: List of constraints with their roles
+ */
+router.get('/', authorize('ROLE_READ'), roleConstraintController.list);
+
+/**
+ * @openapi
+ * /role-constraints/violations:
+ *   get:
+ *     tags: [Role Constraints]
+ *     summary: Members who currently hold roles a constraint forbids together
+ *     description: >
+ *       New assignments are checked when they are made, so violations come
+ *       from constraints added (or roles re-parented) afterwards. Each entry
+ *       names the user, the constraint and the two roles they hold.
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: List of violations
+ */
+router.get(
+  '/violations',
+  authorize('ROLE_READ'),
+  roleConstraintController.violations,
+);
+
+/**
+ * @openapi
+ * /role-constraints/{id}:
+ *   get:
+ *     tags: [Role Constraints]
+ *     summary: Get a constraint by ID
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Constraint details
+ */
+router.get(
+  '/:id',
+  authorize('ROLE_READ'),
+  validate({ params: roleConstraintIdParamSchema }),
+  roleConstraintController.getById,
+);
+
+/**
+ * @openapi
+ * /role-constraints:
+ *   post:
+ *     tags: [Role Constraints]
+ *     summary: Create a set of mutually exclusive roles
+ *     description: >
+ *       Nobody in the organization may hold two roles of the set at once,
+ *       directly or through inheritance. Existing assignments are left
+ *       alone — check `GET /role-constraints/violations` afterwards.
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, roleIds]
+ *             properties:
+ *               name: { type: string }
+ *               description: { type: string }
+ *               roleIds:
+ *                 type: array
+ *                 minItems: 2
+ *                 items: { type: string, format: uuid }
+ *     responses:
+ *       201:
+ *         description: Constraint created
+ *       409:
+ *         description: A constraint with this name already exists
+ */
+router.post(
+  '/',
+  authorize('ROLE_UPDATE'),
+  validate({ body: createRoleConstraintSchema }),
+  auditLog('ROLE_CONSTRAINT_CREATED', 'ROLE_CONSTRAINT'),
+  roleConstraintController.create,
+);
+
+/**
+ * @openapi
+ * /role-constraints/{id}:
+ *   patch:
+ *     tags: [Role Constraints]
+ *     summary: Update a constraint
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               description: { type: string }
+ *               roleIds:
+ *                 type: array
+ *                 minItems: 2
+ *                 items: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Constraint updated
+ */
+router.patch(
+  '/:id',
+  authorize('ROLE_UPDATE'),
+  validate({
+    params: roleConstraintIdParamSchema,
+    body: updateRoleConstraintSchema,
+  }),
+  auditLog('ROLE_CONSTRAINT_UPDATED', 'ROLE_CONSTRAINT'),
+  roleConstraintController.update,
+);
+
+/**
+ * @openapi
+ * /role-constraints/{id}:
+ *   delete:
+ *     tags: [Role Constraints]
+ *     summary: Delete a constraint
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Constraint deleted
+ */
+router.delete(
+  '/:id',
+  authorize('ROLE_UPDATE'),
+  validate({ params: roleConstraintIdParamSchema }),
+  auditLog('ROLE_CONSTRAINT_DELETED', 'ROLE_CONSTRAINT'),
+  roleConstraintController.delete,
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+// ============================================================================
+// Role Constraint Validation Schemas
+// ============================================================================
+
+const { z } = require('zod');
+
+const roleIdsSchema = z
+  .array(z.string().uuid())
+  .min(2, 'A constraint needs at least two roles')
+  .refine((ids) => new Set(ids).size === ids.length, 'Duplicate role IDs');
+
+const createRoleConstraintSchema = z.object({
+  name: z.string().min(1).max(100),
+  description: z.string().max(500).optional(),
+  roleIds: roleIdsSchema,
+});
+
+const updateRoleConstraintSchema = z.object({
+  name: z.string().min(1).max(100).optional(),
+  description: z.string().max(500).optional(),
+  roleIds: roleIdsSchema.optional(),
+});
+
+const roleConstraintIdParamSchema = z.object({
+  id: z.string().uuid('Invalid role constraint ID format'),
+});
+
+module.exports = {
+  createRoleConstraintSchema,
+  updateRoleConstraintSchema,
+  roleConstraintIdParamSchema,
+};
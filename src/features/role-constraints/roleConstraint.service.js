@@ -0,0 +1,288 @@
+// ============================================================================
+// Role Constraint Service — Separation of Duties
+// ============================================================================
+// A constraint is a named set of mutually exclusive roles in an organization:
+// nobody may hold two of them at the same time (e.g. the role that creates
+// vendors and the role that approves payments).
+//
+// Architectural notes:
+//   - Roles are expanded with their ancestors before checking, since holding
+//     a role means holding everything it inherits.
+//   - Two time-bound assignments only clash if their windows overlap, so
+//     handing a duty over from one role to the other is allowed.
+//   - UserRepository.assignRoles calls assertAllowed() inside its transaction,
+//     which covers every path that replaces a user's roles; SSO group
+//     mappings check each role they add the same way. Constraints added
+//     later don't touch existing assignments; the violations report lists the
+//     users who already break them.
+// ============================================================================
+
+const prisma = require('../../config/database');
+const orgHierarchyService = require('../organizations/orgHierarchy.service');
+const {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require('../../utils/errors');
+
+const CONSTRAINT_SELECT = {
+  id: true,
+  name: true,
+  description: true,
+  createdAt: true,
+  updatedAt: true,
+  roles: { select: { role: { select: { id: true, name: true } } } },
+};
+
+// Constraint rows come back with roles nested under the junction
+function toConstraint({ roles, ...constraint }) {
+  return { ...constraint, roles: roles.map((r) => r.role) };
+}
+
+class RoleConstraintService {
+  // ─── CRUD ───────────────────────────────────────────────────────────
+
+  async list(organizationId) {
+    const constraints = await prisma.roleConstraint.findMany({
+      where: { organizationId },
+      select: CONSTRAINT_SELECT,
+      orderBy: { name: 'asc' },
+    });
+    return constraints.map(toConstraint);
+  }
+
+  async getById(id, organizationId) {
+    const constraint = await prisma.roleConstraint.findFirst({
+      where: { id, organizationId },
+      select: CONSTRAINT_SELECT,
+    });
+    if (!constraint) throw new NotFoundError('Role constraint');
+    return toConstraint(constraint);
+  }
+
+  async create(organizationId, { name, description, roleIds }, createdBy) {
+    await this._assertRoles(roleIds, organizationId);
+    await this._assertNameFree(name, organizationId);
+
+    const constraint = await prisma.roleConstraint.create({
+      data: {
+        organizationId,
+        name,
+        description,
+        createdBy,
+        roles: { create: roleIds.map((roleId) => ({ roleId })) },
+      },
+      select: CONSTRAINT_SELECT,
+    });
+    return toConstraint(constraint);
+  }
+
+  async update(id, organizationId, { name, description, roleIds }) {
+    await this.getById(id, organizationId);
+    if (name) await this._assertNameFree(name, organizationId, id);
+    if (roleIds) await this._assertRoles(roleIds, organizationId);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.roleConstraint.update({
+        where: { id },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(description !== undefined && { description }),
+        },
+      });
+      if (roleIds) {
+        await tx.roleConstraintRole.deleteMany({ where: { constraintId: id } });
+        await tx.roleConstraintRole.createMany({
+          data: roleIds.map((roleId) => ({ constraintId: id, roleId })),
+        });
+      }
+    });
+
+    return this.getById(id, organizationId);
+  }
+
+  async delete(id, organizationId) {
+    const constraint = await this.getById(id, organizationId);
+    await prisma.roleConstraint.delete({ where: { id } });
+    return constraint;
+  }
+
+  // ─── Enforcement ────────────────────────────────────────────────────
+
+  /**
+   * Throw if giving a user these role assignments in the organization would
+   * break a constraint. Pass the transaction client when called inside one.
+   * @param {Array<{ roleId: string, startsAt?: Date, expiresAt?: Date }>} assignments
+   */
+  async assertAllowed(organizationId, assignments, client = prisma) {
+    const constraints = await this._constraints(organizationId, client);
+    if (constraints.length === 0) return;
+
+    const roles = await this._roleTree(organizationId, client);
+    const [violation] = this._violations(assignments, constraints, roles);
+    if (violation) {
+      const [first, second] = violation.roles;
+      throw new ConflictError(
+        `Roles ${first.name} and ${second.name} cannot be held together ` +
+          `(separation of duties: ${violation.constraint.name})`,
+      );
+    }
+  }
+
+  /**
+   * Members who currently break a constraint — typically because it was
+   * added after their roles were assigned.
+   */
+  async findViolations(organizationId) {
+    const constraints = await this._constraints(organizationId);
+    if (constraints.length === 0) return [];
+
+    const userRoles = await prisma.userRole.findMany({
+      where: {
+        organizationId,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+      },
+      select: {
+        userId: true,
+        roleId: true,
+        startsAt: true,
+        expiresAt: true,
+        user: {
+          select: { id: true, email: true, firstName: true, lastName: true },
+        },
+      },
+    });
+
+    const byUser = new Map();
+    for (const { user, ...assignment } of userRoles) {
+      if (!byUser.has(user.id)) byUser.set(user.id, { user, assignments: [] });
+      byUser.get(user.id).assignments.push(assignment);
+    }
+
+    const roles = await this._roleTree(organizationId);
+    const violations = [];
+    for (const { user, assignments } of byUser.values()) {
+      const found = this._violations(assignments, constraints, roles);
+      found.forEach(({ constraint, roles }) =>
+        violations.push({ user, constraint, roles }),
+      );
+    }
+    return violations;
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  async _constraints(organizationId, client = prisma) {
+    const constraints = await client.roleConstraint.findMany({
+      where: { organizationId },
+      select: {
+        id: true,
+        name: true,
+        roles: { select: { roleId: true } },
+      },
+    });
+    return constraints.map(({ roles, ...constraint }) => ({
+      ...constraint,
+      roleIds: new Set(roles.map((r) => r.roleId)),
+    }));
+  }
+
+  /**
+   * Every (constraint, pair of roles) the assignments break. A role counts
+   * as held through any assignment of it or of one of its descendants, so a
+   * single role inheriting two exclusive roles breaks the constraint too.
+   */
+  _violations(assignments, constraints, roles) {
+    const held = assignments.map((a) => ({
+      ...a,
+      effective: this._withAncestors(a.roleId, roles),
+    }));
+
+    const violations = [];
+    for (const constraint of constraints) {
+      const holders = [...constraint.roleIds]
+        .map((roleId) => ({
+          roleId,
+          via: held.filter((a) => a.effective.has(roleId)),
+        }))
+        .filter((h) => h.via.length > 0);
+
+      for (let i = 0; i < holders.length; i++) {
+        for (let j = i + 1; j < holders.length; j++) {
+          const clash = holders[i].via.some((a) =>
+            holders[j].via.some((b) => overlaps(a, b)),
+          );
+          if (!clash) continue;
+          violations.push({
+            constraint: { id: constraint.id, name: constraint.name },
+            roles: [holders[i].roleId, holders[j].roleId].map((id) => ({
+              id,
+              name: roles.get(id)?.name,
+            })),
+          });
+        }
+      }
+    }
+    return violations;
+  }
+
+  // Roles visible to the organization, by ID, for walking up parents
+  async _roleTree(organizationId, client = prisma) {
+    const roles = await client.role.findMany({
+      where: await orgHierarchyService.roleScope(organizationId),
+      select: { id: true, name: true, parentId: true },
+    });
+    return new Map(roles.map((r) => [r.id, r]));
+  }
+
+  _withAncestors(roleId, roles) {
+    const ids = new Set();
+    for (let id = roleId; id && !ids.has(id); id = roles.get(id)?.parentId) {
+      ids.add(id);
+    }
+    return ids;
+  }
+
+  async _assertRoles(roleIds, organizationId) {
+    const found = await prisma.role.findMany({
+      where: {
+        id: { in: roleIds },
+        ...(await orgHierarchyService.roleScope(organizationId)),
+      },
+      select: { id: true },
+    });
+    const foundIds = found.map((r) => r.id);
+    const missing = roleIds.filter((id) => !foundIds.includes(id));
+    if (missing.length > 0) {
+      throw new BadRequestError(
+        `Invalid or inaccessible role IDs: ${missing.join(', ')}`,
+      );
+    }
+  }
+
+  async _assertNameFree(name, organizationId, exceptId) {
+    const existing = await prisma.roleConstraint.findFirst({
+      where: {
+        name,
+        organizationId,
+        ...(exceptId && { id: { not: exceptId } }),
+      },
+      select: { id: true },
+    });
+    if (existing) {
+      throw new ConflictError(`Role constraint '${name}' already exists`);
+    }
+  }
+}
+
+// Two assignments clash only if they are in effect at the same time;
+// a missing bound is open-ended
+function overlaps(a, b) {
+  const aStart = a.startsAt ? new Date(a.startsAt) : -Infinity;
+  const aEnd = a.expiresAt ? new Date(a.expiresAt) : Infinity;
+  const bStart = b.startsAt ? new Date(b.startsAt) : -Infinity;
+  const bEnd = b.expiresAt ? new Date(b.expiresAt) : Infinity;
+  return aStart < bEnd && bStart < aEnd;
+}
+
+module.exports = new RoleConstraintService();
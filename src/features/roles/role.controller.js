@@ -29,7 +29,11 @@ const roleController = {
 
   async create(req, res, next) {
     try {
-      const role = await roleService.createRole(req.body, req.tenant.id);
+      const role = await roleService.createRole(
+        req.body,
+        req.tenant.id,
+        req.user.id,
+      );
       return success(res, role, 201);
     } catch (err) {
       next(err);
@@ -42,6 +46,7 @@ const roleController = {
         req.params.id,
         req.tenant.id,
         req.body,
+        req.user.id,
       );
       return success(res, role);
     } catch (err) {
@@ -65,12 +70,53 @@ const roleController = {
         req.tenant.id,
         req.body.permissionIds,
         req.user.id,
+        req.body.conditions,
+      );
+      return success(res, role);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async assignDenies(req, res, next) {
+    try {
+      const role = await roleService.assignDenies(
+        req.params.id,
+        req.tenant.id,
+        req.body.permissionIds,
+        req.user.id,
       );
       return success(res, role);
     } catch (err) {
       next(err);
     }
   },
+
+  async getAssignableRoles(req, res, next) {
+    try {
+      const roles = await roleService.getAssignableRoles(
+        req.params.id,
+        req.tenant.id,
+      );
+      return success(res, roles);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async setAssignableRoles(req, res, next) {
+    try {
+      const roles = await roleService.setAssignableRoles(
+        req.params.id,
+        req.tenant.id,
+        req.body.roleIds,
+        req.user.id,
+      );
+      return success(res, roles);
+    } catch (err) {
+      next(err);
+    }
+  },
 };
 
 module.exports = roleController;
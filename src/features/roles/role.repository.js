@@ -3,7 +3,8 @@
 // ============================================================================
 
 const prisma = require('../../config/database');
-const { ForbiddenError } = require('../../utils/errors');
+const orgHierarchyService = require('../organizations/orgHierarchy.service');
+const { BadRequestError, ForbiddenError } = require('../../utils/errors');
 
 const ROLE_SELECT = {
   id: true,
@@ -12,42 +13,59 @@ const ROLE_SELECT = {
   isSystem: true,
   isActive: true,
   organizationId: true,
+  parentId: true,
   createdAt: true,
   updatedAt: true,
 };
 
-const ROLE_WITH_PERMISSIONS = {
-  ...ROLE_SELECT,
-  rolePermissions: {
-    include: {
-      permission: {
-        select: {
-          id: true,
-          action: true,
-          description: true,
-          resource: true,
+// Holder counts only include assignments made in the tenant — global roles
+// are shared by every organization
+function withPermissions(organizationId) {
+  return {
+    ...ROLE_SELECT,
+    parent: { select: { id: true, name: true } },
+    rolePermissions: {
+      include: {
+        permission: {
+          select: {
+            id: true,
+            action: true,
+            description: true,
+            resource: true,
+          },
         },
       },
     },
-  },
-  _count: {
-    select: { userRoles: true },
-  },
-};
+    permissionDenies: {
+      include: {
+        permission: { select: { id: true, action: true, resource: true } },
+      },
+    },
+    assignableRoles: {
+      where: { organizationId },
+      select: { assignableRole: { select: { id: true, name: true } } },
+    },
+    _count: {
+      select: { userRoles: { where: { organizationId } } },
+    },
+  };
+}
 
 class RoleRepository {
   /**
-   * List roles for a tenant. Optionally include global roles.
+   * List roles for a tenant — its own and those inherited from its parent
+   * organizations. Optionally include global roles.
    */
   async findAll(
     organizationId,
     { skip, limit, orderBy, search, includeGlobal },
   ) {
+    const lineage = await orgHierarchyService.getLineageIds(organizationId);
     const where = {
       AND: [
         {
           OR: [
-            { organizationId },
+            { organizationId: { in: lineage } },
             ...(includeGlobal === 'true' ? [{ organizationId: null }] : []),
           ],
         },
@@ -60,7 +78,7 @@ class RoleRepository {
     const [roles, totalCount] = await prisma.$transaction([
       prisma.role.findMany({
         where,
-        select: ROLE_WITH_PERMISSIONS,
+        select: withPermissions(organizationId),
         skip,
         take: limit,
         orderBy,
@@ -75,9 +93,9 @@ class RoleRepository {
     return prisma.role.findFirst({
       where: {
         id,
-        OR: [{ organizationId }, { organizationId: null }],
+        ...(await orgHierarchyService.roleScope(organizationId)),
       },
-      select: ROLE_WITH_PERMISSIONS,
+      select: withPermissions(organizationId),
     });
   }
 
@@ -85,11 +103,21 @@ class RoleRepository {
     return prisma.role.findFirst({
       where: {
         name,
-        OR: [{ organizationId }, { organizationId: null }],
+        ...(await orgHierarchyService.roleScope(organizationId)),
       },
     });
   }
 
+  /**
+   * Just the hierarchy link, for walking up the ancestors of a role.
+   */
+  async findParentLink(id) {
+    return prisma.role.findUnique({
+      where: { id },
+      select: { id: true, name: true, parentId: true },
+    });
+  }
+
   async create(data, organizationId) {
     return prisma.role.create({
       data: { ...data, organizationId },
@@ -106,7 +134,7 @@ class RoleRepository {
     return prisma.role.update({
       where: { id },
       data,
-      select: ROLE_WITH_PERMISSIONS,
+      select: withPermissions(organizationId),
     });
   }
 
@@ -127,7 +155,13 @@ class RoleRepository {
   /**
    * Replace all permissions for a role.
    */
-  async assignPermissions(roleId, organizationId, permissionIds, assignedBy) {
+  async assignPermissions(
+    roleId,
+    organizationId,
+    permissionIds,
+    assignedBy,
+    conditions = {},
+  ) {
     return prisma.$transaction(async (tx) => {
       // Verify role belongs to this org
       const role = await tx.role.findFirst({
@@ -160,15 +194,106 @@ class RoleRepository {
           roleId,
           permissionId,
           assignedBy,
+          condition: conditions[permissionId] || null,
         })),
       });
 
       return tx.role.findUnique({
         where: { id: roleId },
-        select: ROLE_WITH_PERMISSIONS,
+        select: withPermissions(organizationId),
       });
     });
   }
+
+  /**
+   * Replace all deny entries for a role. Deny rows have no organization of
+   * their own, so a global role's denies would apply in every tenant: only
+   * the organization's own roles can be changed.
+   */
+  async assignDenies(roleId, organizationId, permissionIds, createdBy) {
+    return prisma.$transaction(async (tx) => {
+      const role = await tx.role.findFirst({
+        where: {
+          id: roleId,
+          OR: [{ organizationId }, { organizationId: null }],
+        },
+      });
+      if (!role) return null;
+
+      if (role.isSystem) {
+        throw new ForbiddenError('Cannot modify permissions of a system role');
+      }
+      if (role.organizationId === null) {
+        throw new ForbiddenError('Cannot modify a global role');
+      }
+
+      const validPermissions = await tx.permission.findMany({
+        where: { id: { in: permissionIds } },
+        select: { id: true },
+      });
+
+      await tx.rolePermissionDeny.deleteMany({ where: { roleId } });
+      await tx.rolePermissionDeny.createMany({
+        data: validPermissions.map((p) => ({
+          roleId,
+          permissionId: p.id,
+          createdBy,
+        })),
+      });
+
+      return tx.role.findUnique({
+        where: { id: roleId },
+        select: withPermissions(organizationId),
+      });
+    });
+  }
+
+  async findAssignableRoles(roleId, organizationId) {
+    const rows = await prisma.roleAssignableRole.findMany({
+      where: { roleId, organizationId },
+      select: { assignableRole: { select: { id: true, name: true } } },
+    });
+    return rows.map((r) => r.assignableRole);
+  }
+
+  /**
+   * Replace the roles that holders of a role may assign within the tenant.
+   * Unlike permissions, this is tenant data, so system and global roles
+   * can have an allow-list too.
+   */
+  async setAssignableRoles(roleId, organizationId, roleIds, createdBy) {
+    const roleScope = await orgHierarchyService.roleScope(organizationId);
+    await prisma.$transaction(async (tx) => {
+      const validRoles = await tx.role.findMany({
+        where: {
+          id: { in: roleIds },
+          ...roleScope,
+        },
+        select: { id: true },
+      });
+      const validRoleIds = validRoles.map((r) => r.id);
+      const invalidRoleIds = roleIds.filter((id) => !validRoleIds.includes(id));
+      if (invalidRoleIds.length > 0) {
+        throw new BadRequestError(
+          `Invalid or inaccessible role IDs: ${invalidRoleIds.join(', ')}`,
+        );
+      }
+
+      await tx.roleAssignableRole.deleteMany({
+        where: { roleId, organizationId },
+      });
+      await tx.roleAssignableRole.createMany({
+        data: validRoleIds.map((assignableRoleId) => ({
+          roleId,
+          assignableRoleId,
+          organizationId,
+          createdBy,
+        })),
+      });
+    });
+
+    return this.findAssignableRoles(roleId, organizationId);
+  }
 }
 
 module.exports = new RoleRepository();
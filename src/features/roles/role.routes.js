@@ -9,6 +9,8 @@ const {
   createRoleSchema,
   updateRoleSchema,
   assignPermissionsSchema,
+  assignDeniesSchema,
+  assignableRolesSchema,
   roleIdParamSchema,
   roleListQuerySchema,
 } = require('./role.schema');
@@ -16,12 +18,13 @@ const {
   authenticate,
   authorize,
   resolveTenant,
+  apiQuota,
   auditLog,
 } = require('../../middleware');
 
 const router = Router();
 
-router.use(authenticate, resolveTenant);
+router.use(authenticate, resolveTenant, apiQuota);
 
 /**
  * @openapi
@@ -60,10 +63,14 @@ router.get(
  *   get:
  *     tags: [Roles]
  *     summary: Get role by ID with permissions
+ *     description: >
+ *       `directPermissions` are granted by the role itself;
+ *       `effectivePermissions` add everything inherited from its ancestors,
+ *       each with `inheritedFrom` set to the ancestor that grants it.
  *     security: [{ bearerAuth: [] }]
  *     responses:
  *       200:
- *         description: Role details
+ *         description: Role details with direct and effective permissions
  */
 router.get(
   '/:id',
@@ -89,9 +96,18 @@ router.get(
  *             properties:
  *               name: { type: string }
  *               description: { type: string }
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Role to inherit permissions from
  *     responses:
  *       201:
  *         description: Role created
+ *       403:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ *       422:
+ *         description: Parent role not found, inactive or too deep
  */
 router.post(
   '/',
@@ -108,9 +124,25 @@ router.post(
  *     tags: [Roles]
  *     summary: Update a role
  *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               description: { type: string }
+ *               isActive: { type: boolean }
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: New parent role, or null to stop inheriting
  *     responses:
  *       200:
  *         description: Role updated
+ *       422:
+ *         description: Invalid parent (self, cycle, not found or too deep)
  */
 router.patch(
   '/:id',
@@ -157,9 +189,21 @@ router.delete(
  *               permissionIds:
  *                 type: array
  *                 items: { type: string, format: uuid }
+ *               conditions:
+ *                 type: object
+ *                 description: >
+ *                   Optional condition per permission ID, e.g.
+ *                   `resource.attributes.department == user.attributes.department`
+ *                   or `env.hour >= 9 && env.hour < 17`. Paths start with
+ *                   `user`, `resource`, `request` or `env`; times are UTC.
+ *                 additionalProperties: { type: string }
  *     responses:
  *       200:
  *         description: Permissions assigned to role
+ *       403:
+ *         description: PRIVILEGE_ESCALATION — grants permissions the caller doesn't hold
+ *       422:
+ *         description: A condition does not parse
  */
 router.put(
   '/:id/permissions',
@@ -169,4 +213,96 @@ router.put(
   roleController.assignPermissions,
 );
 
+/**
+ * @openapi
+ * /roles/{id}/denies:
+ *   put:
+ *     tags: [Roles]
+ *     summary: Replace the permissions a role denies
+ *     description: >
+ *       A deny beats every grant: users holding this role (or a role that
+ *       inherits from it) lose these permissions whatever else grants them.
+ *       Only the organization's own roles can be changed.
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [permissionIds]
+ *             properties:
+ *               permissionIds:
+ *                 type: array
+ *                 items: { type: string, format: uuid }
+ *                 description: Empty to remove every deny
+ *     responses:
+ *       200:
+ *         description: Denies updated
+ *       403:
+ *         description: System or global role
+ */
+router.put(
+  '/:id/denies',
+  authorize('PERMISSION_ASSIGN'),
+  validate({ params: roleIdParamSchema, body: assignDeniesSchema }),
+  auditLog('ROLE_DENIES_ASSIGNED', 'ROLE'),
+  roleController.assignDenies,
+);
+
+/**
+ * @openapi
+ * /roles/{id}/assignable-roles:
+ *   get:
+ *     tags: [Roles]
+ *     summary: Roles that holders of this role may assign in the organization
+ *     description: An empty list means no allow-list is set.
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: List of assignable roles
+ */
+router.get(
+  '/:id/assignable-roles',
+  authorize('ROLE_READ'),
+  validate({ params: roleIdParamSchema }),
+  roleController.getAssignableRoles,
+);
+
+/**
+ * @openapi
+ * /roles/{id}/assignable-roles:
+ *   put:
+ *     tags: [Roles]
+ *     summary: Replace the roles that holders of this role may assign
+ *     description: >
+ *       Limits users who get ROLE_ASSIGN from this role to assigning only
+ *       these roles (e.g. MANAGER → USER). Applies to the organization only,
+ *       so system and global roles can be limited too. An empty list
+ *       removes the allow-list. Assigners must still hold every permission
+ *       of a role they assign.
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [roleIds]
+ *             properties:
+ *               roleIds:
+ *                 type: array
+ *                 items: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Updated list of assignable roles
+ */
+router.put(
+  '/:id/assignable-roles',
+  authorize('ROLE_UPDATE'),
+  validate({ params: roleIdParamSchema, body: assignableRolesSchema }),
+  auditLog('ROLE_ASSIGNABLE_ROLES_ASSIGNED', 'ROLE'),
+  roleController.setAssignableRoles,
+);
+
 module.exports = router;
@@ -3,22 +3,47 @@
 // ============================================================================
 
 const { z } = require('zod');
+const { compileCondition } = require('../permissions/condition.evaluator');
+
+// Rejected at save time, so a typo can't silently deny at request time
+const conditionSchema = z.string().superRefine((source, ctx) => {
+  try {
+    compileCondition(source);
+  } catch (err) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: err.message });
+  }
+});
 
 const createRoleSchema = z.object({
   name: z.string().min(1).max(100),
   description: z.string().max(500).optional(),
+  parentId: z.string().uuid().nullable().optional(),
 });
 
 const updateRoleSchema = z.object({
   name: z.string().min(1).max(100).optional(),
   description: z.string().max(500).optional(),
   isActive: z.boolean().optional(),
+  // null detaches the role from its parent
+  parentId: z.string().uuid().nullable().optional(),
 });
 
 const assignPermissionsSchema = z.object({
   permissionIds: z
     .array(z.string().uuid())
     .min(1, 'At least one permission is required'),
+  // Optional ABAC condition per granted permission, keyed by permission ID
+  conditions: z.record(z.string().uuid(), conditionSchema).optional(),
+});
+
+// Empty clears every deny
+const assignDeniesSchema = z.object({
+  permissionIds: z.array(z.string().uuid()),
+});
+
+// Empty removes the allow-list
+const assignableRolesSchema = z.object({
+  roleIds: z.array(z.string().uuid()),
 });
 
 const roleIdParamSchema = z.object({
@@ -35,9 +60,12 @@ const roleListQuerySchema = z.object({
 });
 
 module.exports = {
+  conditionSchema,
   createRoleSchema,
   updateRoleSchema,
   assignPermissionsSchema,
+  assignDeniesSchema,
+  assignableRolesSchema,
   roleIdParamSchema,
   roleListQuerySchema,
 };
@@ -1,16 +1,33 @@
 // ============================================================================
 // Role Service — Business Logic
 // ============================================================================
+// Roles form a hierarchy through `parentId`: a role inherits everything its
+// ancestors grant. Changes to the hierarchy go through _assertValidParent,
+// which rejects cycles, and invalidate cached permissions like any other
+// change to what a role grants.
+//
+// Nobody can grant through a role what they don't hold themselves: new
+// permissions and new parents are checked against the acting user by
+// DelegationService. New roles count against the plan's custom role limit
+// (QuotaService).
+// ============================================================================
 
 const roleRepository = require('./role.repository');
+const permissionService = require('../permissions/permission.service');
+const delegationService = require('../permissions/delegation.service');
+const quotaService = require('../plans/quota.service');
 const { cache } = require('../../config/redis');
 const {
   NotFoundError,
   ConflictError,
   ForbiddenError,
+  ValidationError,
 } = require('../../utils/errors');
 const { parsePagination, parseSorting, pick } = require('../../utils/helpers');
 
+// Longest allowed chain of ancestors above a role
+const MAX_HIERARCHY_DEPTH = 10;
+
 class RoleService {
   async listRoles(organizationId, query) {
     const { page, limit, skip } = parsePagination(query);
@@ -27,26 +44,51 @@ class RoleService {
     return { roles, pagination: { page, limit, totalCount } };
   }
 
+  /**
+   * The role with its direct permissions and denies, and its effective ones
+   * (direct plus inherited, each marked with the ancestor it comes from).
+   * Effective permissions leave out anything denied along the way.
+   */
   async getRoleById(id, organizationId) {
     const role = await roleRepository.findById(id, organizationId);
     if (!role) throw new NotFoundError('Role');
-    return role;
+
+    const { permissions, denied } =
+      await permissionService.getEffectivePermissions(role.id);
+
+    return {
+      ...role,
+      directPermissions: role.rolePermissions.map((rp) => ({
+        ...rp.permission,
+        condition: rp.condition,
+      })),
+      directDenies: role.permissionDenies.map((d) => d.permission),
+      effectivePermissions: permissions,
+      deniedPermissions: denied,
+    };
   }
 
-  async createRole(data, organizationId) {
+  async createRole(data, organizationId, createdBy) {
     // Check for duplicate name within this org scope
     const existing = await roleRepository.findByName(data.name, organizationId);
     if (existing) {
       throw new ConflictError(`Role "${data.name}" already exists`);
     }
 
+    await quotaService.assertCanCreateRole(organizationId);
+
+    if (data.parentId) {
+      await this._assertValidParent(null, data.parentId, organizationId);
+      await this._assertCanInherit(createdBy, organizationId, data.parentId);
+    }
+
     return roleRepository.create(
-      pick(data, ['name', 'description']),
+      pick(data, ['name', 'description', 'parentId']),
       organizationId,
     );
   }
 
-  async updateRole(id, organizationId, data) {
+  async updateRole(id, organizationId, data, updatedBy) {
     const role = await roleRepository.findById(id, organizationId);
     if (!role) throw new NotFoundError('Role');
 
@@ -58,11 +100,27 @@ class RoleService {
     if (role.organizationId === null) {
       throw new ForbiddenError('Cannot modify a global role');
     }
+    if (role.organizationId !== organizationId) {
+      throw new ForbiddenError(
+        'Cannot modify a role inherited from a parent organization',
+      );
+    }
+
+    if (data.parentId && data.parentId !== role.parentId) {
+      await this._assertValidParent(id, data.parentId, organizationId);
+      await this._assertCanInherit(updatedBy, organizationId, data.parentId);
+    }
 
-    const updateData = pick(data, ['name', 'description', 'isActive']);
+    const updateData = pick(data, [
+      'name',
+      'description',
+      'isActive',
+      'parentId',
+    ]);
     const updated = await roleRepository.update(id, organizationId, updateData);
 
-    // Invalidate all permission caches for users with this role
+    // Invalidate all permission caches for users with this role — or, after
+    // a hierarchy change, with any role below it
     await cache.delPattern('permissions:*');
 
     return updated;
@@ -78,6 +136,11 @@ class RoleService {
     if (role.organizationId === null) {
       throw new ForbiddenError('Cannot delete a global role');
     }
+    if (role.organizationId !== organizationId) {
+      throw new ForbiddenError(
+        'Cannot delete a role inherited from a parent organization',
+      );
+    }
 
     const deleted = await roleRepository.delete(id, organizationId);
 
@@ -87,12 +150,53 @@ class RoleService {
     return deleted;
   }
 
-  async assignPermissions(roleId, organizationId, permissionIds, assignedBy) {
+  /**
+   * Replace the role's permissions. `conditions` maps permission IDs to an
+   * ABAC condition; permissions without one are granted unconditionally.
+   * Anything the role doesn't already grant as broadly must be held by
+   * `assignedBy`.
+   */
+  async assignPermissions(
+    roleId,
+    organizationId,
+    permissionIds,
+    assignedBy,
+    conditions = {},
+  ) {
+    const role = await roleRepository.findById(roleId, organizationId);
+    if (!role) throw new NotFoundError('Role');
+    if (role.organizationId && role.organizationId !== organizationId) {
+      throw new ForbiddenError(
+        'Cannot modify a role inherited from a parent organization',
+      );
+    }
+
+    // Unchanged grants, or ones narrowed by a new condition, grant nothing new
+    const current = new Map(
+      role.rolePermissions.map((rp) => [rp.permissionId, rp.condition]),
+    );
+    await delegationService.assertCanGrantPermissions(
+      assignedBy,
+      organizationId,
+      permissionIds
+        .map((permissionId) => ({
+          permissionId,
+          condition: conditions[permissionId] || null,
+        }))
+        .filter(
+          ({ permissionId, condition }) =>
+            !current.has(permissionId) ||
+            (current.get(permissionId) !== null &&
+              current.get(permissionId) !== condition),
+        ),
+    );
+
     const result = await roleRepository.assignPermissions(
       roleId,
       organizationId,
       permissionIds,
       assignedBy,
+      conditions,
     );
 
     if (!result) throw new NotFoundError('Role');
@@ -102,6 +206,95 @@ class RoleService {
 
     return result;
   }
+
+  /**
+   * Replace the role's deny entries. Denies are inherited by child roles
+   * and beat any grant the user has from anywhere.
+   */
+  async assignDenies(roleId, organizationId, permissionIds, createdBy) {
+    const result = await roleRepository.assignDenies(
+      roleId,
+      organizationId,
+      permissionIds,
+      createdBy,
+    );
+
+    if (!result) throw new NotFoundError('Role');
+
+    // Same reach as a grant change: every holder of the role or a child role
+    await cache.delPattern('permissions:*');
+
+    return result;
+  }
+
+  /**
+   * The roles holders of this one may assign in the tenant. Empty means no
+   * allow-list: they can assign any role whose permissions they hold.
+   */
+  async getAssignableRoles(roleId, organizationId) {
+    const role = await roleRepository.findById(roleId, organizationId);
+    if (!role) throw new NotFoundError('Role');
+    return roleRepository.findAssignableRoles(roleId, organizationId);
+  }
+
+  async setAssignableRoles(roleId, organizationId, roleIds, createdBy) {
+    const role = await roleRepository.findById(roleId, organizationId);
+    if (!role) throw new NotFoundError('Role');
+    return roleRepository.setAssignableRoles(
+      roleId,
+      organizationId,
+      roleIds,
+      createdBy,
+    );
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  // Inheriting from a role grants everything it grants
+  async _assertCanInherit(actorId, organizationId, parentId) {
+    const { permissions } =
+      await permissionService.getEffectivePermissions(parentId);
+    await delegationService.assertCanGrantPermissions(
+      actorId,
+      organizationId,
+      permissions.map((p) => ({ permissionId: p.id, condition: p.condition })),
+    );
+  }
+
+  /**
+   * A parent must be an active role visible to the tenant (its own or a
+   * global one) and must not already inherit from the role being changed.
+   */
+  async _assertValidParent(roleId, parentId, organizationId) {
+    const invalid = (message) =>
+      new ValidationError([{ field: 'parentId', message, source: 'body' }]);
+
+    if (parentId === roleId) {
+      throw invalid('A role cannot inherit from itself');
+    }
+
+    const parent = await roleRepository.findById(parentId, organizationId);
+    if (!parent || !parent.isActive) {
+      throw invalid('Parent role not found or inactive');
+    }
+
+    // Walk up from the new parent: meeting the role again means a cycle
+    let link = parent;
+    for (let depth = 1; link.parentId; depth++) {
+      if (link.parentId === roleId) {
+        throw invalid(
+          `"${parent.name}" already inherits from this role — that would create a cycle`,
+        );
+      }
+      if (depth >= MAX_HIERARCHY_DEPTH) {
+        throw invalid(
+          `Role hierarchy cannot be more than ${MAX_HIERARCHY_DEPTH} levels deep`,
+        );
+      }
+      link = await roleRepository.findParentLink(link.parentId);
+      if (!link) break;
+    }
+  }
 }
 
 module.exports = new RoleService();
@@ -0,0 +1,68 @@
+// ============================================================================
+// Session Controller — Thin HTTP Layer
+// ============================================================================
+
+const sessionService = require('./session.service');
+const { success } = require('../../utils/response');
+
+const sessionController = {
+  /**
+   * GET /auth/sessions
+   */
+  async list(req, res, next) {
+    try {
+      const sessions = await sessionService.listSessions(
+        req.user.id,
+        req.user.sessionId,
+      );
+      return success(res, sessions);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * DELETE /auth/sessions/:id
+   */
+  async revoke(req, res, next) {
+    try {
+      await sessionService.revokeSession(req.user.id, req.params.id);
+      return success(res, { message: 'Session revoked' });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * GET /auth/sessions/users/:userId
+   */
+  async listForUser(req, res, next) {
+    try {
+      const sessions = await sessionService.listUserSessions(
+        req.tenant.id,
+        req.params.userId,
+      );
+      return success(res, sessions);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * DELETE /auth/sessions/users/:userId/:id
+   */
+  async revokeForUser(req, res, next) {
+    try {
+      await sessionService.revokeUserSession(
+        req.tenant.id,
+        req.params.userId,
+        req.params.id,
+      );
+      return success(res, { message: 'Session revoked' });
+    } catch (err) {
+      next(err);
+    }
+  },
+};
+
+module.exports = sessionController;
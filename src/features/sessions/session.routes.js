@@ -0,0 +1,123 @@
+// ============================================================================
+// Session Routes (mounted at /auth/sessions)
+// ============================================================================
+// Users manage their own sessions; admins holding USER_FORCE_LOGOUT can do
+// the same for other users in their organization.
+// ============================================================================
+
+const { Router } = require('express');
+const sessionController = require('./session.controller');
+const validate = require('../../utils/validate');
+const {
+  sessionIdParamSchema,
+  userIdParamSchema,
+  userSessionParamSchema,
+} = require('./session.schema');
+const {
+  authenticate,
+  authorize,
+  resolveTenant,
+  apiQuota,
+  auditLog,
+} = require('../../middleware');
+
+const router = Router();
+
+router.use(authenticate, resolveTenant, apiQuota);
+
+/**
+ * @openapi
+ * /auth/sessions:
+ *   get:
+ *     tags: [Sessions]
+ *     summary: List your active sessions (one per login / device)
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: >
+ *           Sessions with IP, user agent, start and last refresh time;
+ *           `current` marks the session making this request
+ */
+router.get('/', sessionController.list);
+
+/**
+ * @openapi
+ * /auth/sessions/users/{userId}:
+ *   get:
+ *     tags: [Sessions]
+ *     summary: List another user's active sessions (admin)
+ *     description: Only the sessions currently in this organization.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *       404:
+ *         description: User not found in your organization
+ */
+router.get(
+  '/users/:userId',
+  authorize('USER_FORCE_LOGOUT'),
+  validate({ params: userIdParamSchema }),
+  sessionController.listForUser,
+);
+
+/**
+ * @openapi
+ * /auth/sessions/users/{userId}/{id}:
+ *   delete:
+ *     tags: [Sessions]
+ *     summary: Revoke one of another user's sessions (admin)
+ *     description: Only a session currently in this organization.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ */
+router.delete(
+  '/users/:userId/:id',
+  authorize('USER_FORCE_LOGOUT'),
+  validate({ params: userSessionParamSchema }),
+  auditLog('SESSION_REVOKED', 'AUTH'),
+  sessionController.revokeForUser,
+);
+
+/**
+ * @openapi
+ * /auth/sessions/{id}:
+ *   delete:
+ *     tags: [Sessions]
+ *     summary: Revoke one of your sessions (signs that device out)
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: No active session with that ID
+ */
+router.delete(
+  '/:id',
+  validate({ params: sessionIdParamSchema }),
+  auditLog('SESSION_REVOKED', 'AUTH'),
+  sessionController.revoke,
+);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// ============================================================================
+// Session Validation Schemas (Zod)
+// ============================================================================
+
+const { z } = require('zod');
+
+const sessionIdParamSchema = z.object({
+  id: z.string().uuid('Invalid session ID'),
+});
+
+const userIdParamSchema = z.object({
+  userId: z.string().uuid('Invalid user ID format'),
+});
+
+const userSessionParamSchema = userIdParamSchema.merge(sessionIdParamSchema);
+
+module.exports = {
+  sessionIdParamSchema,
+  userIdParamSchema,
+  userSessionParamSchema,
+};
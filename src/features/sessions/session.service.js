@@ -0,0 +1,135 @@
+// ============================================================================
+// Session Service — Active Logins per User
+// ============================================================================
+// A "session" is a refresh token family: it starts at login and survives
+// every rotation until it is revoked or expires. At most one token per
+// family is live, so that token describes the session's latest state.
+//
+// Revoking a session revokes the whole family and marks its ID in Redis for
+// the access token lifetime, so `authenticate` rejects access tokens already
+// issued to that session instead of letting them run out their 15 minutes.
+//
+// A session is in one organization at a time (the `organizationId` claim of
+// its live token); admins only see and revoke sessions in their tenant.
+// ============================================================================
+
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const prisma = require('../../config/database');
+const { cache } = require('../../config/redis');
+const { NotFoundError } = require('../../utils/errors');
+const { expiryToDate } = require('../../utils/helpers');
+const logger = require('../../config/logger');
+
+class SessionService {
+  /**
+   * Active sessions for a user, most recently refreshed first.
+   * `currentSessionId` flags the caller's own session; `organizationId`
+   * keeps only the sessions currently in that organization.
+   */
+  async listSessions(userId, currentSessionId = null, organizationId = null) {
+    const tokens = await prisma.refreshToken.findMany({
+      where: { userId, isRevoked: false, expiresAt: { gt: new Date() } },
+      select: {
+        family: true,
+        token: true,
+        ipAddress: true,
+        userAgent: true,
+        createdAt: true,
+        expiresAt: true,
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+    const liveTokens = organizationId
+      ? tokens.filter((t) => inOrganization(t, organizationId))
+      : tokens;
+
+    if (liveTokens.length === 0) return [];
+
+    // The family's first token tells us when the session started
+    const starts = await prisma.refreshToken.groupBy({
+      by: ['family'],
+      where: { family: { in: liveTokens.map((t) => t.family) } },
+      _min: { createdAt: true },
+    });
+    const startedAt = new Map(starts.map((s) => [s.family, s._min.createdAt]));
+
+    return liveTokens.map((token) => ({
+      id: token.family,
+      ipAddress: token.ipAddress,
+      userAgent: token.userAgent,
+      createdAt: startedAt.get(token.family) || token.createdAt,
+      lastRefreshedAt: token.createdAt,
+      expiresAt: token.expiresAt,
+      current: token.family === currentSessionId,
+    }));
+  }
+
+  /**
+   * Revoke one session (token family) belonging to the user.
+   */
+  async revokeSession(userId, sessionId) {
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { userId, family: sessionId, isRevoked: false },
+      data: { isRevoked: true },
+    });
+
+    if (count === 0) throw new NotFoundError('Session');
+
+    const ttl = Math.ceil(
+      (expiryToDate(config.jwt.accessExpiry).getTime() - Date.now()) / 1000,
+    );
+    await cache.set(`revoked-session:${sessionId}`, true, ttl);
+
+    logger.info({ userId, sessionId }, 'Session revoked');
+  }
+
+  /**
+   * Admin view of another user's sessions — same tenant only, and only the
+   * sessions they have in it.
+   */
+  async listUserSessions(organizationId, userId) {
+    await this._assertUserInTenant(organizationId, userId);
+    return this.listSessions(userId, null, organizationId);
+  }
+
+  /**
+   * Admin revocation of another user's session — same tenant only, and only
+   * a session in it.
+   */
+  async revokeUserSession(organizationId, userId, sessionId) {
+    await this._assertUserInTenant(organizationId, userId);
+
+    const live = await prisma.refreshToken.findFirst({
+      where: {
+        userId,
+        family: sessionId,
+        isRevoked: false,
+        expiresAt: { gt: new Date() },
+      },
+      select: { token: true },
+    });
+    if (!live || !inOrganization(live, organizationId)) {
+      throw new NotFoundError('Session');
+    }
+
+    return this.revokeSession(userId, sessionId);
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  async _assertUserInTenant(organizationId, userId) {
+    const user = await prisma.user.findFirst({
+      where: { id: userId, memberships: { some: { organizationId } } },
+      select: { id: true },
+    });
+    if (!user) throw new NotFoundError('User');
+  }
+}
+
+// The live token of a session says which organization it is in now
+function inOrganization({ token }, organizationId) {
+  return jwt.decode(token)?.organizationId === organizationId;
+}
+
+module.exports = new SessionService();
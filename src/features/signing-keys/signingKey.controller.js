@@ -0,0 +1,23 @@
+// ============================================================================
+// Signing Key Controller — Thin HTTP Layer
+// ============================================================================
+
+const signingKeyService = require('./signingKey.service');
+
+const signingKeyController = {
+  /**
+   * GET /.well-known/jwks.json
+   * Plain JWK Set (no response envelope) — that's what JWT libraries expect.
+   */
+  async jwks(req, res, next) {
+    try {
+      const jwks = await signingKeyService.getJwks();
+      res.set('Cache-Control', 'public, max-age=300');
+      return res.json(jwks);
+    } catch (err) {
+      next(err);
+    }
+  },
+};
+
+module.exports = signingKeyController;
@@ -0,0 +1,31 @@
+// ============================================================================
+// Signing Key Routes (mounted at /.well-known, outside the API prefix)
+// ============================================================================
+// Public by design: other services fetch our verification keys from here.
+// ============================================================================
+
+const { Router } = require('express');
+const signingKeyController = require('./signingKey.controller');
+
+const router = Router();
+
+/**
+ * @openapi
+ * /.well-known/jwks.json:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Public keys for verifying our JWTs (JWK Set)
+ *     description: |
+ *       Contains the active signing key and any retired keys whose tokens
+ *       may still be valid. Match a token's `kid` header to a key; only
+ *       tokens without a `type` claim are access tokens. Served outside the
+ *       API prefix, e.g. `GET /.well-known/jwks.json`.
+ *     servers:
+ *       - url: /
+ *     responses:
+ *       200:
+ *         description: JWK Set containing a `keys` array
+ */
+router.get('/jwks.json', signingKeyController.jwks);
+
+module.exports = router;
@@ -0,0 +1,246 @@
+// ============================================================================
+// Signing Key Service — Asymmetric JWT Keys, Rotation and JWKS
+// ============================================================================
+// Every token we issue (access, refresh, MFA / password-change step tokens,
+// impersonation) is signed here with an RS256 or ES256 private key and
+// carries its `kid` in the header.
+//
+// Key lifecycle (SigningKey model):
+//   - active    newest key with retiredAt = null; signs new tokens
+//   - retired   no longer signs, still verifies until expiresAt
+//               (= retiredAt + the longest token lifetime, JWT_REFRESH_EXPIRY)
+//   - expired   expiresAt passed; ignored and left out of the JWKS
+//
+// Rotation (`npm run keys:rotate`) adds a key and retires the previous one,
+// so nobody is logged out. Each instance keeps the keyring in memory,
+// reloads it every JWT_KEY_CACHE_SECONDS, and reloads immediately when it
+// sees an unknown `kid` (a sibling instance rotated).
+//
+// Private keys are stored AES-GCM encrypted (ENCRYPTION_KEY). Public keys
+// are served at /.well-known/jwks.json for other services to verify our
+// access tokens without any shared secret.
+//
+// Legacy HS256 tokens (no `kid`) are still accepted while JWT_ACCESS_SECRET /
+// JWT_REFRESH_SECRET are set, so switching over doesn't end live sessions.
+// ============================================================================
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const prisma = require('../../config/database');
+const { encrypt, decrypt } = require('../../utils/crypto');
+const { expiryToDate } = require('../../utils/helpers');
+const { BadRequestError } = require('../../utils/errors');
+const logger = require('../../config/logger');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+const ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } },
+};
+
+// Don't hammer the database when a token with a bogus kid comes in
+const MIN_RELOAD_INTERVAL_MS = 5000;
+
+class SigningKeyService {
+  constructor() {
+    this._keys = new Map(); // kid → { algorithm, publicKey }
+    this._signer = null; // { kid, algorithm, privateKey }
+    this._loadedAt = 0;
+    this._loading = null;
+  }
+
+  /**
+   * Load the keyring at startup, creating the first key on a fresh install.
+   */
+  async init() {
+    await this._reload();
+    if (!this._signer) {
+      logger.warn('No active signing key found — generating one');
+      await this.rotate();
+    }
+  }
+
+  /**
+   * Sign a JWT with the active key. `options` are jsonwebtoken sign options
+   * (typically just `expiresIn`).
+   */
+  async sign(payload, options = {}) {
+    await this._ensureFresh();
+    if (!this._signer) await this.init();
+
+    const { kid, algorithm, privateKey } = this._signer;
+    return jwt.sign(payload, privateKey, {
+      ...options,
+      algorithm,
+      keyid: kid,
+      issuer: config.jwt.issuer,
+    });
+  }
+
+  /**
+   * Verify a JWT issued by sign(). Rejects with jsonwebtoken's error types
+   * (TokenExpiredError, JsonWebTokenError), like jwt.verify().
+   * `legacySecret` enables the HS256 fallback for tokens without a `kid`.
+   */
+  async verify(token, { legacySecret } = {}) {
+    const header = jwt.decode(token, { complete: true })?.header;
+    if (!header) throw new jwt.JsonWebTokenError('jwt malformed');
+
+    if (!header.kid) {
+      if (!legacySecret) throw new jwt.JsonWebTokenError('missing kid');
+      return jwt.verify(token, legacySecret, { algorithms: ['HS256'] });
+    }
+
+    const key = await this._findKey(header.kid);
+    if (!key) throw new jwt.JsonWebTokenError('unknown kid');
+
+    return jwt.verify(token, key.publicKey, {
+      algorithms: [key.algorithm],
+      issuer: config.jwt.issuer,
+    });
+  }
+
+  /**
+   * Public keys that currently verify tokens, as a JWK Set.
+   */
+  async getJwks() {
+    await this._ensureFresh();
+    return {
+      keys: [...this._keys].map(([kid, { algorithm, publicKey }]) => ({
+        ...publicKey.export({ format: 'jwk' }),
+        kid,
+        alg: algorithm,
+        use: 'sig',
+      })),
+    };
+  }
+
+  /**
+   * Generate a new active key and retire the current one(s). Retired keys
+   * keep verifying until every token they signed has expired.
+   */
+  async rotate({ algorithm = config.jwt.algorithm } = {}) {
+    const spec = ALGORITHMS[algorithm];
+    if (!spec) {
+      throw new BadRequestError(
+        `Unsupported algorithm ${algorithm} (use ${Object.keys(ALGORITHMS).join(' or ')})`,
+      );
+    }
+
+    const { publicKey, privateKey } = await generateKeyPair(
+      spec.type,
+      spec.options,
+    );
+    const kid = crypto.randomBytes(8).toString('hex');
+    const now = new Date();
+
+    await prisma.$transaction([
+      prisma.signingKey.updateMany({
+        where: { retiredAt: null },
+        data: {
+          retiredAt: now,
+          expiresAt: expiryToDate(config.jwt.refreshExpiry),
+        },
+      }),
+      prisma.signingKey.create({
+        data: {
+          kid,
+          algorithm,
+          publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+          privateKey: encrypt(
+            privateKey.export({ type: 'pkcs8', format: 'pem' }),
+          ),
+        },
+      }),
+    ]);
+
+    logger.info({ kid, algorithm }, 'Signing key rotated');
+    await this._reload();
+    return { kid, algorithm };
+  }
+
+  /**
+   * Every key still stored, newest first (for the rotation command).
+   */
+  async listKeys() {
+    return prisma.signingKey.findMany({
+      select: {
+        kid: true,
+        algorithm: true,
+        createdAt: true,
+        retiredAt: true,
+        expiresAt: true,
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  async _findKey(kid) {
+    await this._ensureFresh();
+    if (
+      !this._keys.has(kid) &&
+      Date.now() - this._loadedAt > MIN_RELOAD_INTERVAL_MS
+    ) {
+      await this._reload();
+    }
+    return this._keys.get(kid);
+  }
+
+  async _ensureFresh() {
+    if (Date.now() - this._loadedAt > config.jwt.keyCacheSeconds * 1000) {
+      await this._reload();
+    }
+  }
+
+  // Concurrent callers share one in-flight reload
+  _reload() {
+    if (!this._loading) {
+      this._loading = this._load().finally(() => {
+        this._loading = null;
+      });
+    }
+    return this._loading;
+  }
+
+  async _load() {
+    let rows;
+    try {
+      rows = await prisma.signingKey.findMany({
+        where: { OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }] },
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (err) {
+      // Keep serving with the keys we have; try again on the next request
+      if (this._keys.size === 0) throw err;
+      logger.error({ err }, 'Signing key reload failed');
+      return;
+    }
+
+    const keys = new Map();
+    let signer = null;
+    for (const row of rows) {
+      keys.set(row.kid, {
+        algorithm: row.algorithm,
+        publicKey: crypto.createPublicKey(row.publicKey),
+      });
+      if (!signer && !row.retiredAt) {
+        signer = {
+          kid: row.kid,
+          algorithm: row.algorithm,
+          privateKey: crypto.createPrivateKey(decrypt(row.privateKey)),
+        };
+      }
+    }
+
+    this._keys = keys;
+    this._signer = signer;
+    this._loadedAt = Date.now();
+  }
+}
+
+module.exports = new SigningKeyService();
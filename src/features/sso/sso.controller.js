@@ -0,0 +1,109 @@
+// ============================================================================
+// SSO Controller — Thin HTTP Layer
+// ============================================================================
+// The start and callback endpoints are browser navigations, not XHR calls,
+// so they answer with redirects instead of JSON. Callback failures are sent
+// back to the SPA login page as `ssoError`.
+// ============================================================================
+
+const ssoService = require('./sso.service');
+const config = require('../../config');
+const logger = require('../../config/logger');
+const { success } = require('../../utils/response');
+const { getClientInfo } = require('../../utils/helpers');
+
+const ssoController = {
+  /**
+   * GET /auth/sso/config
+   */
+  async getConfig(req, res, next) {
+    try {
+      const result = await ssoService.getConfig(req.tenant.id);
+      return success(res, result);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * PUT /auth/sso/config
+   */
+  async upsertConfig(req, res, next) {
+    try {
+      const result = await ssoService.upsertConfig(
+        req.user,
+        req.tenant.id,
+        req.body,
+      );
+      return success(res, result);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * DELETE /auth/sso/config
+   */
+  async deleteConfig(req, res, next) {
+    try {
+      await ssoService.deleteConfig(req.tenant.id);
+      return success(res, { message: 'SSO configuration removed' });
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * GET /auth/sso/:orgSlug/start
+   */
+  async start(req, res, next) {
+    try {
+      const url = await ssoService.startLogin(req.params.orgSlug);
+      return res.redirect(url);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * GET /auth/sso/:orgSlug/callback
+   */
+  async callback(req, res) {
+    try {
+      const code = await ssoService.handleCallback(
+        req.params.orgSlug,
+        req.query,
+      );
+      return res.redirect(
+        `${config.appUrl}/#/sso-callback?code=${encodeURIComponent(code)}`,
+      );
+    } catch (err) {
+      if (!err.isOperational) {
+        logger.error({ err, correlationId: req.correlationId }, 'SSO error');
+      }
+      const message = err.isOperational ? err.message : 'SSO login failed';
+      return res.redirect(
+        `${config.appUrl}/#/login?ssoError=${encodeURIComponent(message)}`,
+      );
+    }
+  },
+
+  /**
+   * POST /auth/sso/exchange
+   */
+  async exchange(req, res, next) {
+    try {
+      const result = await ssoService.exchange(req.body, getClientInfo(req));
+      // Expose the user to auditLog — there is no access token on this call
+      req.user = {
+        id: result.user.id,
+        organizationId: result.user.organizationId,
+      };
+      return success(res, result);
+    } catch (err) {
+      next(err);
+    }
+  },
+};
+
+module.exports = ssoController;
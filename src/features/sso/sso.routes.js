@@ -0,0 +1,211 @@
+// ============================================================================
+// SSO Routes (mounted at /auth/sso)
+// ============================================================================
+// Two groups of endpoints:
+//   1. Configuration (GET/PUT/DELETE /config) — tenant admins manage their
+//      own organization's identity provider.
+//   2. Login flow (start, callback, exchange) — public; start and callback
+//      are full-page browser redirects, exchange is called by the SPA.
+// ============================================================================
+
+const { Router } = require('express');
+const ssoController = require('./sso.controller');
+const {
+  upsertSsoConfigSchema,
+  orgSlugParamSchema,
+  ssoExchangeSchema,
+} = require('./sso.schema');
+const validate = require('../../utils/validate');
+const {
+  authenticate,
+  authorize,
+  resolveTenant,
+  apiQuota,
+  auditLog,
+} = require('../../middleware');
+const { authLimiter } = require('../../middleware/rateLimiter');
+
+const router = Router();
+
+/**
+ * @openapi
+ * /auth/sso/config:
+ *   get:
+ *     tags: [SSO]
+ *     summary: Get the organization's OpenID Connect configuration
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Configuration (client secret omitted) and redirect URI
+ *       404:
+ *         description: SSO is not configured
+ */
+router.get(
+  '/config',
+  authenticate,
+  resolveTenant,
+  apiQuota,
+  authorize('ORG_READ'),
+  ssoController.getConfig,
+);
+
+/**
+ * @openapi
+ * /auth/sso/config:
+ *   put:
+ *     tags: [SSO]
+ *     summary: Create or update the organization's OpenID Connect configuration
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [issuer, clientId]
+ *             properties:
+ *               issuer: { type: string, example: 'http://localhost:4000' }
+ *               clientId: { type: string }
+ *               clientSecret:
+ *                 type: string
+ *                 description: Required on create; omit to keep the current one
+ *               scopes: { type: string, example: 'openid email profile' }
+ *               emailClaim: { type: string, example: email }
+ *               firstNameClaim: { type: string, example: given_name }
+ *               lastNameClaim: { type: string, example: family_name }
+ *               groupsClaim: { type: string, example: groups }
+ *               groupRoleMap:
+ *                 type: object
+ *                 additionalProperties: { type: string, format: uuid }
+ *                 description: |
+ *                   IdP group name → Role ID. You must be able to assign each
+ *                   role yourself; global system roles are refused.
+ *               jitProvisioning: { type: boolean }
+ *               isEnabled: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Configuration saved
+ *       400:
+ *         description: Unknown role, or a global system role, in groupRoleMap
+ *       403:
+ *         description: |
+ *           PRIVILEGE_ESCALATION — groupRoleMap maps to a role you may not
+ *           assign
+ */
+router.put(
+  '/config',
+  authenticate,
+  resolveTenant,
+  apiQuota,
+  authorize('ORG_UPDATE'),
+  validate({ body: upsertSsoConfigSchema }),
+  auditLog('SSO_CONFIG_UPDATED', 'ORGANIZATION'),
+  ssoController.upsertConfig,
+);
+
+/**
+ * @openapi
+ * /auth/sso/config:
+ *   delete:
+ *     tags: [SSO]
+ *     summary: Remove the organization's OpenID Connect configuration
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Configuration removed
+ */
+router.delete(
+  '/config',
+  authenticate,
+  resolveTenant,
+  apiQuota,
+  authorize('ORG_UPDATE'),
+  auditLog('SSO_CONFIG_DELETED', 'ORGANIZATION'),
+  ssoController.deleteConfig,
+);
+
+/**
+ * @openapi
+ * /auth/sso/exchange:
+ *   post:
+ *     tags: [SSO]
+ *     summary: Exchange the one-time code from the SSO callback for tokens
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: |
+ *           Same as password login: access + refresh tokens, or the step the
+ *           organization requires first (passwordChangeRequired, mfaRequired,
+ *           mfaEnrollmentRequired)
+ *       401:
+ *         description: |
+ *           Invalid, expired or already used code, or the account or its
+ *           membership is no longer active
+ *       403:
+ *         description: EMAIL_NOT_VERIFIED — the organization requires it
+ */
+router.post(
+  '/exchange',
+  authLimiter,
+  validate({ body: ssoExchangeSchema }),
+  auditLog('SSO_LOGIN', 'AUTH'),
+  ssoController.exchange,
+);
+
+/**
+ * @openapi
+ * /auth/sso/{orgSlug}/start:
+ *   get:
+ *     tags: [SSO]
+ *     summary: Begin SSO login — redirects the browser to the identity provider
+ *     parameters:
+ *       - in: path
+ *         name: orgSlug
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       302:
+ *         description: Redirect to the IdP authorization endpoint
+ *       404:
+ *         description: Organization not found or SSO not enabled
+ */
+router.get(
+  '/:orgSlug/start',
+  authLimiter,
+  validate({ params: orgSlugParamSchema }),
+  ssoController.start,
+);
+
+/**
+ * @openapi
+ * /auth/sso/{orgSlug}/callback:
+ *   get:
+ *     tags: [SSO]
+ *     summary: IdP redirect target — completes the code exchange
+ *     parameters:
+ *       - in: path
+ *         name: orgSlug
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       302:
+ *         description: >
+ *           Redirect to the SPA with a one-time exchange code, or to the
+ *           login page with `ssoError` on failure
+ */
+router.get(
+  '/:orgSlug/callback',
+  authLimiter,
+  validate({ params: orgSlugParamSchema }),
+  ssoController.callback,
+);
+
+module.exports = router;
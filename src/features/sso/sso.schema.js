@@ -0,0 +1,44 @@
+// ============================================================================
+// SSO Validation Schemas (Zod)
+// ============================================================================
+
+const { z } = require('zod');
+
+const claimName = z.string().min(1).max(100);
+
+const upsertSsoConfigSchema = z.object({
+  issuer: z.string().url('Issuer must be a URL').max(500),
+  clientId: z.string().min(1).max(255),
+  clientSecret: z.string().min(1).max(500).optional(),
+  scopes: z
+    .string()
+    .max(500)
+    .refine((s) => s.split(/\s+/).includes('openid'), {
+      message: 'Scopes must include "openid"',
+    })
+    .optional(),
+  emailClaim: claimName.optional(),
+  firstNameClaim: claimName.optional(),
+  lastNameClaim: claimName.optional(),
+  groupsClaim: claimName.optional(),
+  // { "<idp group>": "<role uuid>" }
+  groupRoleMap: z
+    .record(z.string().min(1).max(255), z.string().uuid('Invalid role ID'))
+    .optional(),
+  jitProvisioning: z.boolean().optional(),
+  isEnabled: z.boolean().optional(),
+});
+
+const orgSlugParamSchema = z.object({
+  orgSlug: z.string().min(1).max(100),
+});
+
+const ssoExchangeSchema = z.object({
+  code: z.string().min(1, 'Code is required'),
+});
+
+module.exports = {
+  upsertSsoConfigSchema,
+  orgSlugParamSchema,
+  ssoExchangeSchema,
+};
@@ -0,0 +1,577 @@
+// ============================================================================
+// SSO Service — OpenID Connect Login per Organization
+// ============================================================================
+// Handles:
+//   - Per-org IdP configuration (issuer, client credentials, claim mapping)
+//   - Authorization code flow with PKCE (S256), state and nonce
+//   - Just-in-time provisioning of users on first login
+//   - Mapping IdP groups to existing Roles
+//
+// Flow:
+//   1. GET  /auth/sso/:orgSlug/start    → redirect to the IdP
+//   2. GET  /auth/sso/:orgSlug/callback → validate, provision, redirect to the
+//                                         SPA with a one-time exchange code
+//   3. POST /auth/sso/exchange          → trade the code for our tokens
+//
+// Architectural notes:
+//   - The PKCE verifier, state and nonce live server-side (SsoLoginRequest),
+//     never in the browser.
+//   - Tokens are never put in a redirect URL. The SPA receives a short-lived,
+//     single-use exchange code and POSTs it back, like the IdP does with us.
+//   - Group mappings only ever ADD roles. Roles granted manually by an admin
+//     are left alone, so an IdP outage can't strip anyone's access mid-day.
+//   - Mapped roles obey separation-of-duties constraints like any other
+//     assignment; one that would clash is skipped (and audited), not fatal.
+// ============================================================================
+
+const bcrypt = require('bcrypt');
+const { Issuer, generators } = require('openid-client');
+const config = require('../../config');
+const prisma = require('../../config/database');
+const { cache } = require('../../config/redis');
+const authService = require('../auth/auth.service');
+const membershipService = require('../memberships/membership.service');
+const quotaService = require('../plans/quota.service');
+const orgHierarchyService = require('../organizations/orgHierarchy.service');
+const roleConstraintService = require('../role-constraints/roleConstraint.service');
+const delegationService = require('../permissions/delegation.service');
+const auditService = require('../audit/audit.service');
+const {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../../utils/errors');
+const { expiryToDate } = require('../../utils/helpers');
+const {
+  encrypt,
+  decrypt,
+  hashToken,
+  randomToken,
+} = require('../../utils/crypto');
+const logger = require('../../config/logger');
+
+// Built-in roles shared by every tenant; an IdP group can't hand these out
+const GLOBAL_SYSTEM_ROLE = { organizationId: null, isSystem: true };
+
+// Discovered clients, keyed by organization ID. Rebuilt when the config changes.
+const clientCache = new Map();
+
+const CONFIG_SELECT = {
+  id: true,
+  organizationId: true,
+  issuer: true,
+  clientId: true,
+  scopes: true,
+  emailClaim: true,
+  firstNameClaim: true,
+  lastNameClaim: true,
+  groupsClaim: true,
+  groupRoleMap: true,
+  jitProvisioning: true,
+  isEnabled: true,
+  createdAt: true,
+  updatedAt: true,
+  clientSecret: true,
+  organization: { select: { slug: true } },
+};
+
+class SsoService {
+  // ─── Configuration ──────────────────────────────────────────────────
+
+  /**
+   * Get the organization's SSO config. The client secret is never returned.
+   */
+  async getConfig(organizationId) {
+    const ssoConfig = await prisma.ssoConfig.findUnique({
+      where: { organizationId },
+      select: CONFIG_SELECT,
+    });
+    if (!ssoConfig) throw new NotFoundError('SSO configuration');
+
+    return this._sanitize(ssoConfig);
+  }
+
+  /**
+   * Create or replace the organization's SSO config.
+   * clientSecret is required on create and optional on update (kept as-is).
+   * Mapping a group to a role hands that role out, so the actor must be
+   * allowed to assign every mapped role themselves.
+   */
+  async upsertConfig(actor, organizationId, data) {
+    const existing = await prisma.ssoConfig.findUnique({
+      where: { organizationId },
+    });
+
+    if (!existing && !data.clientSecret) {
+      throw new BadRequestError('clientSecret is required');
+    }
+
+    if (data.groupRoleMap) {
+      await this._assertRolesAssignable(
+        actor,
+        organizationId,
+        Object.values(data.groupRoleMap),
+      );
+    }
+
+    const { clientSecret, ...fields } = data;
+    if (clientSecret) fields.clientSecret = encrypt(clientSecret);
+
+    const ssoConfig = await prisma.ssoConfig.upsert({
+      where: { organizationId },
+      create: { ...fields, organizationId },
+      update: fields,
+      select: CONFIG_SELECT,
+    });
+
+    clientCache.delete(organizationId);
+    logger.info({ orgId: organizationId }, 'SSO configuration saved');
+
+    return this._sanitize(ssoConfig);
+  }
+
+  /**
+   * Remove SSO for the organization. Password login keeps working.
+   */
+  async deleteConfig(organizationId) {
+    const existing = await prisma.ssoConfig.findUnique({
+      where: { organizationId },
+    });
+    if (!existing) throw new NotFoundError('SSO configuration');
+
+    await prisma.ssoConfig.delete({ where: { organizationId } });
+    clientCache.delete(organizationId);
+  }
+
+  // ─── Login Flow ─────────────────────────────────────────────────────
+
+  /**
+   * Begin an SSO login. Returns the IdP authorization URL to redirect to.
+   */
+  async startLogin(orgSlug) {
+    const { organization, ssoConfig } = await this._loadEnabled(orgSlug);
+    const client = await this._getClient(organization, ssoConfig);
+
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    await prisma.ssoLoginRequest.create({
+      data: {
+        state,
+        nonce,
+        codeVerifier,
+        organizationId: organization.id,
+        expiresAt: expiryToDate(config.sso.loginRequestExpiry),
+      },
+    });
+
+    return client.authorizationUrl({
+      scope: ssoConfig.scopes,
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256',
+    });
+  }
+
+  /**
+   * Handle the IdP redirect: validate state, redeem the code (PKCE + nonce
+   * checked by openid-client), provision the user, and return a one-time
+   * exchange code for the SPA.
+   */
+  async handleCallback(orgSlug, params) {
+    const { organization, ssoConfig } = await this._loadEnabled(orgSlug);
+
+    const request = params.state
+      ? await prisma.ssoLoginRequest.findUnique({
+          where: { state: String(params.state) },
+        })
+      : null;
+
+    if (
+      !request ||
+      request.organizationId !== organization.id ||
+      request.expiresAt < new Date()
+    ) {
+      throw new UnauthorizedError('Invalid or expired SSO login');
+    }
+
+    // Claim the request atomically — a replayed callback must fail
+    const claimed = await prisma.ssoLoginRequest.updateMany({
+      where: { id: request.id, consumedAt: null },
+      data: { consumedAt: new Date() },
+    });
+    if (claimed.count === 0) {
+      throw new UnauthorizedError('Invalid or expired SSO login');
+    }
+
+    const client = await this._getClient(organization, ssoConfig);
+
+    let claims;
+    try {
+      const tokenSet = await client.callback(
+        this._redirectUri(organization),
+        params,
+        {
+          state: request.state,
+          nonce: request.nonce,
+          code_verifier: request.codeVerifier,
+        },
+      );
+      claims = tokenSet.claims();
+    } catch (err) {
+      logger.warn(
+        { err: err.message, orgId: organization.id },
+        'SSO callback rejected',
+      );
+      throw new UnauthorizedError('SSO authentication failed');
+    }
+
+    const user = await this._provisionUser(organization, ssoConfig, claims);
+
+    const exchangeCode = randomToken();
+    await prisma.ssoLoginRequest.update({
+      where: { id: request.id },
+      data: { userId: user.id, exchangeCodeHash: hashToken(exchangeCode) },
+    });
+
+    return exchangeCode;
+  }
+
+  /**
+   * Trade a one-time exchange code for an access + refresh token pair — or,
+   * as at password login, the step the organization requires first
+   * (password change, MFA challenge or enrollment).
+   */
+  async exchange({ code }, client = {}) {
+    const request = await prisma.ssoLoginRequest.findUnique({
+      where: { exchangeCodeHash: hashToken(code) },
+    });
+
+    if (!request || !request.userId || request.expiresAt < new Date()) {
+      throw new UnauthorizedError('Invalid or expired SSO code');
+    }
+
+    const claimed = await prisma.ssoLoginRequest.updateMany({
+      where: { id: request.id, exchangedAt: null },
+      data: { exchangedAt: new Date() },
+    });
+    if (claimed.count === 0) {
+      throw new UnauthorizedError('Invalid or expired SSO code');
+    }
+
+    // Anything may have changed since the callback
+    const [user, organization] = await Promise.all([
+      prisma.user.findUnique({ where: { id: request.userId } }),
+      prisma.organization.findUnique({ where: { id: request.organizationId } }),
+    ]);
+    if (
+      !user ||
+      !user.isActive ||
+      !organization ||
+      !organization.isActive ||
+      !(await membershipService.isActiveMember(user.id, organization.id))
+    ) {
+      throw new UnauthorizedError('User account is deactivated');
+    }
+
+    return authService.continueLogin(user, organization, client);
+  }
+
+  // ─── Private Helpers ────────────────────────────────────────────────
+
+  /**
+   * Find or create the user for the IdP claims and grant mapped roles.
+   */
+  async _provisionUser(organization, ssoConfig, claims) {
+    const email = claims[ssoConfig.emailClaim];
+    if (!email || typeof email !== 'string') {
+      throw new UnauthorizedError(
+        'Identity provider did not return an email address',
+      );
+    }
+
+    const groups = [].concat(claims[ssoConfig.groupsClaim] || []);
+    const roleIds = [
+      ...new Set(
+        groups.map((group) => ssoConfig.groupRoleMap[group]).filter(Boolean),
+      ),
+    ];
+
+    let user = await prisma.user.findUnique({
+      where: { email },
+      include: {
+        memberships: { where: { organizationId: organization.id } },
+      },
+    });
+
+    // The email claim only identifies an existing account if the IdP says it
+    // verified the address; otherwise whoever can set it there could sign in
+    // as anyone in the organization
+    if (user && claims.email_verified !== true) {
+      throw new ForbiddenError(
+        'Identity provider has not verified this email address',
+      );
+    }
+
+    if (user && (!user.isActive || user.memberships[0]?.isActive === false)) {
+      throw new UnauthorizedError('User account is deactivated');
+    }
+
+    // An IdP only vouches for its own organization: it can't sign in (or
+    // attach itself to) an account that belongs elsewhere
+    if (user && user.memberships.length === 0) {
+      throw new ForbiddenError(
+        'This email belongs to an account outside the organization; ask an administrator to add it',
+      );
+    }
+
+    if (!user) {
+      if (!ssoConfig.jitProvisioning) {
+        throw new ForbiddenError(
+          'No account exists for this identity in the organization',
+        );
+      }
+      user = await this._createUser(organization, ssoConfig, claims, {
+        email,
+        roleIds,
+      });
+    }
+
+    if (roleIds.length) {
+      // Re-check on every login: a mapped role may have been deactivated,
+      // and maps saved before global system roles were refused may hold one
+      const roles = await prisma.role.findMany({
+        where: {
+          id: { in: roleIds },
+          isActive: true,
+          NOT: GLOBAL_SYSTEM_ROLE,
+          ...(await orgHierarchyService.roleScope(organization.id)),
+        },
+        select: { id: true },
+      });
+
+      const skipped = await this._grantRoles(
+        user.id,
+        organization.id,
+        roles.map((role) => role.id),
+      );
+      for (const { roleId, reason } of skipped) {
+        await auditService.record({
+          action: 'SSO_ROLE_GRANT_SKIPPED',
+          resource: 'USER',
+          resourceId: user.id,
+          userId: user.id,
+          organizationId: organization.id,
+          metadata: { roleId, reason },
+        });
+      }
+
+      await cache.delPattern(`permissions:${user.id}:*`);
+    }
+
+    return user;
+  }
+
+  /**
+   * Grant the mapped roles the user doesn't hold yet, one at a time under the
+   * organization's separation-of-duties constraints: a role that would clash
+   * with one already held (or granted earlier in the list) is left out and
+   * returned with the reason, and the login goes ahead without it.
+   */
+  async _grantRoles(userId, organizationId, roleIds) {
+    return prisma.$transaction(async (tx) => {
+      const held = await tx.userRole.findMany({
+        where: { userId, organizationId },
+        select: { roleId: true, startsAt: true, expiresAt: true },
+      });
+
+      const skipped = [];
+      for (const roleId of roleIds) {
+        if (held.some((assignment) => assignment.roleId === roleId)) continue;
+        try {
+          await roleConstraintService.assertAllowed(
+            organizationId,
+            [...held, { roleId }],
+            tx,
+          );
+        } catch (err) {
+          if (!(err instanceof ConflictError)) throw err;
+          skipped.push({ roleId, reason: err.message });
+          continue;
+        }
+        await tx.userRole.create({ data: { userId, roleId, organizationId } });
+        held.push({ roleId, startsAt: null, expiresAt: null });
+      }
+      return skipped;
+    });
+  }
+
+  /**
+   * Just-in-time provisioning. SSO users get an unusable random password;
+   * they can set a real one through the password reset flow if allowed.
+   */
+  async _createUser(organization, ssoConfig, claims, { email, roleIds }) {
+    await quotaService.assertCanAddMember(organization.id);
+
+    const passwordHash = await bcrypt.hash(
+      randomToken(),
+      config.bcrypt.saltRounds,
+    );
+
+    // Users without a mapped group still get the default role
+    const defaultRole = roleIds.length
+      ? null
+      : await prisma.role.findFirst({
+          where: {
+            name: 'USER',
+            OR: [{ organizationId: organization.id }, { organizationId: null }],
+            isActive: true,
+          },
+          orderBy: { organizationId: 'desc' },
+        });
+
+    const user = await prisma.$transaction(async (tx) => {
+      const newUser = await tx.user.create({
+        data: {
+          email,
+          passwordHash,
+          firstName:
+            claims[ssoConfig.firstNameClaim] || email.split('@')[0] || 'SSO',
+          lastName: claims[ssoConfig.lastNameClaim] || 'User',
+          emailVerified: claims.email_verified === true,
+          organizationId: organization.id,
+        },
+      });
+
+      await membershipService.add(newUser.id, organization.id, tx);
+
+      if (defaultRole) {
+        await tx.userRole.create({
+          data: {
+            userId: newUser.id,
+            roleId: defaultRole.id,
+            organizationId: organization.id,
+          },
+        });
+      }
+
+      return newUser;
+    });
+
+    logger.info(
+      { userId: user.id, orgId: organization.id },
+      'User provisioned via SSO',
+    );
+
+    return user;
+  }
+
+  /**
+   * Resolve an active organization with an enabled SSO config.
+   */
+  async _loadEnabled(orgSlug) {
+    const organization = await prisma.organization.findUnique({
+      where: { slug: orgSlug },
+      include: { ssoConfig: true },
+    });
+
+    if (!organization || !organization.isActive) {
+      throw new NotFoundError('Organization');
+    }
+
+    const { ssoConfig } = organization;
+    if (!ssoConfig || !ssoConfig.isEnabled) {
+      throw new NotFoundError('SSO configuration');
+    }
+
+    return { organization, ssoConfig };
+  }
+
+  /**
+   * Build (or reuse) an openid-client Client from the IdP discovery document.
+   */
+  async _getClient(organization, ssoConfig) {
+    const version = ssoConfig.updatedAt.getTime();
+    const cached = clientCache.get(organization.id);
+    if (cached && cached.version === version) return cached.client;
+
+    let issuer;
+    try {
+      issuer = await Issuer.discover(ssoConfig.issuer);
+    } catch (err) {
+      logger.error(
+        { err: err.message, orgId: organization.id, issuer: ssoConfig.issuer },
+        'OIDC discovery failed',
+      );
+      throw new AppError(
+        'Identity provider is unavailable',
+        502,
+        'SSO_PROVIDER_ERROR',
+      );
+    }
+
+    const client = new issuer.Client({
+      client_id: ssoConfig.clientId,
+      client_secret: decrypt(ssoConfig.clientSecret),
+      redirect_uris: [this._redirectUri(organization)],
+      response_types: ['code'],
+    });
+
+    clientCache.set(organization.id, { version, client });
+    return client;
+  }
+
+  _redirectUri(organization) {
+    return `${config.appUrl}${config.apiPrefix}/auth/sso/${organization.slug}/callback`;
+  }
+
+  /**
+   * Mapped roles must belong to this organization, a parent of it, or be
+   * global, and the actor must be able to assign each of them. Global
+   * system roles (SUPER_ADMIN, ...) are never handed out by an IdP.
+   */
+  async _assertRolesAssignable(actor, organizationId, roleIds) {
+    const uniqueIds = [...new Set(roleIds)];
+    const roles = await prisma.role.findMany({
+      where: {
+        id: { in: uniqueIds },
+        ...(await orgHierarchyService.roleScope(organizationId)),
+      },
+      select: { name: true, organizationId: true, isSystem: true },
+    });
+
+    if (roles.length !== uniqueIds.length) {
+      throw new BadRequestError('groupRoleMap references an unknown role');
+    }
+    const system = roles.find((r) => r.isSystem && r.organizationId === null);
+    if (system) {
+      throw new BadRequestError(
+        `groupRoleMap cannot map to the global system role ${system.name}`,
+      );
+    }
+
+    await delegationService.assertCanAssignRoles(
+      actor.id,
+      organizationId,
+      uniqueIds,
+    );
+  }
+
+  /**
+   * Strip the secret and add the redirect URI admins register with the IdP.
+   */
+  _sanitize({ clientSecret, organization, ...ssoConfig }) {
+    return {
+      ...ssoConfig,
+      redirectUri: this._redirectUri(organization),
+      hasClientSecret: !!clientSecret,
+    };
+  }
+}
+
+module.exports = new SsoService();
@@ -0,0 +1,105 @@
+// ============================================================================
+// Role Expiry Sweeper — removes time-bound role assignments once they end
+// ============================================================================
+// Expired assignments already grant nothing (PermissionService skips them);
+// the sweeper deletes the rows so temporary access doesn't linger in the
+// user's role list, and writes a ROLE_EXPIRED audit entry for each.
+//
+// Each row is deleted on its own and only audited if this process deleted
+// it, so several app instances can sweep at once without double entries.
+// ============================================================================
+
+const prisma = require('../../config/database');
+const config = require('../../config');
+const logger = require('../../config/logger');
+const { cache } = require('../../config/redis');
+const auditService = require('../audit/audit.service');
+
+// Rows handled per sweep; anything left over waits for the next one
+const BATCH_SIZE = 500;
+
+class RoleExpirySweeper {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    const intervalMs = config.roleExpiry.sweepIntervalSeconds * 1000;
+    this.timer = setInterval(() => this.sweep(), intervalMs);
+    this.timer.unref();
+    logger.info(
+      { intervalSeconds: config.roleExpiry.sweepIntervalSeconds },
+      'Role expiry sweeper started',
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Delete and audit assignments that have expired. Never throws.
+   * @returns {Promise<number>} How many assignments were removed
+   */
+  async sweep(now = new Date()) {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const expired = await prisma.userRole.findMany({
+        where: { expiresAt: { lte: now } },
+        select: {
+          id: true,
+          userId: true,
+          roleId: true,
+          organizationId: true,
+          assignedBy: true,
+          startsAt: true,
+          expiresAt: true,
+          role: { select: { name: true } },
+        },
+        orderBy: { expiresAt: 'asc' },
+        take: BATCH_SIZE,
+      });
+
+      let removed = 0;
+      for (const assignment of expired) {
+        const { count } = await prisma.userRole.deleteMany({
+          where: { id: assignment.id },
+        });
+        if (count === 0) continue; // Another instance got there first
+        removed++;
+
+        await auditService.record({
+          action: 'ROLE_EXPIRED',
+          resource: 'USER',
+          resourceId: assignment.userId,
+          organizationId: assignment.organizationId,
+          metadata: {
+            roleId: assignment.roleId,
+            roleName: assignment.role.name,
+            assignedBy: assignment.assignedBy,
+            startsAt: assignment.startsAt,
+            expiresAt: assignment.expiresAt,
+          },
+        });
+        await cache.delPattern(`permissions:${assignment.userId}:*`);
+      }
+
+      if (removed > 0) {
+        logger.info({ removed }, 'Expired role assignments removed');
+      }
+      return removed;
+    } catch (err) {
+      logger.error({ err }, 'Role expiry sweep failed');
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new RoleExpirySweeper();
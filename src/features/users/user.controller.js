@@ -3,7 +3,9 @@
 // ============================================================================
 
 const userService = require('./user.service');
+const { scopeOwnerId } = require('../permissions/permission.scopes');
 const { success, paginated } = require('../../utils/response');
+const { getClientInfo } = require('../../utils/helpers');
 
 const userController = {
   /**
@@ -14,6 +16,7 @@ const userController = {
       const { users, pagination } = await userService.listUsers(
         req.tenant.id,
         req.query,
+        scopeOwnerId(req),
       );
       return paginated(res, users, pagination);
     } catch (err) {
@@ -26,7 +29,11 @@ const userController = {
    */
   async getById(req, res, next) {
     try {
-      const user = await userService.getUserById(req.params.id, req.tenant.id);
+      const user = await userService.getUserById(
+        req.params.id,
+        req.tenant.id,
+        scopeOwnerId(req),
+      );
       return success(res, user);
     } catch (err) {
       next(err);
@@ -38,8 +45,13 @@ const userController = {
    */
   async create(req, res, next) {
     try {
-      const user = await userService.createUser(req.body, req.tenant.id);
-      return success(res, user, 201);
+      const result = await userService.createUser(
+        req.body,
+        req.tenant.id,
+        req.user,
+        getClientInfo(req),
+      );
+      return success(res, result, 202);
     } catch (err) {
       next(err);
     }
@@ -89,6 +101,18 @@ const userController = {
     }
   },
 
+  /**
+   * POST /users/:id/unlock
+   */
+  async unlock(req, res, next) {
+    try {
+      const user = await userService.unlockUser(req.params.id, req.tenant.id);
+      return success(res, user);
+    } catch (err) {
+      next(err);
+    }
+  },
+
   /**
    * PUT /users/:id/roles
    */
@@ -97,7 +121,21 @@ const userController = {
       const user = await userService.assignRoles(
         req.params.id,
         req.tenant.id,
-        req.body.roleIds,
+        req.body.roles,
+        req.user.id,
+      );
+      return success(res, user);
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  async assignDenies(req, res, next) {
+    try {
+      const user = await userService.assignDenies(
+        req.params.id,
+        req.tenant.id,
+        req.body.permissionIds,
         req.user.id,
       );
       return success(res, user);
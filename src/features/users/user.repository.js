@@ -3,7 +3,8 @@
 // ============================================================================
 // All Prisma queries for the User entity live here. Services call
 // repository methods — never Prisma directly. This enables:
-//   1. Consistent tenant-scoping (every query filters by organizationId)
+//   1. Consistent tenant-scoping (every query goes through the user's
+//      membership in the organization)
 //   2. Select only needed fields (no password leaks)
 //   3. Eager loading decisions documented in one place
 //   4. Easy testing via dependency injection
@@ -16,6 +17,9 @@ const { BadRequestError } = require('../../utils/errors');
 // ============================================================================
 
 const prisma = require('../../config/database');
+const membershipService = require('../memberships/membership.service');
+const roleConstraintService = require('../role-constraints/roleConstraint.service');
+const orgHierarchyService = require('../organizations/orgHierarchy.service');
 
 // Fields to return for user objects (never expose passwordHash)
 const USER_SELECT = {
@@ -26,35 +30,72 @@ const USER_SELECT = {
   isActive: true,
   emailVerified: true,
   lastLoginAt: true,
+  lockedUntil: true,
   organizationId: true,
   createdAt: true,
   updatedAt: true,
 };
 
-const USER_WITH_ROLES = {
-  ...USER_SELECT,
-  userRoles: {
-    include: {
-      role: {
-        select: {
-          id: true,
-          name: true,
-          description: true,
-          isSystem: true,
+// Roles and the membership's active flag, as seen from one organization
+function withRoles(organizationId) {
+  return {
+    ...USER_SELECT,
+    memberships: {
+      where: { organizationId },
+      select: { isActive: true, attributes: true },
+    },
+    userRoles: {
+      where: { organizationId },
+      include: {
+        role: {
+          select: {
+            id: true,
+            name: true,
+            description: true,
+            isSystem: true,
+          },
         },
       },
     },
-  },
-};
+    permissionDenies: {
+      where: { organizationId },
+      select: {
+        permission: { select: { id: true, action: true, resource: true } },
+      },
+    },
+  };
+}
+
+// A user's isActive and attributes are their membership's: deactivating
+// someone in one organization must not lock them out of the others
+function toTenantUser(user) {
+  if (!user) return null;
+  const { memberships, permissionDenies, ...rest } = user;
+  return {
+    ...rest,
+    isActive: user.isActive && !!memberships[0]?.isActive,
+    attributes: memberships[0]?.attributes || {},
+    deniedPermissions: (permissionDenies || []).map((d) => d.permission),
+  };
+}
 
 class UserRepository {
   /**
-   * Find all users within a tenant with pagination, search, and sorting.
+   * Find all members of a tenant with pagination, search, and sorting.
+   * `ownerId` narrows the result to that one user (own-scoped reads).
    */
-  async findAll(organizationId, { skip, limit, orderBy, search, isActive }) {
+  async findAll(
+    organizationId,
+    { skip, limit, orderBy, search, isActive, ownerId },
+  ) {
     const where = {
-      organizationId,
-      ...(isActive !== undefined && { isActive: isActive === 'true' }),
+      ...(ownerId && { id: ownerId }),
+      memberships: {
+        some: {
+          organizationId,
+          ...(isActive !== undefined && { isActive: isActive === 'true' }),
+        },
+      },
       ...(search && {
         OR: [
           { email: { contains: search, mode: 'insensitive' } },
@@ -67,7 +108,7 @@ class UserRepository {
     const [users, totalCount] = await prisma.$transaction([
       prisma.user.findMany({
         where,
-        select: USER_WITH_ROLES,
+        select: withRoles(organizationId),
         skip,
         take: limit,
         orderBy,
@@ -75,98 +116,121 @@ class UserRepository {
       prisma.user.count({ where }),
     ]);
 
-    return { users, totalCount };
+    return { users: users.map(toTenantUser), totalCount };
   }
 
   /**
-   * Find a single user by ID within the tenant.
+   * Find a single member of the tenant by ID.
    * Eager loads roles to avoid N+1 on role display.
    */
   async findById(id, organizationId) {
-    return prisma.user.findFirst({
-      where: { id, organizationId },
-      select: USER_WITH_ROLES,
+    const user = await prisma.user.findFirst({
+      where: { id, memberships: { some: { organizationId } } },
+      select: withRoles(organizationId),
     });
+    return toTenantUser(user);
   }
 
   /**
-   * Find by email within tenant.
+   * Find an identity by email, in any organization.
    */
-  async findByEmail(email, organizationId) {
+  async findByEmail(email) {
     return prisma.user.findUnique({
-      where: { email_organizationId: { email, organizationId } },
+      where: { email },
       select: USER_SELECT,
     });
   }
 
   /**
-   * Create a new user within the tenant.
+   * Create a new identity whose home organization is the tenant, and make
+   * it a member there.
    */
   async create(data, organizationId) {
-    return prisma.user.create({
-      data: { ...data, organizationId },
-      select: USER_SELECT,
+    return prisma.$transaction(async (tx) => {
+      const user = await tx.user.create({
+        data: { ...data, organizationId },
+        select: USER_SELECT,
+      });
+      await membershipService.add(user.id, organizationId, tx);
+      return user;
     });
   }
 
   /**
-   * Update user fields. Only whitelisted fields via pick() in the service.
+   * Make an existing identity a member of the tenant.
    */
-  async update(id, organizationId, data) {
-    return prisma.user.updateMany({
-      where: { id, organizationId },
-      data,
-    });
+  async addMember(id, organizationId) {
+    await membershipService.add(id, organizationId);
+    return this.findById(id, organizationId);
   }
 
   /**
-   * Get updated user after update.
+   * Update identity fields of a tenant member. `isActive` is applied to the
+   * membership only. Only whitelisted fields via pick() in the service.
    */
-  async findAndUpdate(id, organizationId, data) {
+  async findAndUpdate(id, organizationId, { isActive, attributes, ...data }) {
     // First verify the user belongs to this org
-    const user = await prisma.user.findFirst({
-      where: { id, organizationId },
-    });
+    const user = await this.findById(id, organizationId);
     if (!user) return null;
 
-    return prisma.user.update({
-      where: { id },
-      data,
-      select: USER_WITH_ROLES,
-    });
+    if (isActive !== undefined) {
+      await membershipService.setActive(id, organizationId, isActive);
+    }
+    if (attributes !== undefined) {
+      await membershipService.setAttributes(id, organizationId, attributes);
+    }
+    if (Object.keys(data).length > 0) {
+      await prisma.user.update({ where: { id }, data });
+    }
+
+    return this.findById(id, organizationId);
   }
 
   /**
-   * Soft-delete (deactivate) a user.
+   * Soft-delete (deactivate) a user's membership in the tenant.
    */
   async deactivate(id, organizationId) {
     return this.findAndUpdate(id, organizationId, { isActive: false });
   }
 
   /**
-   * Activate a user.
+   * Re-activate a user's membership in the tenant.
    */
   async activate(id, organizationId) {
     return this.findAndUpdate(id, organizationId, { isActive: true });
   }
 
   /**
-   * Replace all roles for a user (within the tenant).
+   * Clear a lockout and the failed login counter.
+   */
+  async unlock(id, organizationId) {
+    return this.findAndUpdate(id, organizationId, {
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+    });
+  }
+
+  /**
+   * Replace a user's roles within the tenant. Roles held in other
+   * organizations are untouched. Each assignment is
+   * { roleId, startsAt?, expiresAt? }.
    * Uses a transaction to atomically delete old + insert new.
    * Prevents privilege escalation: only roles scoped to the tenant
-   * (or global roles) can be assigned.
+   * (or global roles) can be assigned. Rejects combinations the tenant's
+   * separation-of-duties constraints forbid.
    */
-  async assignRoles(userId, organizationId, roleIds, assignedBy) {
-    return prisma.$transaction(async (tx) => {
-      // Validate that all roles are accessible to this tenant
+  async assignRoles(userId, organizationId, assignments, assignedBy) {
+    const roleIds = assignments.map((a) => a.roleId);
+    const roleScope = await orgHierarchyService.roleScope(organizationId);
+
+    await prisma.$transaction(async (tx) => {
+      // Validate that all roles are accessible to this tenant: its own,
+      // its parent organizations' and global ones
       const validRoles = await tx.role.findMany({
         where: {
           id: { in: roleIds },
           isActive: true,
-          OR: [
-            { organizationId }, // Org-scoped roles
-            { organizationId: null }, // Global roles
-          ],
+          ...roleScope,
         },
         select: { id: true },
       });
@@ -180,23 +244,55 @@ class UserRepository {
         );
       }
 
-      // Remove existing roles
-      await tx.userRole.deleteMany({ where: { userId } });
+      await roleConstraintService.assertAllowed(
+        organizationId,
+        assignments,
+        tx,
+      );
+
+      // Remove existing roles in this tenant
+      await tx.userRole.deleteMany({ where: { userId, organizationId } });
 
       // Assign new roles
       await tx.userRole.createMany({
-        data: validRoleIds.map((roleId) => ({
+        data: assignments.map(({ roleId, startsAt, expiresAt }) => ({
           userId,
           roleId,
+          organizationId,
           assignedBy,
+          startsAt: startsAt || null,
+          expiresAt: expiresAt || null,
         })),
       });
+    });
+
+    return this.findById(userId, organizationId);
+  }
 
-      return tx.user.findUnique({
-        where: { id: userId },
-        select: USER_WITH_ROLES,
+  /**
+   * Replace a user's deny entries within the tenant.
+   */
+  async assignDenies(userId, organizationId, permissionIds, createdBy) {
+    await prisma.$transaction(async (tx) => {
+      const validPermissions = await tx.permission.findMany({
+        where: { id: { in: permissionIds } },
+        select: { id: true },
+      });
+
+      await tx.userPermissionDeny.deleteMany({
+        where: { userId, organizationId },
+      });
+      await tx.userPermissionDeny.createMany({
+        data: validPermissions.map((p) => ({
+          userId,
+          organizationId,
+          permissionId: p.id,
+          createdBy,
+        })),
       });
     });
+
+    return this.findById(userId, organizationId);
   }
 }
 
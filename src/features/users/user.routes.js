@@ -1,22 +1,25 @@
 // ============================================================================
 // User Routes
 // ============================================================================
-// Middleware chain: authenticate → resolveTenant → authorize → auditLog → controller
+// Middleware chain: authenticate → resolveTenant → apiQuota → authorize → auditLog → controller
 // This order ensures:
 //   1. Identity is verified
 //   2. Tenant context is established
-//   3. Permission is checked (tenant-aware via cached permissions)
-//   4. Action is audited
-//   5. Business logic executes
+//   3. The request is counted against the plan's API allowance
+//   4. Permission is checked (tenant-aware via cached permissions)
+//   5. Action is audited
+//   6. Business logic executes
 // ============================================================================
 
 const { Router } = require('express');
 const userController = require('./user.controller');
+const userRepository = require('./user.repository');
 const validate = require('../../utils/validate');
 const {
   createUserSchema,
   updateUserSchema,
   assignRolesSchema,
+  assignDeniesSchema,
   userIdParamSchema,
   userListQuerySchema,
 } = require('./user.schema');
@@ -24,13 +27,24 @@ const {
   authenticate,
   authorize,
   resolveTenant,
+  apiQuota,
   auditLog,
 } = require('../../middleware');
 
 const router = Router();
 
 // All user routes require auth + tenant resolution
-router.use(authenticate, resolveTenant);
+router.use(authenticate, resolveTenant, apiQuota);
+
+// The target user, for permission conditions such as
+// `resource.attributes.department == user.attributes.department`.
+// Runs before params validation, so a malformed ID just means no target.
+const targetUser = {
+  resource: (req) =>
+    userIdParamSchema.safeParse(req.params).success
+      ? userRepository.findById(req.params.id, req.tenant.id)
+      : null,
+};
 
 /**
  * @openapi
@@ -89,7 +103,7 @@ router.get(
  */
 router.get(
   '/:id',
-  authorize('USER_READ'),
+  authorize('USER_READ', targetUser),
   validate({ params: userIdParamSchema }),
   userController.getById,
 );
@@ -100,6 +114,11 @@ router.get(
  *   post:
  *     tags: [Users]
  *     summary: Create a new user
+ *     description: |
+ *       If the email already belongs to an account elsewhere, its owner is
+ *       sent an invitation with these roles instead (see Invitations) and
+ *       keeps their own password. The response is the same either way, so
+ *       it doesn't reveal whether the email is registered.
  *     security: [{ bearerAuth: [] }]
  *     requestBody:
  *       required: true
@@ -110,13 +129,24 @@ router.get(
  *             required: [email, password, firstName, lastName]
  *             properties:
  *               email: { type: string, format: email }
- *               password: { type: string, minLength: 8 }
+ *               password:
+ *                 type: string
+ *                 description: |
+ *                   Must satisfy the organization's password policy.
+ *                   Unused if the email already has an account.
  *               firstName: { type: string }
  *               lastName: { type: string }
  *               roleIds: { type: array, items: { type: string, format: uuid } }
  *     responses:
- *       201:
- *         description: User created
+ *       202:
+ *         description: |
+ *           Account created, or its owner invited — `{ email }` either way.
+ *           Breaking change: this used to be 201 with the user; look a new
+ *           member up with `GET /users?search=<email>`.
+ *       403:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ *       409:
+ *         description: Already a member, or an invitation is already pending
  */
 router.post(
   '/',
@@ -149,13 +179,18 @@ router.post(
  *               lastName: { type: string }
  *               email: { type: string, format: email }
  *               isActive: { type: boolean }
+ *               attributes:
+ *                 type: object
+ *                 description: >
+ *                   Attributes in this organization (e.g. department) that
+ *                   permission conditions can refer to. Replaces the set.
  *     responses:
  *       200:
  *         description: User updated
  */
 router.patch(
   '/:id',
-  authorize('USER_UPDATE'),
+  authorize('USER_UPDATE', targetUser),
   validate({ params: userIdParamSchema, body: updateUserSchema }),
   auditLog('USER_UPDATED', 'USER'),
   userController.update,
@@ -179,7 +214,7 @@ router.patch(
  */
 router.post(
   '/:id/deactivate',
-  authorize('USER_DELETE'),
+  authorize('USER_DELETE', targetUser),
   validate({ params: userIdParamSchema }),
   auditLog('USER_DEACTIVATED', 'USER'),
   userController.deactivate,
@@ -200,21 +235,52 @@ router.post(
  *     responses:
  *       200:
  *         description: User activated
+ *       403:
+ *         $ref: '#/components/responses/QuotaExceeded'
  */
 router.post(
   '/:id/activate',
-  authorize('USER_UPDATE'),
+  authorize('USER_UPDATE', targetUser),
   validate({ params: userIdParamSchema }),
   auditLog('USER_ACTIVATED', 'USER'),
   userController.activate,
 );
 
+/**
+ * @openapi
+ * /users/{id}/unlock:
+ *   post:
+ *     tags: [Users]
+ *     summary: Unlock an account locked after failed logins
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Lockout cleared
+ */
+router.post(
+  '/:id/unlock',
+  authorize('USER_UPDATE', targetUser),
+  validate({ params: userIdParamSchema }),
+  auditLog('USER_UNLOCKED', 'USER'),
+  userController.unlock,
+);
+
 /**
  * @openapi
  * /users/{id}/roles:
  *   put:
  *     tags: [Users]
  *     summary: Assign roles to a user
+ *     description: >
+ *       Replaces the user's roles in this organization. `roleIds` are
+ *       permanent; entries in `roles` may set a `startsAt`/`expiresAt`
+ *       window. Outside its window a role grants nothing, and expired
+ *       assignments are removed (audited as ROLE_EXPIRED).
  *     security: [{ bearerAuth: [] }]
  *     parameters:
  *       - in: path
@@ -227,19 +293,70 @@ router.post(
  *         application/json:
  *           schema:
  *             type: object
- *             required: [roleIds]
  *             properties:
  *               roleIds: { type: array, items: { type: string, format: uuid } }
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [roleId]
+ *                   properties:
+ *                     roleId: { type: string, format: uuid }
+ *                     startsAt: { type: string, format: date-time }
+ *                     expiresAt: { type: string, format: date-time }
  *     responses:
  *       200:
  *         description: Roles assigned
+ *       403:
+ *         description: >
+ *           PRIVILEGE_ESCALATION — a new role grants permissions the caller
+ *           doesn't hold, or isn't on their roles' assignable-roles list
+ *       409:
+ *         description: The roles break a separation-of-duties constraint
  */
 router.put(
   '/:id/roles',
-  authorize('ROLE_ASSIGN'),
+  authorize('ROLE_ASSIGN', targetUser),
   validate({ params: userIdParamSchema, body: assignRolesSchema }),
   auditLog('USER_ROLES_ASSIGNED', 'USER'),
   userController.assignRoles,
 );
 
+/**
+ * @openapi
+ * /users/{id}/denies:
+ *   put:
+ *     tags: [Users]
+ *     summary: Replace the permissions denied to a user in this organization
+ *     description: A deny beats every grant the user's roles give them.
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [permissionIds]
+ *             properties:
+ *               permissionIds:
+ *                 type: array
+ *                 items: { type: string, format: uuid }
+ *                 description: Empty to remove every deny
+ *     responses:
+ *       200:
+ *         description: Denies updated
+ */
+router.put(
+  '/:id/denies',
+  authorize('PERMISSION_ASSIGN', targetUser),
+  validate({ params: userIdParamSchema, body: assignDeniesSchema }),
+  auditLog('USER_DENIES_ASSIGNED', 'USER'),
+  userController.assignDenies,
+);
+
 module.exports = router;
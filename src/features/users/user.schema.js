@@ -6,14 +6,9 @@ const { z } = require('zod');
 
 const createUserSchema = z.object({
   email: z.string().email().max(255),
-  password: z
-    .string()
-    .min(8)
-    .max(128)
-    .regex(
-      /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]+$/,
-      'Password must contain uppercase, lowercase, number, and special character',
-    ),
+  // Strength rules are per-organization — see PasswordPolicyService.
+  // Unused if the email already has an account: its owner is invited.
+  password: z.string().min(1).max(128),
   firstName: z.string().min(1).max(100),
   lastName: z.string().min(1).max(100),
   roleIds: z.array(z.string().uuid()).optional(),
@@ -24,10 +19,62 @@ const updateUserSchema = z.object({
   lastName: z.string().min(1).max(100).optional(),
   email: z.string().email().max(255).optional(),
   isActive: z.boolean().optional(),
+  // Attributes in this organization, for permission conditions. Replaces
+  // the whole set; flat scalar values only.
+  attributes: z
+    .record(
+      z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/, 'Invalid attribute name'),
+      z.union([z.string().max(255), z.number(), z.boolean(), z.null()]),
+    )
+    .refine((attrs) => Object.keys(attrs).length <= 50, {
+      message: 'At most 50 attributes',
+    })
+    .optional(),
 });
 
-const assignRolesSchema = z.object({
-  roleIds: z.array(z.string().uuid()).min(1, 'At least one role is required'),
+const timestamp = z
+  .string()
+  .datetime({ offset: true })
+  .transform((value) => new Date(value));
+
+// One role with an optional active window
+const roleAssignmentSchema = z
+  .object({
+    roleId: z.string().uuid(),
+    startsAt: timestamp.optional(),
+    expiresAt: timestamp.optional(),
+  })
+  .refine((a) => !a.expiresAt || a.expiresAt > new Date(), {
+    message: 'expiresAt must be in the future',
+    path: ['expiresAt'],
+  })
+  .refine((a) => !a.startsAt || !a.expiresAt || a.expiresAt > a.startsAt, {
+    message: 'expiresAt must be after startsAt',
+    path: ['expiresAt'],
+  });
+
+// `roleIds` assigns permanently, `roles` with per-role windows; both may be
+// given. Normalized to `{ roles }`.
+const assignRolesSchema = z
+  .object({
+    roleIds: z.array(z.string().uuid()).optional(),
+    roles: z.array(roleAssignmentSchema).optional(),
+  })
+  .transform(({ roleIds = [], roles = [] }) => ({
+    roles: [...roleIds.map((roleId) => ({ roleId })), ...roles],
+  }))
+  .refine(({ roles }) => roles.length > 0, {
+    message: 'At least one role is required',
+    path: ['roles'],
+  })
+  .refine(
+    ({ roles }) => new Set(roles.map((r) => r.roleId)).size === roles.length,
+    { message: 'Each role can only be assigned once', path: ['roles'] },
+  );
+
+// Empty clears every deny
+const assignDeniesSchema = z.object({
+  permissionIds: z.array(z.string().uuid()),
 });
 
 const userIdParamSchema = z.object({
@@ -50,6 +97,8 @@ module.exports = {
   createUserSchema,
   updateUserSchema,
   assignRolesSchema,
+  assignDeniesSchema,
+  roleAssignmentSchema,
   userIdParamSchema,
   userListQuerySchema,
 };
@@ -4,14 +4,27 @@
 // Orchestrates user operations. This layer:
 //   1. Enforces business rules (e.g., can't deactivate yourself)
 //   2. Prevents mass-assignment by picking only allowed fields
-//   3. Handles password hashing for creates
+//   3. Enforces the org password policy and hashes passwords for creates
 //   4. Invalidates Redis permission cache on role changes
 //   5. Delegates data access to the repository
+//   6. Issues email verification whenever an address is set or changed
+//   7. Invites existing identities (same email) instead of creating a
+//      second account — they decide whether to join, and the caller gets
+//      the same answer either way (see createUser)
+//   8. Stops anyone handing out a role they couldn't hold themselves
+//      (see DelegationService)
+//   9. Keeps active members within the plan's user limit (see QuotaService)
 // ============================================================================
 
 const bcrypt = require('bcrypt');
 const config = require('../../config');
 const userRepository = require('./user.repository');
+const authService = require('../auth/auth.service');
+const passwordPolicyService = require('../password-policy/passwordPolicy.service');
+const membershipService = require('../memberships/membership.service');
+const delegationService = require('../permissions/delegation.service');
+const quotaService = require('../plans/quota.service');
+const invitationService = require('../invitations/invitation.service');
 const { cache } = require('../../config/redis');
 const {
   NotFoundError,
@@ -21,7 +34,11 @@ const {
 const { pick, parsePagination, parseSorting } = require('../../utils/helpers');
 
 class UserService {
-  async listUsers(organizationId, query) {
+  /**
+   * Members of the organization. With `ownerId` (the caller only holds
+   * USER_READ:own) the list holds just that user.
+   */
+  async listUsers(organizationId, query, ownerId = null) {
     const { page, limit, skip } = parsePagination(query);
     const orderBy = parseSorting(query, [
       'createdAt',
@@ -36,33 +53,73 @@ class UserService {
       orderBy,
       search: query.search,
       isActive: query.isActive,
+      ownerId,
     });
 
     return { users, pagination: { page, limit, totalCount } };
   }
 
-  async getUserById(id, organizationId) {
+  /**
+   * With `ownerId`, anyone but that user is reported as not found rather
+   * than forbidden, so the directory can't be probed for IDs.
+   */
+  async getUserById(id, organizationId, ownerId = null) {
+    if (ownerId && id !== ownerId) throw new NotFoundError('User');
     const user = await userRepository.findById(id, organizationId);
     if (!user) throw new NotFoundError('User');
     return user;
   }
 
-  async createUser(data, organizationId) {
-    // Check for duplicate email within tenant
-    const existing = await userRepository.findByEmail(
-      data.email,
-      organizationId,
-    );
-    if (existing) {
+  /**
+   * Create an account, or invite the owner of an existing one with the same
+   * email. The response is `{ email }` in both cases, and both take the
+   * same checks and password hashing, so the caller can't tell whether the
+   * email is registered anywhere on the platform.
+   */
+  async createUser(data, organizationId, actor, client = {}) {
+    const roleIds = data.roleIds || [];
+    if (roleIds.length > 0) {
+      await delegationService.assertCanAssignRoles(
+        actor.id,
+        organizationId,
+        roleIds,
+      );
+    }
+
+    // The organization's own members and invitations are no secret to it
+    const existing = await userRepository.findByEmail(data.email);
+    if (
+      existing &&
+      (await userRepository.findById(existing.id, organizationId))
+    ) {
       throw new ConflictError('User with this email already exists');
     }
+    if (await invitationService.hasPending(organizationId, data.email)) {
+      throw new ConflictError(
+        `${data.email} already has a pending invitation; resend it instead`,
+      );
+    }
 
-    // Hash password
+    await quotaService.assertCanAddMember(organizationId, {
+      includeInvitations: true,
+    });
+    await passwordPolicyService.validate(organizationId, data.password);
     const passwordHash = await bcrypt.hash(
       data.password,
       config.bcrypt.saltRounds,
     );
 
+    // Emails are global: the account's owner has to accept joining
+    if (existing) {
+      await invitationService.create(
+        actor,
+        organizationId,
+        { email: data.email, roleIds },
+        client,
+      );
+      return { email: data.email };
+    }
+
     // Prevent mass-assignment — only allow whitelisted fields
     const userData = {
       ...pick(data, ['email', 'firstName', 'lastName']),
@@ -70,18 +127,21 @@ class UserService {
     };
 
     const user = await userRepository.create(userData, organizationId);
+    await passwordPolicyService.recordPassword(user.id, passwordHash);
+
+    await authService.sendEmailVerification(user);
 
     // Assign roles if provided
-    if (data.roleIds && data.roleIds.length > 0) {
-      return userRepository.assignRoles(
+    if (roleIds.length > 0) {
+      await userRepository.assignRoles(
         user.id,
         organizationId,
-        data.roleIds,
-        null,
+        roleIds.map((roleId) => ({ roleId })),
+        actor.id,
       );
     }
 
-    return user;
+    return { email: data.email };
   }
 
   async updateUser(id, organizationId, data) {
@@ -94,19 +154,31 @@ class UserService {
       'lastName',
       'email',
       'isActive',
+      'attributes',
     ]);
 
     if (Object.keys(updateData).length === 0) {
       throw new BadRequestError('No valid fields to update');
     }
 
+    if (updateData.isActive && !user.isActive) {
+      await quotaService.assertCanAddMember(organizationId);
+    }
+
     // If email is being changed, check for conflicts
     if (updateData.email && updateData.email !== user.email) {
-      const existing = await userRepository.findByEmail(
-        updateData.email,
-        organizationId,
-      );
+      // The address signs the user in everywhere — one tenant can't change it
+      if (await membershipService.hasOtherMemberships(id, organizationId)) {
+        throw new BadRequestError(
+          'This account belongs to other organizations; its email cannot be changed here',
+        );
+      }
+
+      const existing = await userRepository.findByEmail(updateData.email);
       if (existing) throw new ConflictError('Email already in use');
+
+      // A new address must be re-verified
+      updateData.emailVerified = false;
     }
 
     const updated = await userRepository.findAndUpdate(
@@ -114,6 +186,11 @@ class UserService {
       organizationId,
       updateData,
     );
+
+    if (updateData.email && updateData.email !== user.email) {
+      await authService.sendEmailVerification(updated);
+    }
+
     return updated;
   }
 
@@ -136,18 +213,45 @@ class UserService {
   async activateUser(id, organizationId) {
     const user = await userRepository.findById(id, organizationId);
     if (!user) throw new NotFoundError('User');
+    if (!user.isActive) await quotaService.assertCanAddMember(organizationId);
+
+    const activated = await userRepository.activate(id, organizationId);
+
+    // A cached empty permission set from while the membership was inactive
+    await cache.delPattern(`permissions:${id}:*`);
 
-    return userRepository.activate(id, organizationId);
+    return activated;
   }
 
-  async assignRoles(userId, organizationId, roleIds, assignedBy) {
+  async unlockUser(id, organizationId) {
+    const user = await userRepository.findById(id, organizationId);
+    if (!user) throw new NotFoundError('User');
+
+    return userRepository.unlock(id, organizationId);
+  }
+
+  /**
+   * Replace the user's roles in the tenant. Each assignment may carry a
+   * startsAt/expiresAt window for temporary access. Roles the user doesn't
+   * hold yet must be ones `assignedBy` is allowed to hand out.
+   */
+  async assignRoles(userId, organizationId, assignments, assignedBy) {
     const user = await userRepository.findById(userId, organizationId);
     if (!user) throw new NotFoundError('User');
 
+    const heldRoleIds = user.userRoles.map((ur) => ur.roleId);
+    await delegationService.assertCanAssignRoles(
+      assignedBy,
+      organizationId,
+      assignments
+        .map((a) => a.roleId)
+        .filter((roleId) => !heldRoleIds.includes(roleId)),
+    );
+
     const updated = await userRepository.assignRoles(
       userId,
       organizationId,
-      roleIds,
+      assignments,
       assignedBy,
     );
 
@@ -156,6 +260,26 @@ class UserService {
 
     return updated;
   }
+
+  /**
+   * Replace the permissions denied to this user in the tenant. A deny beats
+   * whatever their roles grant.
+   */
+  async assignDenies(userId, organizationId, permissionIds, createdBy) {
+    const user = await userRepository.findById(userId, organizationId);
+    if (!user) throw new NotFoundError('User');
+
+    const updated = await userRepository.assignDenies(
+      userId,
+      organizationId,
+      permissionIds,
+      createdBy,
+    );
+
+    await cache.delPattern(`permissions:${userId}:*`);
+
+    return updated;
+  }
 }
 
 module.exports = new UserService();
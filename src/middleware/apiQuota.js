@@ -0,0 +1,29 @@
+// ============================================================================
+// API Quota Middleware
+// ============================================================================
+// Counts each authenticated, tenant-scoped request against the monthly API
+// allowance of the caller's organization plan, and refuses it with 429
+// QUOTA_EXCEEDED once the allowance is used up. The count goes to the
+// caller's own organization, also when they target another one with
+// X-Organization-Id.
+//
+// Usage (after resolveTenant):
+//   router.use(authenticate, resolveTenant, apiQuota);
+// ============================================================================
+
+const quotaService = require('../features/plans/quota.service');
+
+async function apiQuota(req, _res, next) {
+  // A request that falls through several routers is only counted once
+  if (req.apiQuotaCounted) return next();
+  req.apiQuotaCounted = true;
+
+  try {
+    await quotaService.consumeApiRequest(req.user.organizationId);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = apiQuota;
@@ -14,6 +14,7 @@
 
 const prisma = require('../config/database');
 const logger = require('../config/logger');
+const { getClientInfo } = require('../utils/helpers');
 
 /**
  * @param {string} action - e.g., 'USER_CREATED', 'ROLE_UPDATED'
@@ -27,18 +28,16 @@ function auditLog(action, resource) {
       if (res.statusCode < 200 || res.statusCode >= 300) return;
 
       try {
+        const { ipAddress, userAgent } = getClientInfo(req);
         await prisma.auditLog.create({
           data: {
             userId: req.user?.id || null,
             action,
             resource,
             resourceId: req.params?.id || req.body?.id || null,
-            organizationId: req.user?.organizationId || null,
-            ipAddress:
-              req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-              req.socket?.remoteAddress ||
-              null,
-            userAgent: req.headers['user-agent'] || null,
+            organizationId: req.tenant?.id || req.user?.organizationId || null,
+            ipAddress,
+            userAgent,
             metadata: {
               method: req.method,
               path: req.originalUrl,
@@ -46,6 +45,11 @@ function auditLog(action, resource) {
               body: sanitizeBody(req.body),
             },
             correlationId: req.correlationId || null,
+            apiKeyId: req.user?.apiKeyId || null,
+            impersonatorId: req.user?.impersonator?.id || null,
+            homeOrganizationId: req.tenant?.crossTenant
+              ? req.user.organizationId
+              : null,
           },
         });
       } catch (err) {
@@ -73,6 +77,13 @@ function sanitizeBody(body) {
     'token',
     'refreshToken',
     'secret',
+    'code',
+    'recoveryCode',
+    'mfaToken',
+    'key',
+    'currentPassword',
+    'newPassword',
+    'passwordChangeToken',
   ];
   for (const field of sensitiveFields) {
     if (sanitized[field]) sanitized[field] = '[REDACTED]';
@@ -5,59 +5,84 @@
 // header, verifies it, and attaches `req.user` with the decoded payload.
 //
 // Design decision: NO database lookup here for performance. The JWT payload
-// contains userId, organizationId, and email — enough to proceed.
+// contains userId, organizationId, and email — enough to proceed. Signature
+// keys come from the in-memory keyring (signingKey.service), matched by `kid`.
 // Permission checks happen in the authorization middleware.
+//
+// API keys (`X-API-Key: rbac_...` or `Authorization: Bearer rbac_...`) are
+// the exception: they are opaque, so they are looked up by hash. req.user
+// then also carries `apiKeyId` and `apiKeyScopes`.
+//
+// Impersonation tokens carry the support user in an RFC 8693 `act` claim.
+// req.user is the impersonated user (permissions, tenant, data all follow
+// them) and req.user.impersonator is the real actor.
 // ============================================================================
 
-const jwt = require('jsonwebtoken');
 const config = require('../config');
 const { UnauthorizedError } = require('../utils/errors');
 const { cache } = require('../config/redis');
+const apiKeyService = require('../features/api-keys/apiKey.service');
+const signingKeyService = require('../features/signing-keys/signingKey.service');
 
 /**
- * Verifies the access token and populates req.user.
+ * Verifies the access token (or API key) and populates req.user.
  */
 function authenticate(req, _res, next) {
   const authHeader = req.headers.authorization;
+  const token = authHeader?.startsWith('Bearer ')
+    ? authHeader.split(' ')[1]
+    : null;
+
+  // API keys: dedicated header, or recognisable prefix in the Bearer slot
+  const apiKey =
+    req.headers['x-api-key'] || (apiKeyService.isApiKey(token) ? token : null);
+  if (apiKey) {
+    return apiKeyService.authenticate(apiKey, req.ip).then((user) => {
+      req.user = user;
+      next();
+    }, next);
+  }
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  if (!token) {
     return next(
       new UnauthorizedError('Missing or malformed authorization header'),
     );
   }
 
-  const token = authHeader.split(' ')[1];
+  signingKeyService
+    .verify(token, { legacySecret: config.jwt.accessSecret })
+    .then((decoded) => {
+      // Refresh, MFA and password-change tokens are signed by the same keys
+      // but must never grant API access on their own
+      if (decoded.type) {
+        return next(new UnauthorizedError('Invalid access token'));
+      }
 
-  try {
-    const decoded = jwt.verify(token, config.jwt.accessSecret);
+      // Check if the token (logout) or its session (revoked from another
+      // device) has been blacklisted
+      Promise.all([
+        cache.get(`blacklist:${token}`),
+        decoded.sid ? cache.get(`revoked-session:${decoded.sid}`) : null,
+      ])
+        .then(([blacklisted, sessionRevoked]) => {
+          if (blacklisted || sessionRevoked) {
+            return next(new UnauthorizedError('Token has been revoked'));
+          }
 
-    // Check if token has been blacklisted (forced logout)
-    cache
-      .get(`blacklist:${token}`)
-      .then((blacklisted) => {
-        if (blacklisted) {
-          return next(new UnauthorizedError('Token has been revoked'));
-        }
-
-        // Attach user context to request
-        req.user = {
-          id: decoded.sub,
-          email: decoded.email,
-          organizationId: decoded.organizationId,
-        };
+          // Attach user context to request
+          req.user = userFromToken(decoded);
+          next();
+        })
+        .catch(() => {
+          // Redis failure — degrade gracefully, allow the request
+          req.user = userFromToken(decoded);
+          next();
+        });
+    }, verifyFailed(next));
+}
 
-        next();
-      })
-      .catch(() => {
-        // Redis failure — degrade gracefully, allow the request
-        req.user = {
-          id: decoded.sub,
-          email: decoded.email,
-          organizationId: decoded.organizationId,
-        };
-        next();
-      });
-  } catch (err) {
+function verifyFailed(next) {
+  return (err) => {
     if (err.name === 'TokenExpiredError') {
       return next(new UnauthorizedError('Access token expired'));
     }
@@ -65,7 +90,20 @@ function authenticate(req, _res, next) {
       return next(new UnauthorizedError('Invalid access token'));
     }
     return next(new UnauthorizedError('Authentication failed'));
+  };
+}
+
+function userFromToken(decoded) {
+  const user = {
+    id: decoded.sub,
+    email: decoded.email,
+    organizationId: decoded.organizationId,
+    sessionId: decoded.sid,
+  };
+  if (decoded.act) {
+    user.impersonator = { id: decoded.act.sub, email: decoded.act.email };
   }
+  return user;
 }
 
 module.exports = authenticate;
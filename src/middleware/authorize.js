@@ -7,72 +7,69 @@
 //   1. Try Redis cache for user's permissions.
 //   2. Cache miss → query DB for all permissions via user→roles→permissions.
 //   3. Cache the result with TTL.
-//   4. Check if required permission(s) are present.
+//   4. Check if required permission(s) are present. Denied permissions never
+//      are — a deny rule beats every grant.
+//   5. If every matching grant is conditional, evaluate the conditions
+//      against the user, the target resource and the request.
 //
 // This middleware is composable:
 //   router.get('/users', authenticate, authorize('USER_READ'), controller)
 //   router.delete('/users/:id', authenticate, authorize('USER_DELETE'), controller)
 //
+// Scoped grants count too: `USER_READ:own` satisfies authorize('USER_READ').
+// The broadest scope that passes ends up on `req.permissionScope` ('any' or
+// 'own') for the controller to narrow its queries — see permission.scopes.js.
+//
+// Conditions usually compare the user with the thing being acted on, so a
+// route can pass a loader for it as the last argument:
+//   authorize('USER_UPDATE', { resource: (req) => loadUser(req) })
+// The loader only runs when a condition actually has to be checked.
+//
 // Design decision: permissions are cached per user (not per role) because
 // a user may have multiple roles, and we need the flattened permission set.
+// Resolution lives in PermissionService.resolveUserPermissions.
 // ============================================================================
 
-const prisma = require('../config/database');
-const { cache } = require('../config/redis');
-const config = require('../config');
+const permissionService = require('../features/permissions/permission.service');
+const membershipService = require('../features/memberships/membership.service');
+const {
+  evaluateCondition,
+} = require('../features/permissions/condition.evaluator');
+const {
+  grantingVariants,
+  covers,
+} = require('../features/permissions/permission.scopes');
 const { ForbiddenError } = require('../utils/errors');
 const logger = require('../config/logger');
 
 /**
  * Returns middleware that checks if req.user has ANY of the required permissions.
- * @param  {...string} requiredPermissions - Permission action strings
+ * @param  {...string} requiredPermissions - Permission action strings,
+ *   optionally followed by { resource: async (req) => targetResource }
  */
 function authorize(...requiredPermissions) {
+  const options =
+    typeof requiredPermissions.at(-1) === 'object'
+      ? requiredPermissions.pop()
+      : {};
+
   return async (req, _res, next) => {
     try {
       const userId = req.user.id;
       const orgId = req.user.organizationId;
 
-      // ── 1. Check Redis cache ─────────────────────────────────────────
-      const cacheKey = `permissions:${userId}:${orgId}`;
-      let userPermissions = await cache.get(cacheKey);
-
-      // ── 2. Cache miss → DB lookup ────────────────────────────────────
-      if (!userPermissions) {
-        const userRoles = await prisma.userRole.findMany({
-          where: { userId },
-          include: {
-            role: {
-              include: {
-                rolePermissions: {
-                  include: {
-                    permission: true,
-                  },
-                },
-              },
-            },
-          },
-        });
-
-        // Flatten: user → roles → permissions → action strings
-        userPermissions = [
-          ...new Set(
-            userRoles
-              .filter((ur) => ur.role && ur.role.isActive) // Filter inactive roles
-              .flatMap((ur) =>
-                ur.role.rolePermissions
-                  .filter((rp) => rp.permission && rp.permission.isActive) // Filter inactive permissions
-                  .map((rp) => rp.permission.action),
-              ),
-          ),
-        ];
-
-        // ── 3. Cache with TTL ──────────────────────────────────────────
-        await cache.set(cacheKey, userPermissions, config.cache.permissionsTTL);
+      // ── 1–3. Cached lookup (DB on miss) ──────────────────────────────
+      const { grants, denied } = await permissionService.resolveUserPermissions(
+        userId,
+        orgId,
+      );
+      let userPermissions = Object.keys(grants);
 
-        logger.debug(
-          { userId, permissionCount: userPermissions.length },
-          'Permissions loaded from DB and cached',
+      // API keys only carry the scopes they were created with. A key can
+      // never exceed its owner's CURRENT permissions.
+      if (req.user.apiKeyScopes) {
+        userPermissions = userPermissions.filter((perm) =>
+          req.user.apiKeyScopes.some((scope) => covers(scope, perm)),
         );
       }
 
@@ -80,16 +77,32 @@ function authorize(...requiredPermissions) {
       req.userPermissions = userPermissions;
 
       // ── 4. Check authorization ───────────────────────────────────────
-      const hasPermission = requiredPermissions.some((perm) =>
-        userPermissions.includes(perm),
-      );
+      // Every held variant of the required permissions, "any" before "own"
+      const matching = requiredPermissions
+        .flatMap(grantingVariants)
+        .filter(({ action }) => userPermissions.includes(action))
+        .sort((a, b) => (a.scope === b.scope ? 0 : a.scope === 'any' ? -1 : 1));
 
+      // ── 5. Conditional grants ────────────────────────────────────────
+      let granted = null;
+      let context = null;
+      for (const candidate of matching) {
+        const conditions = grants[candidate.action];
+        if (conditions !== null) {
+          context = context || (await conditionContext(req, options.resource));
+          if (!conditions.some((c) => evaluateCondition(c, context))) continue;
+        }
+        granted = candidate;
+        break;
+      }
+      const hasPermission = !!granted;
       if (!hasPermission) {
         logger.warn(
           {
             userId,
             required: requiredPermissions,
             actual: userPermissions,
+            denied: requiredPermissions.filter((perm) => denied.includes(perm)),
             correlationId: req.correlationId,
           },
           'Authorization denied',
@@ -97,6 +110,7 @@ function authorize(...requiredPermissions) {
         return next(new ForbiddenError());
       }
 
+      req.permissionScope = granted.scope;
       next();
     } catch (err) {
       next(err);
@@ -104,4 +118,39 @@ function authorize(...requiredPermissions) {
   };
 }
 
+/**
+ * What conditions can refer to: `user`, `resource`, `request` and `env`.
+ * Times are UTC.
+ */
+async function conditionContext(req, loadResource) {
+  const [attributes, resource] = await Promise.all([
+    membershipService.getAttributes(req.user.id, req.user.organizationId),
+    loadResource ? loadResource(req) : null,
+  ]);
+  const now = new Date();
+
+  return {
+    user: {
+      id: req.user.id,
+      email: req.user.email,
+      organizationId: req.user.organizationId,
+      attributes,
+    },
+    resource: resource ?? null,
+    request: {
+      method: req.method,
+      path: req.path,
+      ip: req.ip,
+      params: req.params,
+      query: req.query,
+      body: req.body,
+    },
+    env: {
+      now: now.toISOString(),
+      hour: now.getUTCHours(),
+      weekday: now.getUTCDay(),
+    },
+  };
+}
+
 module.exports = authorize;
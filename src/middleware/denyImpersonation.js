@@ -0,0 +1,26 @@
+// ============================================================================
+// Deny Impersonation Middleware
+// ============================================================================
+// Guards self-service actions that must only ever be taken by the account
+// owner — changing credentials, MFA, minting API keys, starting another
+// impersonation. Support staff acting as a user get a 403 instead.
+//
+// Usage:
+//   router.post('/change-password', authenticate, denyImpersonation, ...)
+// ============================================================================
+
+const { ForbiddenError } = require('../utils/errors');
+
+function denyImpersonation(req, _res, next) {
+  if (req.user?.impersonator) {
+    return next(
+      new ForbiddenError(
+        'This action is not available while impersonating a user',
+        'IMPERSONATION_RESTRICTED',
+      ),
+    );
+  }
+  next();
+}
+
+module.exports = denyImpersonation;
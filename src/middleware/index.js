@@ -6,7 +6,9 @@ module.exports = {
   authenticate: require('./authenticate'),
   authorize: require('./authorize'),
   resolveTenant: require('./resolveTenant'),
+  apiQuota: require('./apiQuota'),
   auditLog: require('./auditLog'),
+  denyImpersonation: require('./denyImpersonation'),
   correlationId: require('./correlationId'),
   errorHandler: require('./errorHandler'),
   rateLimiter: require('./rateLimiter'),
@@ -4,23 +4,49 @@
 // Resolves the organization context from the authenticated user's JWT.
 // Ensures every downstream DB query is scoped to the correct tenant.
 //
-// Design decision: tenant comes from JWT (set at login), NOT from a header
-// or URL param. This prevents tenant-spoofing attacks. A user can only
-// access data within their own organization.
+// Design decision: tenant comes from JWT (set at login or by
+// /auth/switch-organization), NOT from a header or URL param. This prevents
+// tenant-spoofing attacks. A user can only access data within the active
+// organization, and only while their membership there is active — removal
+// takes effect before the token expires.
 //
-// For super-admin access across tenants, a separate middleware can override
-// the tenant filter.
+// Cross-tenant access: a holder of PLATFORM_TENANT_ACCESS (unconditional, in
+// their own organization) may send `X-Organization-Id: <uuid>` to target
+// another tenant for that one request. `req.tenant` becomes the target, so
+// every service scoped by `req.tenant.id` follows; `req.user.organizationId`
+// stays the operator's own, so authorize() still checks their own
+// permissions. Each such request — allowed or not, read or write — is
+// audited as CROSS_TENANT_ACCESS in the target organization, and every audit
+// entry written for it carries the operator's `homeOrganizationId`.
+//
+// Members of a parent organization need no platform permission to target
+// one of its sub-organizations the same way: their roles there apply in its
+// descendants anyway (see OrgHierarchyService).
 // ============================================================================
 
 const prisma = require('../config/database');
-const { NotFoundError, ForbiddenError } = require('../utils/errors');
+const permissionService = require('../features/permissions/permission.service');
+const orgHierarchyService = require('../features/organizations/orgHierarchy.service');
+const auditService = require('../features/audit/audit.service');
+const { covers } = require('../features/permissions/permission.scopes');
+const { getClientInfo } = require('../utils/helpers');
+const {
+  BadRequestError,
+  NotFoundError,
+  ForbiddenError,
+} = require('../utils/errors');
+
+const CROSS_TENANT_HEADER = 'x-organization-id';
+const CROSS_TENANT_PERMISSION = 'PLATFORM_TENANT_ACCESS';
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Resolves and validates the tenant context.
  * Must run AFTER authenticate middleware.
  */
 
-async function resolveTenant(req, _res, next) {
+async function resolveTenant(req, res, next) {
   try {
     const organizationId = req.user.organizationId;
 
@@ -28,19 +54,34 @@ async function resolveTenant(req, _res, next) {
       return next(new ForbiddenError('No organization context'));
     }
 
-    const organization = await prisma.organization.findUnique({
-      where: { id: organizationId },
-      select: { id: true, name: true, slug: true, isActive: true },
+    const membership = await prisma.membership.findUnique({
+      where: {
+        userId_organizationId: { userId: req.user.id, organizationId },
+      },
+      select: {
+        isActive: true,
+        organization: {
+          select: { id: true, name: true, slug: true, isActive: true },
+        },
+      },
     });
 
-    if (!organization) {
+    if (!membership) {
       return next(new NotFoundError('Organization'));
     }
 
+    const { organization } = membership;
+
     if (!organization.isActive) {
       return next(new ForbiddenError('Organization is deactivated'));
     }
 
+    if (!membership.isActive) {
+      return next(
+        new ForbiddenError('Your membership in this organization is inactive'),
+      );
+    }
+
     // Attach tenant context — all downstream queries use this
     req.tenant = {
       id: organization.id,
@@ -48,10 +89,95 @@ async function resolveTenant(req, _res, next) {
       slug: organization.slug,
     };
 
+    const targetId = req.headers[CROSS_TENANT_HEADER];
+    if (targetId && targetId !== organization.id) {
+      req.tenant = await resolveCrossTenant(req, res, targetId);
+    }
+
     next();
   } catch (err) {
     next(err);
   }
 }
 
+/**
+ * Check that the caller may act in another organization and return it as
+ * the tenant context. Audits the request once the response is sent.
+ */
+async function resolveCrossTenant(req, res, targetId) {
+  if (!UUID_PATTERN.test(targetId)) {
+    throw new BadRequestError('X-Organization-Id must be an organization ID');
+  }
+
+  // Audit attempts too — a refused one is as interesting as an allowed one
+  const access = { via: null };
+  auditCrossTenantRequest(req, res, targetId, access);
+
+  if (req.user.impersonator) {
+    throw new ForbiddenError(
+      'Cross-tenant access is not available while impersonating a user',
+      'IMPERSONATION_RESTRICTED',
+    );
+  }
+
+  if (
+    await orgHierarchyService.isDescendant(targetId, req.user.organizationId)
+  ) {
+    access.via = 'PARENT_ORGANIZATION';
+  } else {
+    const { grants } = await permissionService.resolveUserPermissions(
+      req.user.id,
+      req.user.organizationId,
+    );
+    const allowed =
+      grants[CROSS_TENANT_PERMISSION] === null &&
+      (!req.user.apiKeyScopes ||
+        req.user.apiKeyScopes.some((scope) =>
+          covers(scope, CROSS_TENANT_PERMISSION),
+        ));
+    if (!allowed) {
+      throw new ForbiddenError('Cross-tenant access requires platform access');
+    }
+    access.via = 'PLATFORM';
+  }
+
+  // Deactivated organizations stay reachable, e.g. for offboarding
+  const target = await prisma.organization.findUnique({
+    where: { id: targetId },
+    select: { id: true, name: true, slug: true },
+  });
+  if (!target) throw new NotFoundError('Organization');
+
+  return { ...target, crossTenant: true };
+}
+
+function auditCrossTenantRequest(req, res, targetId, access) {
+  res.on('finish', async () => {
+    // Only attribute entries to organizations that exist
+    const exists = await prisma.organization
+      .findUnique({ where: { id: targetId }, select: { id: true } })
+      .catch(() => null);
+    const { ipAddress, userAgent } = getClientInfo(req);
+    await auditService.record({
+      action: 'CROSS_TENANT_ACCESS',
+      resource: 'ORGANIZATION',
+      resourceId: targetId,
+      userId: req.user.id,
+      organizationId: exists ? targetId : null,
+      homeOrganizationId: req.user.organizationId,
+      ipAddress,
+      userAgent,
+      metadata: {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        via: access.via,
+      },
+      impersonatorId: req.user.impersonator?.id || null,
+      correlationId: req.correlationId || null,
+      apiKeyId: req.user.apiKeyId || null,
+    });
+  });
+}
+
 module.exports = resolveTenant;
@@ -3,8 +3,9 @@
 // ============================================================================
 // Handles:
 //   1. Starting the HTTP server
-//   2. Connecting to PostgreSQL (via Prisma) and Redis
-//   3. Graceful shutdown on SIGTERM/SIGINT
+//   2. Connecting to PostgreSQL (via Prisma) and Redis, loading signing keys
+//   3. Background jobs (role expiry and offboarding sweepers)
+//   4. Graceful shutdown on SIGTERM/SIGINT
 //
 // Graceful shutdown ensures:
 //   - No new connections accepted
@@ -17,6 +18,9 @@ const config = require('./config');
 const logger = require('./config/logger');
 const prisma = require('./config/database');
 const { redis } = require('./config/redis');
+const signingKeyService = require('./features/signing-keys/signingKey.service');
+const roleExpirySweeper = require('./features/users/roleExpiry.sweeper');
+const offboardingSweeper = require('./features/offboarding/offboarding.sweeper');
 
 async function main() {
   // ── 1. Connect to databases ─────────────────────────────────────────
@@ -28,6 +32,14 @@ async function main() {
     process.exit(1);
   }
 
+  // Load JWT signing keys (creates the first one on a fresh database)
+  try {
+    await signingKeyService.init();
+  } catch (err) {
+    logger.fatal({ err }, 'Failed to load JWT signing keys');
+    process.exit(1);
+  }
+
   // ── 2. Start HTTP server ────────────────────────────────────────────
   const server = app.listen(config.port, () => {
     logger.info(
@@ -41,9 +53,15 @@ async function main() {
     );
   });
 
-  // ── 3. Graceful shutdown ────────────────────────────────────────────
+  // ── 3. Background jobs ──────────────────────────────────────────────
+  roleExpirySweeper.start();
+  offboardingSweeper.start();
+
+  // ── 4. Graceful shutdown ────────────────────────────────────────────
   const shutdown = async (signal) => {
     logger.info({ signal }, 'Shutdown signal received — closing gracefully');
+    roleExpirySweeper.stop();
+    offboardingSweeper.stop();
 
     server.close(async () => {
       logger.info('HTTP server closed');
@@ -0,0 +1,68 @@
+// ============================================================================
+// Archive Writer — .tar.gz from files on disk
+// ============================================================================
+// Just enough of the ustar format for regular files with short names, which
+// is all the data exports need; entries are streamed, so large files are
+// never held in memory. Readable with `tar -xzf` and any archive tool.
+// ============================================================================
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Write a gzipped tar archive.
+ * @param {string} outputPath
+ * @param {Array<{ name: string, path: string }>} entries - Archive name and
+ *   file to read it from
+ */
+async function writeTarGz(outputPath, entries) {
+  await pipeline(
+    tarStream(entries),
+    zlib.createGzip(),
+    fs.createWriteStream(outputPath),
+  );
+}
+
+async function* tarStream(entries) {
+  for (const entry of entries) {
+    const { size, mtime } = await fs.promises.stat(entry.path);
+    yield header(entry.name, size, mtime);
+    yield* fs.createReadStream(entry.path);
+    const remainder = size % BLOCK_SIZE;
+    if (remainder > 0) yield Buffer.alloc(BLOCK_SIZE - remainder);
+  }
+  // End of archive: two empty blocks
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+function header(name, size, mtime) {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`Archive entry name too long: ${name}`);
+  }
+
+  const block = Buffer.alloc(BLOCK_SIZE);
+  block.write(name, 0, 100);
+  block.write(octal(0o644, 7), 100); // mode
+  block.write(octal(0, 7), 108); // uid
+  block.write(octal(0, 7), 116); // gid
+  block.write(octal(size, 11), 124);
+  block.write(octal(Math.floor(mtime.getTime() / 1000), 11), 136);
+  block.write(' '.repeat(8), 148); // checksum, counted as spaces
+  block.write('0', 156); // regular file
+  block.write('ustar\u000000', 257);
+
+  let checksum = 0;
+  for (const byte of block) checksum += byte;
+  block.write(`${octal(checksum, 6)}\u0000 `, 148);
+
+  return block;
+}
+
+function octal(value, width) {
+  return value.toString(8).padStart(width, '0');
+}
+
+module.exports = { writeTarGz };
@@ -0,0 +1,66 @@
+// ============================================================================
+// Crypto Helpers
+// ============================================================================
+// Small wrappers around node:crypto for secrets we must store at rest:
+//   - encrypt/decrypt → AES-256-GCM for values we need to read back (MFA secrets)
+//   - hashToken       → SHA-256 for high-entropy tokens we only compare
+//   - randomToken     → URL-safe random strings for one-time codes and tokens
+// ============================================================================
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// Derive a fixed 32-byte key so any length of configured secret works
+const encryptionKey = crypto
+  .createHash('sha256')
+  .update(config.encryption.key)
+  .digest();
+
+/**
+ * Encrypt a UTF-8 string. Output format: iv:authTag:ciphertext (base64).
+ */
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, 'utf8'),
+    cipher.final(),
+  ]);
+  const authTag = cipher.getAuthTag();
+  return [iv, authTag, ciphertext].map((b) => b.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt(). Throws if it has been tampered with.
+ */
+function decrypt(payload) {
+  const [iv, authTag, ciphertext] = payload
+    .split(':')
+    .map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, encryptionKey, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+/**
+ * One-way hash for random tokens (recovery codes, reset tokens, etc.).
+ * SHA-256 is sufficient here because the inputs are high-entropy.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a URL-safe random token.
+ */
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+module.exports = { encrypt, decrypt, hashToken, randomToken };
@@ -36,8 +36,11 @@ class UnauthorizedError extends AppError {
 }
 
 class ForbiddenError extends AppError {
-  constructor(message = 'Forbidden — insufficient permissions') {
-    super(message, 403, 'FORBIDDEN');
+  constructor(
+    message = 'Forbidden — insufficient permissions',
+    errorCode = 'FORBIDDEN',
+  ) {
+    super(message, 403, errorCode);
   }
 }
 
@@ -59,6 +62,14 @@ class TooManyRequestsError extends AppError {
   }
 }
 
+// A plan limit was reached (see QuotaService). `details` names the quota
+// and shows the limit and current usage.
+class QuotaExceededError extends AppError {
+  constructor(message, details = null, statusCode = 403) {
+    super(message, statusCode, 'QUOTA_EXCEEDED', details);
+  }
+}
+
 class ValidationError extends AppError {
   constructor(errors) {
     super('Validation failed', 422, 'VALIDATION_ERROR', errors);
@@ -73,5 +84,6 @@ module.exports = {
   NotFoundError,
   ConflictError,
   TooManyRequestsError,
+  QuotaExceededError,
   ValidationError,
 };
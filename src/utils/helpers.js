@@ -3,6 +3,7 @@
 // ============================================================================
 
 const { v4: uuidv4 } = require('uuid');
+const { NotFoundError } = require('./errors');
 
 /**
  * Parse pagination params from query string with sane defaults.
@@ -56,10 +57,35 @@ function expiryToDate(expiryString) {
   return new Date(Date.now() + parseInt(match[1], 10) * units[match[2]]);
 }
 
+/**
+ * Client metadata recorded with sessions and audit entries.
+ */
+function getClientInfo(req) {
+  return {
+    ipAddress:
+      req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+      req.socket?.remoteAddress ||
+      null,
+    userAgent: req.headers['user-agent'] || null,
+  };
+}
+
+/**
+ * Tenant of an `/organizations/:id/...` route. The organization is worked on
+ * from within itself (operators and parent organizations get there with
+ * X-Organization-Id), so the path id must match the resolved tenant.
+ */
+function tenantOf(req) {
+  if (req.params.id !== req.tenant.id) throw new NotFoundError('Organization');
+  return req.tenant.id;
+}
+
 module.exports = {
   parsePagination,
   parseSorting,
   generateCorrelationId,
   pick,
   expiryToDate,
+  getClientInfo,
+  tenantOf,
 };
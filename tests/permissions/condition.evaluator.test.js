@@ -0,0 +1,148 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ConditionSyntaxError,
+  compileCondition,
+  evaluateCondition,
+} = require('../../src/features/permissions/condition.evaluator');
+
+const context = {
+  user: { id: 'u1', attributes: { department: 'sales', level: 3 } },
+  resource: {
+    ownerId: 'u1',
+    attributes: { department: 'sales', tags: ['eu', 'vip'] },
+    createdAt: new Date('2024-01-02T03:04:05.000Z'),
+  },
+  request: { ip: '10.0.0.1' },
+  env: { hour: 10, weekday: 3 },
+};
+
+describe('evaluateCondition', () => {
+  it('compares paths and literals', () => {
+    assert.equal(
+      evaluateCondition(
+        'resource.attributes.department == user.attributes.department',
+        context,
+      ),
+      true,
+    );
+    assert.equal(
+      evaluateCondition('resource.ownerId != user.id', context),
+      false,
+    );
+    assert.equal(
+      evaluateCondition('user.attributes.level >= 3', context),
+      true,
+    );
+    assert.equal(
+      evaluateCondition('user.attributes.level < 3', context),
+      false,
+    );
+  });
+
+  it('combines clauses with &&, || and !', () => {
+    assert.equal(
+      evaluateCondition(
+        'env.hour >= 9 && env.hour < 17 && env.weekday in [1, 2, 3, 4, 5]',
+        context,
+      ),
+      true,
+    );
+    assert.equal(
+      evaluateCondition('env.hour > 17 || user.id == "u1"', context),
+      true,
+    );
+    assert.equal(evaluateCondition('!(env.hour == 10)', context), false);
+  });
+
+  it('tests membership in arrays and strings', () => {
+    assert.equal(
+      evaluateCondition("'vip' in resource.attributes.tags", context),
+      true,
+    );
+    assert.equal(
+      evaluateCondition("'us' not in resource.attributes.tags", context),
+      true,
+    );
+    assert.equal(evaluateCondition("'10.0' in request.ip", context), true);
+    assert.equal(evaluateCondition('3 in request.ip', context), false);
+  });
+
+  it('only orders numbers against numbers and strings against strings', () => {
+    assert.equal(evaluateCondition("env.hour < '11'", context), false);
+    assert.equal(evaluateCondition("'a' < 'b'", context), true);
+  });
+
+  it('resolves missing attributes to null', () => {
+    assert.equal(
+      evaluateCondition('user.attributes.region == null', context),
+      true,
+    );
+    assert.equal(evaluateCondition('user.nope.deeper == null', context), true);
+  });
+
+  it('does not reach inherited properties', () => {
+    assert.equal(evaluateCondition('user.constructor == null', context), true);
+    assert.equal(
+      evaluateCondition('resource.__proto__ == null', context),
+      true,
+    );
+  });
+
+  it('compares dates as ISO strings', () => {
+    assert.equal(
+      evaluateCondition(
+        "resource.createdAt == '2024-01-02T03:04:05.000Z'",
+        context,
+      ),
+      true,
+    );
+  });
+
+  it('denies only on a strict true', () => {
+    assert.equal(evaluateCondition('user.attributes.level', context), false);
+    assert.equal(evaluateCondition('true', context), true);
+  });
+
+  it('denies invalid conditions instead of throwing', () => {
+    assert.equal(evaluateCondition('user.id ==', context), false);
+    assert.equal(evaluateCondition('process.exit(1)', context), false);
+    assert.equal(evaluateCondition('', context), false);
+  });
+});
+
+describe('compileCondition', () => {
+  it('parses valid conditions', () => {
+    assert.deepEqual(compileCondition('user.id == 1'), {
+      type: 'compare',
+      op: '==',
+      left: { type: 'path', path: ['user', 'id'] },
+      right: { type: 'literal', value: 1 },
+    });
+  });
+
+  for (const [source, message] of [
+    ['', /non-empty string/],
+    ['   ', /non-empty string/],
+    ['x'.repeat(501), /at most 500 characters/],
+    ['account.id == 1', /Unknown name "account"/],
+    ['user.id == ', /Unexpected end of condition/],
+    ['user. == 1', /property name after "\."/],
+    ['(user.id == 1', /Expected "\)"/],
+    ['user.id == 1 1', /Unexpected "1"/],
+    ['user.id not 1', /Expected "in"/],
+    ['user.id # 1', /Unexpected character at position/],
+  ]) {
+    it(`rejects ${JSON.stringify(source.slice(0, 20))}`, () => {
+      assert.throws(
+        () => compileCondition(source),
+        (err) =>
+          err instanceof ConditionSyntaxError && message.test(err.message),
+      );
+    });
+  }
+
+  it('rejects non-string input', () => {
+    assert.throws(() => compileCondition(null), ConditionSyntaxError);
+  });
+});
@@ -0,0 +1,335 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+// The service is loaded against in-memory stand-ins for the database and
+// the permission lookups it delegates to
+const src = path.join(__dirname, '../../src');
+const permissionsByUser = new Map();
+const permissionsByRole = new Map();
+let userRoles = [];
+let roles = [];
+let permissions = [];
+let assignableRoles = [];
+
+const stubs = {
+  'config/database': {
+    role: {
+      findMany: async ({ where }) =>
+        roles.filter((r) => where.id.in.includes(r.id)),
+    },
+    permission: {
+      findMany: async ({ where }) =>
+        permissions.filter((p) => where.id.in.includes(p.id)),
+    },
+    userRole: {
+      findMany: async ({ where }) =>
+        userRoles.filter(
+          (ur) =>
+            ur.userId === where.userId &&
+            where.organizationId.in.includes(ur.organizationId),
+        ),
+    },
+    roleAssignableRole: {
+      findMany: async ({ where }) =>
+        assignableRoles.filter(
+          (r) =>
+            where.organizationId.in.includes(r.organizationId) &&
+            where.roleId.in.includes(r.roleId),
+        ),
+    },
+  },
+  'features/permissions/permission.service': {
+    resolveUserPermissions: async (userId) => ({
+      grants: permissionsByUser.get(userId) || {},
+      denied: [],
+    }),
+    getEffectivePermissions: async (roleId) => ({
+      permissions: permissionsByRole.get(roleId) || [],
+    }),
+  },
+  'features/organizations/orgHierarchy.service': {
+    getLineageIds: async (organizationId) =>
+      organizationId === 'child' ? ['child', 'parent'] : [organizationId],
+  },
+};
+for (const [file, exports] of Object.entries(stubs)) {
+  const id = require.resolve(path.join(src, file));
+  require.cache[id] = { id, filename: id, loaded: true, exports };
+}
+
+const delegationService = require('../../src/features/permissions/delegation.service');
+const { ForbiddenError } = require('../../src/utils/errors');
+
+const isEscalation = (message) => (err) =>
+  err instanceof ForbiddenError &&
+  err.errorCode === 'PRIVILEGE_ESCALATION' &&
+  message.test(err.message);
+
+beforeEach(() => {
+  permissionsByUser.clear();
+  permissionsByRole.clear();
+  userRoles = [];
+  roles = [
+    { id: 'r-user', name: 'USER' },
+    { id: 'r-admin', name: 'ADMIN' },
+  ];
+  permissions = [
+    { id: 'p-read', action: 'USER_READ' },
+    { id: 'p-delete', action: 'USER_DELETE' },
+  ];
+  assignableRoles = [];
+});
+
+describe('missingGrants', () => {
+  it('accepts grants the actor holds unconditionally', () => {
+    const actor = { USER_READ: null, USER_UPDATE: null };
+    const target = { USER_READ: null, USER_UPDATE: ['env.hour < 17'] };
+    assert.deepEqual(delegationService.missingGrants(actor, target), []);
+  });
+
+  it('lets a broader scope cover a narrower one', () => {
+    assert.deepEqual(
+      delegationService.missingGrants(
+        { 'USER_READ:any': null },
+        { 'USER_READ:own': null, USER_READ: null },
+      ),
+      [],
+    );
+    assert.deepEqual(
+      delegationService.missingGrants(
+        { 'USER_READ:own': null },
+        { USER_READ: null },
+      ),
+      ['USER_READ'],
+    );
+  });
+
+  it('requires an unconditional grant for an unconditional one', () => {
+    assert.deepEqual(
+      delegationService.missingGrants(
+        { USER_READ: ['env.hour < 17'] },
+        { USER_READ: null },
+      ),
+      ['USER_READ'],
+    );
+  });
+
+  it('requires each condition of a conditional grant', () => {
+    const actor = { USER_READ: ['env.hour < 17'] };
+    assert.deepEqual(
+      delegationService.missingGrants(actor, { USER_READ: ['env.hour < 17'] }),
+      [],
+    );
+    assert.deepEqual(
+      delegationService.missingGrants(actor, {
+        USER_READ: ['env.hour < 17', 'env.weekday == 1'],
+      }),
+      ['USER_READ'],
+    );
+  });
+
+  it('reports actions the actor lacks entirely', () => {
+    assert.deepEqual(
+      delegationService.missingGrants({}, { ROLE_ASSIGN: null }),
+      ['ROLE_ASSIGN'],
+    );
+  });
+});
+
+describe('assertCanGrantPermissions', () => {
+  it('passes when nothing is granted', async () => {
+    await delegationService.assertCanGrantPermissions('actor', 'org', []);
+  });
+
+  it('passes for permissions the actor holds', async () => {
+    permissionsByUser.set('actor', { USER_READ: null });
+    await delegationService.assertCanGrantPermissions('actor', 'org', [
+      { permissionId: 'p-read' },
+      { permissionId: 'p-read', condition: 'env.hour < 17' },
+    ]);
+  });
+
+  it('rejects permissions the actor lacks', async () => {
+    permissionsByUser.set('actor', { USER_READ: null });
+    await assert.rejects(
+      delegationService.assertCanGrantPermissions('actor', 'org', [
+        { permissionId: 'p-read' },
+        { permissionId: 'p-delete' },
+      ]),
+      isEscalation(/do not hold: USER_DELETE$/),
+    );
+  });
+
+  it('lets a conditional holder grant only under the same condition', async () => {
+    permissionsByUser.set('actor', { USER_READ: ['env.hour < 17'] });
+    await delegationService.assertCanGrantPermissions('actor', 'org', [
+      { permissionId: 'p-read', condition: 'env.hour < 17' },
+    ]);
+    await assert.rejects(
+      delegationService.assertCanGrantPermissions('actor', 'org', [
+        { permissionId: 'p-read' },
+      ]),
+      isEscalation(/USER_READ/),
+    );
+  });
+
+  it('ignores unknown permission IDs', async () => {
+    await delegationService.assertCanGrantPermissions('actor', 'org', [
+      { permissionId: 'p-missing' },
+    ]);
+  });
+});
+
+describe('assertCanAssignRoles', () => {
+  beforeEach(() => {
+    permissionsByRole.set('r-user', [{ action: 'USER_READ', condition: null }]);
+    permissionsByRole.set('r-admin', [
+      { action: 'USER_READ', condition: null },
+      { action: 'USER_DELETE', condition: null },
+    ]);
+  });
+
+  it('passes when the actor holds everything the role grants', async () => {
+    permissionsByUser.set('actor', { USER_READ: null });
+    await delegationService.assertCanAssignRoles('actor', 'org', ['r-user']);
+  });
+
+  it('rejects a role granting permissions the actor lacks', async () => {
+    permissionsByUser.set('actor', { USER_READ: null });
+    await assert.rejects(
+      delegationService.assertCanAssignRoles('actor', 'org', [
+        'r-user',
+        'r-admin',
+      ]),
+      isEscalation(/^Cannot assign ADMIN: .*: USER_DELETE$/),
+    );
+  });
+
+  it('rejects roles outside the allow-list of the assigner role', async () => {
+    permissionsByUser.set('actor', { USER_READ: null, USER_DELETE: null });
+    permissionsByRole.set('r-manager', [
+      { action: 'ROLE_ASSIGN', condition: null },
+    ]);
+    userRoles = [
+      { userId: 'actor', organizationId: 'org', roleId: 'r-manager' },
+    ];
+    assignableRoles = [
+      {
+        organizationId: 'org',
+        roleId: 'r-manager',
+        assignableRoleId: 'r-user',
+      },
+    ];
+
+    await delegationService.assertCanAssignRoles('actor', 'org', ['r-user']);
+    await assert.rejects(
+      delegationService.assertCanAssignRoles('actor', 'org', ['r-admin']),
+      isEscalation(/do not allow assigning ADMIN/),
+    );
+  });
+});
+
+describe('getAssignableRoleIds', () => {
+  beforeEach(() => {
+    permissionsByRole.set('r-manager', [
+      { action: 'ROLE_ASSIGN', condition: null },
+    ]);
+    permissionsByRole.set('r-admin', [
+      { action: 'ROLE_ASSIGN', condition: null },
+    ]);
+  });
+
+  it('is unlimited when the actor holds no assigner role', async () => {
+    userRoles = [{ userId: 'actor', organizationId: 'org', roleId: 'r-user' }];
+    assignableRoles = [
+      { organizationId: 'org', roleId: 'r-user', assignableRoleId: 'r-user' },
+    ];
+    assert.equal(
+      await delegationService.getAssignableRoleIds('actor', 'org'),
+      null,
+    );
+  });
+
+  it('returns the allow-list of the assigner role', async () => {
+    userRoles = [
+      { userId: 'actor', organizationId: 'org', roleId: 'r-manager' },
+    ];
+    assignableRoles = [
+      {
+        organizationId: 'org',
+        roleId: 'r-manager',
+        assignableRoleId: 'r-user',
+      },
+    ];
+    assert.deepEqual(
+      await delegationService.getAssignableRoleIds('actor', 'org'),
+      new Set(['r-user']),
+    );
+  });
+
+  it('is unlimited when any assigner role has no allow-list', async () => {
+    userRoles = [
+      { userId: 'actor', organizationId: 'org', roleId: 'r-manager' },
+      { userId: 'actor', organizationId: 'org', roleId: 'r-admin' },
+    ];
+    assignableRoles = [
+      {
+        organizationId: 'org',
+        roleId: 'r-manager',
+        assignableRoleId: 'r-user',
+      },
+    ];
+    assert.equal(
+      await delegationService.getAssignableRoleIds('actor', 'org'),
+      null,
+    );
+  });
+
+  it('ignores assignments outside their time window', async () => {
+    const hour = 60 * 60 * 1000;
+    userRoles = [
+      { userId: 'actor', organizationId: 'org', roleId: 'r-manager' },
+      {
+        userId: 'actor',
+        organizationId: 'org',
+        roleId: 'r-admin',
+        expiresAt: new Date(Date.now() - hour),
+      },
+      {
+        userId: 'actor',
+        organizationId: 'org',
+        roleId: 'r-admin',
+        startsAt: new Date(Date.now() + hour),
+      },
+    ];
+    assignableRoles = [
+      {
+        organizationId: 'org',
+        roleId: 'r-manager',
+        assignableRoleId: 'r-user',
+      },
+    ];
+    assert.deepEqual(
+      await delegationService.getAssignableRoleIds('actor', 'org'),
+      new Set(['r-user']),
+    );
+  });
+
+  it('counts roles and allow-lists from parent organizations', async () => {
+    userRoles = [
+      { userId: 'actor', organizationId: 'parent', roleId: 'r-manager' },
+    ];
+    assignableRoles = [
+      {
+        organizationId: 'parent',
+        roleId: 'r-manager',
+        assignableRoleId: 'r-user',
+      },
+    ];
+    assert.deepEqual(
+      await delegationService.getAssignableRoleIds('actor', 'child'),
+      new Set(['r-user']),
+    );
+  });
+});
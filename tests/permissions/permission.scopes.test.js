@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SCOPE_OWN,
+  SCOPE_ANY,
+  parseAction,
+  grantingVariants,
+  covers,
+  scopeOwnerId,
+} = require('../../src/features/permissions/permission.scopes');
+
+describe('parseAction', () => {
+  it('splits off the scope suffix', () => {
+    assert.deepEqual(parseAction('USER_READ:own'), {
+      base: 'USER_READ',
+      scope: SCOPE_OWN,
+    });
+    assert.deepEqual(parseAction('USER_READ:any'), {
+      base: 'USER_READ',
+      scope: SCOPE_ANY,
+    });
+  });
+
+  it('treats a plain action as the any scope', () => {
+    assert.deepEqual(parseAction('USER_READ'), {
+      base: 'USER_READ',
+      scope: SCOPE_ANY,
+    });
+  });
+});
+
+describe('grantingVariants', () => {
+  it('lists the broad variants before the own one', () => {
+    const expected = [
+      { action: 'USER_READ', scope: SCOPE_ANY },
+      { action: 'USER_READ:any', scope: SCOPE_ANY },
+      { action: 'USER_READ:own', scope: SCOPE_OWN },
+    ];
+    assert.deepEqual(grantingVariants('USER_READ'), expected);
+    assert.deepEqual(grantingVariants('USER_READ:own'), expected);
+  });
+
+  it('leaves out the own variant when any is required', () => {
+    assert.deepEqual(grantingVariants('USER_READ:any'), [
+      { action: 'USER_READ', scope: SCOPE_ANY },
+      { action: 'USER_READ:any', scope: SCOPE_ANY },
+    ]);
+  });
+});
+
+describe('covers', () => {
+  it('lets a broad scope cover every scope of the same action', () => {
+    for (const held of ['USER_READ', 'USER_READ:any']) {
+      for (const wanted of ['USER_READ', 'USER_READ:any', 'USER_READ:own']) {
+        assert.equal(covers(held, wanted), true, `${held} ⊇ ${wanted}`);
+      }
+    }
+  });
+
+  it('lets the own scope cover only itself', () => {
+    assert.equal(covers('USER_READ:own', 'USER_READ:own'), true);
+    assert.equal(covers('USER_READ:own', 'USER_READ'), false);
+    assert.equal(covers('USER_READ:own', 'USER_READ:any'), false);
+  });
+
+  it('never crosses actions', () => {
+    assert.equal(covers('USER_READ', 'USER_UPDATE'), false);
+    assert.equal(covers('USER', 'USER_READ'), false);
+  });
+});
+
+describe('scopeOwnerId', () => {
+  it('returns the caller for the own scope', () => {
+    const req = { user: { id: 'u1' }, permissionScope: SCOPE_OWN };
+    assert.equal(scopeOwnerId(req), 'u1');
+  });
+
+  it('returns null for the any scope or no scope', () => {
+    assert.equal(
+      scopeOwnerId({ user: { id: 'u1' }, permissionScope: SCOPE_ANY }),
+      null,
+    );
+    assert.equal(scopeOwnerId({ user: { id: 'u1' } }), null);
+  });
+});